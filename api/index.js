@@ -13,6 +13,7 @@ const workspaceRoutes = require('../routes/workspaces');
 const taskRoutes = require('../routes/tasks');
 const chatRoutes = require('../routes/chat');
 const documentRoutes = require('../routes/documents');
+const ssoRoutes = require('../routes/sso');
 
 const app = express();
 
@@ -41,6 +42,7 @@ app.use('/api/workspaces', workspaceRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/sso', ssoRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
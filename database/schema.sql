@@ -7,6 +7,9 @@ CREATE TABLE IF NOT EXISTS public.profiles (
   email TEXT UNIQUE NOT NULL,
   full_name TEXT,
   avatar_url TEXT,
+  email_verified_at TIMESTAMP WITH TIME ZONE,
+  mfa_enabled BOOLEAN DEFAULT FALSE,
+  locked_until TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -17,27 +20,71 @@ CREATE TABLE IF NOT EXISTS public.workspaces (
   name TEXT NOT NULL,
   description TEXT,
   owner_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  require_mfa BOOLEAN DEFAULT FALSE,
+  block_unverified_invites BOOLEAN DEFAULT FALSE,
+  max_members INTEGER, -- quotas; NULL uses the server default
+  max_storage_mb INTEGER,
+  max_boards INTEGER,
+  deleted_at TIMESTAMP WITH TIME ZONE, -- in the trash until purged
+  deleted_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Custom workspace roles; their permissions replace the built-in role's
+CREATE TABLE IF NOT EXISTS public.workspace_roles (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  permissions TEXT[] DEFAULT '{}' NOT NULL,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(workspace_id, name)
+);
+
 -- Workspace members table
 CREATE TABLE IF NOT EXISTS public.workspace_members (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
   user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
-  role TEXT DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+  role TEXT DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member', 'guest')),
+  role_id UUID REFERENCES public.workspace_roles(id) ON DELETE SET NULL, -- optional custom role
   joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(workspace_id, user_id)
 );
 
+-- Teams (groups of workspace members)
+CREATE TABLE IF NOT EXISTS public.teams (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(workspace_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS public.team_members (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  team_id UUID REFERENCES public.teams(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  added_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(team_id, user_id)
+);
+
 -- Task boards table
 CREATE TABLE IF NOT EXISTS public.task_boards (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
   name TEXT NOT NULL,
   description TEXT,
-  created_by UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  auto_complete_parents BOOLEAN DEFAULT FALSE, -- complete tasks once all subtasks/checklist items are done
+  archived_at TIMESTAMP WITH TIME ZONE, -- hidden from board lists until unarchived
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -48,6 +95,7 @@ CREATE TABLE IF NOT EXISTS public.task_lists (
   board_id UUID REFERENCES public.task_boards(id) ON DELETE CASCADE NOT NULL,
   name TEXT NOT NULL,
   position INTEGER NOT NULL DEFAULT 0,
+  archived_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -56,13 +104,16 @@ CREATE TABLE IF NOT EXISTS public.task_lists (
 CREATE TABLE IF NOT EXISTS public.tasks (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   list_id UUID REFERENCES public.task_lists(id) ON DELETE CASCADE NOT NULL,
+  parent_task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE, -- subtasks are one level deep, on the parent's board
   title TEXT NOT NULL,
   description TEXT,
   assigned_to UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
-  created_by UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  assigned_team_id UUID REFERENCES public.teams(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
   position INTEGER NOT NULL DEFAULT 0,
   due_date TIMESTAMP WITH TIME ZONE,
   completed BOOLEAN DEFAULT FALSE,
+  priority TEXT DEFAULT 'none' CHECK (priority IN ('none', 'low', 'medium', 'high', 'urgent')),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -73,7 +124,7 @@ CREATE TABLE IF NOT EXISTS public.chat_rooms (
   workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
   name TEXT NOT NULL,
   type TEXT DEFAULT 'general' CHECK (type IN ('general', 'direct', 'group')),
-  created_by UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -83,6 +134,7 @@ CREATE TABLE IF NOT EXISTS public.chat_room_members (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE NOT NULL,
   user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  team_id UUID REFERENCES public.teams(id) ON DELETE SET NULL, -- added through this team
   joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(room_id, user_id)
 );
@@ -91,7 +143,7 @@ CREATE TABLE IF NOT EXISTS public.chat_room_members (
 CREATE TABLE IF NOT EXISTS public.messages (
   id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
   room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE NOT NULL,
-  sender_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  sender_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL, -- NULL once the sender deleted their account
   content TEXT NOT NULL,
   message_type TEXT DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'file', 'system')),
   metadata JSONB,
@@ -105,7 +157,7 @@ CREATE TABLE IF NOT EXISTS public.documents (
   workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
   title TEXT NOT NULL,
   content JSONB,
-  created_by UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
   last_modified_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -117,6 +169,7 @@ CREATE TABLE IF NOT EXISTS public.document_collaborators (
   document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE NOT NULL,
   user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
   permission TEXT DEFAULT 'read' CHECK (permission IN ('read', 'write', 'admin')),
+  team_id UUID REFERENCES public.teams(id) ON DELETE SET NULL, -- granted through this team
   joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(document_id, user_id)
 );
@@ -131,6 +184,338 @@ CREATE TABLE IF NOT EXISTS public.user_presence (
   UNIQUE(user_id, workspace_id)
 );
 
+-- Auth sessions table (one row per signed-in device/browser)
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  user_agent TEXT,
+  ip_address TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Refresh tokens rotated out of a session (kept for reuse detection)
+CREATE TABLE IF NOT EXISTS public.auth_refresh_tokens (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  session_id UUID REFERENCES public.auth_sessions(id) ON DELETE CASCADE NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  rotated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Single-use tokens for emailed auth actions (password reset, ...)
+CREATE TABLE IF NOT EXISTS public.auth_action_tokens (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'account_unlock', 'email_verification', 'sso_login')),
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- TOTP two-factor authentication settings
+CREATE TABLE IF NOT EXISTS public.user_mfa (
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE PRIMARY KEY,
+  secret TEXT NOT NULL,
+  enabled_at TIMESTAMP WITH TIME ZONE,
+  recovery_code_hashes TEXT[] DEFAULT '{}',
+  last_used_step BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Personal access tokens (scoped API keys for scripts and integrations)
+CREATE TABLE IF NOT EXISTS public.personal_access_tokens (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  token_prefix TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Failed sign-in attempts (sliding window for throttling and lockout)
+CREATE TABLE IF NOT EXISTS public.failed_logins (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  email TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Security audit log (lockouts, unlocks, ...)
+CREATE TABLE IF NOT EXISTS public.audit_logs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  ip_address TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Per-workspace OpenID Connect single sign-on settings
+CREATE TABLE IF NOT EXISTS public.workspace_sso_configs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE UNIQUE NOT NULL,
+  issuer TEXT NOT NULL,
+  client_id TEXT NOT NULL,
+  client_secret TEXT NOT NULL,
+  allowed_domains TEXT[] DEFAULT '{}',
+  default_role TEXT DEFAULT 'member' CHECK (default_role IN ('member', 'admin')),
+  enabled BOOLEAN DEFAULT TRUE,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Accounts that SSO logins sign in as, by the IdP's (issuer, subject)
+CREATE TABLE IF NOT EXISTS public.sso_identities (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  issuer TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE SET NULL, -- workspace whose login created the link
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(issuer, subject)
+);
+
+-- Pending email invitations, including for people without an account
+CREATE TABLE IF NOT EXISTS public.workspace_invitations (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT DEFAULT 'member' CHECK (role IN ('member', 'admin', 'guest')),
+  token_hash TEXT UNIQUE NOT NULL,
+  invited_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  accepted_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  declined_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Shareable workspace join links
+CREATE TABLE IF NOT EXISTS public.workspace_invite_links (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  role TEXT DEFAULT 'member' CHECK (role IN ('member', 'admin', 'guest')),
+  max_uses INTEGER CHECK (max_uses > 0), -- NULL means unlimited
+  use_count INTEGER DEFAULT 0 NOT NULL,
+  allowed_domains TEXT[] DEFAULT '{}',
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Boards shared with workspace guests
+CREATE TABLE IF NOT EXISTS public.task_board_guests (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  board_id UUID REFERENCES public.task_boards(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  added_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(board_id, user_id)
+);
+
+-- Workspace task labels and the tasks they are attached to
+CREATE TABLE IF NOT EXISTS public.task_labels (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT NOT NULL, -- #rrggbb
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(workspace_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS public.task_label_assignments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE NOT NULL,
+  label_id UUID REFERENCES public.task_labels(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(task_id, label_id)
+);
+
+-- Task comments; replies point at a top-level comment of the same task
+CREATE TABLE IF NOT EXISTS public.task_comments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE NOT NULL,
+  parent_id UUID REFERENCES public.task_comments(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  content TEXT NOT NULL,
+  mentions UUID[] DEFAULT '{}', -- mentioned user ids
+  edited_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Checklist items of a task, in position order
+CREATE TABLE IF NOT EXISTS public.task_checklist_items (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE NOT NULL,
+  content TEXT NOT NULL,
+  done BOOLEAN DEFAULT FALSE,
+  position INTEGER NOT NULL DEFAULT 0,
+  completed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Teams added to chat rooms; their members follow team membership
+CREATE TABLE IF NOT EXISTS public.chat_room_teams (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE NOT NULL,
+  team_id UUID REFERENCES public.teams(id) ON DELETE CASCADE NOT NULL,
+  added_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(room_id, team_id)
+);
+
+-- Document access granted to whole teams
+CREATE TABLE IF NOT EXISTS public.document_team_grants (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE NOT NULL,
+  team_id UUID REFERENCES public.teams(id) ON DELETE CASCADE NOT NULL,
+  permission TEXT DEFAULT 'read' CHECK (permission IN ('read', 'write')),
+  added_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(document_id, team_id)
+);
+
+-- Saved workspace structures to start new workspaces from
+CREATE TABLE IF NOT EXISTS public.workspace_templates (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  owner_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  source_workspace_id UUID REFERENCES public.workspaces(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  include_content BOOLEAN DEFAULT FALSE,
+  bundle JSONB NOT NULL, -- template bundle (see services/workspaceBundle.js)
+  summary JSONB, -- record counts, so listing doesn't load bundles
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Workspace activity feed
+CREATE TABLE IF NOT EXISTS public.workspace_activity (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE NOT NULL,
+  actor_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id UUID,
+  target_name TEXT,
+  diff JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrades for databases created from an earlier version of this file.
+-- CREATE TABLE IF NOT EXISTS leaves existing tables as they are, so columns
+-- and constraints added since are applied here; every statement is idempotent.
+
+-- Two-factor authentication
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS require_mfa BOOLEAN DEFAULT FALSE;
+
+-- Login throttling and account lockout
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.auth_action_tokens DROP CONSTRAINT IF EXISTS auth_action_tokens_purpose_check;
+ALTER TABLE public.auth_action_tokens ADD CONSTRAINT auth_action_tokens_purpose_check
+  CHECK (purpose IN ('password_reset', 'account_unlock', 'email_verification', 'sso_login'));
+
+-- Content outlives deleted accounts
+ALTER TABLE public.task_boards
+  ALTER COLUMN created_by DROP NOT NULL,
+  DROP CONSTRAINT IF EXISTS task_boards_created_by_fkey,
+  ADD CONSTRAINT task_boards_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.profiles(id) ON DELETE SET NULL;
+ALTER TABLE public.tasks
+  ALTER COLUMN created_by DROP NOT NULL,
+  DROP CONSTRAINT IF EXISTS tasks_created_by_fkey,
+  ADD CONSTRAINT tasks_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.profiles(id) ON DELETE SET NULL;
+ALTER TABLE public.chat_rooms
+  ALTER COLUMN created_by DROP NOT NULL,
+  DROP CONSTRAINT IF EXISTS chat_rooms_created_by_fkey,
+  ADD CONSTRAINT chat_rooms_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.profiles(id) ON DELETE SET NULL;
+ALTER TABLE public.messages
+  ALTER COLUMN sender_id DROP NOT NULL,
+  DROP CONSTRAINT IF EXISTS messages_sender_id_fkey,
+  ADD CONSTRAINT messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES public.profiles(id) ON DELETE SET NULL;
+ALTER TABLE public.documents
+  ALTER COLUMN created_by DROP NOT NULL,
+  DROP CONSTRAINT IF EXISTS documents_created_by_fkey,
+  ADD CONSTRAINT documents_created_by_fkey FOREIGN KEY (created_by) REFERENCES public.profiles(id) ON DELETE SET NULL;
+
+-- Email verification
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS block_unverified_invites BOOLEAN DEFAULT FALSE;
+
+-- Accounts from before email verification count as verified: created before
+-- the first verification email went out and never sent one themselves.
+-- auth.users.email_confirmed_at alone doesn't tell, registration sets it.
+UPDATE public.profiles p
+SET email_verified_at = COALESCE(u.email_confirmed_at, p.created_at)
+FROM auth.users u
+WHERE u.id = p.id
+  AND p.email_verified_at IS NULL
+  AND p.created_at < COALESCE(
+    (SELECT MIN(t.created_at) FROM public.auth_action_tokens t WHERE t.purpose = 'email_verification'),
+    NOW()
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM public.auth_action_tokens t
+    WHERE t.user_id = p.id AND t.purpose = 'email_verification'
+  );
+
+-- Workspace trash
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL;
+
+-- Custom roles and guests
+ALTER TABLE public.workspace_members DROP CONSTRAINT IF EXISTS workspace_members_role_check;
+ALTER TABLE public.workspace_members ADD CONSTRAINT workspace_members_role_check
+  CHECK (role IN ('owner', 'admin', 'member', 'guest'));
+ALTER TABLE public.workspace_members ADD COLUMN IF NOT EXISTS role_id UUID REFERENCES public.workspace_roles(id) ON DELETE SET NULL;
+ALTER TABLE public.workspace_invitations DROP CONSTRAINT IF EXISTS workspace_invitations_role_check;
+ALTER TABLE public.workspace_invitations ADD CONSTRAINT workspace_invitations_role_check
+  CHECK (role IN ('member', 'admin', 'guest'));
+ALTER TABLE public.workspace_invite_links DROP CONSTRAINT IF EXISTS workspace_invite_links_role_check;
+ALTER TABLE public.workspace_invite_links ADD CONSTRAINT workspace_invite_links_role_check
+  CHECK (role IN ('member', 'admin', 'guest'));
+
+-- Teams
+ALTER TABLE public.tasks ADD COLUMN IF NOT EXISTS assigned_team_id UUID REFERENCES public.teams(id) ON DELETE SET NULL;
+ALTER TABLE public.chat_room_members ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES public.teams(id) ON DELETE SET NULL;
+ALTER TABLE public.document_collaborators ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES public.teams(id) ON DELETE SET NULL;
+
+-- Workspace quotas
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS max_members INTEGER;
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS max_storage_mb INTEGER;
+ALTER TABLE public.workspaces ADD COLUMN IF NOT EXISTS max_boards INTEGER;
+
+-- Board and list archiving
+ALTER TABLE public.task_boards ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.task_lists ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Task priorities
+ALTER TABLE public.tasks ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'none'
+  CHECK (priority IN ('none', 'low', 'medium', 'high', 'urgent'));
+
+-- Subtasks
+ALTER TABLE public.task_boards ADD COLUMN IF NOT EXISTS auto_complete_parents BOOLEAN DEFAULT FALSE;
+ALTER TABLE public.tasks ADD COLUMN IF NOT EXISTS parent_task_id UUID REFERENCES public.tasks(id) ON DELETE CASCADE;
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_workspace_members_workspace_id ON public.workspace_members(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON public.workspace_members(user_id);
@@ -141,6 +526,31 @@ CREATE INDEX IF NOT EXISTS idx_messages_created_at ON public.messages(created_at
 CREATE INDEX IF NOT EXISTS idx_documents_workspace_id ON public.documents(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_user_presence_user_id ON public.user_presence(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_presence_workspace_id ON public.user_presence(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON public.auth_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_refresh_tokens_session_id ON public.auth_refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_auth_action_tokens_user_id ON public.auth_action_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON public.personal_access_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_failed_logins_email ON public.failed_logins(email, created_at);
+CREATE INDEX IF NOT EXISTS idx_failed_logins_ip_address ON public.failed_logins(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON public.audit_logs(user_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_sso_configs_allowed_domains ON public.workspace_sso_configs USING GIN (allowed_domains);
+CREATE INDEX IF NOT EXISTS idx_sso_identities_user_id ON public.sso_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace_id ON public.workspace_invitations(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_email ON public.workspace_invitations(email);
+CREATE INDEX IF NOT EXISTS idx_workspace_invite_links_workspace_id ON public.workspace_invite_links(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_workspaces_deleted_at ON public.workspaces(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_workspace_roles_workspace_id ON public.workspace_roles(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_task_board_guests_user_id ON public.task_board_guests(user_id);
+CREATE INDEX IF NOT EXISTS idx_teams_workspace_id ON public.teams(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON public.team_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_chat_room_teams_team_id ON public.chat_room_teams(team_id);
+CREATE INDEX IF NOT EXISTS idx_document_team_grants_team_id ON public.document_team_grants(team_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_templates_owner_id ON public.workspace_templates(owner_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_activity_workspace_created ON public.workspace_activity(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_task_label_assignments_label_id ON public.task_label_assignments(label_id);
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON public.task_comments(task_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_task_id ON public.tasks(parent_task_id);
+CREATE INDEX IF NOT EXISTS idx_task_checklist_items_task_id ON public.task_checklist_items(task_id, position);
 
 -- Row Level Security (RLS) policies
 ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
@@ -155,6 +565,29 @@ ALTER TABLE public.messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.documents ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.document_collaborators ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_presence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auth_action_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_mfa ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.personal_access_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.failed_logins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.audit_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_sso_configs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sso_identities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_invite_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.task_board_guests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.chat_room_teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.document_team_grants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_activity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.task_labels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.task_label_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.task_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.task_checklist_items ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for profiles
 CREATE POLICY "Users can view their own profile" ON public.profiles
@@ -226,3 +659,149 @@ CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON public.messages
 
 CREATE TRIGGER update_documents_updated_at BEFORE UPDATE ON public.documents
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Atomically hand a workspace to another member; the previous owner stays on as admin
+CREATE OR REPLACE FUNCTION public.transfer_workspace_ownership(
+  p_workspace_id UUID,
+  p_current_owner_id UUID,
+  p_new_owner_id UUID
+)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE public.workspaces
+  SET owner_id = p_new_owner_id
+  WHERE id = p_workspace_id AND owner_id = p_current_owner_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Workspace is not owned by the current user';
+  END IF;
+
+  UPDATE public.workspace_members
+  SET role = 'owner'
+  WHERE workspace_id = p_workspace_id AND user_id = p_new_owner_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'New owner is not a member of the workspace';
+  END IF;
+
+  UPDATE public.workspace_members
+  SET role = 'admin'
+  WHERE workspace_id = p_workspace_id AND user_id = p_current_owner_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the API (service role) may call it; /rpc is reachable with the public anon key
+REVOKE EXECUTE ON FUNCTION public.transfer_workspace_ownership(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.transfer_workspace_ownership(UUID, UUID, UUID) TO service_role;
+
+-- Bytes a workspace stores in document content and chat messages (storage quota)
+CREATE OR REPLACE FUNCTION public.workspace_storage_bytes(p_workspace_id UUID)
+RETURNS BIGINT AS $$
+  SELECT
+    COALESCE((
+      SELECT SUM(pg_column_size(d.content))
+      FROM public.documents d
+      WHERE d.workspace_id = p_workspace_id
+    ), 0)
+    + COALESCE((
+      SELECT SUM(octet_length(m.content) + COALESCE(pg_column_size(m.metadata), 0))
+      FROM public.messages m
+      JOIN public.chat_rooms r ON r.id = m.room_id
+      WHERE r.workspace_id = p_workspace_id
+    ), 0);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Usage statistics for the admin dashboard. Members count as active when they
+-- sent a message, show up in the activity feed or were online.
+CREATE OR REPLACE FUNCTION public.workspace_stats(p_workspace_id UUID, p_days INTEGER DEFAULT 30)
+RETURNS JSON AS $$
+  WITH rooms AS (
+    SELECT id FROM public.chat_rooms WHERE workspace_id = p_workspace_id
+  ),
+  workspace_tasks AS (
+    SELECT COALESCE(t.completed, FALSE) AS completed, t.created_at
+    FROM public.tasks t
+    JOIN public.task_lists l ON l.id = t.list_id
+    JOIN public.task_boards b ON b.id = l.board_id
+    WHERE b.workspace_id = p_workspace_id
+  ),
+  seen AS (
+    SELECT m.sender_id AS user_id, m.created_at AS at
+    FROM public.messages m
+    WHERE m.room_id IN (SELECT id FROM rooms) AND m.created_at > NOW() - INTERVAL '30 days'
+    UNION ALL
+    SELECT a.actor_id, a.created_at
+    FROM public.workspace_activity a
+    WHERE a.workspace_id = p_workspace_id AND a.created_at > NOW() - INTERVAL '30 days'
+    UNION ALL
+    SELECT p.user_id, p.last_seen
+    FROM public.user_presence p
+    WHERE p.workspace_id = p_workspace_id AND p.last_seen > NOW() - INTERVAL '30 days'
+  ),
+  active AS (
+    SELECT s.user_id, MAX(s.at) AS last_active
+    FROM seen s
+    JOIN public.workspace_members wm ON wm.user_id = s.user_id AND wm.workspace_id = p_workspace_id
+    GROUP BY s.user_id
+  )
+  SELECT json_build_object(
+    'member_count', (SELECT COUNT(*) FROM public.workspace_members WHERE workspace_id = p_workspace_id),
+    'active_members_7d', (SELECT COUNT(*) FROM active WHERE last_active > NOW() - INTERVAL '7 days'),
+    'active_members_30d', (SELECT COUNT(*) FROM active),
+    'messages_per_day', (
+      SELECT json_agg(json_build_object('date', per_day.day, 'count', per_day.count) ORDER BY per_day.day)
+      FROM (
+        SELECT days.day::DATE AS day, COUNT(m.id) AS count
+        FROM generate_series(CURRENT_DATE - (p_days - 1), CURRENT_DATE, INTERVAL '1 day') AS days(day)
+        LEFT JOIN public.messages m
+          ON m.room_id IN (SELECT id FROM rooms)
+          AND m.created_at >= days.day
+          AND m.created_at < days.day + INTERVAL '1 day'
+        GROUP BY days.day
+      ) per_day
+    ),
+    'tasks_open', (SELECT COUNT(*) FROM workspace_tasks WHERE NOT completed),
+    'tasks_completed', (SELECT COUNT(*) FROM workspace_tasks WHERE completed),
+    'tasks_opened', (SELECT COUNT(*) FROM workspace_tasks WHERE created_at >= CURRENT_DATE - (p_days - 1)),
+    'tasks_closed', (
+      SELECT COUNT(*) FROM public.workspace_activity
+      WHERE workspace_id = p_workspace_id AND action = 'task_completed' AND created_at >= CURRENT_DATE - (p_days - 1)
+    ),
+    'document_count', (SELECT COUNT(*) FROM public.documents WHERE workspace_id = p_workspace_id),
+    'board_count', (SELECT COUNT(*) FROM public.task_boards WHERE workspace_id = p_workspace_id),
+    'storage_bytes', public.workspace_storage_bytes(p_workspace_id)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Usage figures are for the API (service role) only, not the anon key's /rpc
+REVOKE EXECUTE ON FUNCTION public.workspace_storage_bytes(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.workspace_stats(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.workspace_storage_bytes(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION public.workspace_stats(UUID, INTEGER) TO service_role;
+
+-- Move every task of a list to the end of another list in one statement,
+-- keeping their order (deleting a list that still has tasks)
+CREATE OR REPLACE FUNCTION public.move_list_tasks(p_from_list_id UUID, p_to_list_id UUID)
+RETURNS TABLE (task_id UUID) AS $$
+  WITH start AS (
+    SELECT COALESCE(MAX(position) + 1, 0) AS position
+    FROM public.tasks
+    WHERE list_id = p_to_list_id
+  ),
+  ordered AS (
+    SELECT id, ROW_NUMBER() OVER (ORDER BY position, created_at) - 1 AS rank
+    FROM public.tasks
+    WHERE list_id = p_from_list_id
+  ),
+  moved AS (
+    UPDATE public.tasks t
+    SET list_id = p_to_list_id, position = (start.position + ordered.rank)::INTEGER
+    FROM ordered, start
+    WHERE t.id = ordered.id
+    RETURNING t.id, t.position
+  )
+  SELECT id FROM moved ORDER BY position;
+$$ LANGUAGE sql VOLATILE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.move_list_tasks(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.move_list_tasks(UUID, UUID) TO service_role;
@@ -1,5 +1,12 @@
-const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { verifyAccessToken } = require('../services/sessions');
+const {
+  isPersonalAccessToken,
+  verifyPersonalAccessToken,
+  hasScope
+} = require('../services/personalAccessTokens');
+const { ROLE_LEVELS, getWorkspaceAccess, getDocumentAccess } = require('../services/permissions');
+const { checkQuota } = require('../services/quotas');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -10,14 +17,25 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    let auth;
+    if (isPersonalAccessToken(token)) {
+      auth = await verifyPersonalAccessToken(token);
+      if (!auth) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked access token' });
+      }
+    } else {
+      // Verify JWT token; it must belong to a session that has not been revoked
+      auth = await verifyAccessToken(token);
+      if (!auth) {
+        return res.status(401).json({ error: 'Session expired or revoked' });
+      }
+    }
+
     // Get user from Supabase
     const { data: user, error } = await supabaseAdmin
       .from('profiles')
       .select('*')
-      .eq('id', decoded.userId)
+      .eq('id', auth.userId)
       .single();
 
     if (error || !user) {
@@ -25,6 +43,15 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    if (auth.tokenId) {
+      req.authType = 'token';
+      req.tokenId = auth.tokenId;
+      req.tokenScopes = auth.scopes;
+      req.tokenWorkspaceId = auth.workspaceId;
+    } else {
+      req.authType = 'session';
+      req.sessionId = auth.sessionId;
+    }
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -34,39 +61,109 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const requireWorkspaceAccess = (requiredRole = 'member') => {
+// Helper function for requests that reach a workspace in the trash
+const rejectTrashedWorkspace = (res) => res.status(410).json({
+  error: 'This workspace has been deleted',
+  code: 'WORKSPACE_DELETED'
+});
+
+// Helper function with the checks shared by every workspace-scoped route.
+// Sends the error response and returns false, or fills req.workspaceId,
+// req.workspaceRole and req.workspacePermissions and returns true.
+const checkWorkspaceAccess = async (req, res, workspaceId, { requiredRole, allowDeleted }) => {
+  if (req.tokenWorkspaceId && req.tokenWorkspaceId !== workspaceId) {
+    res.status(403).json({ error: 'Access denied: Token is restricted to another workspace' });
+    return false;
+  }
+
+  // Check if user is a member of the workspace
+  const access = await getWorkspaceAccess(workspaceId, req.user.id);
+
+  if (!access) {
+    res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    return false;
+  }
+
+  if (access.deletedAt && !allowDeleted) {
+    rejectTrashedWorkspace(res);
+    return false;
+  }
+
+  // Workspace owners can require two-factor authentication for everyone
+  if (access.requireMfa && !req.user.mfa_enabled) {
+    res.status(403).json({
+      error: 'Access denied: This workspace requires two-factor authentication',
+      code: 'MFA_REQUIRED'
+    });
+    return false;
+  }
+
+  // Check role level
+  if (ROLE_LEVELS[access.role] < ROLE_LEVELS[requiredRole]) {
+    res.status(403).json({
+      error: `Access denied: Requires ${requiredRole} role or higher`
+    });
+    return false;
+  }
+
+  req.workspaceId = workspaceId;
+  req.workspaceRole = access.role;
+  req.workspacePermissions = access.permissions;
+  return true;
+};
+
+// Pass { allowDeleted: true } for routes that work on trashed workspaces
+const requireWorkspaceAccess = (requiredRole = 'member', { allowDeleted = false } = {}) => {
   return async (req, res, next) => {
     try {
-      const { workspaceId } = req.params;
-      const userId = req.user.id;
-
-      // Check if user is a member of the workspace
-      const { data: membership, error } = await supabaseAdmin
-        .from('workspace_members')
-        .select('role')
-        .eq('workspace_id', workspaceId)
-        .eq('user_id', userId)
-        .single();
-
-      if (error || !membership) {
-        return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+      if (await checkWorkspaceAccess(req, res, req.params.workspaceId, { requiredRole, allowDeleted })) {
+        next();
       }
+    } catch (error) {
+      console.error('Workspace access check error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
 
-      // Check role permissions
-      const roleHierarchy = { member: 1, admin: 2, owner: 3 };
-      const userRoleLevel = roleHierarchy[membership.role] || 0;
-      const requiredRoleLevel = roleHierarchy[requiredRole] || 1;
+// Check a permission from the matrix; use after requireWorkspaceAccess or
+// requireResourceWorkspace
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (req.workspacePermissions && req.workspacePermissions.has(permission)) {
+      return next();
+    }
+    return res.status(403).json({
+      error: `Access denied: Requires the ${permission} permission`,
+      code: 'PERMISSION_DENIED'
+    });
+  };
+};
 
-      if (userRoleLevel < requiredRoleLevel) {
-        return res.status(403).json({ 
-          error: `Access denied: Requires ${requiredRole} role or higher` 
-        });
+// Refuse with 402 when the workspace is at a quota; use after the
+// workspace checks. `getAmount` sizes the addition (e.g. bytes of storage).
+const requireQuota = (quota, getAmount = () => 1) => {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = req.workspaceId || req.documentWorkspaceId;
+      if (!workspaceId) {
+        return next();
       }
 
-      req.workspaceRole = membership.role;
-      next();
+      const exceeded = await checkQuota(workspaceId, quota, getAmount(req));
+      if (!exceeded) {
+        return next();
+      }
+
+      return res.status(exceeded.status).json({
+        error: exceeded.message,
+        code: exceeded.code,
+        quota: exceeded.quota,
+        limit: exceeded.limit,
+        usage: exceeded.usage
+      });
     } catch (error) {
-      console.error('Workspace access check error:', error);
+      console.error('Quota check error:', error);
       return res.status(500).json({ error: 'Internal server error' });
     }
   };
@@ -75,24 +172,29 @@ const requireWorkspaceAccess = (requiredRole = 'member') => {
 const requireDocumentAccess = (permission = 'read') => {
   return async (req, res, next) => {
     try {
-      const { documentId } = req.params;
-      const userId = req.user.id;
-
-      // Check if user has access to the document
-      const { data: access, error } = await supabaseAdmin
-        .from('document_collaborators')
-        .select('permission')
-        .eq('document_id', documentId)
-        .eq('user_id', userId)
-        .single();
-
-      if (error || !access) {
+      const access = await getDocumentAccess(req.params.documentId, req.user.id);
+
+      if (!access) {
+        return res.status(403).json({ error: 'Access denied: No document access' });
+      }
+
+      if (req.tokenWorkspaceId && req.tokenWorkspaceId !== access.workspaceId) {
+        return res.status(403).json({ error: 'Access denied: Token is restricted to another workspace' });
+      }
+
+      if (access.deletedAt) {
+        return rejectTrashedWorkspace(res);
+      }
+
+      const { workspaceAccess, permission: documentPermission } = access;
+
+      if (!documentPermission) {
         return res.status(403).json({ error: 'Access denied: No document access' });
       }
 
       // Check permission level
       const permissionHierarchy = { read: 1, write: 2, admin: 3 };
-      const userPermissionLevel = permissionHierarchy[access.permission] || 0;
+      const userPermissionLevel = permissionHierarchy[documentPermission] || 0;
       const requiredPermissionLevel = permissionHierarchy[permission] || 1;
 
       if (userPermissionLevel < requiredPermissionLevel) {
@@ -101,7 +203,10 @@ const requireDocumentAccess = (permission = 'read') => {
         });
       }
 
-      req.documentPermission = access.permission;
+      req.documentPermission = documentPermission;
+      req.documentWorkspaceId = access.workspaceId;
+      req.workspaceRole = workspaceAccess.role;
+      req.workspacePermissions = workspaceAccess.permissions;
       next();
     } catch (error) {
       console.error('Document access check error:', error);
@@ -110,8 +215,56 @@ const requireDocumentAccess = (permission = 'read') => {
   };
 };
 
+// Personal access tokens only reach routes whose scope they carry.
+// Session (login) tokens are not scoped.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.authType !== 'token' || hasScope(req.tokenScopes, scope)) {
+      return next();
+    }
+    return res.status(403).json({ error: `Access denied: Token is missing the ${scope} scope` });
+  };
+};
+
+// Account management (passwords, sessions, 2FA, tokens) needs a real login
+const requireSessionAuth = (req, res, next) => {
+  if (req.authType === 'session') {
+    return next();
+  }
+  return res.status(403).json({ error: 'Access denied: This endpoint requires a login session' });
+};
+
+// Workspace checks for routes addressed by a board, task, room... id:
+// resolveWorkspaceId(req) returns the resource's workspace id, which then
+// gets the same checks as requireWorkspaceAccess (guests pass by default;
+// routes check what guests may see themselves).
+const requireResourceWorkspace = (resolveWorkspaceId, { requiredRole = 'guest' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = await resolveWorkspaceId(req);
+
+      // Unknown resources fall through so the route can answer 404
+      if (!workspaceId) {
+        return next();
+      }
+
+      if (await checkWorkspaceAccess(req, res, workspaceId, { requiredRole, allowDeleted: false })) {
+        next();
+      }
+    } catch (error) {
+      console.error('Resource workspace check error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
 module.exports = {
   authenticateToken,
   requireWorkspaceAccess,
-  requireDocumentAccess
+  requireDocumentAccess,
+  requireScope,
+  requireSessionAuth,
+  requireResourceWorkspace,
+  requirePermission,
+  requireQuota
 };
@@ -1,21 +1,78 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { supabase, supabaseAdmin } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireSessionAuth } = require('../middleware/auth');
+const { getConnectedSessions } = require('../socket/socketHandlers');
+const { issueActionToken, consumeActionToken } = require('../services/actionTokens');
+const { sendMail, buildAppUrl } = require('../services/mailer');
+const { generateSecret, verifyCode, buildOtpAuthUri } = require('../services/totp');
+const {
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateRecoveryCodes,
+  getUserMfa,
+  verifySecondFactor
+} = require('../services/mfa');
+const { SCOPES, createPersonalAccessToken } = require('../services/personalAccessTokens');
+const {
+  checkLoginAttempt,
+  recordLoginFailure,
+  isMfaChallengeExhausted,
+  clearLoginFailures
+} = require('../services/loginThrottle');
+const { recordAudit } = require('../services/audit');
+const { checkResendAllowed, sendVerificationEmail, verifyEmailToken } = require('../services/emailVerification');
+const { claimPendingInvitations } = require('../services/invitations');
+const { buildUserExport, getOwnedWorkspaces, anonymizeMessages } = require('../services/accountData');
+const QRCode = require('qrcode');
+const {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  getClientInfo
+} = require('../services/sessions');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+// Start a server-side session and return its access/refresh token pair.
+// Signing in also accepts pending workspace invitations for the user's email.
+const issueSession = async (req, profile) => {
+  await claimPendingInvitations(profile);
+  const { token, refreshToken } = await createSession(profile.id, getClientInfo(req));
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// Response for a login refused by the failed-login throttle
+const rejectThrottledLogin = (res, attempt) => {
+  res.set('Retry-After', String(attempt.retryAfter));
+
+  if (attempt.reason === 'account') {
+    return res.status(423).json({
+      error: 'Account temporarily locked after too many failed sign-in attempts',
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: attempt.retryAfter
+    });
+  }
+
+  return res.status(429).json({
+    error: 'Too many failed sign-in attempts, please try again later',
+    retryAfter: attempt.retryAfter
+  });
 };
 
+// Response for a login that still needs the second factor
+const mfaChallengeResponse = (profile) => ({
+  message: 'Two-factor authentication required',
+  mfaRequired: true,
+  mfaToken: generateMfaChallengeToken(profile.id)
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -43,7 +100,8 @@ router.post('/register', [
       return res.status(400).json({ error: 'User already exists with this email' });
     }
 
-    // Create user in Supabase Auth
+    // Create user in Supabase Auth. Confirmed there so password sign-in
+    // works right away; our own verification is profiles.email_verified_at
     const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
       email,
       password,
@@ -71,17 +129,25 @@ router.post('/register', [
       return res.status(500).json({ error: 'Failed to create user profile' });
     }
 
-    // Generate token
-    const token = generateToken(profile.id);
+    // A failed email should not fail the registration; the user can resend
+    try {
+      await sendVerificationEmail(profile);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start session
+    const tokens = await issueSession(req, profile);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: profile.id,
         email: profile.email,
         fullName: profile.full_name,
-        avatarUrl: profile.avatar_url
+        avatarUrl: profile.avatar_url,
+        emailVerified: Boolean(profile.email_verified_at)
       }
     });
   } catch (error) {
@@ -104,6 +170,12 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const { ipAddress } = getClientInfo(req);
+
+    const attempt = await checkLoginAttempt({ email, ipAddress });
+    if (!attempt.allowed) {
+      return rejectThrottledLogin(res, attempt);
+    }
 
     // Authenticate with Supabase
     const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
@@ -112,6 +184,7 @@ router.post('/login', [
     });
 
     if (authError) {
+      await recordLoginFailure({ email, ipAddress });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -126,17 +199,25 @@ router.post('/login', [
       return res.status(500).json({ error: 'Failed to fetch user profile' });
     }
 
-    // Generate token
-    const token = generateToken(profile.id);
+    // Failures are only forgotten once the second factor is through too
+    if (profile.mfa_enabled) {
+      return res.json(mfaChallengeResponse(profile));
+    }
+
+    await clearLoginFailures(email);
+
+    // Start session
+    const tokens = await issueSession(req, profile);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: profile.id,
         email: profile.email,
         fullName: profile.full_name,
-        avatarUrl: profile.avatar_url
+        avatarUrl: profile.avatar_url,
+        emailVerified: Boolean(profile.email_verified_at)
       }
     });
   } catch (error) {
@@ -145,6 +226,122 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/mfa
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public (requires an mfa pending token)
+router.post('/login/mfa', [
+  body('mfaToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'A code or recovery code is required' });
+    }
+
+    const challenge = verifyMfaChallengeToken(mfaToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'MFA challenge expired, please log in again' });
+    }
+
+    const { data: profile, error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .select('*')
+      .eq('id', challenge.userId)
+      .single();
+
+    if (profileError) {
+      return res.status(500).json({ error: 'Failed to fetch user profile' });
+    }
+
+    // Wrong codes count as failed logins for the account
+    const { ipAddress } = getClientInfo(req);
+    const attempt = await checkLoginAttempt({ email: profile.email, ipAddress });
+    if (!attempt.allowed) {
+      return rejectThrottledLogin(res, attempt);
+    }
+
+    if (await isMfaChallengeExhausted(profile.email, challenge.issuedAt)) {
+      return res.status(401).json({ error: 'Too many invalid codes, please log in again', code: 'MFA_CHALLENGE_EXHAUSTED' });
+    }
+
+    const verified = await verifySecondFactor(profile.id, { code, recoveryCode });
+    if (!verified) {
+      await recordLoginFailure({ email: profile.email, ipAddress });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await clearLoginFailures(profile.email);
+
+    const tokens = await issueSession(req, profile);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: {
+        id: profile.id,
+        email: profile.email,
+        fullName: profile.full_name,
+        avatarUrl: profile.avatar_url,
+        emailVerified: Boolean(profile.email_verified_at)
+      }
+    });
+  } catch (error) {
+    console.error('MFA login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/unlock
+// @desc    Unlock an account locked after failed sign-ins (link from email)
+// @access  Public (requires a valid unlock token)
+router.post('/unlock', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeActionToken(req.body.token, 'account_unlock');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired unlock token' });
+    }
+
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .update({ locked_until: null })
+      .eq('id', userId)
+      .select('id, email')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to unlock account' });
+    }
+
+    await clearLoginFailures(profile.email);
+    await recordAudit({
+      userId: profile.id,
+      action: 'account_unlocked',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { via: 'email' }
+    });
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -156,6 +353,8 @@ router.get('/me', authenticateToken, async (req, res) => {
         email: req.user.email,
         fullName: req.user.full_name,
         avatarUrl: req.user.avatar_url,
+        emailVerified: Boolean(req.user.email_verified_at),
+        mfaEnabled: Boolean(req.user.mfa_enabled),
         createdAt: req.user.created_at
       }
     });
@@ -165,11 +364,150 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/me/export
+// @desc    Download all personal data as a JSON bundle
+// @access  Private
+router.get('/me/export', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    const bundle = await buildUserExport(req.user.id);
+
+    res.set('Content-Disposition', `attachment; filename="onedesk-export-${req.user.id}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Delete the current user's account
+// @access  Private
+router.delete('/me', [
+  authenticateToken,
+  requireSessionAuth,
+  body('confirmEmail').isEmail().normalizeEmail(),
+  body('deleteOwnedWorkspaces').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { confirmEmail, deleteOwnedWorkspaces = false } = req.body;
+    const userId = req.user.id;
+
+    if (confirmEmail !== req.user.email) {
+      return res.status(400).json({ error: 'Confirmation email does not match your account' });
+    }
+
+    // Owned workspaces must be transferred first, or explicitly deleted
+    const ownedWorkspaces = await getOwnedWorkspaces(userId);
+    if (ownedWorkspaces.length > 0 && !deleteOwnedWorkspaces) {
+      return res.status(409).json({
+        error: 'Transfer ownership of your workspaces or delete them first',
+        ownedWorkspaces
+      });
+    }
+
+    // Sign the user out everywhere before their data goes away
+    await revokeUserSessions(userId, { reason: 'account_deleted' });
+
+    for (const workspace of ownedWorkspaces) {
+      const { error: workspaceError } = await supabaseAdmin
+        .from('workspaces')
+        .delete()
+        .eq('id', workspace.id);
+
+      if (workspaceError) {
+        return res.status(500).json({ error: `Failed to delete workspace ${workspace.name}` });
+      }
+    }
+
+    await anonymizeMessages(userId);
+
+    // Removing the auth user cascades to the profile and everything keyed on it
+    const { error: deleteError } = await supabaseAdmin.auth.admin.deleteUser(userId);
+
+    if (deleteError) {
+      return res.status(500).json({ error: 'Failed to delete account' });
+    }
+
+    await recordAudit({
+      action: 'account_deleted',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { userId, deletedWorkspaces: ownedWorkspaces.map(workspace => workspace.id) }
+    });
+
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await verifyEmailToken(req.body.token);
+    if (!profile) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    await claimPendingInvitations(profile);
+
+    res.json({
+      message: 'Email verified successfully',
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email
+// @access  Private
+router.post('/verify-email/resend', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const attempt = await checkResendAllowed(req.user.id);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfter));
+      return res.status(429).json({
+        error: 'Please wait before requesting another verification email',
+        retryAfter: attempt.retryAfter
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
 router.put('/profile', [
   authenticateToken,
+  requireSessionAuth,
   body('fullName').optional().trim().isLength({ min: 2 }),
   body('avatarUrl').optional().isURL()
 ], async (req, res) => {
@@ -203,7 +541,8 @@ router.put('/profile', [
         id: updatedProfile.id,
         email: updatedProfile.email,
         fullName: updatedProfile.full_name,
-        avatarUrl: updatedProfile.avatar_url
+        avatarUrl: updatedProfile.avatar_url,
+        emailVerified: Boolean(updatedProfile.email_verified_at)
       }
     });
   } catch (error) {
@@ -212,24 +551,587 @@ router.put('/profile', [
   }
 });
 
+// @route   POST /api/auth/password/forgot
+// @desc    Email a password reset link
+// @access  Public
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    const { data: profile } = await supabaseAdmin
+      .from('profiles')
+      .select('id, email, full_name')
+      .eq('email', email)
+      .maybeSingle();
+
+    // Same response whether or not the account exists, so this can't be used
+    // to discover registered emails
+    if (profile) {
+      const token = await issueActionToken(profile.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+      const resetUrl = buildAppUrl('/reset-password', { token });
+
+      await sendMail({
+        to: profile.email,
+        subject: 'Reset your OneDesk password',
+        text: `Hi ${profile.full_name || ''},\n\n`
+          + `Use this link to choose a new password (valid for ${PASSWORD_RESET_TTL_MINUTES} minutes):\n${resetUrl}\n\n`
+          + 'If you did not request a password reset, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/password/reset
+// @desc    Set a new password with a reset token
+// @access  Public (requires a valid reset token)
+router.post('/password/reset', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const userId = await consumeActionToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(userId, { password });
+
+    if (updateError) {
+      return res.status(400).json({ error: updateError.message });
+    }
+
+    // Whoever had the old password may still hold sessions
+    await revokeUserSessions(userId, { reason: 'password_reset' });
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password (signs out all other sessions)
+// @access  Private
+router.put('/password', [
+  authenticateToken,
+  requireSessionAuth,
+  body('currentPassword').notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const { ipAddress } = getClientInfo(req);
+
+    // Guessing the current password is throttled like a login
+    const attempt = await checkLoginAttempt({ email: req.user.email, ipAddress });
+    if (!attempt.allowed) {
+      return rejectThrottledLogin(res, attempt);
+    }
+
+    // Verify current password with Supabase
+    const { error: authError } = await supabase.auth.signInWithPassword({
+      email: req.user.email,
+      password: currentPassword
+    });
+
+    if (authError) {
+      await recordLoginFailure({ email: req.user.email, ipAddress });
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await clearLoginFailures(req.user.email);
+
+    const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(req.user.id, {
+      password: newPassword
+    });
+
+    if (updateError) {
+      return res.status(400).json({ error: updateError.message });
+    }
+
+    const revoked = await revokeUserSessions(req.user.id, {
+      exceptSessionId: req.sessionId,
+      reason: 'password_changed'
+    });
+
+    res.json({
+      message: 'Password changed successfully',
+      revokedSessions: revoked.length
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/auth/mfa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/mfa', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    const mfa = await getUserMfa(req.user.id);
+
+    res.json({
+      enabled: Boolean(mfa?.enabled_at),
+      enabledAt: mfa?.enabled_at || null,
+      recoveryCodesRemaining: mfa?.enabled_at ? (mfa.recovery_code_hashes || []).length : 0
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start TOTP enrollment (secret, otpauth URI and QR code)
+// @access  Private
+router.post('/mfa/setup', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    const existing = await getUserMfa(req.user.id);
+    if (existing?.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    const otpauthUri = buildOtpAuthUri(secret, req.user.email);
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .upsert({
+        user_id: req.user.id,
+        secret,
+        enabled_at: null,
+        recovery_code_hashes: [],
+        last_used_step: null
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to start MFA enrollment' });
+    }
+
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUri);
+
+    res.json({
+      message: 'Scan the QR code, then verify a code to enable two-factor authentication',
+      secret,
+      otpauthUri,
+      qrCodeDataUrl
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/mfa/verify
+// @desc    Confirm TOTP enrollment and receive recovery codes
+// @access  Private
+router.post('/mfa/verify', [
+  authenticateToken,
+  requireSessionAuth,
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mfa = await getUserMfa(req.user.id);
+    if (!mfa) {
+      return res.status(400).json({ error: 'Start enrollment first' });
+    }
+    if (mfa.enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const step = verifyCode(mfa.secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { error: mfaError } = await supabaseAdmin
+      .from('user_mfa')
+      .update({
+        enabled_at: new Date().toISOString(),
+        recovery_code_hashes: hashes,
+        last_used_step: step
+      })
+      .eq('user_id', req.user.id);
+
+    if (mfaError) {
+      return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+
+    const { error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .update({ mfa_enabled: true })
+      .eq('id', req.user.id);
+
+    if (profileError) {
+      return res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Replace recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/mfa/recovery-codes', [
+  authenticateToken,
+  requireSessionAuth,
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const verified = await verifySecondFactor(req.user.id, { code: req.body.code });
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .update({ recovery_code_hashes: hashes })
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/auth/mfa
+// @desc    Disable two-factor authentication
+// @access  Private
+router.delete('/mfa', [
+  authenticateToken,
+  requireSessionAuth,
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, recoveryCode } = req.body;
+
+    const verified = await verifySecondFactor(req.user.id, { code, recoveryCode });
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const { error: mfaError } = await supabaseAdmin
+      .from('user_mfa')
+      .delete()
+      .eq('user_id', req.user.id);
+
+    if (mfaError) {
+      return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+
+    const { error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .update({ mfa_enabled: false })
+      .eq('id', req.user.id);
+
+    if (profileError) {
+      return res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-  // Since we're using JWT, logout is handled client-side by removing the token
-  // In a more sophisticated setup, you might maintain a blacklist of tokens
-  res.json({ message: 'Logout successful' });
+router.post('/logout', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
+// @route   POST /api/auth/logout-all
+// @desc    Sign out everywhere (revokes every session of the current user)
+// @access  Private
+router.post('/logout-all', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, { reason: 'logout_all' });
+    res.json({
+      message: 'Signed out of all sessions',
+      revokedSessions: revoked.length
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions/devices of the current user
 // @access  Private
-router.post('/refresh', authenticateToken, (req, res) => {
+router.get('/sessions', [authenticateToken, requireSessionAuth], async (req, res) => {
   try {
-    const newToken = generateToken(req.user.id);
+    const sessions = await listUserSessions(req.user.id);
+    const connected = getConnectedSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        current: session.id === req.sessionId,
+        connected: connected.has(session.id),
+        connectedSockets: connected.get(session.id) || 0,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { data: session, error } = await supabaseAdmin
+      .from('auth_sessions')
+      .select('id')
+      .eq('id', sessionId)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error || !session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id, 'revoked_by_user');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List personal access tokens of the current user
+// @access  Private
+router.get('/tokens', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    const { data: tokens, error } = await supabaseAdmin
+      .from('personal_access_tokens')
+      .select('id, name, token_prefix, scopes, workspace_id, expires_at, last_used_at, created_at')
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch access tokens' });
+    }
+
+    res.json({
+      tokens: tokens.map(token => ({
+        id: token.id,
+        name: token.name,
+        prefix: token.token_prefix,
+        scopes: token.scopes,
+        workspaceId: token.workspace_id,
+        expiresAt: token.expires_at,
+        lastUsedAt: token.last_used_at,
+        createdAt: token.created_at
+      })),
+      availableScopes: SCOPES
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token (the token is only returned once)
+// @access  Private
+router.post('/tokens', [
+  authenticateToken,
+  requireSessionAuth,
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(SCOPES),
+  body('workspaceId').optional().isUUID(),
+  body('expiresAt').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, workspaceId, expiresAt } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ error: 'Expiry must be in the future' });
+    }
+
+    if (workspaceId) {
+      const { data: membership, error: membershipError } = await supabaseAdmin
+        .from('workspace_members')
+        .select('id')
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (membershipError || !membership) {
+        return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+      }
+    }
+
+    const { token, record } = await createPersonalAccessToken(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      workspaceId,
+      expiresAt
+    });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      token,
+      accessToken: {
+        id: record.id,
+        name: record.name,
+        prefix: record.token_prefix,
+        scopes: record.scopes,
+        workspaceId: record.workspace_id,
+        expiresAt: record.expires_at,
+        createdAt: record.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:tokenId
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:tokenId', [authenticateToken, requireSessionAuth], async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    const { data: revoked, error } = await supabaseAdmin
+      .from('personal_access_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', tokenId)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to revoke access token' });
+    }
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    res.json({ message: 'Access token revoked successfully' });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data, error } = await rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
     res.json({
       message: 'Token refreshed successfully',
-      token: newToken
+      token: data.token,
+      refreshToken: data.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
   } catch (error) {
     console.error('Token refresh error:', error);
@@ -249,18 +1151,42 @@ router.post('/oauth', async (req, res) => {
       return res.status(400).json({ error: 'Missing access token' });
     }
 
+    const { ipAddress } = getClientInfo(req);
+
+    // No email is known yet, so only the per-IP limit applies here
+    const attempt = await checkLoginAttempt({ ipAddress });
+    if (!attempt.allowed) {
+      return rejectThrottledLogin(res, attempt);
+    }
+
     // Validate token and fetch user from Supabase
     const { data: userResp, error: userErr } = await supabaseAdmin.auth.getUser(accessToken);
     if (userErr || !userResp?.user) {
+      await recordLoginFailure({ ipAddress });
       return res.status(401).json({ error: 'Invalid Supabase token' });
     }
 
     const authUser = userResp.user;
 
+    if (authUser.email) {
+      const accountAttempt = await checkLoginAttempt({ email: authUser.email });
+      if (!accountAttempt.allowed) {
+        return rejectThrottledLogin(res, accountAttempt);
+      }
+    }
+
     // Ensure profile exists (upsert)
     const { data: profile, error: profileError } = await supabaseAdmin
       .from('profiles')
-      .upsert({ id: authUser.id, email: authUser.email || null }, { onConflict: 'id' })
+      .upsert({
+        id: authUser.id,
+        email: authUser.email || null,
+        // Trust an OAuth provider's confirmation, but never un-verify an existing
+        // profile. Email/password users are confirmed at registration, so
+        // their confirmation proves nothing.
+        ...(authUser.email_confirmed_at && authUser.app_metadata?.provider !== 'email'
+          && { email_verified_at: authUser.email_confirmed_at })
+      }, { onConflict: 'id' })
       .select('*')
       .single();
 
@@ -268,16 +1194,21 @@ router.post('/oauth', async (req, res) => {
       return res.status(500).json({ error: 'Failed to ensure user profile' });
     }
 
-    const token = generateToken(profile.id);
+    if (profile.mfa_enabled) {
+      return res.json(mfaChallengeResponse(profile));
+    }
+
+    const tokens = await issueSession(req, profile);
 
     return res.json({
       message: 'OAuth login successful',
-      token,
+      ...tokens,
       user: {
         id: profile.id,
         email: profile.email,
         fullName: profile.full_name,
-        avatarUrl: profile.avatar_url
+        avatarUrl: profile.avatar_url,
+        emailVerified: Boolean(profile.email_verified_at)
       }
     });
   } catch (error) {
@@ -1,16 +1,37 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, requireWorkspaceAccess } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireWorkspaceAccess,
+  requireScope,
+  requireResourceWorkspace,
+  requirePermission,
+  requireQuota
+} = require('../middleware/auth');
+const { publish } = require('../socket/eventBus');
+const { getTeam, addTeamToRoom, removeTeamFromRoom } = require('../services/teams');
+const { recordActivity } = require('../services/activity');
 
 const router = express.Router();
 
+// Resolve the workspace of a chat room for workspace checks
+const roomWorkspace = async (req) => {
+  const { data: room } = await supabaseAdmin
+    .from('chat_rooms')
+    .select('workspace_id')
+    .eq('id', req.params.roomId)
+    .single();
+  return room?.workspace_id;
+};
+
 // @route   GET /api/chat/workspace/:workspaceId/rooms
 // @desc    Get all chat rooms in a workspace
 // @access  Private (Workspace member)
 router.get('/workspace/:workspaceId/rooms', [
   authenticateToken,
-  requireWorkspaceAccess('member')
+  requireScope('chat:read'),
+  requireWorkspaceAccess('guest')
 ], async (req, res) => {
   try {
     const { workspaceId } = req.params;
@@ -102,7 +123,9 @@ router.get('/workspace/:workspaceId/rooms', [
 // @access  Private (Workspace member)
 router.post('/workspace/:workspaceId/rooms', [
   authenticateToken,
-  requireWorkspaceAccess('member'),
+  requireScope('chat:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('chat.create_rooms'),
   body('name').trim().isLength({ min: 1, max: 100 }),
   body('type').optional().isIn(['general', 'group'])
 ], async (req, res) => {
@@ -157,6 +180,15 @@ router.post('/workspace/:workspaceId/rooms', [
       return res.status(500).json({ error: 'Failed to add room creator' });
     }
 
+    await recordActivity({
+      workspaceId,
+      actorId: userId,
+      action: 'room_created',
+      targetType: 'room',
+      targetId: room.id,
+      targetName: room.name
+    });
+
     res.status(201).json({
       message: 'Chat room created successfully',
       room: {
@@ -176,7 +208,11 @@ router.post('/workspace/:workspaceId/rooms', [
 // @route   GET /api/chat/rooms/:roomId/messages
 // @desc    Get messages from a chat room
 // @access  Private (Room member)
-router.get('/rooms/:roomId/messages', authenticateToken, async (req, res) => {
+router.get('/rooms/:roomId/messages', [
+  authenticateToken,
+  requireScope('chat:read'),
+  requireResourceWorkspace(roomWorkspace)
+], async (req, res) => {
   try {
     const { roomId } = req.params;
     const { page = 1, limit = 50 } = req.query;
@@ -327,10 +363,98 @@ router.get('/rooms/:roomId/messages', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/chat/rooms/:roomId/messages
+// @desc    Send a message to a chat room (for scripts and integrations)
+// @access  Private (Room member)
+router.post('/rooms/:roomId/messages', [
+  authenticateToken,
+  requireScope('chat:write'),
+  requireResourceWorkspace(roomWorkspace),
+  requireQuota('storageMb', req => Buffer.byteLength(String(req.body.content || ''))),
+  body('content').trim().isLength({ min: 1, max: 5000 }),
+  body('messageType').optional().isIn(['text', 'image', 'file']),
+  body('metadata').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { roomId } = req.params;
+    const { content, messageType = 'text', metadata } = req.body;
+    const userId = req.user.id;
+
+    // Verify user is member of the room
+    const { data: membership, error: membershipError } = await supabaseAdmin
+      .from('chat_room_members')
+      .select('id')
+      .eq('room_id', roomId)
+      .eq('user_id', userId)
+      .single();
+
+    if (membershipError || !membership) {
+      return res.status(403).json({ error: 'Access denied: Not a room member' });
+    }
+
+    const { data: message, error } = await supabaseAdmin
+      .from('messages')
+      .insert({
+        room_id: roomId,
+        sender_id: userId,
+        content,
+        message_type: messageType,
+        metadata
+      })
+      .select(`
+        id,
+        content,
+        message_type,
+        metadata,
+        created_at,
+        profiles:sender_id (
+          id,
+          email,
+          full_name,
+          avatar_url
+        )
+      `)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to send message' });
+    }
+
+    const formattedMessage = {
+      id: message.id,
+      content: message.content,
+      messageType: message.message_type,
+      metadata: message.metadata,
+      createdAt: message.created_at,
+      sender: message.profiles
+    };
+
+    // Same event the socket send_message handler broadcasts
+    publish(`room:${roomId}`, 'new_message', formattedMessage);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      chatMessage: formattedMessage
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   GET /api/chat/rooms/:roomId/members
 // @desc    Get members of a chat room
 // @access  Private (Room member)
-router.get('/rooms/:roomId/members', authenticateToken, async (req, res) => {
+router.get('/rooms/:roomId/members', [
+  authenticateToken,
+  requireScope('chat:read'),
+  requireResourceWorkspace(roomWorkspace)
+], async (req, res) => {
   try {
     const { roomId } = req.params;
     const userId = req.user.id;
@@ -381,11 +505,15 @@ router.get('/rooms/:roomId/members', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/chat/rooms/:roomId/members
-// @desc    Add member to chat room
-// @access  Private (Room member)
+// @desc    Add a member, or a whole team, to a chat room
+// @access  Private (Room member with chat.manage_members)
 router.post('/rooms/:roomId/members', [
   authenticateToken,
-  body('userId').isUUID()
+  requireScope('chat:write'),
+  requireResourceWorkspace(roomWorkspace),
+  requirePermission('chat.manage_members'),
+  body('userId').optional().isUUID(),
+  body('teamId').optional().isUUID()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -394,9 +522,13 @@ router.post('/rooms/:roomId/members', [
     }
 
     const { roomId } = req.params;
-    const { userId: newMemberId } = req.body;
+    const { userId: newMemberId, teamId } = req.body;
     const currentUserId = req.user.id;
 
+    if (!newMemberId === !teamId) {
+      return res.status(400).json({ error: 'Provide either userId or teamId' });
+    }
+
     // Verify current user is member of the room
     const { data: currentMembership, error: currentMembershipError } = await supabaseAdmin
       .from('chat_room_members')
@@ -409,6 +541,25 @@ router.post('/rooms/:roomId/members', [
       return res.status(403).json({ error: 'Access denied: Not a room member' });
     }
 
+    // Teams expand to their members and keep the room in sync with the team
+    if (teamId) {
+      const team = await getTeam(req.workspaceId, teamId);
+      if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+
+      const memberIds = await addTeamToRoom(roomId, teamId, currentUserId);
+
+      return res.status(201).json({
+        message: 'Team added to room successfully',
+        team: {
+          id: team.id,
+          name: team.name,
+          memberIds
+        }
+      });
+    }
+
     // Check if new member is already in the room
     const { data: existingMembership, error: existingError } = await supabaseAdmin
       .from('chat_room_members')
@@ -482,8 +633,13 @@ router.post('/rooms/:roomId/members', [
 
 // @route   DELETE /api/chat/rooms/:roomId/members/:memberId
 // @desc    Remove member from chat room
-// @access  Private (Room member)
-router.delete('/rooms/:roomId/members/:memberId', authenticateToken, async (req, res) => {
+// @access  Private (Room member with chat.manage_members)
+router.delete('/rooms/:roomId/members/:memberId', [
+  authenticateToken,
+  requireScope('chat:write'),
+  requireResourceWorkspace(roomWorkspace),
+  requirePermission('chat.manage_members')
+], async (req, res) => {
   try {
     const { roomId, memberId } = req.params;
     const currentUserId = req.user.id;
@@ -544,10 +700,49 @@ router.delete('/rooms/:roomId/members/:memberId', authenticateToken, async (req,
   }
 });
 
+// @route   DELETE /api/chat/rooms/:roomId/teams/:teamId
+// @desc    Remove a team from a chat room (with the members it added)
+// @access  Private (Room member with chat.manage_members)
+router.delete('/rooms/:roomId/teams/:teamId', [
+  authenticateToken,
+  requireScope('chat:write'),
+  requireResourceWorkspace(roomWorkspace),
+  requirePermission('chat.manage_members')
+], async (req, res) => {
+  try {
+    const { roomId, teamId } = req.params;
+
+    // Verify current user is member of the room
+    const { data: currentMembership } = await supabaseAdmin
+      .from('chat_room_members')
+      .select('id')
+      .eq('room_id', roomId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (!currentMembership) {
+      return res.status(403).json({ error: 'Access denied: Not a room member' });
+    }
+
+    if (!(await removeTeamFromRoom(roomId, teamId))) {
+      return res.status(404).json({ error: 'Team is not in this room' });
+    }
+
+    res.json({ message: 'Team removed from room successfully' });
+  } catch (error) {
+    console.error('Remove room team error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   DELETE /api/chat/rooms/:roomId
 // @desc    Delete chat room
-// @access  Private (Room creator or workspace admin)
-router.delete('/rooms/:roomId', authenticateToken, async (req, res) => {
+// @access  Private (Room creator or chat.manage_rooms)
+router.delete('/rooms/:roomId', [
+  authenticateToken,
+  requireScope('chat:write'),
+  requireResourceWorkspace(roomWorkspace)
+], async (req, res) => {
   try {
     const { roomId } = req.params;
     const userId = req.user.id;
@@ -568,22 +763,10 @@ router.delete('/rooms/:roomId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Chat room not found' });
     }
 
-    // Check if user is creator or workspace admin
+    // Check if user is creator or may manage every room
     const isCreator = room.created_by === userId;
-    
-    let isWorkspaceAdmin = false;
-    if (!isCreator) {
-      const { data: membership, error: membershipError } = await supabaseAdmin
-        .from('workspace_members')
-        .select('role')
-        .eq('workspace_id', room.workspace_id)
-        .eq('user_id', userId)
-        .single();
-
-      isWorkspaceAdmin = !membershipError && ['admin', 'owner'].includes(membership?.role);
-    }
 
-    if (!isCreator && !isWorkspaceAdmin) {
+    if (!isCreator && !req.workspacePermissions.has('chat.manage_rooms')) {
       return res.status(403).json({ error: 'Access denied: Not authorized to delete this room' });
     }
 
@@ -597,6 +780,15 @@ router.delete('/rooms/:roomId', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Failed to delete chat room' });
     }
 
+    await recordActivity({
+      workspaceId: room.workspace_id,
+      actorId: userId,
+      action: 'room_deleted',
+      targetType: 'room',
+      targetId: roomId,
+      targetName: room.name
+    });
+
     res.json({ message: 'Chat room deleted successfully' });
   } catch (error) {
     console.error('Delete chat room error:', error);
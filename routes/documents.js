@@ -1,7 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, requireWorkspaceAccess, requireDocumentAccess } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireWorkspaceAccess,
+  requireDocumentAccess,
+  requireScope,
+  requirePermission,
+  requireQuota
+} = require('../middleware/auth');
+const { getTeam, grantTeamDocumentAccess, revokeTeamDocumentAccess } = require('../services/teams');
+const { recordActivity } = require('../services/activity');
 
 const router = express.Router();
 
@@ -10,7 +19,8 @@ const router = express.Router();
 // @access  Private (Workspace member)
 router.get('/workspace/:workspaceId', [
   authenticateToken,
-  requireWorkspaceAccess('member')
+  requireScope('documents:read'),
+  requireWorkspaceAccess('guest')
 ], async (req, res) => {
   try {
     const { workspaceId } = req.params;
@@ -74,7 +84,10 @@ router.get('/workspace/:workspaceId', [
 // @access  Private (Workspace member)
 router.post('/workspace/:workspaceId', [
   authenticateToken,
-  requireWorkspaceAccess('member'),
+  requireScope('documents:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('documents.create'),
+  requireQuota('storageMb', () => 0),
   body('title').trim().isLength({ min: 1, max: 200 })
 ], async (req, res) => {
   try {
@@ -132,6 +145,15 @@ router.post('/workspace/:workspaceId', [
       return res.status(500).json({ error: 'Failed to add document collaborator' });
     }
 
+    await recordActivity({
+      workspaceId,
+      actorId: userId,
+      action: 'document_created',
+      targetType: 'document',
+      targetId: document.id,
+      targetName: document.title
+    });
+
     res.status(201).json({
       message: 'Document created successfully',
       document: {
@@ -153,6 +175,7 @@ router.post('/workspace/:workspaceId', [
 // @access  Private (Document collaborator)
 router.get('/:documentId', [
   authenticateToken,
+  requireScope('documents:read'),
   requireDocumentAccess('read')
 ], async (req, res) => {
   try {
@@ -236,6 +259,7 @@ router.get('/:documentId', [
 // @access  Private (Document admin)
 router.put('/:documentId', [
   authenticateToken,
+  requireScope('documents:write'),
   requireDocumentAccess('admin'),
   body('title').trim().isLength({ min: 1, max: 200 })
 ], async (req, res) => {
@@ -282,21 +306,33 @@ router.put('/:documentId', [
 // @access  Private (Document admin)
 router.delete('/:documentId', [
   authenticateToken,
+  requireScope('documents:write'),
   requireDocumentAccess('admin')
 ], async (req, res) => {
   try {
     const { documentId } = req.params;
 
     // Delete document (cascade will handle related records)
-    const { error } = await supabaseAdmin
+    const { data: document, error } = await supabaseAdmin
       .from('documents')
       .delete()
-      .eq('id', documentId);
+      .eq('id', documentId)
+      .select('title')
+      .single();
 
     if (error) {
       return res.status(500).json({ error: 'Failed to delete document' });
     }
 
+    await recordActivity({
+      workspaceId: req.documentWorkspaceId,
+      actorId: req.user.id,
+      action: 'document_deleted',
+      targetType: 'document',
+      targetId: documentId,
+      targetName: document.title
+    });
+
     res.json({ message: 'Document deleted successfully' });
   } catch (error) {
     console.error('Delete document error:', error);
@@ -305,12 +341,14 @@ router.delete('/:documentId', [
 });
 
 // @route   POST /api/documents/:documentId/collaborators
-// @desc    Add collaborator to document
+// @desc    Add a collaborator, or grant a whole team access
 // @access  Private (Document admin)
 router.post('/:documentId/collaborators', [
   authenticateToken,
+  requireScope('documents:write'),
   requireDocumentAccess('admin'),
-  body('userId').isUUID(),
+  body('userId').optional().isUUID(),
+  body('teamId').optional().isUUID(),
   body('permission').isIn(['read', 'write'])
 ], async (req, res) => {
   try {
@@ -320,7 +358,40 @@ router.post('/:documentId/collaborators', [
     }
 
     const { documentId } = req.params;
-    const { userId, permission } = req.body;
+    const { userId, teamId, permission } = req.body;
+
+    if (!userId === !teamId) {
+      return res.status(400).json({ error: 'Provide either userId or teamId' });
+    }
+
+    // Teams expand to their members and keep access in sync with the team
+    if (teamId) {
+      const team = await getTeam(req.documentWorkspaceId, teamId);
+      if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+
+      const memberIds = await grantTeamDocumentAccess(documentId, teamId, permission, req.user.id);
+
+      await recordActivity({
+        workspaceId: req.documentWorkspaceId,
+        actorId: req.user.id,
+        action: 'document_shared',
+        targetType: 'document',
+        targetId: documentId,
+        diff: { teamId, teamName: team.name, permission }
+      });
+
+      return res.status(201).json({
+        message: 'Team granted access successfully',
+        team: {
+          id: team.id,
+          name: team.name,
+          permission,
+          memberIds
+        }
+      });
+    }
 
     // Check if user is already a collaborator
     const { data: existingCollaborator, error: existingError } = await supabaseAdmin
@@ -381,6 +452,15 @@ router.post('/:documentId/collaborators', [
       return res.status(500).json({ error: 'Failed to add collaborator' });
     }
 
+    await recordActivity({
+      workspaceId: document.workspace_id,
+      actorId: req.user.id,
+      action: 'document_shared',
+      targetType: 'document',
+      targetId: documentId,
+      diff: { userId, permission }
+    });
+
     res.status(201).json({
       message: 'Collaborator added successfully',
       collaborator: {
@@ -401,6 +481,7 @@ router.post('/:documentId/collaborators', [
 // @access  Private (Document admin)
 router.put('/:documentId/collaborators/:collaboratorId', [
   authenticateToken,
+  requireScope('documents:write'),
   requireDocumentAccess('admin'),
   body('permission').isIn(['read', 'write'])
 ], async (req, res) => {
@@ -453,6 +534,7 @@ router.put('/:documentId/collaborators/:collaboratorId', [
 // @access  Private (Document admin)
 router.delete('/:documentId/collaborators/:collaboratorId', [
   authenticateToken,
+  requireScope('documents:write'),
   requireDocumentAccess('admin')
 ], async (req, res) => {
   try {
@@ -502,11 +584,34 @@ router.delete('/:documentId/collaborators/:collaboratorId', [
   }
 });
 
+// @route   DELETE /api/documents/:documentId/teams/:teamId
+// @desc    Revoke a team's access (and the collaborators it added)
+// @access  Private (Document admin)
+router.delete('/:documentId/teams/:teamId', [
+  authenticateToken,
+  requireScope('documents:write'),
+  requireDocumentAccess('admin')
+], async (req, res) => {
+  try {
+    const { documentId, teamId } = req.params;
+
+    if (!(await revokeTeamDocumentAccess(documentId, teamId))) {
+      return res.status(404).json({ error: 'Team has no access to this document' });
+    }
+
+    res.json({ message: 'Team access revoked successfully' });
+  } catch (error) {
+    console.error('Revoke team access error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   GET /api/documents/:documentId/collaborators
 // @desc    Get document collaborators
 // @access  Private (Document collaborator)
 router.get('/:documentId/collaborators', [
   authenticateToken,
+  requireScope('documents:read'),
   requireDocumentAccess('read')
 ], async (req, res) => {
   try {
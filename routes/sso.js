@@ -0,0 +1,405 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  authenticateToken,
+  requireSessionAuth,
+  requireWorkspaceAccess
+} = require('../middleware/auth');
+const {
+  getCallbackUrl,
+  discoverProvider,
+  createLoginState,
+  verifyLoginState,
+  buildAuthorizationUrl,
+  completeAuthorization,
+  emailDomain
+} = require('../services/oidc');
+const { issueActionToken, consumeActionToken } = require('../services/actionTokens');
+const { addWorkspaceMember, getWorkspaceMembership } = require('../services/workspaceMembership');
+const { generateMfaChallengeToken } = require('../services/mfa');
+const { createSession, getClientInfo, ACCESS_TOKEN_TTL } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const { buildAppUrl } = require('../services/mailer');
+const { checkQuota } = require('../services/quotas');
+const { provisionSsoUser } = require('../services/ssoProvisioning');
+
+const router = express.Router();
+
+// The callback hands the browser a one-time code instead of tokens, so
+// tokens never appear in URLs or browser history
+const SSO_EXCHANGE_TTL_MINUTES = 2;
+
+// Helper function to format an SSO config for API responses (never the secret)
+const formatSsoConfig = (config) => ({
+  workspaceId: config.workspace_id,
+  issuer: config.issuer,
+  clientId: config.client_id,
+  hasClientSecret: Boolean(config.client_secret),
+  allowedDomains: config.allowed_domains || [],
+  defaultRole: config.default_role,
+  enabled: config.enabled,
+  callbackUrl: getCallbackUrl(),
+  updatedAt: config.updated_at
+});
+
+// Helper function to load a workspace's SSO config
+const getSsoConfig = async (workspaceId) => {
+  const { data: config } = await supabaseAdmin
+    .from('workspace_sso_configs')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  return config;
+};
+
+// Helper function to send the browser back to the frontend after SSO
+const redirectToApp = (res, params) => res.redirect(buildAppUrl('/sso/complete', params));
+
+// The login state only completes in the browser that started it (no login CSRF)
+const BROWSER_KEY_COOKIE = 'sso_browser_key';
+const BROWSER_KEY_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/sso'
+};
+
+// Helper function to read a cookie without a cookie parser
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+// @route   GET /api/sso/workspace/:workspaceId/config
+// @desc    Get the workspace's OIDC single sign-on settings
+// @access  Private (Admin/Owner only)
+router.get('/workspace/:workspaceId/config', [
+  authenticateToken,
+  requireSessionAuth,
+  requireWorkspaceAccess('admin')
+], async (req, res) => {
+  try {
+    const config = await getSsoConfig(req.params.workspaceId);
+
+    res.json({
+      sso: config ? formatSsoConfig(config) : null,
+      callbackUrl: getCallbackUrl()
+    });
+  } catch (error) {
+    console.error('Get SSO config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/sso/workspace/:workspaceId/config
+// @desc    Create or update the workspace's OIDC single sign-on settings
+// @access  Private (Owner only)
+router.put('/workspace/:workspaceId/config', [
+  authenticateToken,
+  requireSessionAuth,
+  requireWorkspaceAccess('owner'),
+  body('issuer').isURL({ require_tld: false, require_protocol: true }),
+  body('clientId').trim().isLength({ min: 1, max: 255 }),
+  body('clientSecret').optional().isString().isLength({ min: 1 }),
+  body('allowedDomains').optional().isArray(),
+  body('allowedDomains.*').isString().trim().toLowerCase().matches(/^[a-z0-9.-]+\.[a-z]{2,}$/),
+  body('defaultRole').optional().isIn(['member', 'admin']),
+  body('enabled').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { issuer, clientId, clientSecret, allowedDomains, defaultRole, enabled } = req.body;
+
+    const existing = await getSsoConfig(workspaceId);
+
+    if (!clientSecret && !existing) {
+      return res.status(400).json({ error: 'clientSecret is required' });
+    }
+
+    // Make sure the issuer really is an OIDC provider before saving it
+    try {
+      await discoverProvider(issuer);
+    } catch (discoveryError) {
+      return res.status(400).json({ error: `Could not load OIDC discovery document: ${discoveryError.message}` });
+    }
+
+    const { data: config, error } = await supabaseAdmin
+      .from('workspace_sso_configs')
+      .upsert({
+        workspace_id: workspaceId,
+        issuer,
+        client_id: clientId,
+        client_secret: clientSecret || existing.client_secret,
+        allowed_domains: allowedDomains !== undefined ? allowedDomains : (existing?.allowed_domains || []),
+        default_role: defaultRole || existing?.default_role || 'member',
+        enabled: enabled !== undefined ? enabled : (existing ? existing.enabled : true),
+        created_by: existing ? existing.created_by : req.user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'workspace_id' })
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to save SSO configuration' });
+    }
+
+    await recordAudit({
+      userId: req.user.id,
+      action: 'sso_config_updated',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { workspaceId, issuer }
+    });
+
+    res.json({
+      message: 'SSO configuration saved',
+      sso: formatSsoConfig(config)
+    });
+  } catch (error) {
+    console.error('Update SSO config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/sso/workspace/:workspaceId/config
+// @desc    Remove the workspace's single sign-on settings
+// @access  Private (Owner only)
+router.delete('/workspace/:workspaceId/config', [
+  authenticateToken,
+  requireSessionAuth,
+  requireWorkspaceAccess('owner')
+], async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const { error } = await supabaseAdmin
+      .from('workspace_sso_configs')
+      .delete()
+      .eq('workspace_id', workspaceId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to remove SSO configuration' });
+    }
+
+    await recordAudit({
+      userId: req.user.id,
+      action: 'sso_config_removed',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { workspaceId }
+    });
+
+    res.json({ message: 'SSO configuration removed' });
+  } catch (error) {
+    console.error('Delete SSO config error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/sso/discover
+// @desc    Find workspaces offering SSO for an email domain
+// @access  Public
+router.get('/discover', [
+  query('email').isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: configs, error } = await supabaseAdmin
+      .from('workspace_sso_configs')
+      .select(`
+        workspace_id,
+        workspaces:workspace_id (
+          name
+        )
+      `)
+      .eq('enabled', true)
+      .contains('allowed_domains', [emailDomain(req.query.email)]);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to look up SSO providers' });
+    }
+
+    res.json({
+      workspaces: configs.map(config => ({
+        workspaceId: config.workspace_id,
+        workspaceName: config.workspaces?.name,
+        loginPath: `/api/sso/workspace/${config.workspace_id}/login`
+      }))
+    });
+  } catch (error) {
+    console.error('SSO discovery error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/sso/workspace/:workspaceId/login
+// @desc    Start single sign-on: redirects to the workspace's identity provider
+// @access  Public
+router.get('/workspace/:workspaceId/login', [
+  query('loginHint').optional().isString()
+], async (req, res) => {
+  try {
+    const config = await getSsoConfig(req.params.workspaceId);
+
+    if (!config || !config.enabled) {
+      return res.status(404).json({ error: 'Single sign-on is not enabled for this workspace' });
+    }
+
+    const { state, nonce, browserKey } = createLoginState(config.workspace_id);
+    const authorizationUrl = await buildAuthorizationUrl(config, {
+      state,
+      nonce,
+      loginHint: req.query.loginHint
+    });
+
+    res.cookie(BROWSER_KEY_COOKIE, browserKey, BROWSER_KEY_COOKIE_OPTIONS);
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('SSO login error:', error);
+    res.status(502).json({ error: 'Identity provider is unavailable' });
+  }
+});
+
+// @route   GET /api/sso/callback
+// @desc    OIDC redirect target; provisions the user and hands the frontend a one-time code
+// @access  Public
+router.get('/callback', async (req, res) => {
+  const { code, state, error: providerError } = req.query;
+
+  const browserKey = readCookie(req, BROWSER_KEY_COOKIE);
+  res.clearCookie(BROWSER_KEY_COOKIE, BROWSER_KEY_COOKIE_OPTIONS);
+
+  const loginState = state ? verifyLoginState(state, browserKey) : null;
+  if (!loginState) {
+    return redirectToApp(res, { error: 'invalid_state' });
+  }
+
+  if (providerError || !code) {
+    return redirectToApp(res, { error: providerError || 'missing_code' });
+  }
+
+  try {
+    const { workspaceId, nonce } = loginState;
+    const config = await getSsoConfig(workspaceId);
+
+    if (!config || !config.enabled) {
+      return redirectToApp(res, { error: 'sso_disabled' });
+    }
+
+    const claims = await completeAuthorization(config, { code, nonce });
+
+    if (!claims.email || claims.email_verified === false) {
+      return redirectToApp(res, { error: 'email_not_verified' });
+    }
+
+    const allowedDomains = config.allowed_domains || [];
+    if (allowedDomains.length > 0 && !allowedDomains.includes(emailDomain(claims.email))) {
+      return redirectToApp(res, { error: 'domain_not_allowed' });
+    }
+
+    const { profile, error: provisionError } = await provisionSsoUser(claims, workspaceId);
+    if (provisionError) {
+      return redirectToApp(res, { error: provisionError });
+    }
+
+    if (profile.locked_until && new Date(profile.locked_until) > new Date()) {
+      return redirectToApp(res, { error: 'account_locked' });
+    }
+
+    // Auto-join the workspace on first SSO login
+    const membership = await getWorkspaceMembership(workspaceId, profile.id);
+    if (!membership) {
+      if (await checkQuota(workspaceId, 'members')) {
+        return redirectToApp(res, { error: 'workspace_full' });
+      }
+
+      const { error: joinError } = await addWorkspaceMember(workspaceId, profile.id, config.default_role, { via: 'sso' });
+      if (joinError) {
+        throw new Error(`Failed to add SSO user to workspace: ${joinError.message}`);
+      }
+    }
+
+    await recordAudit({
+      userId: profile.id,
+      action: 'sso_login',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { workspaceId, issuer: config.issuer, subject: claims.sub }
+    });
+
+    const exchangeCode = await issueActionToken(profile.id, 'sso_login', SSO_EXCHANGE_TTL_MINUTES);
+
+    redirectToApp(res, { code: exchangeCode, workspaceId });
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectToApp(res, { error: 'sso_failed' });
+  }
+});
+
+// @route   POST /api/sso/exchange
+// @desc    Trade the one-time code from the SSO callback for a session
+// @access  Public
+router.post('/exchange', [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeActionToken(req.body.code, 'sso_login');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired SSO code' });
+    }
+
+    const { data: profile, error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (profileError) {
+      return res.status(500).json({ error: 'Failed to fetch user profile' });
+    }
+
+    // Accounts with 2FA still finish through /api/auth/login/mfa
+    if (profile.mfa_enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: generateMfaChallengeToken(profile.id)
+      });
+    }
+
+    const { token, refreshToken } = await createSession(profile.id, getClientInfo(req));
+
+    res.json({
+      message: 'SSO login successful',
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: {
+        id: profile.id,
+        email: profile.email,
+        fullName: profile.full_name,
+        avatarUrl: profile.avatar_url,
+        emailVerified: Boolean(profile.email_verified_at)
+      }
+    });
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,468 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, requireWorkspaceAccess } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireWorkspaceAccess,
+  requireScope,
+  requireResourceWorkspace,
+  requirePermission,
+  requireQuota
+} = require('../middleware/auth');
+const { getTeam } = require('../services/teams');
+const { recordActivity, diffFields } = require('../services/activity');
+const { resolveMentions, notifyMentions } = require('../services/mentions');
+const { publish } = require('../socket/eventBus');
 
 const router = express.Router();
 
+// Resolve the workspace of a board/list/task for workspace checks
+const boardWorkspace = async (req) => {
+  const { data: board } = await supabaseAdmin
+    .from('task_boards')
+    .select('workspace_id')
+    .eq('id', req.params.boardId)
+    .single();
+  return board?.workspace_id;
+};
+
+const listWorkspace = async (req) => {
+  const { data: list } = await supabaseAdmin
+    .from('task_lists')
+    .select('task_boards:board_id (workspace_id)')
+    .eq('id', req.params.listId)
+    .single();
+  return list?.task_boards?.workspace_id;
+};
+
+const taskWorkspace = async (req) => {
+  const { data: task } = await supabaseAdmin
+    .from('tasks')
+    .select('task_lists:list_id (task_boards:board_id (workspace_id))')
+    .eq('id', req.params.taskId)
+    .single();
+  return task?.task_lists?.task_boards?.workspace_id;
+};
+
+const labelWorkspace = async (req) => {
+  const { data: label } = await supabaseAdmin
+    .from('task_labels')
+    .select('workspace_id')
+    .eq('id', req.params.labelId)
+    .single();
+  return label?.workspace_id;
+};
+
+const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper function to read a filter given comma-separated and/or repeated
+// (?labels=a,b or ?labels=a&labels=b)
+const parseListQuery = (value) => [].concat(value || []).join(',').split(',').map(item => item.trim()).filter(Boolean);
+
+// Task columns with assignee, team and creator
+const TASK_SELECT = `
+  id,
+  list_id,
+  parent_task_id,
+  title,
+  description,
+  position,
+  due_date,
+  completed,
+  priority,
+  created_at,
+  updated_at,
+  assigned_to,
+  created_by,
+  task_label_assignments (
+    task_labels:label_id (
+      id,
+      name,
+      color
+    )
+  ),
+  profiles:assigned_to (
+    id,
+    email,
+    full_name,
+    avatar_url
+  ),
+  assigned_team:assigned_team_id (
+    id,
+    name
+  ),
+  creator:created_by (
+    id,
+    email,
+    full_name,
+    avatar_url
+  )
+`;
+
+const EMPTY_PROGRESS = {
+  checklist: { done: 0, total: 0 },
+  subtasks: { done: 0, total: 0 },
+  done: 0,
+  total: 0
+};
+
+// Format a task row for API responses and board events; `progress` comes
+// from getTaskProgress (use formatTasks to load it)
+const formatTask = (task, progress = EMPTY_PROGRESS) => ({
+  id: task.id,
+  listId: task.list_id,
+  parentTaskId: task.parent_task_id,
+  title: task.title,
+  description: task.description,
+  position: task.position,
+  dueDate: task.due_date,
+  completed: task.completed,
+  priority: task.priority,
+  labels: (task.task_label_assignments || []).map(assignment => assignment.task_labels).filter(Boolean),
+  progress,
+  assignedTo: task.profiles,
+  assignedTeam: task.assigned_team,
+  createdBy: task.creator,
+  createdAt: task.created_at,
+  updatedAt: task.updated_at
+});
+
+// Checklist and subtask rollup per task id, e.g. { checklist: { done: 2,
+// total: 3 }, subtasks: { done: 1, total: 2 }, done: 3, total: 5 }
+const getTaskProgress = async (taskIds) => {
+  const progress = new Map();
+  if (taskIds.length === 0) {
+    return progress;
+  }
+
+  const { data: items, error: itemsError } = await supabaseAdmin
+    .from('task_checklist_items')
+    .select('task_id, done')
+    .in('task_id', taskIds);
+
+  if (itemsError) {
+    throw new Error(`Failed to load checklist progress: ${itemsError.message}`);
+  }
+
+  const { data: subtasks, error: subtasksError } = await supabaseAdmin
+    .from('tasks')
+    .select('parent_task_id, completed')
+    .in('parent_task_id', taskIds);
+
+  if (subtasksError) {
+    throw new Error(`Failed to load subtask progress: ${subtasksError.message}`);
+  }
+
+  taskIds.forEach(taskId => {
+    const checklist = items.filter(item => item.task_id === taskId);
+    const children = subtasks.filter(subtask => subtask.parent_task_id === taskId);
+    const checklistDone = checklist.filter(item => item.done).length;
+    const subtasksDone = children.filter(subtask => subtask.completed).length;
+
+    progress.set(taskId, {
+      checklist: { done: checklistDone, total: checklist.length },
+      subtasks: { done: subtasksDone, total: children.length },
+      done: checklistDone + subtasksDone,
+      total: checklist.length + children.length
+    });
+  });
+
+  return progress;
+};
+
+// Format task rows together with their progress rollup
+const formatTasks = async (tasks) => {
+  const progress = await getTaskProgress(tasks.map(task => task.id));
+  return tasks.map(task => formatTask(task, progress.get(task.id)));
+};
+
+const CHECKLIST_ITEM_SELECT = `
+  id,
+  task_id,
+  content,
+  done,
+  position,
+  completed_at,
+  created_at,
+  updated_at,
+  completer:completed_by (
+    id,
+    email,
+    full_name,
+    avatar_url
+  )
+`;
+
+// Format a checklist item row for API responses and board events
+const formatChecklistItem = (item) => ({
+  id: item.id,
+  taskId: item.task_id,
+  content: item.content,
+  done: item.done,
+  position: item.position,
+  completedBy: item.completer,
+  completedAt: item.completed_at,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at
+});
+
+// Format a label row for API responses and workspace events
+const formatLabel = (label) => ({
+  id: label.id,
+  name: label.name,
+  color: label.color,
+  createdAt: label.created_at,
+  updatedAt: label.updated_at
+});
+
+// Whether every label id belongs to the workspace
+const labelsBelongToWorkspace = async (workspaceId, labelIds) => {
+  if (labelIds.length === 0) {
+    return true;
+  }
+
+  const { data: labels } = await supabaseAdmin
+    .from('task_labels')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .in('id', labelIds);
+
+  return (labels || []).length === new Set(labelIds).size;
+};
+
+// Replace the labels attached to a task
+const setTaskLabels = async (taskId, labelIds) => {
+  const { error: deleteError } = await supabaseAdmin
+    .from('task_label_assignments')
+    .delete()
+    .eq('task_id', taskId);
+
+  if (deleteError) {
+    throw new Error(`Failed to clear task labels: ${deleteError.message}`);
+  }
+
+  if (labelIds.length === 0) {
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('task_label_assignments')
+    .insert([...new Set(labelIds)].map(labelId => ({ task_id: taskId, label_id: labelId })));
+
+  if (error) {
+    throw new Error(`Failed to attach task labels: ${error.message}`);
+  }
+};
+
+const COMMENT_SELECT = `
+  id,
+  task_id,
+  parent_id,
+  content,
+  mentions,
+  edited_at,
+  created_at,
+  updated_at,
+  profiles:author_id (
+    id,
+    email,
+    full_name,
+    avatar_url
+  )
+`;
+
+// Format a comment row for API responses and board events
+const formatComment = (comment) => ({
+  id: comment.id,
+  taskId: comment.task_id,
+  parentId: comment.parent_id,
+  content: comment.content,
+  mentions: comment.mentions || [],
+  author: comment.profiles,
+  editedAt: comment.edited_at,
+  createdAt: comment.created_at,
+  updatedAt: comment.updated_at
+});
+
+// A task with the board it is on ({ id, title, boardId, createdBy,
+// assignedTo, assignedTeamId }), or null
+const getTaskBoard = async (taskId) => {
+  const { data: task } = await supabaseAdmin
+    .from('tasks')
+    .select('id, title, created_by, assigned_to, assigned_team_id, task_lists:list_id (board_id)')
+    .eq('id', taskId)
+    .maybeSingle();
+
+  return task ? {
+    id: task.id,
+    title: task.title,
+    boardId: task.task_lists.board_id,
+    createdBy: task.created_by,
+    assignedTo: task.assigned_to,
+    assignedTeamId: task.assigned_team_id
+  } : null;
+};
+
+// The acting user as sent with board events
+const eventUser = (req) => ({
+  id: req.user.id,
+  email: req.user.email,
+  full_name: req.user.full_name,
+  avatar_url: req.user.avatar_url
+});
+
+// Guests only see boards that were shared with them
+const canAccessBoard = async (req, boardId) => {
+  if (req.workspaceRole !== 'guest') {
+    return true;
+  }
+
+  const { data: share } = await supabaseAdmin
+    .from('task_board_guests')
+    .select('id')
+    .eq('board_id', boardId)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  return Boolean(share);
+};
+
+// Own and assigned tasks (also through a team) are always editable; other
+// tasks need the tasks.edit permission
+const canEditTask = async (req, task) => {
+  if (task.createdBy === req.user.id || task.assignedTo === req.user.id) {
+    return true;
+  }
+
+  if (task.assignedTeamId) {
+    const { data: teamMembership } = await supabaseAdmin
+      .from('team_members')
+      .select('id')
+      .eq('team_id', task.assignedTeamId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (teamMembership) {
+      return true;
+    }
+  }
+
+  return req.workspacePermissions.has('tasks.edit');
+};
+
+// Why a task can't be placed under parentTaskId, or null when it can.
+// Subtasks stay on their parent's board and are one level deep.
+const parentTaskError = async (parentTaskId, boardId, taskId = null) => {
+  if (parentTaskId === taskId) {
+    return 'A task cannot be its own subtask';
+  }
+
+  const { data: parent } = await supabaseAdmin
+    .from('tasks')
+    .select('id, parent_task_id, task_lists:list_id (board_id)')
+    .eq('id', parentTaskId)
+    .maybeSingle();
+
+  if (!parent || parent.task_lists.board_id !== boardId) {
+    return 'Parent task not found on this board';
+  }
+
+  if (parent.parent_task_id) {
+    return 'Subtasks cannot have subtasks of their own';
+  }
+
+  if (taskId) {
+    const { count } = await supabaseAdmin
+      .from('tasks')
+      .select('id', { count: 'exact', head: true })
+      .eq('parent_task_id', taskId);
+
+    if (count > 0) {
+      return 'A task with subtasks cannot become a subtask';
+    }
+  }
+
+  return null;
+};
+
+// Push a task's new progress to its board after a subtask or checklist
+// change. On boards with auto-complete, a task with subtasks or checklist
+// items completes once all of them are done and reopens when one is undone.
+const rollUpProgress = async (req, taskId) => {
+  const { data: task } = await supabaseAdmin
+    .from('tasks')
+    .select('id, parent_task_id, completed, task_lists:list_id (board_id, task_boards:board_id (auto_complete_parents))')
+    .eq('id', taskId)
+    .maybeSingle();
+
+  if (!task) {
+    return;
+  }
+
+  const boardId = task.task_lists.board_id;
+  const progress = (await getTaskProgress([taskId])).get(taskId);
+  const completed = progress.total > 0 ? progress.done === progress.total : task.completed;
+
+  if (!task.task_lists.task_boards.auto_complete_parents || completed === task.completed) {
+    publish(`board:${boardId}`, 'task_progress', { boardId, taskId, progress });
+    return;
+  }
+
+  const { data: updatedTask, error } = await supabaseAdmin
+    .from('tasks')
+    .update({ completed })
+    .eq('id', taskId)
+    .select(TASK_SELECT)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to auto-complete task: ${error.message}`);
+  }
+
+  publish(`board:${boardId}`, 'task_updated', {
+    boardId,
+    taskId,
+    task: formatTask(updatedTask, progress),
+    updatedBy: eventUser(req)
+  });
+
+  await recordActivity({
+    workspaceId: req.workspaceId,
+    actorId: req.user.id,
+    action: completed ? 'task_completed' : 'task_reopened',
+    targetType: 'task',
+    targetId: taskId,
+    targetName: updatedTask.title,
+    diff: { completed: { from: task.completed, to: completed } }
+  });
+
+  // A subtask completed through its checklist counts towards its parent
+  if (task.parent_task_id) {
+    await rollUpProgress(req, task.parent_task_id);
+  }
+};
+
 // @route   GET /api/tasks/workspace/:workspaceId/boards
 // @desc    Get all task boards in a workspace
 // @access  Private (Workspace member)
 router.get('/workspace/:workspaceId/boards', [
   authenticateToken,
-  requireWorkspaceAccess('member')
+  requireScope('tasks:read'),
+  requireWorkspaceAccess('guest')
 ], async (req, res) => {
   try {
     const { workspaceId } = req.params;
+    const includeArchived = req.query.includeArchived === 'true';
 
-    const { data: boards, error } = await supabaseAdmin
+    let query = supabaseAdmin
       .from('task_boards')
       .select(`
         id,
         name,
         description,
+        auto_complete_parents,
+        archived_at,
         created_at,
         updated_at,
         profiles:created_by (
@@ -33,6 +475,21 @@ router.get('/workspace/:workspaceId/boards', [
       .eq('workspace_id', workspaceId)
       .order('created_at', { ascending: false });
 
+    if (!includeArchived) {
+      query = query.is('archived_at', null);
+    }
+
+    if (req.workspaceRole === 'guest') {
+      const { data: shares } = await supabaseAdmin
+        .from('task_board_guests')
+        .select('board_id')
+        .eq('user_id', req.user.id);
+
+      query = query.in('id', (shares || []).map(share => share.board_id));
+    }
+
+    const { data: boards, error } = await query;
+
     if (error) {
       return res.status(500).json({ error: 'Failed to fetch task boards' });
     }
@@ -41,6 +498,8 @@ router.get('/workspace/:workspaceId/boards', [
       id: board.id,
       name: board.name,
       description: board.description,
+      autoCompleteParents: board.auto_complete_parents,
+      archivedAt: board.archived_at,
       createdBy: board.profiles,
       createdAt: board.created_at,
       updatedAt: board.updated_at
@@ -58,9 +517,13 @@ router.get('/workspace/:workspaceId/boards', [
 // @access  Private (Workspace member)
 router.post('/workspace/:workspaceId/boards', [
   authenticateToken,
-  requireWorkspaceAccess('member'),
+  requireScope('tasks:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('boards.create'),
+  requireQuota('boards'),
   body('name').trim().isLength({ min: 1, max: 100 }),
-  body('description').optional().trim().isLength({ max: 500 })
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('autoCompleteParents').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -69,7 +532,7 @@ router.post('/workspace/:workspaceId/boards', [
     }
 
     const { workspaceId } = req.params;
-    const { name, description } = req.body;
+    const { name, description, autoCompleteParents } = req.body;
     const userId = req.user.id;
 
     // Create task board
@@ -79,12 +542,14 @@ router.post('/workspace/:workspaceId/boards', [
         workspace_id: workspaceId,
         name,
         description,
+        auto_complete_parents: Boolean(autoCompleteParents),
         created_by: userId
       })
       .select(`
         id,
         name,
         description,
+        auto_complete_parents,
         created_at,
         profiles:created_by (
           id,
@@ -123,12 +588,22 @@ router.post('/workspace/:workspaceId/boards', [
       return res.status(500).json({ error: 'Failed to create default lists' });
     }
 
+    await recordActivity({
+      workspaceId,
+      actorId: userId,
+      action: 'board_created',
+      targetType: 'board',
+      targetId: board.id,
+      targetName: board.name
+    });
+
     res.status(201).json({
       message: 'Task board created successfully',
       board: {
         id: board.id,
         name: board.name,
         description: board.description,
+        autoCompleteParents: board.auto_complete_parents,
         createdBy: board.profiles,
         lists: lists,
         createdAt: board.created_at
@@ -143,10 +618,22 @@ router.post('/workspace/:workspaceId/boards', [
 // @route   GET /api/tasks/boards/:boardId
 // @desc    Get task board with lists and tasks
 // @access  Private (Workspace member)
-router.get('/boards/:boardId', authenticateToken, async (req, res) => {
+router.get('/boards/:boardId', [
+  authenticateToken,
+  requireScope('tasks:read'),
+  requireResourceWorkspace(boardWorkspace),
+  query('labels').optional().customSanitizer(parseListQuery)
+    .custom(labelIds => labelIds.every(labelId => UUID_PATTERN.test(labelId))).withMessage('labels must be label ids'),
+  query('priority').optional().customSanitizer(parseListQuery)
+    .custom(priorities => priorities.every(priority => PRIORITIES.includes(priority))).withMessage(`priority must be one of ${PRIORITIES.join(', ')}`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { boardId } = req.params;
-    const userId = req.user.id;
 
     // Get board info and verify access
     const { data: board, error: boardError } = await supabaseAdmin
@@ -156,6 +643,8 @@ router.get('/boards/:boardId', authenticateToken, async (req, res) => {
         name,
         description,
         workspace_id,
+        auto_complete_parents,
+        archived_at,
         created_at,
         updated_at,
         profiles:created_by (
@@ -172,78 +661,67 @@ router.get('/boards/:boardId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Task board not found' });
     }
 
-    // Verify user has access to the workspace
-    const { data: membership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', board.workspace_id)
-      .eq('user_id', userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    if (!(await canAccessBoard(req, board.id))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
     }
 
-    // Get lists with tasks
-    const { data: lists, error: listsError } = await supabaseAdmin
+    // Get lists with tasks (archived lists only on request)
+    let listsQuery = supabaseAdmin
       .from('task_lists')
       .select(`
         id,
         name,
         position,
+        archived_at,
         created_at,
         updated_at,
-        tasks (
-          id,
-          title,
-          description,
-          position,
-          due_date,
-          completed,
-          created_at,
-          updated_at,
-          assigned_to,
-          created_by,
-          profiles:assigned_to (
-            id,
-            email,
-            full_name,
-            avatar_url
-          ),
-          creator:created_by (
-            id,
-            email,
-            full_name,
-            avatar_url
-          )
-        )
+        tasks (${TASK_SELECT})
       `)
       .eq('board_id', boardId)
       .order('position', { ascending: true });
 
+    if (req.query.includeArchived !== 'true') {
+      listsQuery = listsQuery.is('archived_at', null);
+    }
+
+    // Optional filters: tasks with any of the given labels and priorities
+    const { labels: labelFilter, priority: priorityFilter } = req.query;
+
+    if (priorityFilter?.length) {
+      listsQuery = listsQuery.in('tasks.priority', priorityFilter);
+    }
+
+    if (labelFilter?.length) {
+      const { data: labelled, error: labelledError } = await supabaseAdmin
+        .from('task_label_assignments')
+        .select('task_id, tasks!inner (task_lists!inner (board_id))')
+        .in('label_id', labelFilter)
+        .eq('tasks.task_lists.board_id', boardId);
+
+      if (labelledError) {
+        return res.status(500).json({ error: 'Failed to filter tasks by label' });
+      }
+      listsQuery = listsQuery.in('tasks.id', [...new Set(labelled.map(assignment => assignment.task_id))]);
+    }
+
+    const { data: lists, error: listsError } = await listsQuery;
+
     if (listsError) {
       return res.status(500).json({ error: 'Failed to fetch task lists' });
     }
 
-    // Format the response
+    // Format the response; every task carries its checklist/subtask rollup
+    const progress = await getTaskProgress(lists.flatMap(list => list.tasks.map(task => task.id)));
     const formattedLists = lists.map(list => ({
       id: list.id,
       name: list.name,
       position: list.position,
+      archivedAt: list.archived_at,
       createdAt: list.created_at,
       updatedAt: list.updated_at,
-      tasks: list.tasks.map(task => ({
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        position: task.position,
-        dueDate: task.due_date,
-        completed: task.completed,
-        assignedTo: task.profiles,
-        createdBy: task.creator,
-        createdAt: task.created_at,
-        updatedAt: task.updated_at
-      })).sort((a, b) => a.position - b.position)
+      tasks: list.tasks
+        .map(task => formatTask(task, progress.get(task.id)))
+        .sort((a, b) => a.position - b.position)
     }));
 
     res.json({
@@ -252,6 +730,8 @@ router.get('/boards/:boardId', authenticateToken, async (req, res) => {
         name: board.name,
         description: board.description,
         workspaceId: board.workspace_id,
+        autoCompleteParents: board.auto_complete_parents,
+        archivedAt: board.archived_at,
         createdBy: board.profiles,
         lists: formattedLists,
         createdAt: board.created_at,
@@ -264,11 +744,166 @@ router.get('/boards/:boardId', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/tasks/boards/:boardId
+// @desc    Rename, describe, archive or unarchive a task board, or toggle
+//          automatic completion of parent tasks
+// @access  Private (boards.manage)
+router.put('/boards/:boardId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(boardWorkspace),
+  requirePermission('boards.manage'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 500 }),
+  body('autoCompleteParents').optional().isBoolean(),
+  body('archived').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { boardId } = req.params;
+    const { name, description, autoCompleteParents, archived } = req.body;
+
+    const { data: board, error: boardError } = await supabaseAdmin
+      .from('task_boards')
+      .select('id, name, description, auto_complete_parents, archived_at')
+      .eq('id', boardId)
+      .single();
+
+    if (boardError || !board) {
+      return res.status(404).json({ error: 'Task board not found' });
+    }
+
+    if (!(await canAccessBoard(req, boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (autoCompleteParents !== undefined) updateData.auto_complete_parents = autoCompleteParents;
+    if (archived !== undefined) updateData.archived_at = archived ? (board.archived_at || new Date().toISOString()) : null;
+
+    const { data: updatedBoard, error: updateError } = await supabaseAdmin
+      .from('task_boards')
+      .update(updateData)
+      .eq('id', boardId)
+      .select('id, name, description, auto_complete_parents, archived_at, created_at, updated_at')
+      .single();
+
+    if (updateError) {
+      return res.status(500).json({ error: 'Failed to update task board' });
+    }
+
+    const formattedBoard = {
+      id: updatedBoard.id,
+      name: updatedBoard.name,
+      description: updatedBoard.description,
+      autoCompleteParents: updatedBoard.auto_complete_parents,
+      archivedAt: updatedBoard.archived_at,
+      createdAt: updatedBoard.created_at,
+      updatedAt: updatedBoard.updated_at
+    };
+
+    // Board members see the change live; workspace members (not guests, who
+    // only see shared boards) keep their board list current
+    publish(`board:${boardId}`, 'board_updated', { boardId, board: formattedBoard, updatedBy: eventUser(req) });
+    publish(`workspace:${req.workspaceId}:members`, 'board_updated', { boardId, board: formattedBoard, updatedBy: eventUser(req) });
+
+    const diff = diffFields(
+      { name: board.name, description: board.description, autoCompleteParents: board.auto_complete_parents },
+      { name, description, autoCompleteParents },
+      ['name', 'description', 'autoCompleteParents']
+    );
+    const wasArchived = Boolean(board.archived_at);
+    if (diff || (archived !== undefined && archived !== wasArchived)) {
+      let action = 'board_updated';
+      if (archived !== undefined && archived !== wasArchived) {
+        action = archived ? 'board_archived' : 'board_unarchived';
+      }
+
+      await recordActivity({
+        workspaceId: req.workspaceId,
+        actorId: req.user.id,
+        action,
+        targetType: 'board',
+        targetId: boardId,
+        targetName: updatedBoard.name,
+        diff
+      });
+    }
+
+    res.json({
+      message: 'Task board updated successfully',
+      board: formattedBoard
+    });
+  } catch (error) {
+    console.error('Update task board error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/boards/:boardId
+// @desc    Delete a task board with its lists and tasks
+// @access  Private (boards.manage)
+router.delete('/boards/:boardId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(boardWorkspace),
+  requirePermission('boards.manage')
+], async (req, res) => {
+  try {
+    const { boardId } = req.params;
+
+    if (!(await canAccessBoard(req, boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    // Delete board (cascade will handle lists and tasks)
+    const { data: board, error } = await supabaseAdmin
+      .from('task_boards')
+      .delete()
+      .eq('id', boardId)
+      .select('name')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete task board' });
+    }
+    if (!board) {
+      return res.status(404).json({ error: 'Task board not found' });
+    }
+
+    publish(`board:${boardId}`, 'board_deleted', { boardId, deletedBy: eventUser(req) });
+    publish(`workspace:${req.workspaceId}:members`, 'board_deleted', { boardId, deletedBy: eventUser(req) });
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.user.id,
+      action: 'board_deleted',
+      targetType: 'board',
+      targetId: boardId,
+      targetName: board.name
+    });
+
+    res.json({ message: 'Task board deleted successfully' });
+  } catch (error) {
+    console.error('Delete task board error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   POST /api/tasks/boards/:boardId/lists
 // @desc    Create a new task list
-// @access  Private (Workspace member)
+// @access  Private (boards.edit)
 router.post('/boards/:boardId/lists', [
   authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(boardWorkspace),
+  requirePermission('boards.edit'),
   body('name').trim().isLength({ min: 1, max: 100 }),
   body('position').optional().isInt({ min: 0 })
 ], async (req, res) => {
@@ -280,7 +915,6 @@ router.post('/boards/:boardId/lists', [
 
     const { boardId } = req.params;
     const { name, position } = req.body;
-    const userId = req.user.id;
 
     // Verify access to the board
     const { data: board, error: boardError } = await supabaseAdmin
@@ -293,15 +927,8 @@ router.post('/boards/:boardId/lists', [
       return res.status(404).json({ error: 'Task board not found' });
     }
 
-    const { data: membership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', board.workspace_id)
-      .eq('user_id', userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    if (!(await canAccessBoard(req, boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
     }
 
     // Get max position if not provided
@@ -333,6 +960,27 @@ router.post('/boards/:boardId/lists', [
       return res.status(500).json({ error: 'Failed to create task list' });
     }
 
+    publish(`board:${boardId}`, 'list_created', {
+      boardId,
+      list: {
+        id: list.id,
+        name: list.name,
+        position: list.position,
+        createdAt: list.created_at,
+        updatedAt: list.updated_at
+      },
+      createdBy: eventUser(req)
+    });
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.user.id,
+      action: 'list_created',
+      targetType: 'list',
+      targetId: list.id,
+      targetName: list.name
+    });
+
     res.status(201).json({
       message: 'Task list created successfully',
       list: {
@@ -349,16 +997,57 @@ router.post('/boards/:boardId/lists', [
   }
 });
 
-// @route   POST /api/tasks/lists/:listId/tasks
-// @desc    Create a new task
-// @access  Private (Workspace member)
-router.post('/lists/:listId/tasks', [
+// @route   PUT /api/tasks/boards/:boardId/lists/reorder
+// @desc    Reorder the lists of a board
+// @access  Private (boards.edit)
+router.put('/boards/:boardId/lists/reorder', [
   authenticateToken,
-  body('title').trim().isLength({ min: 1, max: 200 }),
-  body('description').optional().trim().isLength({ max: 1000 }),
-  body('assignedTo').optional().isUUID(),
-  body('dueDate').optional().isISO8601(),
-  body('position').optional().isInt({ min: 0 })
+  requireScope('tasks:write'),
+  requireResourceWorkspace(boardWorkspace),
+  requirePermission('boards.edit'),
+  body('listIds').isArray().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { boardId } = req.params;
+    const { listIds } = req.body;
+
+    if (!(await canAccessBoard(req, boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    // Update list positions
+    for (const [index, listId] of listIds.entries()) {
+      await supabaseAdmin
+        .from('task_lists')
+        .update({ position: index })
+        .eq('id', listId)
+        .eq('board_id', boardId);
+    }
+
+    publish(`board:${boardId}`, 'lists_reordered', { boardId, listIds, updatedBy: eventUser(req) });
+
+    res.json({ message: 'Lists reordered successfully' });
+  } catch (error) {
+    console.error('Reorder lists error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/tasks/lists/:listId
+// @desc    Rename, archive or unarchive a task list
+// @access  Private (boards.edit)
+router.put('/lists/:listId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(listWorkspace),
+  requirePermission('boards.edit'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('archived').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -367,19 +1056,11 @@ router.post('/lists/:listId/tasks', [
     }
 
     const { listId } = req.params;
-    const { title, description, assignedTo, dueDate, position } = req.body;
-    const userId = req.user.id;
+    const { name, archived } = req.body;
 
-    // Verify access to the list
     const { data: list, error: listError } = await supabaseAdmin
       .from('task_lists')
-      .select(`
-        id,
-        board_id,
-        task_boards:board_id (
-          workspace_id
-        )
-      `)
+      .select('id, board_id, name, archived_at')
       .eq('id', listId)
       .single();
 
@@ -387,87 +1068,329 @@ router.post('/lists/:listId/tasks', [
       return res.status(404).json({ error: 'Task list not found' });
     }
 
-    const { data: membership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', list.task_boards.workspace_id)
-      .eq('user_id', userId)
+    if (!(await canAccessBoard(req, list.board_id))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (archived !== undefined) updateData.archived_at = archived ? (list.archived_at || new Date().toISOString()) : null;
+
+    const { data: updatedList, error: updateError } = await supabaseAdmin
+      .from('task_lists')
+      .update(updateData)
+      .eq('id', listId)
+      .select('id, board_id, name, position, archived_at, created_at, updated_at')
       .single();
 
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    if (updateError) {
+      return res.status(500).json({ error: 'Failed to update task list' });
     }
 
-    // Get max position if not provided
-    let taskPosition = position;
-    if (taskPosition === undefined) {
-      const { data: maxPosition, error: positionError } = await supabaseAdmin
-        .from('tasks')
-        .select('position')
-        .eq('list_id', listId)
-        .order('position', { ascending: false })
-        .limit(1)
-        .single();
+    const formattedList = {
+      id: updatedList.id,
+      boardId: updatedList.board_id,
+      name: updatedList.name,
+      position: updatedList.position,
+      archivedAt: updatedList.archived_at,
+      createdAt: updatedList.created_at,
+      updatedAt: updatedList.updated_at
+    };
+
+    publish(`board:${list.board_id}`, 'list_updated', { boardId: list.board_id, list: formattedList, updatedBy: eventUser(req) });
+
+    const diff = diffFields({ name: list.name }, { name }, ['name']);
+    const wasArchived = Boolean(list.archived_at);
+    if (diff || (archived !== undefined && archived !== wasArchived)) {
+      let action = 'list_updated';
+      if (archived !== undefined && archived !== wasArchived) {
+        action = archived ? 'list_archived' : 'list_unarchived';
+      }
 
-      taskPosition = maxPosition ? maxPosition.position + 1 : 0;
+      await recordActivity({
+        workspaceId: req.workspaceId,
+        actorId: req.user.id,
+        action,
+        targetType: 'list',
+        targetId: listId,
+        targetName: updatedList.name,
+        diff
+      });
     }
 
-    // Create task
-    const { data: task, error: taskError } = await supabaseAdmin
-      .from('tasks')
-      .insert({
-        list_id: listId,
-        title,
-        description,
-        assigned_to: assignedTo,
-        due_date: dueDate,
-        position: taskPosition,
-        created_by: userId
-      })
-      .select(`
-        id,
-        title,
-        description,
-        position,
-        due_date,
-        completed,
-        created_at,
-        updated_at,
-        assigned_to,
-        created_by,
-        profiles:assigned_to (
-          id,
-          email,
-          full_name,
-          avatar_url
-        ),
-        creator:created_by (
-          id,
-          email,
-          full_name,
-          avatar_url
+    res.json({
+      message: 'Task list updated successfully',
+      list: formattedList
+    });
+  } catch (error) {
+    console.error('Update task list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/lists/:listId
+// @desc    Delete a task list; its tasks must be moved to another list of
+//          the board first (moveTasksTo), or the list must be empty
+// @access  Private (boards.manage)
+router.delete('/lists/:listId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(listWorkspace),
+  requirePermission('boards.manage'),
+  body('moveTasksTo').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { listId } = req.params;
+    const moveTasksTo = req.body.moveTasksTo || req.query.moveTasksTo;
+
+    const { data: list, error: listError } = await supabaseAdmin
+      .from('task_lists')
+      .select('id, board_id, name')
+      .eq('id', listId)
+      .single();
+
+    if (listError || !list) {
+      return res.status(404).json({ error: 'Task list not found' });
+    }
+
+    if (!(await canAccessBoard(req, list.board_id))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const { data: tasks, error: tasksError } = await supabaseAdmin
+      .from('tasks')
+      .select('id')
+      .eq('list_id', listId)
+      .order('position', { ascending: true });
+
+    if (tasksError) {
+      return res.status(500).json({ error: 'Failed to fetch list tasks' });
+    }
+
+    let movedTaskIds = [];
+    if (tasks.length > 0) {
+      if (!moveTasksTo) {
+        return res.status(409).json({
+          error: 'List still has tasks; pass moveTasksTo with another list of the board',
+          taskCount: tasks.length
+        });
+      }
+
+      if (moveTasksTo === listId) {
+        return res.status(400).json({ error: 'Tasks must move to a different list' });
+      }
+
+      const { data: targetList } = await supabaseAdmin
+        .from('task_lists')
+        .select('id')
+        .eq('id', moveTasksTo)
+        .eq('board_id', list.board_id)
+        .maybeSingle();
+
+      if (!targetList) {
+        return res.status(400).json({ error: 'Target list not found on this board' });
+      }
+
+      // Append the tasks after the target list's own, keeping their order,
+      // in one statement
+      const { data: moved, error: moveError } = await supabaseAdmin.rpc('move_list_tasks', {
+        p_from_list_id: listId,
+        p_to_list_id: moveTasksTo
+      });
+
+      if (moveError) {
+        console.error('Move list tasks rpc error:', moveError);
+        return res.status(500).json({ error: 'Failed to move tasks out of the list' });
+      }
+
+      movedTaskIds = moved.map(task => task.task_id);
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('task_lists')
+      .delete()
+      .eq('id', listId);
+
+    if (deleteError) {
+      return res.status(500).json({ error: 'Failed to delete task list' });
+    }
+
+    publish(`board:${list.board_id}`, 'list_deleted', {
+      boardId: list.board_id,
+      listId,
+      movedTasksTo: movedTaskIds.length > 0 ? moveTasksTo : null,
+      movedTaskIds,
+      deletedBy: eventUser(req)
+    });
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.user.id,
+      action: 'list_deleted',
+      targetType: 'list',
+      targetId: listId,
+      targetName: list.name,
+      diff: movedTaskIds.length > 0 ? { movedTasks: movedTaskIds.length, movedTasksTo: moveTasksTo } : null
+    });
+
+    res.json({
+      message: 'Task list deleted successfully',
+      movedTasks: movedTaskIds.length
+    });
+  } catch (error) {
+    console.error('Delete task list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/tasks/lists/:listId/tasks
+// @desc    Create a new task
+// @access  Private (Workspace member)
+router.post('/lists/:listId/tasks', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(listWorkspace),
+  requirePermission('tasks.create'),
+  body('title').trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().trim().isLength({ max: 1000 }),
+  body('assignedTo').optional().isUUID(),
+  body('assignedTeamId').optional({ nullable: true }).isUUID(),
+  body('dueDate').optional().isISO8601(),
+  body('priority').optional().isIn(PRIORITIES),
+  body('labelIds').optional().isArray(),
+  body('labelIds.*').isUUID(),
+  body('parentTaskId').optional().isUUID(),
+  body('position').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { listId } = req.params;
+    const { title, description, assignedTo, assignedTeamId, dueDate, priority, labelIds, parentTaskId, position } = req.body;
+    const userId = req.user.id;
+
+    // Verify access to the list
+    const { data: list, error: listError } = await supabaseAdmin
+      .from('task_lists')
+      .select(`
+        id,
+        board_id,
+        archived_at,
+        task_boards:board_id (
+          workspace_id,
+          archived_at
         )
       `)
+      .eq('id', listId)
+      .single();
+
+    if (listError || !list) {
+      return res.status(404).json({ error: 'Task list not found' });
+    }
+
+    if (!(await canAccessBoard(req, list.board_id))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    if (list.archived_at || list.task_boards.archived_at) {
+      return res.status(409).json({ error: 'Task list is archived' });
+    }
+
+    if (assignedTeamId && !(await getTeam(req.workspaceId, assignedTeamId))) {
+      return res.status(400).json({ error: 'Team not found in this workspace' });
+    }
+
+    if (labelIds && !(await labelsBelongToWorkspace(req.workspaceId, labelIds))) {
+      return res.status(400).json({ error: 'Label not found in this workspace' });
+    }
+
+    if (parentTaskId) {
+      const parentError = await parentTaskError(parentTaskId, list.board_id);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
+    }
+
+    // Get max position if not provided
+    let taskPosition = position;
+    if (taskPosition === undefined) {
+      const { data: maxPosition, error: positionError } = await supabaseAdmin
+        .from('tasks')
+        .select('position')
+        .eq('list_id', listId)
+        .order('position', { ascending: false })
+        .limit(1)
+        .single();
+
+      taskPosition = maxPosition ? maxPosition.position + 1 : 0;
+    }
+
+    // Create task
+    let { data: task, error: taskError } = await supabaseAdmin
+      .from('tasks')
+      .insert({
+        list_id: listId,
+        title,
+        description,
+        assigned_to: assignedTo,
+        assigned_team_id: assignedTeamId,
+        due_date: dueDate,
+        priority,
+        parent_task_id: parentTaskId,
+        position: taskPosition,
+        created_by: userId
+      })
+      .select(TASK_SELECT)
       .single();
 
     if (taskError) {
       return res.status(500).json({ error: 'Failed to create task' });
     }
 
+    // Labels can only be attached once the task exists; reload it with them
+    if (labelIds && labelIds.length > 0) {
+      await setTaskLabels(task.id, labelIds);
+      ({ data: task } = await supabaseAdmin
+        .from('tasks')
+        .select(TASK_SELECT)
+        .eq('id', task.id)
+        .single());
+    }
+
+    const formattedTask = formatTask(task);
+
+    publish(`board:${list.board_id}`, 'task_created', {
+      boardId: list.board_id,
+      listId,
+      task: formattedTask,
+      createdBy: eventUser(req)
+    });
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: userId,
+      action: 'task_created',
+      targetType: 'task',
+      targetId: task.id,
+      targetName: task.title
+    });
+
+    // A new open subtask changes the parent's rollup (and may reopen it)
+    if (parentTaskId) {
+      await rollUpProgress(req, parentTaskId);
+    }
+
     res.status(201).json({
       message: 'Task created successfully',
-      task: {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        position: task.position,
-        dueDate: task.due_date,
-        completed: task.completed,
-        assignedTo: task.profiles,
-        createdBy: task.creator,
-        createdAt: task.created_at,
-        updatedAt: task.updated_at
-      }
+      task: formattedTask
     });
   } catch (error) {
     console.error('Create task error:', error);
@@ -480,11 +1403,18 @@ router.post('/lists/:listId/tasks', [
 // @access  Private (Workspace member)
 router.put('/tasks/:taskId', [
   authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace),
   body('title').optional().trim().isLength({ min: 1, max: 200 }),
   body('description').optional().trim().isLength({ max: 1000 }),
   body('assignedTo').optional().isUUID(),
+  body('assignedTeamId').optional({ nullable: true }).isUUID(),
   body('dueDate').optional().isISO8601(),
   body('completed').optional().isBoolean(),
+  body('priority').optional().isIn(PRIORITIES),
+  body('labelIds').optional().isArray(),
+  body('labelIds.*').isUUID(),
+  body('parentTaskId').optional({ nullable: true }).isUUID(),
   body('position').optional().isInt({ min: 0 }),
   body('listId').optional().isUUID()
 ], async (req, res) => {
@@ -504,6 +1434,16 @@ router.put('/tasks/:taskId', [
       .select(`
         id,
         list_id,
+        parent_task_id,
+        title,
+        description,
+        due_date,
+        completed,
+        priority,
+        created_by,
+        assigned_to,
+        assigned_team_id,
+        task_label_assignments (label_id),
         task_lists:list_id (
           board_id,
           task_boards:board_id (
@@ -518,15 +1458,72 @@ router.put('/tasks/:taskId', [
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    const { data: membership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', task.task_lists.task_boards.workspace_id)
-      .eq('user_id', userId)
-      .single();
+    if (!(await canAccessBoard(req, task.task_lists.board_id))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const editable = await canEditTask(req, {
+      createdBy: task.created_by,
+      assignedTo: task.assigned_to,
+      assignedTeamId: task.assigned_team_id
+    });
+
+    if (!editable) {
+      return res.status(403).json({ error: 'Access denied: Requires the tasks.edit permission', code: 'PERMISSION_DENIED' });
+    }
+
+    if (updates.assignedTeamId && !(await getTeam(req.workspaceId, updates.assignedTeamId))) {
+      return res.status(400).json({ error: 'Team not found in this workspace' });
+    }
+
+    if (updates.labelIds && !(await labelsBelongToWorkspace(req.workspaceId, updates.labelIds))) {
+      return res.status(400).json({ error: 'Label not found in this workspace' });
+    }
+
+    // Tasks can only move to lists the user can reach in the same workspace
+    let destinationBoardId = task.task_lists.board_id;
+    if (updates.listId !== undefined && updates.listId !== task.list_id) {
+      const { data: targetList } = await supabaseAdmin
+        .from('task_lists')
+        .select('board_id, archived_at, task_boards:board_id (workspace_id, archived_at)')
+        .eq('id', updates.listId)
+        .single();
+
+      if (!targetList || targetList.task_boards.workspace_id !== req.workspaceId) {
+        return res.status(400).json({ error: 'Target list not found in this workspace' });
+      }
+
+      if (targetList.archived_at || targetList.task_boards.archived_at) {
+        return res.status(409).json({ error: 'Target list is archived' });
+      }
+
+      if (!(await canAccessBoard(req, targetList.board_id))) {
+        return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+      }
+
+      destinationBoardId = targetList.board_id;
+    }
+
+    // Subtasks stay with their parent: check a new parent, or the current
+    // one when the task changes boards
+    const boardChanged = destinationBoardId !== task.task_lists.board_id;
+    const parentTaskId = updates.parentTaskId !== undefined ? updates.parentTaskId : task.parent_task_id;
+    if (parentTaskId && (parentTaskId !== task.parent_task_id || boardChanged)) {
+      const parentError = await parentTaskError(parentTaskId, destinationBoardId, taskId);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
+    }
 
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    if (boardChanged) {
+      const { count: subtaskCount } = await supabaseAdmin
+        .from('tasks')
+        .select('id', { count: 'exact', head: true })
+        .eq('parent_task_id', taskId);
+
+      if (subtaskCount > 0) {
+        return res.status(409).json({ error: 'Tasks with subtasks cannot move to another board', subtaskCount });
+      }
     }
 
     // Prepare update data
@@ -534,60 +1531,124 @@ router.put('/tasks/:taskId', [
     if (updates.title !== undefined) updateData.title = updates.title;
     if (updates.description !== undefined) updateData.description = updates.description;
     if (updates.assignedTo !== undefined) updateData.assigned_to = updates.assignedTo;
+    if (updates.assignedTeamId !== undefined) updateData.assigned_team_id = updates.assignedTeamId;
     if (updates.dueDate !== undefined) updateData.due_date = updates.dueDate;
     if (updates.completed !== undefined) updateData.completed = updates.completed;
+    if (updates.priority !== undefined) updateData.priority = updates.priority;
     if (updates.position !== undefined) updateData.position = updates.position;
     if (updates.listId !== undefined) updateData.list_id = updates.listId;
+    if (updates.parentTaskId !== undefined) updateData.parent_task_id = updates.parentTaskId;
+
+    // Labels go first so the updated row below already includes them
+    if (updates.labelIds !== undefined) {
+      await setTaskLabels(taskId, updates.labelIds);
+      updateData.updated_at = new Date().toISOString();
+    }
 
     // Update task
     const { data: updatedTask, error: updateError } = await supabaseAdmin
       .from('tasks')
       .update(updateData)
       .eq('id', taskId)
-      .select(`
-        id,
-        title,
-        description,
-        position,
-        due_date,
-        completed,
-        created_at,
-        updated_at,
-        assigned_to,
-        created_by,
-        profiles:assigned_to (
-          id,
-          email,
-          full_name,
-          avatar_url
-        ),
-        creator:created_by (
-          id,
-          email,
-          full_name,
-          avatar_url
-        )
-      `)
+      .select(TASK_SELECT)
       .single();
 
     if (updateError) {
       return res.status(500).json({ error: 'Failed to update task' });
     }
 
+    const [formattedTask] = await formatTasks([updatedTask]);
+
+    // Board viewers get the row as written; moves go to both boards
+    const boardId = task.task_lists.board_id;
+    if (updatedTask.list_id !== task.list_id) {
+      const { data: destinationList } = await supabaseAdmin
+        .from('task_lists')
+        .select('board_id')
+        .eq('id', updatedTask.list_id)
+        .single();
+
+      const movedEvent = {
+        boardId,
+        taskId,
+        sourceListId: task.list_id,
+        destinationListId: updatedTask.list_id,
+        sourceBoardId: boardId,
+        destinationBoardId: destinationList.board_id,
+        task: formattedTask,
+        movedBy: eventUser(req)
+      };
+
+      publish(`board:${boardId}`, 'task_moved', movedEvent);
+      if (destinationList.board_id !== boardId) {
+        publish(`board:${destinationList.board_id}`, 'task_moved', { ...movedEvent, boardId: destinationList.board_id });
+      }
+    } else {
+      publish(`board:${boardId}`, 'task_updated', {
+        boardId,
+        taskId,
+        task: formattedTask,
+        updatedBy: eventUser(req)
+      });
+    }
+
+    // Moves and completion get their own activity; reordering alone is not recorded
+    let diff = diffFields({
+      title: task.title,
+      description: task.description,
+      assignedTo: task.assigned_to,
+      assignedTeamId: task.assigned_team_id,
+      dueDate: task.due_date,
+      completed: task.completed,
+      priority: task.priority,
+      listId: task.list_id,
+      parentTaskId: task.parent_task_id
+    }, updates, ['title', 'description', 'assignedTo', 'assignedTeamId', 'dueDate', 'completed', 'priority', 'listId', 'parentTaskId']);
+
+    // Label sets are compared regardless of order
+    const previousLabelIds = task.task_label_assignments.map(assignment => assignment.label_id).sort();
+    const nextLabelIds = updates.labelIds ? [...new Set(updates.labelIds)].sort() : previousLabelIds;
+    if (previousLabelIds.join() !== nextLabelIds.join()) {
+      diff = { ...diff, labelIds: { from: previousLabelIds, to: nextLabelIds } };
+    }
+
+    if (diff) {
+      let action = 'task_updated';
+      if (diff.listId) {
+        action = 'task_moved';
+      } else if (diff.completed) {
+        action = diff.completed.to ? 'task_completed' : 'task_reopened';
+      }
+
+      await recordActivity({
+        workspaceId: req.workspaceId,
+        actorId: userId,
+        action,
+        targetType: 'task',
+        targetId: taskId,
+        targetName: updatedTask.title,
+        diff
+      });
+    }
+
+    // Parents whose rollup changed: both parents of a re-parented subtask, or
+    // the parent of a subtask that was completed or reopened
+    const affectedParentIds = new Set();
+    if (diff?.parentTaskId) {
+      affectedParentIds.add(task.parent_task_id);
+      affectedParentIds.add(updatedTask.parent_task_id);
+    } else if (diff?.completed) {
+      affectedParentIds.add(updatedTask.parent_task_id);
+    }
+    for (const parentId of affectedParentIds) {
+      if (parentId) {
+        await rollUpProgress(req, parentId);
+      }
+    }
+
     res.json({
       message: 'Task updated successfully',
-      task: {
-        id: updatedTask.id,
-        title: updatedTask.title,
-        description: updatedTask.description,
-        position: updatedTask.position,
-        dueDate: updatedTask.due_date,
-        completed: updatedTask.completed,
-        assignedTo: updatedTask.profiles,
-        createdBy: updatedTask.creator,
-        createdAt: updatedTask.created_at,
-        updatedAt: updatedTask.updated_at
-      }
+      task: formattedTask
     });
   } catch (error) {
     console.error('Update task error:', error);
@@ -598,7 +1659,11 @@ router.put('/tasks/:taskId', [
 // @route   DELETE /api/tasks/tasks/:taskId
 // @desc    Delete a task
 // @access  Private (Workspace member)
-router.delete('/tasks/:taskId', authenticateToken, async (req, res) => {
+router.delete('/tasks/:taskId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace)
+], async (req, res) => {
   try {
     const { taskId } = req.params;
     const userId = req.user.id;
@@ -609,6 +1674,9 @@ router.delete('/tasks/:taskId', authenticateToken, async (req, res) => {
       .select(`
         id,
         list_id,
+        parent_task_id,
+        title,
+        created_by,
         task_lists:list_id (
           board_id,
           task_boards:board_id (
@@ -623,17 +1691,21 @@ router.delete('/tasks/:taskId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    const { data: membership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', task.task_lists.task_boards.workspace_id)
-      .eq('user_id', userId)
-      .single();
+    if (!(await canAccessBoard(req, task.task_lists.board_id))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
 
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    // Anyone may delete their own tasks; other tasks need tasks.delete
+    if (task.created_by !== userId && !req.workspacePermissions.has('tasks.delete')) {
+      return res.status(403).json({ error: 'Access denied: Requires the tasks.delete permission', code: 'PERMISSION_DENIED' });
     }
 
+    // Subtasks are deleted with their parent
+    const { data: subtasks } = await supabaseAdmin
+      .from('tasks')
+      .select('id')
+      .eq('parent_task_id', taskId);
+
     // Delete task
     const { error: deleteError } = await supabaseAdmin
       .from('tasks')
@@ -644,10 +1716,677 @@ router.delete('/tasks/:taskId', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Failed to delete task' });
     }
 
-    res.json({ message: 'Task deleted successfully' });
-  } catch (error) {
-    console.error('Delete task error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    publish(`board:${task.task_lists.board_id}`, 'task_deleted', {
+      boardId: task.task_lists.board_id,
+      taskId,
+      listId: task.list_id,
+      subtaskIds: (subtasks || []).map(subtask => subtask.id),
+      deletedBy: eventUser(req)
+    });
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: userId,
+      action: 'task_deleted',
+      targetType: 'task',
+      targetId: taskId,
+      targetName: task.title
+    });
+
+    if (task.parent_task_id) {
+      await rollUpProgress(req, task.parent_task_id);
+    }
+
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/tasks/tasks/:taskId/comments
+// @desc    Get a task's comments, replies nested under their comment
+// @access  Private (Workspace member)
+router.get('/tasks/:taskId/comments', [
+  authenticateToken,
+  requireScope('tasks:read'),
+  requireResourceWorkspace(taskWorkspace)
+], async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const { data: comments, error } = await supabaseAdmin
+      .from('task_comments')
+      .select(COMMENT_SELECT)
+      .eq('task_id', taskId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+
+    const threads = comments
+      .filter(comment => !comment.parent_id)
+      .map(comment => ({
+        ...formatComment(comment),
+        replies: comments.filter(reply => reply.parent_id === comment.id).map(formatComment)
+      }));
+
+    res.json({ comments: threads });
+  } catch (error) {
+    console.error('Get task comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/tasks/tasks/:taskId/comments
+// @desc    Comment on a task (or reply with parentId); @mentions notify members
+// @access  Private (Workspace member)
+router.post('/tasks/:taskId/comments', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace),
+  body('content').trim().isLength({ min: 1, max: 5000 }),
+  body('parentId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { taskId } = req.params;
+    const { content, parentId } = req.body;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    // Threads are one level deep: replying to a reply joins its thread
+    let threadId = null;
+    if (parentId) {
+      const { data: parent } = await supabaseAdmin
+        .from('task_comments')
+        .select('id, parent_id')
+        .eq('id', parentId)
+        .eq('task_id', taskId)
+        .maybeSingle();
+
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent comment not found on this task' });
+      }
+      threadId = parent.parent_id || parent.id;
+    }
+
+    const mentioned = await resolveMentions(req.workspaceId, task.boardId, content);
+
+    const { data: comment, error } = await supabaseAdmin
+      .from('task_comments')
+      .insert({
+        task_id: taskId,
+        parent_id: threadId,
+        author_id: req.user.id,
+        content,
+        mentions: mentioned.map(user => user.id)
+      })
+      .select(COMMENT_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to add comment' });
+    }
+
+    const formattedComment = formatComment(comment);
+
+    publish(`board:${task.boardId}`, 'task_comment_added', {
+      boardId: task.boardId,
+      taskId,
+      comment: formattedComment
+    });
+
+    // Mention emails go out in the background; the comment is saved already
+    notifyMentions({
+      users: mentioned,
+      author: req.user,
+      task,
+      boardId: task.boardId,
+      workspaceId: req.workspaceId,
+      comment: formattedComment
+    }).catch(error => console.error('Notify mentions error:', error));
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.user.id,
+      action: 'task_commented',
+      targetType: 'task',
+      targetId: taskId,
+      targetName: task.title,
+      diff: { commentId: comment.id }
+    });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: formattedComment
+    });
+  } catch (error) {
+    console.error('Add task comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/tasks/tasks/:taskId/comments/:commentId
+// @desc    Edit your own comment; newly mentioned members are notified
+// @access  Private (Comment author)
+router.put('/tasks/:taskId/comments/:commentId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace),
+  body('content').trim().isLength({ min: 1, max: 5000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { taskId, commentId } = req.params;
+    const { content } = req.body;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const { data: existing } = await supabaseAdmin
+      .from('task_comments')
+      .select('id, author_id, mentions')
+      .eq('id', commentId)
+      .eq('task_id', taskId)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existing.author_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied: You can only edit your own comments' });
+    }
+
+    const mentioned = await resolveMentions(req.workspaceId, task.boardId, content);
+    const now = new Date().toISOString();
+
+    const { data: comment, error } = await supabaseAdmin
+      .from('task_comments')
+      .update({
+        content,
+        mentions: mentioned.map(user => user.id),
+        edited_at: now,
+        updated_at: now
+      })
+      .eq('id', commentId)
+      .select(COMMENT_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update comment' });
+    }
+
+    const formattedComment = formatComment(comment);
+
+    publish(`board:${task.boardId}`, 'task_comment_updated', {
+      boardId: task.boardId,
+      taskId,
+      comment: formattedComment
+    });
+
+    const previousMentions = existing.mentions || [];
+    notifyMentions({
+      users: mentioned.filter(user => !previousMentions.includes(user.id)),
+      author: req.user,
+      task,
+      boardId: task.boardId,
+      workspaceId: req.workspaceId,
+      comment: formattedComment
+    }).catch(error => console.error('Notify mentions error:', error));
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: formattedComment
+    });
+  } catch (error) {
+    console.error('Update task comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/tasks/:taskId/comments/:commentId
+// @desc    Delete a comment and its replies
+// @access  Private (Comment author or tasks.delete)
+router.delete('/tasks/:taskId/comments/:commentId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace)
+], async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const { data: comment } = await supabaseAdmin
+      .from('task_comments')
+      .select('id, author_id')
+      .eq('id', commentId)
+      .eq('task_id', taskId)
+      .maybeSingle();
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    // Anyone may delete their own comments; other comments need tasks.delete
+    if (comment.author_id !== req.user.id && !req.workspacePermissions.has('tasks.delete')) {
+      return res.status(403).json({ error: 'Access denied: Requires the tasks.delete permission', code: 'PERMISSION_DENIED' });
+    }
+
+    // Delete comment (cascade will handle replies)
+    const { error } = await supabaseAdmin
+      .from('task_comments')
+      .delete()
+      .eq('id', commentId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete comment' });
+    }
+
+    publish(`board:${task.boardId}`, 'task_comment_deleted', {
+      boardId: task.boardId,
+      taskId,
+      commentId,
+      deletedBy: eventUser(req)
+    });
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete task comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/tasks/tasks/:taskId/subtasks
+// @desc    Get a task's subtasks with their own progress
+// @access  Private (Workspace member)
+router.get('/tasks/:taskId/subtasks', [
+  authenticateToken,
+  requireScope('tasks:read'),
+  requireResourceWorkspace(taskWorkspace)
+], async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const { data: subtasks, error } = await supabaseAdmin
+      .from('tasks')
+      .select(TASK_SELECT)
+      .eq('parent_task_id', taskId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch subtasks' });
+    }
+
+    res.json({ subtasks: await formatTasks(subtasks) });
+  } catch (error) {
+    console.error('Get subtasks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/tasks/tasks/:taskId/checklist
+// @desc    Get a task's checklist items in order
+// @access  Private (Workspace member)
+router.get('/tasks/:taskId/checklist', [
+  authenticateToken,
+  requireScope('tasks:read'),
+  requireResourceWorkspace(taskWorkspace)
+], async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    const { data: items, error } = await supabaseAdmin
+      .from('task_checklist_items')
+      .select(CHECKLIST_ITEM_SELECT)
+      .eq('task_id', taskId)
+      .order('position', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch checklist' });
+    }
+
+    res.json({ items: items.map(formatChecklistItem) });
+  } catch (error) {
+    console.error('Get checklist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/tasks/tasks/:taskId/checklist
+// @desc    Add a checklist item to a task
+// @access  Private (Task owner, assignee or tasks.edit)
+router.post('/tasks/:taskId/checklist', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace),
+  body('content').trim().isLength({ min: 1, max: 500 }),
+  body('done').optional().isBoolean(),
+  body('position').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { taskId } = req.params;
+    const { content, done, position } = req.body;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    if (!(await canEditTask(req, task))) {
+      return res.status(403).json({ error: 'Access denied: Requires the tasks.edit permission', code: 'PERMISSION_DENIED' });
+    }
+
+    // Append unless a position is given
+    let itemPosition = position;
+    if (itemPosition === undefined) {
+      const { data: lastItem } = await supabaseAdmin
+        .from('task_checklist_items')
+        .select('position')
+        .eq('task_id', taskId)
+        .order('position', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      itemPosition = lastItem ? lastItem.position + 1 : 0;
+    }
+
+    const { data: item, error } = await supabaseAdmin
+      .from('task_checklist_items')
+      .insert({
+        task_id: taskId,
+        content,
+        done: Boolean(done),
+        position: itemPosition,
+        completed_by: done ? req.user.id : null,
+        completed_at: done ? new Date().toISOString() : null
+      })
+      .select(CHECKLIST_ITEM_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to add checklist item' });
+    }
+
+    const formattedItem = formatChecklistItem(item);
+
+    publish(`board:${task.boardId}`, 'checklist_item_added', {
+      boardId: task.boardId,
+      taskId,
+      item: formattedItem,
+      createdBy: eventUser(req)
+    });
+
+    await rollUpProgress(req, taskId);
+
+    res.status(201).json({
+      message: 'Checklist item added successfully',
+      item: formattedItem
+    });
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/tasks/tasks/:taskId/checklist/reorder
+// @desc    Reorder a task's checklist items
+// @access  Private (Task owner, assignee or tasks.edit)
+router.put('/tasks/:taskId/checklist/reorder', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace),
+  body('itemIds').isArray({ min: 1 }),
+  body('itemIds.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { taskId } = req.params;
+    const { itemIds } = req.body;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    if (!(await canEditTask(req, task))) {
+      return res.status(403).json({ error: 'Access denied: Requires the tasks.edit permission', code: 'PERMISSION_DENIED' });
+    }
+
+    for (const [index, itemId] of itemIds.entries()) {
+      await supabaseAdmin
+        .from('task_checklist_items')
+        .update({ position: index, updated_at: new Date().toISOString() })
+        .eq('id', itemId)
+        .eq('task_id', taskId);
+    }
+
+    publish(`board:${task.boardId}`, 'checklist_reordered', {
+      boardId: task.boardId,
+      taskId,
+      itemIds,
+      updatedBy: eventUser(req)
+    });
+
+    res.json({ message: 'Checklist reordered successfully' });
+  } catch (error) {
+    console.error('Reorder checklist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/tasks/tasks/:taskId/checklist/:itemId
+// @desc    Edit a checklist item or tick it off
+// @access  Private (Task owner, assignee or tasks.edit)
+router.put('/tasks/:taskId/checklist/:itemId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace),
+  body('content').optional().trim().isLength({ min: 1, max: 500 }),
+  body('done').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { taskId, itemId } = req.params;
+    const { content, done } = req.body;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    if (!(await canEditTask(req, task))) {
+      return res.status(403).json({ error: 'Access denied: Requires the tasks.edit permission', code: 'PERMISSION_DENIED' });
+    }
+
+    const { data: existing } = await supabaseAdmin
+      .from('task_checklist_items')
+      .select('id, done')
+      .eq('id', itemId)
+      .eq('task_id', taskId)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (content !== undefined) updateData.content = content;
+    if (done !== undefined && done !== existing.done) {
+      updateData.done = done;
+      updateData.completed_by = done ? req.user.id : null;
+      updateData.completed_at = done ? new Date().toISOString() : null;
+    }
+
+    const { data: item, error } = await supabaseAdmin
+      .from('task_checklist_items')
+      .update(updateData)
+      .eq('id', itemId)
+      .select(CHECKLIST_ITEM_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update checklist item' });
+    }
+
+    const formattedItem = formatChecklistItem(item);
+
+    publish(`board:${task.boardId}`, 'checklist_item_updated', {
+      boardId: task.boardId,
+      taskId,
+      item: formattedItem,
+      updatedBy: eventUser(req)
+    });
+
+    if (updateData.done !== undefined) {
+      await rollUpProgress(req, taskId);
+    }
+
+    res.json({
+      message: 'Checklist item updated successfully',
+      item: formattedItem
+    });
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/tasks/:taskId/checklist/:itemId
+// @desc    Remove a checklist item
+// @access  Private (Task owner, assignee or tasks.edit)
+router.delete('/tasks/:taskId/checklist/:itemId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(taskWorkspace)
+], async (req, res) => {
+  try {
+    const { taskId, itemId } = req.params;
+
+    const task = await getTaskBoard(taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!(await canAccessBoard(req, task.boardId))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
+    }
+
+    if (!(await canEditTask(req, task))) {
+      return res.status(403).json({ error: 'Access denied: Requires the tasks.edit permission', code: 'PERMISSION_DENIED' });
+    }
+
+    const { data: deleted, error } = await supabaseAdmin
+      .from('task_checklist_items')
+      .delete()
+      .eq('id', itemId)
+      .eq('task_id', taskId)
+      .select('id');
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete checklist item' });
+    }
+
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    publish(`board:${task.boardId}`, 'checklist_item_deleted', {
+      boardId: task.boardId,
+      taskId,
+      itemId,
+      deletedBy: eventUser(req)
+    });
+
+    await rollUpProgress(req, taskId);
+
+    res.json({ message: 'Checklist item deleted successfully' });
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -656,6 +2395,9 @@ router.delete('/tasks/:taskId', authenticateToken, async (req, res) => {
 // @access  Private (Workspace member)
 router.put('/lists/:listId/reorder', [
   authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(listWorkspace),
+  requirePermission('tasks.edit'),
   body('taskIds').isArray().isLength({ min: 1 })
 ], async (req, res) => {
   try {
@@ -666,7 +2408,6 @@ router.put('/lists/:listId/reorder', [
 
     const { listId } = req.params;
     const { taskIds } = req.body;
-    const userId = req.user.id;
 
     // Verify access to the list
     const { data: list, error: listError } = await supabaseAdmin
@@ -685,15 +2426,8 @@ router.put('/lists/:listId/reorder', [
       return res.status(404).json({ error: 'Task list not found' });
     }
 
-    const { data: membership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', list.task_boards.workspace_id)
-      .eq('user_id', userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    if (!(await canAccessBoard(req, list.board_id))) {
+      return res.status(403).json({ error: 'Access denied: Board is not shared with you' });
     }
 
     // Update task positions
@@ -710,6 +2444,13 @@ router.put('/lists/:listId/reorder', [
         .eq('list_id', listId);
     }
 
+    publish(`board:${list.board_id}`, 'tasks_reordered', {
+      boardId: list.board_id,
+      listId,
+      taskIds,
+      updatedBy: eventUser(req)
+    });
+
     res.json({ message: 'Tasks reordered successfully' });
   } catch (error) {
     console.error('Reorder tasks error:', error);
@@ -717,4 +2458,338 @@ router.put('/lists/:listId/reorder', [
   }
 });
 
+// @route   GET /api/tasks/boards/:boardId/guests
+// @desc    List the guests a board is shared with
+// @access  Private (boards.manage)
+router.get('/boards/:boardId/guests', [
+  authenticateToken,
+  requireScope('tasks:read'),
+  requireResourceWorkspace(boardWorkspace),
+  requirePermission('boards.manage')
+], async (req, res) => {
+  try {
+    const { boardId } = req.params;
+
+    const { data: shares, error } = await supabaseAdmin
+      .from('task_board_guests')
+      .select(`
+        user_id,
+        created_at,
+        profiles:user_id (
+          id,
+          email,
+          full_name,
+          avatar_url
+        )
+      `)
+      .eq('board_id', boardId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch board guests' });
+    }
+
+    res.json({
+      guests: shares.map(share => ({
+        user: share.profiles,
+        sharedAt: share.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get board guests error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/tasks/boards/:boardId/guests
+// @desc    Share a board with a workspace guest
+// @access  Private (boards.manage)
+router.post('/boards/:boardId/guests', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(boardWorkspace),
+  requirePermission('boards.manage'),
+  body('userId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { boardId } = req.params;
+    const { userId } = req.body;
+
+    const { data: membership } = await supabaseAdmin
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', req.workspaceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (!membership) {
+      return res.status(404).json({ error: 'User is not a member of this workspace' });
+    }
+
+    if (membership.role !== 'guest') {
+      return res.status(400).json({ error: 'Only guests need boards shared with them' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('task_board_guests')
+      .upsert({
+        board_id: boardId,
+        user_id: userId,
+        added_by: req.user.id
+      }, { onConflict: 'board_id,user_id', ignoreDuplicates: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to share board' });
+    }
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.user.id,
+      action: 'board_shared',
+      targetType: 'board',
+      targetId: boardId,
+      diff: { guestId: userId }
+    });
+
+    res.status(201).json({ message: 'Board shared successfully' });
+  } catch (error) {
+    console.error('Share board error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/boards/:boardId/guests/:userId
+// @desc    Stop sharing a board with a guest
+// @access  Private (boards.manage)
+router.delete('/boards/:boardId/guests/:userId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(boardWorkspace),
+  requirePermission('boards.manage')
+], async (req, res) => {
+  try {
+    const { boardId, userId } = req.params;
+
+    const { error } = await supabaseAdmin
+      .from('task_board_guests')
+      .delete()
+      .eq('board_id', boardId)
+      .eq('user_id', userId);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to unshare board' });
+    }
+
+    res.json({ message: 'Board unshared successfully' });
+  } catch (error) {
+    console.error('Unshare board error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/tasks/workspace/:workspaceId/labels
+// @desc    List the workspace's task labels
+// @access  Private (Workspace member)
+router.get('/workspace/:workspaceId/labels', [
+  authenticateToken,
+  requireScope('tasks:read'),
+  requireWorkspaceAccess('guest')
+], async (req, res) => {
+  try {
+    const { data: labels, error } = await supabaseAdmin
+      .from('task_labels')
+      .select('id, name, color, created_at, updated_at')
+      .eq('workspace_id', req.params.workspaceId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch labels' });
+    }
+
+    res.json({ labels: labels.map(formatLabel) });
+  } catch (error) {
+    console.error('Get labels error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/tasks/workspace/:workspaceId/labels
+// @desc    Create a task label
+// @access  Private (boards.edit)
+router.post('/workspace/:workspaceId/labels', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('boards.edit'),
+  body('name').trim().isLength({ min: 1, max: 50 }),
+  body('color').matches(/^#[0-9a-fA-F]{6}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { name, color } = req.body;
+
+    const { data: label, error } = await supabaseAdmin
+      .from('task_labels')
+      .insert({
+        workspace_id: workspaceId,
+        name,
+        color: color.toLowerCase(),
+        created_by: req.user.id
+      })
+      .select('id, name, color, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A label with this name already exists' });
+      }
+      return res.status(500).json({ error: 'Failed to create label' });
+    }
+
+    publish(`workspace:${workspaceId}:members`, 'label_created', { workspaceId, label: formatLabel(label) });
+
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'label_created',
+      targetType: 'label',
+      targetId: label.id,
+      targetName: label.name
+    });
+
+    res.status(201).json({
+      message: 'Label created successfully',
+      label: formatLabel(label)
+    });
+  } catch (error) {
+    console.error('Create label error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/tasks/labels/:labelId
+// @desc    Rename or recolor a task label
+// @access  Private (boards.edit)
+router.put('/labels/:labelId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(labelWorkspace),
+  requirePermission('boards.edit'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { labelId } = req.params;
+    const { name, color } = req.body;
+
+    const { data: existing } = await supabaseAdmin
+      .from('task_labels')
+      .select('name, color')
+      .eq('id', labelId)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (color !== undefined) updateData.color = color.toLowerCase();
+
+    const { data: label, error } = await supabaseAdmin
+      .from('task_labels')
+      .update(updateData)
+      .eq('id', labelId)
+      .select('id, name, color, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A label with this name already exists' });
+      }
+      return res.status(500).json({ error: 'Failed to update label' });
+    }
+
+    // Boards show labels inline, so every workspace client refreshes them
+    publish(`workspace:${req.workspaceId}:members`, 'label_updated', { workspaceId: req.workspaceId, label: formatLabel(label) });
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.user.id,
+      action: 'label_updated',
+      targetType: 'label',
+      targetId: labelId,
+      targetName: label.name,
+      diff: diffFields(existing, { name: label.name, color: label.color }, ['name', 'color'])
+    });
+
+    res.json({
+      message: 'Label updated successfully',
+      label: formatLabel(label)
+    });
+  } catch (error) {
+    console.error('Update label error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/labels/:labelId
+// @desc    Delete a task label (it is removed from every task)
+// @access  Private (boards.manage)
+router.delete('/labels/:labelId', [
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireResourceWorkspace(labelWorkspace),
+  requirePermission('boards.manage')
+], async (req, res) => {
+  try {
+    const { labelId } = req.params;
+
+    const { data: label, error } = await supabaseAdmin
+      .from('task_labels')
+      .delete()
+      .eq('id', labelId)
+      .select('name')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete label' });
+    }
+    if (!label) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    publish(`workspace:${req.workspaceId}:members`, 'label_deleted', { workspaceId: req.workspaceId, labelId });
+
+    await recordActivity({
+      workspaceId: req.workspaceId,
+      actorId: req.user.id,
+      action: 'label_deleted',
+      targetType: 'label',
+      targetId: labelId,
+      targetName: label.name
+    });
+
+    res.json({ message: 'Label deleted successfully' });
+  } catch (error) {
+    console.error('Delete label error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -1,14 +1,26 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireScope,
+  requireResourceWorkspace,
+  requirePermission
+} = require('../middleware/auth');
+const { removeUserFromWorkspaceTeams } = require('../services/teams');
+const { diffFields, recordActivity } = require('../services/activity');
+const { leaveRoom } = require('../socket/eventBus');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../services/permissions');
 
 const router = express.Router();
 
 // @route   GET /api/users/search
 // @desc    Search users by email or name
 // @access  Private
-router.get('/search', authenticateToken, async (req, res) => {
+router.get('/search', [
+  authenticateToken,
+  requireScope('users:read')
+], async (req, res) => {
   try {
     const { q, limit = 10 } = req.query;
 
@@ -20,6 +32,7 @@ router.get('/search', authenticateToken, async (req, res) => {
       .from('profiles')
       .select('id, email, full_name, avatar_url')
       .or(`email.ilike.%${q}%,full_name.ilike.%${q}%`)
+      .not('email_verified_at', 'is', null)
       .limit(parseInt(limit));
 
     if (error) {
@@ -36,7 +49,10 @@ router.get('/search', authenticateToken, async (req, res) => {
 // @route   GET /api/users/:userId
 // @desc    Get user profile by ID
 // @access  Private
-router.get('/:userId', authenticateToken, async (req, res) => {
+router.get('/:userId', [
+  authenticateToken,
+  requireScope('users:read')
+], async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -60,22 +76,13 @@ router.get('/:userId', authenticateToken, async (req, res) => {
 // @route   GET /api/users/workspace/:workspaceId/members
 // @desc    Get all members of a workspace
 // @access  Private
-router.get('/workspace/:workspaceId/members', authenticateToken, async (req, res) => {
+router.get('/workspace/:workspaceId/members', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireResourceWorkspace(req => req.params.workspaceId)
+], async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const userId = req.user.id;
-
-    // Check if user is a member of the workspace
-    const { data: membership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', userId)
-      .single();
-
-    if (membershipError || !membership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
-    }
 
     // Get all workspace members with their profiles
     const { data: members, error } = await supabaseAdmin
@@ -84,6 +91,10 @@ router.get('/workspace/:workspaceId/members', authenticateToken, async (req, res
         id,
         role,
         joined_at,
+        workspace_roles:role_id (
+          id,
+          name
+        ),
         profiles:user_id (
           id,
           email,
@@ -114,6 +125,8 @@ router.get('/workspace/:workspaceId/members', authenticateToken, async (req, res
       return {
         id: member.id,
         role: member.role,
+        roleId: member.workspace_roles?.id || null,
+        roleName: member.workspace_roles?.name || member.role,
         joinedAt: member.joined_at,
         user: {
           ...member.profiles,
@@ -131,11 +144,15 @@ router.get('/workspace/:workspaceId/members', authenticateToken, async (req, res
 });
 
 // @route   PUT /api/users/workspace/:workspaceId/members/:memberId/role
-// @desc    Update member role in workspace
-// @access  Private (Admin/Owner only)
+// @desc    Update member role (built-in and/or custom) in workspace
+// @access  Private (roles.manage)
 router.put('/workspace/:workspaceId/members/:memberId/role', [
   authenticateToken,
-  body('role').isIn(['member', 'admin'])
+  requireScope('workspaces:write'),
+  requireResourceWorkspace(req => req.params.workspaceId),
+  requirePermission('roles.manage'),
+  body('role').optional().isIn(['member', 'admin', 'guest']),
+  body('roleId').optional({ nullable: true }).isUUID()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -144,29 +161,41 @@ router.put('/workspace/:workspaceId/members/:memberId/role', [
     }
 
     const { workspaceId, memberId } = req.params;
-    const { role } = req.body;
-    const userId = req.user.id;
+    const { role, roleId } = req.body;
+    const isAdmin = ['admin', 'owner'].includes(req.workspaceRole);
 
-    // Check if current user is admin or owner
-    const { data: currentUserMembership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('role')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', userId)
-      .single();
+    if (role === undefined && roleId === undefined) {
+      return res.status(400).json({ error: 'Provide a role or a roleId' });
+    }
 
-    if (membershipError || !currentUserMembership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
+    if (role === 'admin' && roleId) {
+      return res.status(400).json({ error: 'Admins always have every permission and can\'t have a custom role' });
     }
 
-    if (!['admin', 'owner'].includes(currentUserMembership.role)) {
+    if (role === 'admin' && !isAdmin) {
       return res.status(403).json({ error: 'Access denied: Admin or owner role required' });
     }
 
+    // Custom roles must belong to this workspace
+    let customRole = null;
+    if (roleId) {
+      const { data } = await supabaseAdmin
+        .from('workspace_roles')
+        .select('id, permissions')
+        .eq('id', roleId)
+        .eq('workspace_id', workspaceId)
+        .maybeSingle();
+
+      if (!data) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+      customRole = data;
+    }
+
     // Check if target member exists
     const { data: targetMember, error: targetError } = await supabaseAdmin
       .from('workspace_members')
-      .select('role')
+      .select('role, role_id, user_id')
       .eq('id', memberId)
       .eq('workspace_id', workspaceId)
       .single();
@@ -175,19 +204,53 @@ router.put('/workspace/:workspaceId/members/:memberId/role', [
       return res.status(404).json({ error: 'Member not found' });
     }
 
+    if (targetMember.user_id === req.user.id) {
+      return res.status(403).json({ error: 'You can\'t change your own role' });
+    }
+
     // Prevent changing owner role
     if (targetMember.role === 'owner') {
       return res.status(403).json({ error: 'Cannot change owner role' });
     }
 
+    if (targetMember.role === 'admin' && !isAdmin) {
+      return res.status(403).json({ error: 'Access denied: Admin or owner role required' });
+    }
+
+    // Nobody hands out permissions they don't have themselves, whether
+    // through a custom role or a built-in one. A custom role the member
+    // keeps still replaces the built-in permissions.
+    const keepsCustomRole = roleId === undefined && role !== 'admin' && Boolean(targetMember.role_id);
+    const grantedPermissions = customRole
+      ? customRole.permissions
+      : keepsCustomRole ? [] : DEFAULT_ROLE_PERMISSIONS[role || (targetMember.role === 'admin' ? 'member' : targetMember.role)];
+
+    if (grantedPermissions.some(permission => !req.workspacePermissions.has(permission))) {
+      return res.status(403).json({ error: 'You can\'t assign a role with permissions you don\'t have', code: 'PERMISSION_DENIED' });
+    }
+
+    const updateData = {};
+    if (role !== undefined) updateData.role = role;
+    if (roleId !== undefined) updateData.role_id = roleId;
+    if (role === 'admin') updateData.role_id = null;
+
+    // Custom roles apply on top of member or guest; admins become members
+    if (roleId && role === undefined && targetMember.role === 'admin') {
+      updateData.role = 'member';
+    }
+
     // Update member role
     const { data: updatedMember, error: updateError } = await supabaseAdmin
       .from('workspace_members')
-      .update({ role })
+      .update(updateData)
       .eq('id', memberId)
       .select(`
         id,
         role,
+        workspace_roles:role_id (
+          id,
+          name
+        ),
         profiles:user_id (
           id,
           email,
@@ -201,11 +264,32 @@ router.put('/workspace/:workspaceId/members/:memberId/role', [
       return res.status(500).json({ error: 'Failed to update member role' });
     }
 
+    // Guests don't get workspace-wide board and activity events
+    if (updatedMember.role === 'guest') {
+      leaveRoom(`user:${updatedMember.profiles.id}`, `workspace:${workspaceId}:members`);
+    }
+
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'member_role_changed',
+      targetType: 'member',
+      targetId: updatedMember.profiles.id,
+      targetName: updatedMember.profiles.full_name || updatedMember.profiles.email,
+      diff: diffFields(
+        { role: targetMember.role, roleId: targetMember.role_id },
+        { role: updatedMember.role, roleId: updatedMember.workspace_roles?.id || null },
+        ['role', 'roleId']
+      )
+    });
+
     res.json({
       message: 'Member role updated successfully',
       member: {
         id: updatedMember.id,
         role: updatedMember.role,
+        roleId: updatedMember.workspace_roles?.id || null,
+        roleName: updatedMember.workspace_roles?.name || updatedMember.role,
         user: updatedMember.profiles
       }
     });
@@ -217,27 +301,15 @@ router.put('/workspace/:workspaceId/members/:memberId/role', [
 
 // @route   DELETE /api/users/workspace/:workspaceId/members/:memberId
 // @desc    Remove member from workspace
-// @access  Private (Admin/Owner only)
-router.delete('/workspace/:workspaceId/members/:memberId', authenticateToken, async (req, res) => {
+// @access  Private (members.remove)
+router.delete('/workspace/:workspaceId/members/:memberId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireResourceWorkspace(req => req.params.workspaceId),
+  requirePermission('members.remove')
+], async (req, res) => {
   try {
     const { workspaceId, memberId } = req.params;
-    const userId = req.user.id;
-
-    // Check if current user is admin or owner
-    const { data: currentUserMembership, error: membershipError } = await supabaseAdmin
-      .from('workspace_members')
-      .select('role')
-      .eq('workspace_id', workspaceId)
-      .eq('user_id', userId)
-      .single();
-
-    if (membershipError || !currentUserMembership) {
-      return res.status(403).json({ error: 'Access denied: Not a workspace member' });
-    }
-
-    if (!['admin', 'owner'].includes(currentUserMembership.role)) {
-      return res.status(403).json({ error: 'Access denied: Admin or owner role required' });
-    }
 
     // Get target member info
     const { data: targetMember, error: targetError } = await supabaseAdmin
@@ -256,6 +328,10 @@ router.delete('/workspace/:workspaceId/members/:memberId', authenticateToken, as
       return res.status(403).json({ error: 'Cannot remove workspace owner' });
     }
 
+    if (targetMember.role === 'admin' && !['admin', 'owner'].includes(req.workspaceRole)) {
+      return res.status(403).json({ error: 'Access denied: Admin or owner role required' });
+    }
+
     // Remove member from workspace
     const { error: deleteError } = await supabaseAdmin
       .from('workspace_members')
@@ -266,6 +342,21 @@ router.delete('/workspace/:workspaceId/members/:memberId', authenticateToken, as
       return res.status(500).json({ error: 'Failed to remove member' });
     }
 
+    await removeUserFromWorkspaceTeams(workspaceId, targetMember.profiles.id);
+
+    leaveRoom(`user:${targetMember.profiles.id}`, `workspace:${workspaceId}`);
+    leaveRoom(`user:${targetMember.profiles.id}`, `workspace:${workspaceId}:members`);
+
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'member_removed',
+      targetType: 'member',
+      targetId: targetMember.profiles.id,
+      targetName: targetMember.profiles.full_name || targetMember.profiles.email,
+      diff: { role: targetMember.role }
+    });
+
     res.json({
       message: 'Member removed successfully',
       removedMember: {
@@ -1,17 +1,183 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, requireWorkspaceAccess } = require('../middleware/auth');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const {
+  authenticateToken,
+  requireWorkspaceAccess,
+  requireScope,
+  requireSessionAuth,
+  requirePermission,
+  requireQuota
+} = require('../middleware/auth');
+const { addWorkspaceMember, getWorkspaceMembership } = require('../services/workspaceMembership');
+const { recordAudit } = require('../services/audit');
+const { ACTIVITY_SELECT, formatActivity, recordActivity } = require('../services/activity');
+const { getClientInfo } = require('../services/sessions');
+const { checkQuota, getWorkspaceQuotas } = require('../services/quotas');
+const { hasScope } = require('../services/personalAccessTokens');
+const { publish, leaveRoom } = require('../socket/eventBus');
+const {
+  PERMISSIONS,
+  ROLE_LEVELS,
+  DEFAULT_ROLE_PERMISSIONS,
+  sanitizePermissions,
+  getWorkspaceAccess
+} = require('../services/permissions');
+const {
+  getTeam,
+  addTeamMembers,
+  removeTeamMembers,
+  deleteTeam,
+  removeUserFromWorkspaceTeams
+} = require('../services/teams');
+const {
+  streamWorkspaceBundle,
+  collectWorkspaceStructure,
+  parseBundle,
+  planImport,
+  checkBundleQuotas,
+  importWorkspaceBundle
+} = require('../services/workspaceBundle');
+const {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  trashWorkspace,
+  restoreWorkspace
+} = require('../services/workspaceTrash');
+const {
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation
+} = require('../services/invitations');
+const {
+  createInviteLink,
+  findInviteLink,
+  getInviteLinkProblem,
+  redeemInviteLink
+} = require('../services/inviteLinks');
 
 const router = express.Router();
 
+// Whether transferring ownership always needs the owner's password
+const OWNERSHIP_TRANSFER_REQUIRE_PASSWORD = process.env.OWNERSHIP_TRANSFER_REQUIRE_PASSWORD === 'true';
+
+// Largest accepted import archive (compressed); decompression stops at
+// twice that so a small archive can't unpack into gigabytes
+const IMPORT_MAX_BYTES = parseInt(process.env.WORKSPACE_IMPORT_MAX_MB || '50', 10) * 1024 * 1024;
+const IMPORT_MAX_UNPACKED_BYTES = IMPORT_MAX_BYTES * 2;
+
+const archiveUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES } });
+
+// Helper function to accept the `archive` upload with JSON errors
+const uploadArchive = (req, res, next) => archiveUpload.single('archive')(req, res, (error) => {
+  if (error) {
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Archive is too large' : 'Invalid upload' });
+  }
+  next();
+});
+
+// Helper function to format a workspace template for API responses
+const formatTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  includeContent: template.include_content,
+  sourceWorkspaceId: template.source_workspace_id,
+  summary: template.summary,
+  createdAt: template.created_at
+});
+
+// Helper function to format an invitation for API responses
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.profiles || invitation.invited_by,
+  expiresAt: invitation.expires_at,
+  createdAt: invitation.created_at
+});
+
+// Helper function to format a custom role for API responses
+const formatRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  createdAt: role.created_at,
+  updatedAt: role.updated_at
+});
+
+// Helper function to format a team (with its members) for API responses
+const formatTeam = (team) => ({
+  id: team.id,
+  name: team.name,
+  description: team.description,
+  members: (team.team_members || []).map(member => member.profiles),
+  createdAt: team.created_at,
+  updatedAt: team.updated_at
+});
+
+const TEAM_SELECT = `
+  id,
+  name,
+  description,
+  created_at,
+  updated_at,
+  team_members (
+    profiles:user_id (
+      id,
+      email,
+      full_name,
+      avatar_url
+    )
+  )
+`;
+
+// Helper function to find which of the given users are not workspace members
+const findNonMembers = async (workspaceId, userIds) => {
+  const { data: members } = await supabaseAdmin
+    .from('workspace_members')
+    .select('user_id')
+    .eq('workspace_id', workspaceId)
+    .in('user_id', userIds);
+
+  const memberIds = new Set((members || []).map(member => member.user_id));
+  return userIds.filter(userId => !memberIds.has(userId));
+};
+
+// Helper function to check a role's permission list; returns an error
+// response body or null. Members can't grant permissions they don't have.
+const checkRolePermissions = (req, permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return { status: 400, body: { error: `Unknown permissions: ${unknown.join(', ')}` } };
+  }
+
+  const missing = permissions.filter(permission => !req.workspacePermissions.has(permission));
+  if (missing.length > 0) {
+    return {
+      status: 403,
+      body: { error: `You can't grant permissions you don't have: ${missing.join(', ')}`, code: 'PERMISSION_DENIED' }
+    };
+  }
+
+  return null;
+};
+
 // @route   POST /api/workspaces
-// @desc    Create a new workspace
+// @desc    Create a new workspace, optionally from a template (templateId)
+//          or as a copy of another workspace's structure (cloneFrom)
 // @access  Private
 router.post('/', [
   authenticateToken,
+  requireScope('workspaces:write'),
   body('name').trim().isLength({ min: 1, max: 100 }),
-  body('description').optional().trim().isLength({ max: 500 })
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('templateId').optional().isUUID(),
+  body('cloneFrom').optional().isUUID(),
+  body('includeContent').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -19,9 +185,70 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description } = req.body;
+    const { name, description, templateId, cloneFrom, includeContent = false } = req.body;
     const userId = req.user.id;
 
+    if (req.tokenWorkspaceId) {
+      return res.status(403).json({ error: 'Access denied: Token is restricted to a single workspace' });
+    }
+
+    if (templateId && cloneFrom) {
+      return res.status(400).json({ error: 'Use either templateId or cloneFrom' });
+    }
+
+    // Templates and clones are built like imports, from a bundle
+    if (templateId || cloneFrom) {
+      let bundle;
+
+      if (templateId) {
+        const { data: template } = await supabaseAdmin
+          .from('workspace_templates')
+          .select('bundle')
+          .eq('id', templateId)
+          .eq('owner_id', userId)
+          .maybeSingle();
+
+        if (!template) {
+          return res.status(404).json({ error: 'Template not found' });
+        }
+        bundle = template.bundle;
+      } else {
+        const access = await getWorkspaceAccess(cloneFrom, userId);
+
+        if (!access || access.deletedAt) {
+          return res.status(404).json({ error: 'Workspace to clone not found' });
+        }
+        if (ROLE_LEVELS[access.role] < ROLE_LEVELS.admin) {
+          return res.status(403).json({ error: 'Access denied: Requires admin role or higher to clone' });
+        }
+        bundle = await collectWorkspaceStructure(cloneFrom, { includeContent });
+      }
+
+      const exceeded = checkBundleQuotas(bundle);
+      if (exceeded) {
+        return res.status(exceeded.status).json({
+          error: exceeded.message,
+          code: exceeded.code,
+          quota: exceeded.quota,
+          limit: exceeded.limit,
+          usage: exceeded.usage
+        });
+      }
+
+      const workspace = await importWorkspaceBundle(bundle, req.user, { name, description });
+
+      return res.status(201).json({
+        message: 'Workspace created successfully',
+        workspace: {
+          id: workspace.id,
+          name: workspace.name,
+          description: workspace.description,
+          ownerId: workspace.owner_id,
+          createdAt: workspace.created_at
+        }
+      });
+    }
+
     // Create workspace
     const { data: workspace, error: workspaceError } = await supabaseAdmin
       .from('workspaces')
@@ -92,20 +319,99 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/workspaces/import
+// @desc    Recreate an exported workspace under the current user
+//          (multipart `archive`; `dryRun=true` only reports what would happen)
+// @access  Private
+router.post('/import', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  uploadArchive,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.tokenWorkspaceId) {
+      return res.status(403).json({ error: 'Access denied: Token is restricted to a single workspace' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Archive file is required' });
+    }
+
+    const { name } = req.body;
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+    const { data: bundle, error: parseError } = await parseBundle(req.file.buffer, { maxBytes: IMPORT_MAX_UNPACKED_BYTES });
+    if (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const { userMap, invitees, quotaExceeded, report } = await planImport(bundle, req.user, { name });
+
+    if (dryRun) {
+      return res.json({ dryRun: true, report });
+    }
+
+    if (quotaExceeded) {
+      return res.status(quotaExceeded.status).json({
+        error: quotaExceeded.message,
+        code: quotaExceeded.code,
+        quota: quotaExceeded.quota,
+        limit: quotaExceeded.limit,
+        usage: quotaExceeded.usage,
+        report
+      });
+    }
+
+    const workspace = await importWorkspaceBundle(bundle, req.user, { name: report.workspace.name, userMap, invitees });
+
+    await recordAudit({
+      userId: req.user.id,
+      action: 'workspace_imported',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { workspaceId: workspace.id, counts: report.counts }
+    });
+
+    res.status(201).json({
+      message: 'Workspace imported successfully',
+      workspace: {
+        id: workspace.id,
+        name: workspace.name,
+        description: workspace.description,
+        ownerId: workspace.owner_id,
+        createdAt: workspace.created_at
+      },
+      report
+    });
+  } catch (error) {
+    console.error('Import workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   GET /api/workspaces
 // @desc    Get user's workspaces
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', [
+  authenticateToken,
+  requireScope('workspaces:read')
+], async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const { data: workspaces, error } = await supabaseAdmin
+    let query = supabaseAdmin
       .from('workspace_members')
       .select(`
         id,
         role,
         joined_at,
-        workspaces:workspace_id (
+        workspaces:workspace_id!inner (
           id,
           name,
           description,
@@ -115,8 +421,15 @@ router.get('/', authenticateToken, async (req, res) => {
         )
       `)
       .eq('user_id', userId)
+      .is('workspaces.deleted_at', null)
       .order('joined_at', { ascending: false });
 
+    if (req.tokenWorkspaceId) {
+      query = query.eq('workspace_id', req.tokenWorkspaceId);
+    }
+
+    const { data: workspaces, error } = await query;
+
     if (error) {
       return res.status(500).json({ error: 'Failed to fetch workspaces' });
     }
@@ -139,12 +452,275 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Helper function to format an invite link for API responses
+const formatInviteLink = (link) => ({
+  id: link.id,
+  role: link.role,
+  maxUses: link.max_uses,
+  useCount: link.use_count,
+  allowedDomains: link.allowed_domains || [],
+  expiresAt: link.expires_at,
+  revokedAt: link.revoked_at,
+  status: getInviteLinkProblem(link) || 'active',
+  createdBy: link.profiles || link.created_by,
+  createdAt: link.created_at
+});
+
+// @route   GET /api/workspaces/trash
+// @desc    List workspaces I own that are in the trash
+// @access  Private
+router.get('/trash', [
+  authenticateToken,
+  requireScope('workspaces:read')
+], async (req, res) => {
+  try {
+    const { data: workspaces, error } = await supabaseAdmin
+      .from('workspaces')
+      .select('id, name, description, deleted_at, created_at')
+      .eq('owner_id', req.user.id)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+
+    res.json({
+      workspaces: workspaces
+        .filter(workspace => !req.tokenWorkspaceId || workspace.id === req.tokenWorkspaceId)
+        .map(workspace => ({
+          id: workspace.id,
+          name: workspace.name,
+          description: workspace.description,
+          deletedAt: workspace.deleted_at,
+          purgeAt: getPurgeDate(workspace.deleted_at).toISOString(),
+          createdAt: workspace.created_at
+        })),
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/templates
+// @desc    List my workspace templates
+// @access  Private
+router.get('/templates', [
+  authenticateToken,
+  requireScope('workspaces:read')
+], async (req, res) => {
+  try {
+    const { data: templates, error } = await supabaseAdmin
+      .from('workspace_templates')
+      .select('id, name, description, include_content, source_workspace_id, summary, created_at')
+      .eq('owner_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch templates' });
+    }
+
+    res.json({ templates: templates.map(formatTemplate) });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/templates/:templateId
+// @desc    Delete one of my workspace templates
+// @access  Private
+router.delete('/templates/:templateId', [
+  authenticateToken,
+  requireScope('workspaces:write')
+], async (req, res) => {
+  try {
+    const { data: template, error } = await supabaseAdmin
+      .from('workspace_templates')
+      .delete()
+      .eq('id', req.params.templateId)
+      .eq('owner_id', req.user.id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete template' });
+    }
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/invitations/:token
+// @desc    Preview an invitation from its emailed link
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      invitation: {
+        ...formatInvitation(invitation),
+        workspace: invitation.workspaces
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/invitations/:token/accept
+// @desc    Accept an invitation as the invited user
+// @access  Private
+router.post('/invitations/:token/accept', [
+  authenticateToken,
+  requireSessionAuth
+], async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    const exceeded = await checkQuota(invitation.workspace_id, 'members');
+    if (exceeded) {
+      return res.status(exceeded.status).json({ error: exceeded.message, code: exceeded.code });
+    }
+
+    const member = await acceptInvitation(invitation, req.user.id);
+
+    if (!member) {
+      return res.status(409).json({ error: 'Invitation has already been used' });
+    }
+
+    res.json({
+      message: 'Invitation accepted',
+      workspace: invitation.workspaces,
+      role: member.role
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/invitations/:token/decline
+// @desc    Decline an invitation
+// @access  Public
+router.post('/invitations/:token/decline', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    await supabaseAdmin
+      .from('workspace_invitations')
+      .update({ declined_at: new Date().toISOString() })
+      .eq('id', invitation.id);
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/invite-links/:token
+// @desc    Preview the workspace behind an invite link
+// @access  Public
+router.get('/invite-links/:token', async (req, res) => {
+  try {
+    const link = await findInviteLink(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Invite link not found' });
+    }
+
+    const problem = getInviteLinkProblem(link);
+    if (problem) {
+      return res.status(410).json({ error: `Invite link is ${problem}`, code: `LINK_${problem.toUpperCase()}` });
+    }
+
+    res.json({
+      workspace: {
+        id: link.workspaces.id,
+        name: link.workspaces.name
+      },
+      role: link.role,
+      allowedDomains: link.allowed_domains || [],
+      expiresAt: link.expires_at
+    });
+  } catch (error) {
+    console.error('Get invite link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/invite-links/:token/join
+// @desc    Join a workspace through an invite link
+// @access  Private
+router.post('/invite-links/:token/join', [
+  authenticateToken,
+  requireSessionAuth
+], async (req, res) => {
+  try {
+    const link = await findInviteLink(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Invite link not found' });
+    }
+
+    const { data: member, error } = await redeemInviteLink(link, req.user);
+
+    if (error) {
+      return res.status(error.status).json({ error: error.message, ...(error.code && { code: error.code }) });
+    }
+
+    res.status(201).json({
+      message: 'Joined workspace successfully',
+      workspace: {
+        id: link.workspaces.id,
+        name: link.workspaces.name
+      },
+      member: {
+        id: member.id,
+        role: member.role,
+        user: member.profiles
+      }
+    });
+  } catch (error) {
+    console.error('Join via invite link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   GET /api/workspaces/:workspaceId
 // @desc    Get workspace details
 // @access  Private (Workspace member)
 router.get('/:workspaceId', [
   authenticateToken,
-  requireWorkspaceAccess('member')
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('guest')
 ], async (req, res) => {
   try {
     const { workspaceId } = req.params;
@@ -156,6 +732,8 @@ router.get('/:workspaceId', [
         name,
         description,
         owner_id,
+        require_mfa,
+        block_unverified_invites,
         created_at,
         updated_at,
         profiles:owner_id (
@@ -190,6 +768,9 @@ router.get('/:workspaceId', [
         owner: workspace.profiles,
         memberCount: memberCount || 0,
         userRole: req.workspaceRole,
+        userPermissions: [...req.workspacePermissions],
+        requireMfa: workspace.require_mfa,
+        blockUnverifiedInvites: workspace.block_unverified_invites,
         createdAt: workspace.created_at,
         updatedAt: workspace.updated_at
       }
@@ -205,9 +786,12 @@ router.get('/:workspaceId', [
 // @access  Private (Admin/Owner only)
 router.put('/:workspaceId', [
   authenticateToken,
+  requireScope('workspaces:write'),
   requireWorkspaceAccess('admin'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }),
-  body('description').optional().trim().isLength({ max: 500 })
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('requireMfa').optional().isBoolean(),
+  body('blockUnverifiedInvites').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -216,12 +800,23 @@ router.put('/:workspaceId', [
     }
 
     const { workspaceId } = req.params;
-    const { name, description } = req.body;
+    const { name, description, requireMfa, blockUnverifiedInvites } = req.body;
 
     const updateData = {};
     if (name) updateData.name = name;
     if (description !== undefined) updateData.description = description;
 
+    if (requireMfa !== undefined) {
+      if (req.workspaceRole !== 'owner') {
+        return res.status(403).json({ error: 'Only the workspace owner can change the 2FA requirement' });
+      }
+      if (requireMfa && !req.user.mfa_enabled) {
+        return res.status(400).json({ error: 'Enable two-factor authentication on your account first' });
+      }
+      updateData.require_mfa = requireMfa;
+    }
+    if (blockUnverifiedInvites !== undefined) updateData.block_unverified_invites = blockUnverifiedInvites;
+
     const { data: workspace, error } = await supabaseAdmin
       .from('workspaces')
       .update(updateData)
@@ -240,6 +835,8 @@ router.put('/:workspaceId', [
         name: workspace.name,
         description: workspace.description,
         ownerId: workspace.owner_id,
+        requireMfa: workspace.require_mfa,
+        blockUnverifiedInvites: workspace.block_unverified_invites,
         updatedAt: workspace.updated_at
       }
     });
@@ -250,14 +847,36 @@ router.put('/:workspaceId', [
 });
 
 // @route   DELETE /api/workspaces/:workspaceId
-// @desc    Delete workspace
+// @desc    Move workspace to the trash (?permanent=true deletes a trashed workspace for good)
 // @access  Private (Owner only)
 router.delete('/:workspaceId', [
   authenticateToken,
-  requireWorkspaceAccess('owner')
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('owner', { allowDeleted: true })
 ], async (req, res) => {
   try {
     const { workspaceId } = req.params;
+    const permanent = req.query.permanent === 'true';
+
+    const workspace = await trashWorkspace(workspaceId, req.user.id);
+
+    if (workspace) {
+      publish(`workspace:${workspaceId}`, 'workspace_deleted', {
+        workspaceId,
+        deletedBy: req.user.id
+      });
+
+      return res.json({
+        message: 'Workspace moved to trash',
+        deletedAt: workspace.deleted_at,
+        purgeAt: getPurgeDate(workspace.deleted_at).toISOString()
+      });
+    }
+
+    // Already in the trash
+    if (!permanent) {
+      return res.status(400).json({ error: 'Workspace is already in the trash. Use ?permanent=true to delete it now.' });
+    }
 
     // Delete workspace (cascade will handle related records)
     const { error } = await supabaseAdmin
@@ -269,21 +888,59 @@ router.delete('/:workspaceId', [
       return res.status(500).json({ error: 'Failed to delete workspace' });
     }
 
-    res.json({ message: 'Workspace deleted successfully' });
+    res.json({ message: 'Workspace deleted permanently' });
   } catch (error) {
     console.error('Delete workspace error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// @route   POST /api/workspaces/:workspaceId/restore
+// @desc    Restore a workspace from the trash
+// @access  Private (Owner only)
+router.post('/:workspaceId/restore', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('owner', { allowDeleted: true })
+], async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const workspace = await restoreWorkspace(workspaceId);
+
+    if (!workspace) {
+      return res.status(400).json({ error: 'Workspace is not in the trash' });
+    }
+
+    publish(`workspace:${workspaceId}`, 'workspace_restored', { workspaceId });
+
+    res.json({
+      message: 'Workspace restored successfully',
+      workspace: {
+        id: workspace.id,
+        name: workspace.name,
+        description: workspace.description,
+        ownerId: workspace.owner_id,
+        updatedAt: workspace.updated_at
+      }
+    });
+  } catch (error) {
+    console.error('Restore workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // @route   POST /api/workspaces/:workspaceId/invite
 // @desc    Invite user to workspace
-// @access  Private (Admin/Owner only)
+// @access  Private (members.invite)
 router.post('/:workspaceId/invite', [
   authenticateToken,
-  requireWorkspaceAccess('admin'),
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('members.invite'),
+  requireQuota('members'),
   body('email').isEmail().normalizeEmail(),
-  body('role').optional().isIn(['member', 'admin'])
+  body('role').optional().isIn(['member', 'admin', 'guest'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -294,80 +951,1133 @@ router.post('/:workspaceId/invite', [
     const { workspaceId } = req.params;
     const { email, role = 'member' } = req.body;
 
-    // Check if user exists
-    const { data: user, error: userError } = await supabaseAdmin
-      .from('profiles')
-      .select('id, email, full_name')
-      .eq('email', email)
+    if (role === 'admin' && !['admin', 'owner'].includes(req.workspaceRole)) {
+      return res.status(403).json({ error: 'Only admins can invite other admins' });
+    }
+
+    const { data: workspace, error: workspaceError } = await supabaseAdmin
+      .from('workspaces')
+      .select('id, name, block_unverified_invites')
+      .eq('id', workspaceId)
+      .single();
+
+    if (workspaceError) {
+      return res.status(500).json({ error: 'Failed to fetch workspace' });
+    }
+
+    // Check if user exists
+    const { data: user } = await supabaseAdmin
+      .from('profiles')
+      .select('id, email, full_name, email_verified_at')
+      .eq('email', email)
+      .maybeSingle();
+
+    // No account yet: email a pending invitation instead
+    if (!user) {
+      const invitation = await createInvitation({ workspace, email, role, invitedBy: req.user });
+
+      await recordActivity({
+        workspaceId,
+        actorId: req.user.id,
+        action: 'member_invited',
+        targetType: 'invitation',
+        targetId: invitation.id,
+        targetName: email,
+        diff: { role }
+      });
+
+      return res.status(201).json({
+        message: 'Invitation sent',
+        invitation: formatInvitation(invitation)
+      });
+    }
+
+    if (workspace.block_unverified_invites && !user.email_verified_at) {
+      return res.status(403).json({
+        error: 'This workspace only allows inviting users with a verified email',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Check if user is already a member
+    const { data: existingMember, error: memberError } = await supabaseAdmin
+      .from('workspace_members')
+      .select('id')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', user.id)
+      .single();
+
+    if (existingMember) {
+      return res.status(400).json({ error: 'User is already a member of this workspace' });
+    }
+
+    // Add user to workspace (also joins the General room)
+    const { data: newMember, error: addError } = await addWorkspaceMember(workspaceId, user.id, role, {
+      via: 'invite',
+      addedBy: req.user.id
+    });
+
+    if (addError) {
+      return res.status(500).json({ error: 'Failed to add user to workspace' });
+    }
+
+    res.status(201).json({
+      message: 'User invited to workspace successfully',
+      member: {
+        id: newMember.id,
+        role: newMember.role,
+        user: newMember.profiles
+      }
+    });
+  } catch (error) {
+    console.error('Invite user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/invitations
+// @desc    List pending email invitations
+// @access  Private (members.invite)
+router.get('/:workspaceId/invitations', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('members.invite')
+], async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const { data: invitations, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .select(`
+        id,
+        email,
+        role,
+        expires_at,
+        created_at,
+        profiles:invited_by (
+          id,
+          email,
+          full_name
+        )
+      `)
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .is('declined_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+
+    res.json({ invitations: invitations.map(formatInvitation) });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+// @desc    Revoke a pending email invitation
+// @access  Private (members.invite)
+router.delete('/:workspaceId/invitations/:invitationId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('members.invite')
+], async (req, res) => {
+  try {
+    const { workspaceId, invitationId } = req.params;
+
+    const { data: revoked, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .is('declined_at', null)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/invite-links
+// @desc    List the workspace's invite links
+// @access  Private (members.invite)
+router.get('/:workspaceId/invite-links', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('members.invite')
+], async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const { data: links, error } = await supabaseAdmin
+      .from('workspace_invite_links')
+      .select(`
+        *,
+        profiles:created_by (
+          id,
+          email,
+          full_name
+        )
+      `)
+      .eq('workspace_id', workspaceId)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch invite links' });
+    }
+
+    res.json({ inviteLinks: links.map(formatInviteLink) });
+  } catch (error) {
+    console.error('Get invite links error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:workspaceId/invite-links
+// @desc    Create a shareable invite link
+// @access  Private (members.invite)
+router.post('/:workspaceId/invite-links', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('members.invite'),
+  body('role').optional().isIn(['member', 'admin', 'guest']),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('expiresAt').optional({ nullable: true }).isISO8601(),
+  body('allowedDomains').optional().isArray(),
+  body('allowedDomains.*').isString().trim().toLowerCase().matches(/^[a-z0-9.-]+\.[a-z]{2,}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { role = 'member', maxUses, expiresAt, allowedDomains } = req.body;
+
+    if (role === 'admin' && req.workspaceRole !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can create admin invite links' });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ error: 'expiresAt must be in the future' });
+    }
+
+    const { token, url, link } = await createInviteLink({
+      workspaceId,
+      role,
+      maxUses,
+      expiresAt,
+      allowedDomains,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Invite link created. Copy it now, it will not be shown again.',
+      token,
+      url,
+      inviteLink: formatInviteLink(link)
+    });
+  } catch (error) {
+    console.error('Create invite link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId/invite-links/:linkId
+// @desc    Revoke an invite link
+// @access  Private (members.invite)
+router.delete('/:workspaceId/invite-links/:linkId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('members.invite')
+], async (req, res) => {
+  try {
+    const { workspaceId, linkId } = req.params;
+
+    const { data: revoked, error } = await supabaseAdmin
+      .from('workspace_invite_links')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', linkId)
+      .eq('workspace_id', workspaceId)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to revoke invite link' });
+    }
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite link not found' });
+    }
+
+    res.json({ message: 'Invite link revoked' });
+  } catch (error) {
+    console.error('Revoke invite link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:workspaceId/templates
+// @desc    Save the workspace structure (optionally with sample content) as a template
+// @access  Private (Admin/Owner only)
+router.post('/:workspaceId/templates', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('admin'),
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('includeContent').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { name, description, includeContent = false } = req.body;
+
+    const bundle = await collectWorkspaceStructure(workspaceId, { includeContent });
+
+    const { data: template, error } = await supabaseAdmin
+      .from('workspace_templates')
+      .insert({
+        owner_id: req.user.id,
+        source_workspace_id: workspaceId,
+        name,
+        description,
+        include_content: includeContent,
+        bundle,
+        summary: {
+          roles: bundle.roles.length,
+          teams: bundle.teams.length,
+          boards: bundle.boards.length,
+          lists: bundle.lists.length,
+          tasks: bundle.tasks.length,
+          rooms: bundle.rooms.length,
+          documents: bundle.documents.length
+        }
+      })
+      .select('id, name, description, include_content, source_workspace_id, summary, created_at')
+      .single();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to save template' });
+    }
+
+    res.status(201).json({
+      message: 'Template saved successfully',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    console.error('Save template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/export
+// @desc    Download the whole workspace as a gzipped JSON-lines archive.
+//          Chat and documents need the chat:read / documents:read token
+//          scopes, and private rooms the caller isn't in are left out.
+// @access  Private (Admin/Owner only)
+router.get('/:workspaceId/export', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('admin')
+], async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="workspace-${workspaceId}-${date}.jsonl.gz"`);
+
+    const isToken = req.authType === 'token';
+    await streamWorkspaceBundle(workspaceId, res, {
+      viewerId: req.user.id,
+      chat: !isToken || hasScope(req.tokenScopes, 'chat:read'),
+      documents: !isToken || hasScope(req.tokenScopes, 'documents:read')
+    });
+
+    await recordAudit({
+      userId: req.user.id,
+      action: 'workspace_exported',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { workspaceId }
+    });
+  } catch (error) {
+    console.error('Export workspace error:', error);
+    // Once streaming started the only way to signal failure is to abort
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// @route   POST /api/workspaces/:workspaceId/transfer-ownership
+// @desc    Make another member the workspace owner
+// @access  Private (Owner only)
+router.post('/:workspaceId/transfer-ownership', [
+  authenticateToken,
+  requireSessionAuth,
+  requireWorkspaceAccess('owner'),
+  body('newOwnerId').isUUID(),
+  body('password').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { newOwnerId, password } = req.body;
+    const userId = req.user.id;
+
+    if (newOwnerId === userId) {
+      return res.status(400).json({ error: 'You already own this workspace' });
+    }
+
+    if (OWNERSHIP_TRANSFER_REQUIRE_PASSWORD && !password) {
+      return res.status(400).json({ error: 'Password is required to transfer ownership', code: 'PASSWORD_REQUIRED' });
+    }
+
+    // Re-check the password when given (or required)
+    if (password) {
+      const { error: authError } = await supabase.auth.signInWithPassword({
+        email: req.user.email,
+        password
+      });
+
+      if (authError) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+    }
+
+    const membership = await getWorkspaceMembership(workspaceId, newOwnerId);
+    if (!membership) {
+      return res.status(400).json({ error: 'New owner must be a member of this workspace' });
+    }
+
+    // Owner, new owner's role and old owner's role change in one transaction
+    const { error: transferError } = await supabaseAdmin.rpc('transfer_workspace_ownership', {
+      p_workspace_id: workspaceId,
+      p_current_owner_id: userId,
+      p_new_owner_id: newOwnerId
+    });
+
+    if (transferError) {
+      console.error('Transfer ownership rpc error:', transferError);
+      return res.status(409).json({ error: 'Failed to transfer ownership' });
+    }
+
+    await recordAudit({
+      userId,
+      action: 'workspace_ownership_transferred',
+      ipAddress: getClientInfo(req).ipAddress,
+      metadata: { workspaceId, newOwnerId }
+    });
+
+    await recordActivity({
+      workspaceId,
+      actorId: userId,
+      action: 'ownership_transferred',
+      targetType: 'member',
+      targetId: newOwnerId,
+      diff: { ownerId: { from: userId, to: newOwnerId } }
+    });
+
+    publish(`workspace:${workspaceId}`, 'workspace_ownership_transferred', {
+      workspaceId,
+      previousOwnerId: userId,
+      newOwnerId
+    });
+
+    res.json({
+      message: 'Ownership transferred successfully',
+      workspace: {
+        id: workspaceId,
+        ownerId: newOwnerId
+      },
+      previousOwner: {
+        id: userId,
+        role: 'admin'
+      }
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/activity
+// @desc    Workspace activity feed, newest first, with optional filters
+// @access  Private (Workspace member)
+router.get('/:workspaceId/activity', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('member'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('action').optional().isString(),
+  query('actorId').optional().isUUID(),
+  query('targetType').optional().isString(),
+  query('targetId').optional().isUUID(),
+  query('since').optional().isISO8601(),
+  query('until').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { page = 1, limit = 50, action, actorId, targetType, targetId, since, until } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let activityQuery = supabaseAdmin
+      .from('workspace_activity')
+      .select(ACTIVITY_SELECT)
+      .eq('workspace_id', workspaceId);
+
+    if (action) {
+      activityQuery = activityQuery.in('action', action.split(',').map(item => item.trim()).filter(Boolean));
+    }
+    if (actorId) {
+      activityQuery = activityQuery.eq('actor_id', actorId);
+    }
+    if (targetType) {
+      activityQuery = activityQuery.eq('target_type', targetType);
+    }
+    if (targetId) {
+      activityQuery = activityQuery.eq('target_id', targetId);
+    }
+    if (since) {
+      activityQuery = activityQuery.gte('created_at', since);
+    }
+    if (until) {
+      activityQuery = activityQuery.lte('created_at', until);
+    }
+
+    const { data: activity, error } = await activityQuery
+      .order('created_at', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch activity' });
+    }
+
+    res.json({
+      activity: activity.map(formatActivity),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: activity.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get workspace activity error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/stats
+// @desc    Usage statistics and quotas
+// @access  Private (Admin/Owner)
+router.get('/:workspaceId/stats', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('admin'),
+  query('days').optional().isInt({ min: 1, max: 90 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const days = parseInt(req.query.days || '30', 10);
+
+    const { data: stats, error } = await supabaseAdmin.rpc('workspace_stats', {
+      p_workspace_id: workspaceId,
+      p_days: days
+    });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to load workspace stats' });
+    }
+
+    const quotas = await getWorkspaceQuotas(workspaceId);
+    const storageUsedMb = Math.ceil(stats.storage_bytes / (1024 * 1024));
+
+    res.json({
+      stats: {
+        days,
+        members: {
+          total: stats.member_count,
+          active7Days: stats.active_members_7d,
+          active30Days: stats.active_members_30d
+        },
+        messagesPerDay: stats.messages_per_day,
+        tasks: {
+          open: stats.tasks_open,
+          completed: stats.tasks_completed,
+          opened: stats.tasks_opened,
+          closed: stats.tasks_closed
+        },
+        documents: stats.document_count,
+        boards: stats.board_count,
+        storageBytes: stats.storage_bytes
+      },
+      quotas: {
+        members: { limit: quotas.members, usage: stats.member_count },
+        storageMb: { limit: quotas.storageMb, usage: storageUsedMb },
+        boards: { limit: quotas.boards, usage: stats.board_count }
+      }
+    });
+  } catch (error) {
+    console.error('Get workspace stats error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/roles
+// @desc    List built-in and custom roles with the permission catalog
+// @access  Private (Workspace member)
+router.get('/:workspaceId/roles', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('member')
+], async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const { data: roles, error } = await supabaseAdmin
+      .from('workspace_roles')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+
+    res.json({
+      builtInRoles: Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) => ({ name, permissions })),
+      roles: roles.map(formatRole),
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:workspaceId/roles
+// @desc    Create a custom role
+// @access  Private (roles.manage)
+router.post('/:workspaceId/roles', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('roles.manage'),
+  body('name').trim().isLength({ min: 1, max: 50 }),
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('permissions').isArray(),
+  body('permissions.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    if (DEFAULT_ROLE_PERMISSIONS[name.toLowerCase()]) {
+      return res.status(400).json({ error: 'Role name is reserved for a built-in role' });
+    }
+
+    const problem = checkRolePermissions(req, permissions);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    const { data: role, error } = await supabaseAdmin
+      .from('workspace_roles')
+      .insert({
+        workspace_id: workspaceId,
+        name,
+        description,
+        permissions: sanitizePermissions(permissions),
+        created_by: req.user.id
+      })
+      .select('*')
       .single();
 
-    if (userError || !user) {
-      return res.status(404).json({ error: 'User not found with this email' });
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'A role with this name already exists' });
+    }
+    if (error) {
+      return res.status(500).json({ error: 'Failed to create role' });
     }
 
-    // Check if user is already a member
-    const { data: existingMember, error: memberError } = await supabaseAdmin
-      .from('workspace_members')
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'role_created',
+      targetType: 'role',
+      targetId: role.id,
+      targetName: role.name,
+      diff: { permissions: role.permissions }
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: formatRole(role)
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:workspaceId/roles/:roleId
+// @desc    Update a custom role
+// @access  Private (roles.manage)
+router.put('/:workspaceId/roles/:roleId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('roles.manage'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }),
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId, roleId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) {
+      if (DEFAULT_ROLE_PERMISSIONS[name.toLowerCase()]) {
+        return res.status(400).json({ error: 'Role name is reserved for a built-in role' });
+      }
+      updateData.name = name;
+    }
+    if (description !== undefined) updateData.description = description;
+    if (permissions !== undefined) {
+      const problem = checkRolePermissions(req, permissions);
+      if (problem) {
+        return res.status(problem.status).json(problem.body);
+      }
+      updateData.permissions = sanitizePermissions(permissions);
+    }
+
+    const { data: role, error } = await supabaseAdmin
+      .from('workspace_roles')
+      .update(updateData)
+      .eq('id', roleId)
+      .eq('workspace_id', workspaceId)
+      .select('*')
+      .maybeSingle();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'A role with this name already exists' });
+    }
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update role' });
+    }
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'role_updated',
+      targetType: 'role',
+      targetId: role.id,
+      targetName: role.name,
+      diff: { name, description, permissions }
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role: formatRole(role)
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId/roles/:roleId
+// @desc    Delete a custom role; its members fall back to their built-in role
+// @access  Private (roles.manage)
+router.delete('/:workspaceId/roles/:roleId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('roles.manage')
+], async (req, res) => {
+  try {
+    const { workspaceId, roleId } = req.params;
+
+    const { data: role, error } = await supabaseAdmin
+      .from('workspace_roles')
+      .delete()
+      .eq('id', roleId)
+      .eq('workspace_id', workspaceId)
       .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to delete role' });
+    }
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'role_deleted',
+      targetType: 'role',
+      targetId: roleId
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/teams
+// @desc    List teams with their members
+// @access  Private (Workspace member)
+router.get('/:workspaceId/teams', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('member')
+], async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const { data: teams, error } = await supabaseAdmin
+      .from('teams')
+      .select(TEAM_SELECT)
       .eq('workspace_id', workspaceId)
-      .eq('user_id', user.id)
-      .single();
+      .order('name', { ascending: true });
 
-    if (existingMember) {
-      return res.status(400).json({ error: 'User is already a member of this workspace' });
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch teams' });
     }
 
-    // Add user to workspace
-    const { data: newMember, error: addError } = await supabaseAdmin
-      .from('workspace_members')
+    res.json({ teams: teams.map(formatTeam) });
+  } catch (error) {
+    console.error('Get teams error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:workspaceId/teams
+// @desc    Create a team
+// @access  Private (teams.manage)
+router.post('/:workspaceId/teams', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('teams.manage'),
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('memberIds').optional().isArray(),
+  body('memberIds.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId } = req.params;
+    const { name, description, memberIds = [] } = req.body;
+
+    if (memberIds.length > 0 && (await findNonMembers(workspaceId, memberIds)).length > 0) {
+      return res.status(400).json({ error: 'All team members must be members of this workspace' });
+    }
+
+    const { data: team, error } = await supabaseAdmin
+      .from('teams')
       .insert({
         workspace_id: workspaceId,
-        user_id: user.id,
-        role
+        name,
+        description,
+        created_by: req.user.id
       })
-      .select(`
-        id,
-        role,
-        profiles:user_id (
-          id,
-          email,
-          full_name,
-          avatar_url
-        )
-      `)
+      .select('id')
       .single();
 
-    if (addError) {
-      return res.status(500).json({ error: 'Failed to add user to workspace' });
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'A team with this name already exists' });
+    }
+    if (error) {
+      return res.status(500).json({ error: 'Failed to create team' });
     }
 
-    // Add user to general chat room
-    const { data: generalRoom, error: roomError } = await supabaseAdmin
-      .from('chat_rooms')
-      .select('id')
-      .eq('workspace_id', workspaceId)
-      .eq('type', 'general')
+    if (memberIds.length > 0) {
+      await addTeamMembers(team.id, [...new Set(memberIds)], req.user.id);
+    }
+
+    const { data: created } = await supabaseAdmin
+      .from('teams')
+      .select(TEAM_SELECT)
+      .eq('id', team.id)
       .single();
 
-    if (!roomError && generalRoom) {
-      await supabaseAdmin
-        .from('chat_room_members')
-        .insert({
-          room_id: generalRoom.id,
-          user_id: user.id
-        });
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'team_created',
+      targetType: 'team',
+      targetId: created.id,
+      targetName: created.name
+    });
+
+    res.status(201).json({
+      message: 'Team created successfully',
+      team: formatTeam(created)
+    });
+  } catch (error) {
+    console.error('Create team error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId/teams/:teamId
+// @desc    Get a team with its members
+// @access  Private (Workspace member)
+router.get('/:workspaceId/teams/:teamId', [
+  authenticateToken,
+  requireScope('workspaces:read'),
+  requireWorkspaceAccess('member')
+], async (req, res) => {
+  try {
+    const { workspaceId, teamId } = req.params;
+
+    const { data: team, error } = await supabaseAdmin
+      .from('teams')
+      .select(TEAM_SELECT)
+      .eq('id', teamId)
+      .eq('workspace_id', workspaceId)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to fetch team' });
+    }
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    res.json({ team: formatTeam(team) });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:workspaceId/teams/:teamId
+// @desc    Rename or describe a team
+// @access  Private (teams.manage)
+router.put('/:workspaceId/teams/:teamId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('teams.manage'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { workspaceId, teamId } = req.params;
+    const { name, description } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+
+    const { data: team, error } = await supabaseAdmin
+      .from('teams')
+      .update(updateData)
+      .eq('id', teamId)
+      .eq('workspace_id', workspaceId)
+      .select(TEAM_SELECT)
+      .maybeSingle();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'A team with this name already exists' });
+    }
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update team' });
+    }
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    res.json({
+      message: 'Team updated successfully',
+      team: formatTeam(team)
+    });
+  } catch (error) {
+    console.error('Update team error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId/teams/:teamId
+// @desc    Delete a team; members lose the rooms and documents it gave them
+// @access  Private (teams.manage)
+router.delete('/:workspaceId/teams/:teamId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('teams.manage')
+], async (req, res) => {
+  try {
+    const { workspaceId, teamId } = req.params;
+
+    if (!(await getTeam(workspaceId, teamId))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    await deleteTeam(teamId);
+
+    await recordActivity({
+      workspaceId,
+      actorId: req.user.id,
+      action: 'team_deleted',
+      targetType: 'team',
+      targetId: teamId
+    });
+
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Delete team error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:workspaceId/teams/:teamId/members
+// @desc    Add members to a team (and to the team's rooms and documents)
+// @access  Private (teams.manage)
+router.post('/:workspaceId/teams/:teamId/members', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('teams.manage'),
+  body('userIds').isArray({ min: 1 }),
+  body('userIds.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const { workspaceId, teamId } = req.params;
+    const userIds = [...new Set(req.body.userIds)];
+
+    if (!(await getTeam(workspaceId, teamId))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if ((await findNonMembers(workspaceId, userIds)).length > 0) {
+      return res.status(400).json({ error: 'All team members must be members of this workspace' });
+    }
+
+    await addTeamMembers(teamId, userIds, req.user.id);
+
+    const { data: team } = await supabaseAdmin
+      .from('teams')
+      .select(TEAM_SELECT)
+      .eq('id', teamId)
+      .single();
+
     res.status(201).json({
-      message: 'User invited to workspace successfully',
-      member: {
-        id: newMember.id,
-        role: newMember.role,
-        user: newMember.profiles
-      }
+      message: 'Team members added successfully',
+      team: formatTeam(team)
     });
   } catch (error) {
-    console.error('Invite user error:', error);
+    console.error('Add team members error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId/teams/:teamId/members/:userId
+// @desc    Remove a member from a team
+// @access  Private (teams.manage)
+router.delete('/:workspaceId/teams/:teamId/members/:userId', [
+  authenticateToken,
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest'),
+  requirePermission('teams.manage')
+], async (req, res) => {
+  try {
+    const { workspaceId, teamId, userId } = req.params;
+
+    if (!(await getTeam(workspaceId, teamId))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    await removeTeamMembers(teamId, [userId]);
+
+    res.json({ message: 'Team member removed successfully' });
+  } catch (error) {
+    console.error('Remove team member error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -377,7 +2087,8 @@ router.post('/:workspaceId/invite', [
 // @access  Private (Member)
 router.post('/:workspaceId/leave', [
   authenticateToken,
-  requireWorkspaceAccess('member')
+  requireScope('workspaces:write'),
+  requireWorkspaceAccess('guest')
 ], async (req, res) => {
   try {
     const { workspaceId } = req.params;
@@ -409,6 +2120,20 @@ router.post('/:workspaceId/leave', [
       return res.status(500).json({ error: 'Failed to leave workspace' });
     }
 
+    await removeUserFromWorkspaceTeams(workspaceId, userId);
+
+    leaveRoom(`user:${userId}`, `workspace:${workspaceId}`);
+    leaveRoom(`user:${userId}`, `workspace:${workspaceId}:members`);
+
+    await recordActivity({
+      workspaceId,
+      actorId: userId,
+      action: 'member_left',
+      targetType: 'member',
+      targetId: userId,
+      targetName: req.user.full_name || req.user.email
+    });
+
     res.json({ message: 'Left workspace successfully' });
   } catch (error) {
     console.error('Leave workspace error:', error);
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// Minimal OpenID Connect provider for trying workspace SSO locally.
+// Not secure, do not expose it: anyone can sign in as any email.
+//
+//   npm run sso:mock-idp
+//   PUT /api/sso/workspace/:workspaceId/config
+//     { "issuer": "http://localhost:4000", "clientId": "onedesk", "clientSecret": "onedesk-secret" }
+//   open http://localhost:5000/api/sso/workspace/:workspaceId/login
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+
+const createMockOidcProvider = ({
+  issuer = `http://localhost:${PORT}`,
+  clientId = process.env.MOCK_IDP_CLIENT_ID || 'onedesk',
+  clientSecret = process.env.MOCK_IDP_CLIENT_SECRET || 'onedesk-secret'
+} = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  // Authorization codes waiting to be exchanged
+  const pendingCodes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  // Shows a sign-in form, then redirects back with a code once an email is given
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, login_hint, email, name } = req.query;
+
+    if (client_id !== clientId || !redirect_uri) {
+      return res.status(400).send('Unknown client_id or missing redirect_uri');
+    }
+
+    if (!email) {
+      const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'response_type', 'scope']
+        .filter(key => req.query[key])
+        .map(key => `<input type="hidden" name="${key}" value="${String(req.query[key]).replace(/"/g, '&quot;')}">`)
+        .join('');
+
+      return res.send(`<!doctype html><title>Mock IdP</title>
+        <form method="get" action="/authorize">${hidden}
+          <p><label>Email <input name="email" value="${(login_hint || '').replace(/"/g, '&quot;')}"></label></p>
+          <p><label>Name <input name="name"></label></p>
+          <button type="submit">Sign in</button>
+        </form>`);
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    pendingCodes.set(code, { email, name, nonce, redirectUri: redirect_uri, expiresAt: Date.now() + 60 * 1000 });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, client_secret } = req.body;
+
+    if (client_id !== clientId || client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = pendingCodes.get(code);
+    pendingCodes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const email = grant.email.toLowerCase();
+    const idToken = jwt.sign(
+      {
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+        email,
+        email_verified: true,
+        name: grant.name || email.split('@')[0],
+        nonce: grant.nonce
+      },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+};
+
+// Start the provider if this file is executed directly
+if (require.main === module) {
+  createMockOidcProvider().listen(PORT, () => {
+    console.log(`Mock OIDC provider running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createMockOidcProvider };
@@ -0,0 +1,13 @@
+const { purgeExpiredWorkspaces, TRASH_RETENTION_DAYS } = require('../services/workspaceTrash');
+require('dotenv').config();
+
+// One purge pass for deployments without a long-running server (cron)
+if (require.main === module) {
+  purgeExpiredWorkspaces().then((purged) => {
+    console.log(`Purged ${purged.length} workspace(s) trashed more than ${TRASH_RETENTION_DAYS} days ago`);
+    process.exit(0);
+  }).catch((error) => {
+    console.error('Purge failed:', error);
+    process.exit(1);
+  });
+}
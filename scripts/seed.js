@@ -55,7 +55,8 @@ async function seedDatabase() {
         .insert({
           id: authData.user.id,
           email: userData.email,
-          full_name: userData.full_name
+          full_name: userData.full_name,
+          email_verified_at: new Date().toISOString()
         })
         .select()
         .single();
@@ -0,0 +1,34 @@
+require('dotenv').config();
+const { setWorkspaceQuotas } = require('../services/quotas');
+
+// Set a workspace's plan limits, e.g. from a billing job:
+//   npm run quota:set -- <workspaceId> members=25 storageMb=2048 boards=default
+// `default` clears the override so the server-wide default applies again.
+if (require.main === module) {
+  const [workspaceId, ...assignments] = process.argv.slice(2);
+
+  if (!workspaceId || assignments.length === 0) {
+    console.error('Usage: npm run quota:set -- <workspaceId> members=N storageMb=N boards=N');
+    process.exit(1);
+  }
+
+  const quotas = {};
+  assignments.forEach((assignment) => {
+    const [quota, value] = assignment.split('=');
+    const limit = value === 'default' ? null : parseInt(value, 10);
+
+    if (!['members', 'storageMb', 'boards'].includes(quota) || Number.isNaN(limit)) {
+      console.error(`Invalid quota: ${assignment}`);
+      process.exit(1);
+    }
+    quotas[quota] = limit;
+  });
+
+  setWorkspaceQuotas(workspaceId, quotas).then((effective) => {
+    console.log('Workspace quotas:', effective);
+    process.exit(0);
+  }).catch((error) => {
+    console.error('Setting quotas failed:', error);
+    process.exit(1);
+  });
+}
@@ -12,10 +12,16 @@ const workspaceRoutes = require('./routes/workspaces');
 const taskRoutes = require('./routes/tasks');
 const chatRoutes = require('./routes/chat');
 const documentRoutes = require('./routes/documents');
+const ssoRoutes = require('./routes/sso');
 
 const { setupSocketHandlers } = require('./socket/socketHandlers');
 const { setupWebRTCHandlers } = require('./socket/webrtcHandlers');
 const { setupYWebSocket } = require('./yjs/yWebSocketServer');
+const { startTrashPurgeJob } = require('./services/workspaceTrash');
+const { assertMailConfigured } = require('./services/mailer');
+
+// Refuse to start when emails (resets, invitations, unlock links) can't go out
+assertMailConfigured();
 
 const app = express();
 const server = http.createServer(app);
@@ -80,6 +86,7 @@ app.use('/api/workspaces', workspaceRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/sso', ssoRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -104,6 +111,9 @@ setupWebRTCHandlers(io);
 // Setup Y-WebSocket server for document collaboration
 setupYWebSocket(server);
 
+// Permanently delete workspaces whose time in the trash is up
+startTrashPurgeJob();
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -0,0 +1,156 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const PAGE_SIZE = 1000;
+
+// Read every row of a query, page by page (PostgREST caps a single response)
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(error.message);
+    }
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return rows;
+};
+
+// Collect everything we store about a user into one JSON-serializable bundle
+const buildUserExport = async (userId) => {
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .select('id, email, full_name, avatar_url, email_verified_at, mfa_enabled, created_at, updated_at')
+    .eq('id', userId)
+    .single();
+
+  if (profileError) {
+    throw new Error(`Failed to load profile: ${profileError.message}`);
+  }
+
+  const memberships = await fetchAll(() => supabaseAdmin
+    .from('workspace_members')
+    .select(`
+      role,
+      joined_at,
+      workspaces:workspace_id (
+        id,
+        name,
+        owner_id
+      )
+    `)
+    .eq('user_id', userId)
+    .order('joined_at', { ascending: true }));
+
+  const messages = await fetchAll(() => supabaseAdmin
+    .from('messages')
+    .select(`
+      id,
+      content,
+      message_type,
+      metadata,
+      created_at,
+      updated_at,
+      chat_rooms:room_id (
+        id,
+        name,
+        workspace_id
+      )
+    `)
+    .eq('sender_id', userId)
+    .order('created_at', { ascending: true }));
+
+  const tasks = await fetchAll(() => supabaseAdmin
+    .from('tasks')
+    .select('id, list_id, title, description, assigned_to, created_by, due_date, completed, created_at, updated_at')
+    .or(`created_by.eq.${userId},assigned_to.eq.${userId}`)
+    .order('created_at', { ascending: true }));
+
+  const documents = await fetchAll(() => supabaseAdmin
+    .from('documents')
+    .select('id, workspace_id, title, content, created_at, updated_at')
+    .eq('created_by', userId)
+    .order('created_at', { ascending: true }));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: profile.id,
+      email: profile.email,
+      fullName: profile.full_name,
+      avatarUrl: profile.avatar_url,
+      mfaEnabled: Boolean(profile.mfa_enabled),
+      createdAt: profile.created_at,
+      updatedAt: profile.updated_at
+    },
+    workspaceMemberships: memberships.map(membership => ({
+      workspaceId: membership.workspaces?.id,
+      workspaceName: membership.workspaces?.name,
+      role: membership.role,
+      isOwner: membership.workspaces?.owner_id === userId,
+      joinedAt: membership.joined_at
+    })),
+    messages: messages.map(message => ({
+      id: message.id,
+      room: message.chat_rooms,
+      content: message.content,
+      messageType: message.message_type,
+      metadata: message.metadata,
+      createdAt: message.created_at,
+      updatedAt: message.updated_at
+    })),
+    tasks: tasks.map(task => ({
+      id: task.id,
+      listId: task.list_id,
+      title: task.title,
+      description: task.description,
+      createdByMe: task.created_by === userId,
+      assignedToMe: task.assigned_to === userId,
+      dueDate: task.due_date,
+      completed: task.completed,
+      createdAt: task.created_at,
+      updatedAt: task.updated_at
+    })),
+    documents: documents.map(document => ({
+      id: document.id,
+      workspaceId: document.workspace_id,
+      title: document.title,
+      // Yjs document state, base64 encoded
+      content: document.content ? Buffer.from(document.content).toString('base64') : null,
+      createdAt: document.created_at,
+      updatedAt: document.updated_at
+    }))
+  };
+};
+
+// Workspaces the user owns (these block account deletion until handled)
+const getOwnedWorkspaces = async (userId) => {
+  const { data: workspaces, error } = await supabaseAdmin
+    .from('workspaces')
+    .select('id, name')
+    .eq('owner_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to load owned workspaces: ${error.message}`);
+  }
+
+  return workspaces;
+};
+
+// Detach the user's messages from their identity so conversations stay intact
+const anonymizeMessages = async (userId) => {
+  const { error } = await supabaseAdmin
+    .from('messages')
+    .update({ sender_id: null })
+    .eq('sender_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to anonymize messages: ${error.message}`);
+  }
+};
+
+module.exports = {
+  buildUserExport,
+  getOwnedWorkspaces,
+  anonymizeMessages
+};
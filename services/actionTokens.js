@@ -0,0 +1,58 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken, generateOpaqueToken } = require('./sessions');
+
+// Single-use, expiring tokens for emailed actions (password reset, etc.).
+// Only the hash is stored; the raw token goes out in the email link.
+
+// Issue a token, invalidating any unused token of the same purpose
+const issueActionToken = async (userId, purpose, ttlMinutes) => {
+  const token = generateOpaqueToken();
+  const now = new Date();
+
+  await supabaseAdmin
+    .from('auth_action_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  const { error } = await supabaseAdmin
+    .from('auth_action_tokens')
+    .insert({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString()
+    });
+
+  if (error) {
+    throw new Error(`Failed to issue ${purpose} token: ${error.message}`);
+  }
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null if the token is
+// unknown, expired or already used
+const consumeActionToken = async (token, purpose) => {
+  const { data: consumed, error } = await supabaseAdmin
+    .from('auth_action_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to consume ${purpose} token: ${error.message}`);
+  }
+
+  return consumed ? consumed.user_id : null;
+};
+
+module.exports = {
+  issueActionToken,
+  consumeActionToken
+};
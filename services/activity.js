@@ -0,0 +1,88 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { publish } = require('../socket/eventBus');
+
+// Workspace activity feed. Route modules record what happened (who did
+// it, to what, and which fields changed); entries are stored and pushed to
+// the workspace's members room as `workspace_activity` (guests can't read
+// the feed, it names boards and tasks they may not see).
+
+const ACTIVITY_SELECT = `
+  id,
+  workspace_id,
+  action,
+  target_type,
+  target_id,
+  target_name,
+  diff,
+  created_at,
+  profiles:actor_id (
+    id,
+    email,
+    full_name,
+    avatar_url
+  )
+`;
+
+// Format an activity row for API responses and socket events
+const formatActivity = (entry) => ({
+  id: entry.id,
+  workspaceId: entry.workspace_id,
+  action: entry.action,
+  actor: entry.profiles,
+  target: {
+    type: entry.target_type,
+    id: entry.target_id,
+    name: entry.target_name
+  },
+  diff: entry.diff,
+  createdAt: entry.created_at
+});
+
+// Changed fields between two snapshots as { field: { from, to } }, or null
+const diffFields = (before, after, fields) => {
+  const diff = {};
+  fields.forEach(field => {
+    if (after[field] !== undefined && after[field] !== before[field]) {
+      diff[field] = { from: before[field] ?? null, to: after[field] };
+    }
+  });
+  return Object.keys(diff).length > 0 ? diff : null;
+};
+
+// Record an activity entry and push it live. Failures are logged, never
+// thrown, so the feed can't break the request that triggered it.
+const recordActivity = async ({ workspaceId, actorId = null, action, targetType, targetId = null, targetName = null, diff = null }) => {
+  try {
+    const { data: entry, error } = await supabaseAdmin
+      .from('workspace_activity')
+      .insert({
+        workspace_id: workspaceId,
+        actor_id: actorId,
+        action,
+        target_type: targetType,
+        target_id: targetId,
+        target_name: targetName,
+        diff
+      })
+      .select(ACTIVITY_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const activity = formatActivity(entry);
+    publish(`workspace:${workspaceId}:members`, 'workspace_activity', activity);
+    return activity;
+  } catch (error) {
+    console.error('Record activity error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  ACTIVITY_SELECT,
+  formatActivity,
+  diffFields,
+  recordActivity
+};
@@ -0,0 +1,24 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Append a security audit entry. Failures are logged, never thrown, so an
+// audit hiccup can't break the request that triggered it.
+const recordAudit = async ({ userId = null, action, ipAddress = null, metadata = {} }) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('audit_logs')
+      .insert({
+        user_id: userId,
+        action,
+        ip_address: ipAddress,
+        metadata
+      });
+
+    if (error) {
+      console.error('Failed to write audit log:', error);
+    }
+  } catch (error) {
+    console.error('Error in recordAudit:', error);
+  }
+};
+
+module.exports = { recordAudit };
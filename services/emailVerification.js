@@ -0,0 +1,84 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { issueActionToken, consumeActionToken } = require('./actionTokens');
+const { sendMail, buildAppUrl } = require('./mailer');
+
+const VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440', 10);
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60', 10);
+const MAX_SENDS_PER_HOUR = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR || '5', 10);
+
+// Check whether another verification email may be sent to this user yet.
+// Returns { allowed: true } or { allowed: false, retryAfter } (seconds).
+const checkResendAllowed = async (userId) => {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+  const { data: recent, error } = await supabaseAdmin
+    .from('auth_action_tokens')
+    .select('created_at')
+    .eq('user_id', userId)
+    .eq('purpose', 'email_verification')
+    .gte('created_at', hourAgo.toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to check verification emails: ${error.message}`);
+  }
+
+  if (recent.length === 0) {
+    return { allowed: true };
+  }
+
+  const lastSentAt = new Date(recent[0].created_at).getTime();
+  const cooldownEndsAt = lastSentAt + RESEND_COOLDOWN_SECONDS * 1000;
+  if (cooldownEndsAt > Date.now()) {
+    return { allowed: false, retryAfter: Math.ceil((cooldownEndsAt - Date.now()) / 1000) };
+  }
+
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    const oldestSentAt = new Date(recent[recent.length - 1].created_at).getTime();
+    return { allowed: false, retryAfter: Math.ceil((oldestSentAt + 60 * 60 * 1000 - Date.now()) / 1000) };
+  }
+
+  return { allowed: true };
+};
+
+// Email a fresh verification link; earlier links stop working
+const sendVerificationEmail = async (profile) => {
+  const token = await issueActionToken(profile.id, 'email_verification', VERIFICATION_TTL_MINUTES);
+  const verifyUrl = buildAppUrl('/verify-email', { token });
+
+  await sendMail({
+    to: profile.email,
+    subject: 'Verify your OneDesk email address',
+    text: `Hi ${profile.full_name || ''},\n\n`
+      + `Confirm your email address with this link (valid for ${Math.round(VERIFICATION_TTL_MINUTES / 60)} hours):\n${verifyUrl}\n\n`
+      + 'If you did not create a OneDesk account, you can ignore this email.'
+  });
+};
+
+// Consume a verification token and mark the address as verified.
+// Returns the updated profile, or null if the token is invalid.
+const verifyEmailToken = async (token) => {
+  const userId = await consumeActionToken(token, 'email_verification');
+  if (!userId) {
+    return null;
+  }
+
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ email_verified_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select('id, email, full_name, email_verified_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to mark email as verified: ${error.message}`);
+  }
+
+  return profile;
+};
+
+module.exports = {
+  checkResendAllowed,
+  sendVerificationEmail,
+  verifyEmailToken
+};
@@ -0,0 +1,173 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken, generateOpaqueToken } = require('./sessions');
+const { sendMail, buildAppUrl } = require('./mailer');
+const { addWorkspaceMember, getWorkspaceMembership } = require('./workspaceMembership');
+const { checkQuota } = require('./quotas');
+
+// Email invitations for people who may not have an account yet. Like other
+// emailed tokens only the hash is stored.
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+
+// Create an invitation (replacing any pending one for the same email) and
+// email the link. Returns the invitation row.
+const createInvitation = async ({ workspace, email, role, invitedBy }) => {
+  const token = generateOpaqueToken();
+  const now = new Date();
+
+  await supabaseAdmin
+    .from('workspace_invitations')
+    .update({ revoked_at: now.toISOString() })
+    .eq('workspace_id', workspace.id)
+    .eq('email', email)
+    .is('accepted_at', null)
+    .is('declined_at', null)
+    .is('revoked_at', null);
+
+  const { data: invitation, error } = await supabaseAdmin
+    .from('workspace_invitations')
+    .insert({
+      workspace_id: workspace.id,
+      email,
+      role,
+      token_hash: hashToken(token),
+      invited_by: invitedBy.id,
+      expires_at: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create invitation: ${error.message}`);
+  }
+
+  const inviteUrl = buildAppUrl('/invitations/accept', { token });
+
+  await sendMail({
+    to: email,
+    subject: `${invitedBy.full_name || invitedBy.email} invited you to ${workspace.name} on OneDesk`,
+    text: `Hi,\n\n`
+      + `${invitedBy.full_name || invitedBy.email} invited you to join the "${workspace.name}" workspace on OneDesk.\n\n`
+      + `Accept the invitation here (valid for ${INVITATION_TTL_DAYS} days):\n${inviteUrl}\n\n`
+      + 'If you don\'t have an account yet, sign up with this email address and you will be added automatically.'
+  });
+
+  return invitation;
+};
+
+// Pending (not accepted, declined, revoked or expired) invitation for a token, or null
+const findPendingInvitation = async (token) => {
+  const { data: invitation, error } = await supabaseAdmin
+    .from('workspace_invitations')
+    .select(`
+      *,
+      workspaces:workspace_id (
+        id,
+        name,
+        deleted_at
+      ),
+      profiles:invited_by (
+        id,
+        email,
+        full_name
+      )
+    `)
+    .eq('token_hash', hashToken(token))
+    .is('accepted_at', null)
+    .is('declined_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load invitation: ${error.message}`);
+  }
+
+  // Invitations to a workspace in the trash can't be used
+  if (invitation?.workspaces?.deleted_at) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// Mark an invitation as accepted and add the user to its workspace.
+// Returns the membership, or null if the invitation was already used.
+const acceptInvitation = async (invitation, userId) => {
+  const { data: claimed, error } = await supabaseAdmin
+    .from('workspace_invitations')
+    .update({ accepted_at: new Date().toISOString(), accepted_by: userId })
+    .eq('id', invitation.id)
+    .is('accepted_at', null)
+    .is('declined_at', null)
+    .is('revoked_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to accept invitation: ${error.message}`);
+  }
+  if (!claimed) {
+    return null;
+  }
+
+  const existing = await getWorkspaceMembership(invitation.workspace_id, userId);
+  if (existing) {
+    return existing;
+  }
+
+  const { data: member, error: addError } = await addWorkspaceMember(invitation.workspace_id, userId, invitation.role, { via: 'invitation' });
+  if (addError) {
+    throw new Error(`Failed to add invited user: ${addError.message}`);
+  }
+
+  return member;
+};
+
+// Accept every pending invitation addressed to a profile's email. Only
+// verified addresses are trusted; until then the emailed link still works.
+// Never throws, so sign-in flows are not blocked by it.
+const claimPendingInvitations = async (profile) => {
+  if (!profile.email || !profile.email_verified_at) {
+    return [];
+  }
+
+  try {
+    const { data: invitations, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .select('id, workspace_id, role, workspaces:workspace_id!inner (deleted_at)')
+      .eq('email', profile.email.toLowerCase())
+      .is('workspaces.deleted_at', null)
+      .is('accepted_at', null)
+      .is('declined_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const joined = [];
+    for (const invitation of invitations) {
+      // Full workspaces keep the invitation pending until a seat frees up
+      if (await checkQuota(invitation.workspace_id, 'members')) {
+        continue;
+      }
+      if (await acceptInvitation(invitation, profile.id)) {
+        joined.push(invitation.workspace_id);
+      }
+    }
+    return joined;
+  } catch (error) {
+    console.error('Claim invitations error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation,
+  claimPendingInvitations
+};
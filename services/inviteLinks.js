@@ -0,0 +1,178 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken, generateOpaqueToken } = require('./sessions');
+const { buildAppUrl } = require('./mailer');
+const { addWorkspaceMember, getWorkspaceMembership } = require('./workspaceMembership');
+const { checkQuota } = require('./quotas');
+
+// Shareable workspace join links. The raw token is only returned when the
+// link is created; the database keeps its hash.
+
+const MAX_REDEEM_ATTEMPTS = 3;
+
+const buildInviteLinkUrl = (token) => buildAppUrl('/join', { token });
+
+// Create a link and return { token, url, link }
+const createInviteLink = async ({ workspaceId, role, maxUses, expiresAt, allowedDomains, createdBy }) => {
+  const token = generateOpaqueToken();
+
+  const { data: link, error } = await supabaseAdmin
+    .from('workspace_invite_links')
+    .insert({
+      workspace_id: workspaceId,
+      token_hash: hashToken(token),
+      role,
+      max_uses: maxUses || null,
+      expires_at: expiresAt || null,
+      allowed_domains: allowedDomains || [],
+      created_by: createdBy
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create invite link: ${error.message}`);
+  }
+
+  return { token, url: buildInviteLinkUrl(token), link };
+};
+
+// Why a link can't be used right now, or null if it can
+const getInviteLinkProblem = (link) => {
+  if (link.revoked_at) return 'revoked';
+  if (link.workspaces?.deleted_at) return 'unavailable';
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) return 'expired';
+  if (link.max_uses !== null && link.use_count >= link.max_uses) return 'exhausted';
+  return null;
+};
+
+// A link with the workspace fields its checks need
+const INVITE_LINK_SELECT = `
+  *,
+  workspaces:workspace_id (
+    id,
+    name,
+    block_unverified_invites,
+    deleted_at
+  )
+`;
+
+// Look up a link by its raw token (with the workspace name), or null
+const findInviteLink = async (token) => {
+  const { data: link, error } = await supabaseAdmin
+    .from('workspace_invite_links')
+    .select(INVITE_LINK_SELECT)
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load invite link: ${error.message}`);
+  }
+
+  return link;
+};
+
+// Count one use of a link without going over max_uses. Uses compare-and-set
+// on use_count so concurrent joins can't both take the last slot.
+const claimInviteLinkUse = async (link) => {
+  let current = link;
+
+  for (let attempt = 0; attempt < MAX_REDEEM_ATTEMPTS; attempt++) {
+    if (getInviteLinkProblem(current)) {
+      return false;
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('workspace_invite_links')
+      .update({ use_count: current.use_count + 1 })
+      .eq('id', current.id)
+      .eq('use_count', current.use_count)
+      .is('revoked_at', null)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to use invite link: ${error.message}`);
+    }
+    if (updated) {
+      return true;
+    }
+
+    // Reload with the workspace so a trashed workspace still stops the join
+    const { data: reloaded } = await supabaseAdmin
+      .from('workspace_invite_links')
+      .select(INVITE_LINK_SELECT)
+      .eq('id', link.id)
+      .maybeSingle();
+    if (!reloaded) {
+      return false;
+    }
+    current = reloaded;
+  }
+
+  return false;
+};
+
+// Join a workspace through a link. Returns { data: member } or
+// { error: { status, message, code } } describing why the user can't join.
+const redeemInviteLink = async (link, user) => {
+  const problem = getInviteLinkProblem(link);
+  if (problem) {
+    return { error: { status: 410, message: `Invite link is ${problem}`, code: `LINK_${problem.toUpperCase()}` } };
+  }
+
+  const allowedDomains = link.allowed_domains || [];
+  const userDomain = user.email.split('@').pop().toLowerCase();
+
+  if (allowedDomains.length > 0 || link.workspaces?.block_unverified_invites) {
+    if (!user.email_verified_at) {
+      return { error: { status: 403, message: 'Verify your email address before joining', code: 'EMAIL_NOT_VERIFIED' } };
+    }
+  }
+
+  if (allowedDomains.length > 0 && !allowedDomains.includes(userDomain)) {
+    return { error: { status: 403, message: 'This invite link is restricted to other email domains', code: 'DOMAIN_NOT_ALLOWED' } };
+  }
+
+  if (await getWorkspaceMembership(link.workspace_id, user.id)) {
+    return { error: { status: 400, message: 'You are already a member of this workspace' } };
+  }
+
+  const exceeded = await checkQuota(link.workspace_id, 'members');
+  if (exceeded) {
+    return { error: { status: exceeded.status, message: exceeded.message, code: exceeded.code } };
+  }
+
+  if (!(await claimInviteLinkUse(link))) {
+    return { error: { status: 410, message: 'Invite link is no longer valid', code: 'LINK_EXHAUSTED' } };
+  }
+
+  const { data: member, error } = await addWorkspaceMember(link.workspace_id, user.id, link.role, { via: 'invite_link' });
+
+  if (error) {
+    // Give the slot back; the join didn't happen
+    const { data: latest } = await supabaseAdmin
+      .from('workspace_invite_links')
+      .select('use_count')
+      .eq('id', link.id)
+      .single();
+
+    if (latest && latest.use_count > 0) {
+      await supabaseAdmin
+        .from('workspace_invite_links')
+        .update({ use_count: latest.use_count - 1 })
+        .eq('id', link.id)
+        .eq('use_count', latest.use_count);
+    }
+
+    throw new Error(`Failed to join workspace: ${error.message}`);
+  }
+
+  return { data: member };
+};
+
+module.exports = {
+  createInviteLink,
+  findInviteLink,
+  getInviteLinkProblem,
+  redeemInviteLink
+};
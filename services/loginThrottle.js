@@ -0,0 +1,160 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { issueActionToken } = require('./actionTokens');
+const { sendMail, buildAppUrl } = require('./mailer');
+const { recordAudit } = require('./audit');
+
+// Failed-login tracking for /api/auth/login, /api/auth/login/mfa and
+// /api/auth/oauth.
+// Failures are counted per account (email) and per IP over a sliding window:
+// every failure adds a growing delay, too many failures for an account lock
+// it temporarily, and too many from one IP block that IP for the window.
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10);
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || '5', 10);
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const UNLOCK_TOKEN_TTL_MINUTES = 24 * 60;
+const MAX_DELAY_MS = 5000;
+const MAX_MFA_CHALLENGE_FAILURES = parseInt(process.env.MFA_MAX_CHALLENGE_FAILURES || '3', 10);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const windowStart = () => new Date(Date.now() - WINDOW_MINUTES * 60 * 1000).toISOString();
+
+const countFailures = async (column, value, since = windowStart()) => {
+  const { count, error } = await supabaseAdmin
+    .from('failed_logins')
+    .select('*', { count: 'exact', head: true })
+    .eq(column, value)
+    .gte('created_at', since);
+
+  if (error) {
+    console.error('Failed to count login failures:', error);
+    return 0;
+  }
+
+  return count || 0;
+};
+
+// 0 failures: no delay, then 250ms, 500ms, 1s, ... capped at 5s
+const delayFor = (failures) => {
+  if (failures === 0) return 0;
+  return Math.min(250 * 2 ** (failures - 1), MAX_DELAY_MS);
+};
+
+// Check whether an attempt may proceed. Returns
+// { allowed: false, reason: 'ip' | 'account', retryAfter } or { allowed: true }
+// after waiting out the progressive delay.
+const checkLoginAttempt = async ({ email, ipAddress }) => {
+  const ipFailures = ipAddress ? await countFailures('ip_address', ipAddress) : 0;
+  if (ipFailures >= MAX_IP_FAILURES) {
+    return { allowed: false, reason: 'ip', retryAfter: WINDOW_MINUTES * 60 };
+  }
+
+  let accountFailures = 0;
+  if (email) {
+    const { data: profile } = await supabaseAdmin
+      .from('profiles')
+      .select('id, locked_until')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (profile?.locked_until && new Date(profile.locked_until) > new Date()) {
+      const retryAfter = Math.ceil((new Date(profile.locked_until) - Date.now()) / 1000);
+      return { allowed: false, reason: 'account', retryAfter };
+    }
+
+    accountFailures = await countFailures('email', email);
+  }
+
+  await sleep(delayFor(Math.max(ipFailures, accountFailures)));
+  return { allowed: true };
+};
+
+// Lock an account, audit it and email an unlock link. Only the request that
+// actually flips the lock sends the email.
+const lockAccount = async (profile, { ipAddress, failures }) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+
+  const { data: locked, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ locked_until: lockedUntil })
+    .eq('id', profile.id)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('id')
+    .maybeSingle();
+
+  if (error || !locked) return;
+
+  await recordAudit({
+    userId: profile.id,
+    action: 'account_locked',
+    ipAddress,
+    metadata: { failures, lockedUntil, windowMinutes: WINDOW_MINUTES }
+  });
+
+  const token = await issueActionToken(profile.id, 'account_unlock', UNLOCK_TOKEN_TTL_MINUTES);
+
+  await sendMail({
+    to: profile.email,
+    subject: 'Your OneDesk account has been temporarily locked',
+    text: `We locked your account for ${LOCKOUT_MINUTES} minutes after ${failures} failed sign-in attempts.\n\n`
+      + `If this was you, you can unlock it right away:\n${buildAppUrl('/unlock-account', { token })}\n\n`
+      + 'If it was not you, consider resetting your password.'
+  });
+};
+
+// Record a failed attempt and lock the account when it crosses the limit
+const recordLoginFailure = async ({ email, ipAddress }) => {
+  const { error } = await supabaseAdmin
+    .from('failed_logins')
+    .insert({ email: email || null, ip_address: ipAddress });
+
+  if (error) {
+    console.error('Failed to record login failure:', error);
+    return;
+  }
+
+  if (!email) return;
+
+  const failures = await countFailures('email', email);
+  if (failures < MAX_ACCOUNT_FAILURES) return;
+
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('id, email')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (profile) {
+    try {
+      await lockAccount(profile, { ipAddress, failures });
+    } catch (lockError) {
+      console.error('Failed to complete account lockout:', lockError);
+    }
+  }
+};
+
+// Whether an MFA challenge issued at `issuedAt` has seen too many wrong
+// codes for the account; the login then has to start over
+const isMfaChallengeExhausted = async (email, issuedAt) =>
+  (await countFailures('email', email, issuedAt.toISOString())) >= MAX_MFA_CHALLENGE_FAILURES;
+
+// Forget failures for an account (successful login or unlock)
+const clearLoginFailures = async (email) => {
+  const { error } = await supabaseAdmin
+    .from('failed_logins')
+    .delete()
+    .eq('email', email);
+
+  if (error) {
+    console.error('Failed to clear login failures:', error);
+  }
+};
+
+module.exports = {
+  checkLoginAttempt,
+  recordLoginFailure,
+  isMfaChallengeExhausted,
+  clearLoginFailures
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable mail delivery. MAIL_TRANSPORT picks the transport:
+// - console: print messages to stdout (default outside production, for local development)
+// - file:    write each message as JSON into MAIL_FILE_DIR
+// - webhook: POST each message as JSON to MAIL_WEBHOOK_URL (e.g. a provider relay)
+// Other transports can be added at startup with registerTransport().
+const MAIL_FROM = process.env.MAIL_FROM || 'OneDesk <no-reply@onedesk.local>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+const transports = new Map();
+
+transports.set('console', async (message) => {
+  console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+});
+
+transports.set('file', async (message) => {
+  await fs.promises.mkdir(MAIL_FILE_DIR, { recursive: true });
+  const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9.@_-]/g, '_')}.json`;
+  await fs.promises.writeFile(
+    path.join(MAIL_FILE_DIR, fileName),
+    JSON.stringify(message, null, 2)
+  );
+});
+
+transports.set('webhook', async (message) => {
+  const response = await fetch(process.env.MAIL_WEBHOOK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Mail webhook responded with ${response.status}`);
+  }
+});
+
+const registerTransport = (name, send) => {
+  transports.set(name, send);
+};
+
+// Helper function to pick the transport. Production has no default, so
+// password resets and invitations never end up in the logs by accident.
+const getTransportName = () => process.env.MAIL_TRANSPORT
+  || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+// Throw unless mail can be delivered as configured; call at startup after
+// registering custom transports
+const assertMailConfigured = () => {
+  const transportName = getTransportName();
+
+  if (!transportName) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  if (!transports.has(transportName)) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+  if (transportName === 'webhook' && !process.env.MAIL_WEBHOOK_URL) {
+    throw new Error('MAIL_WEBHOOK_URL is required for the webhook mail transport');
+  }
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = getTransportName();
+  const send = transports.get(transportName);
+
+  if (!send) {
+    throw new Error(transportName ? `Unknown mail transport: ${transportName}` : 'MAIL_TRANSPORT is not set');
+  }
+
+  await send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString()
+  });
+};
+
+// Build an absolute link into the frontend app
+const buildAppUrl = (pathname, params = {}) => {
+  const baseUrl = process.env.APP_URL
+    || (process.env.FRONTEND_URLS || process.env.FRONTEND_URL || '').split(',')[0].trim()
+    || 'http://localhost:3000';
+  const url = new URL(pathname, baseUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  assertMailConfigured,
+  buildAppUrl
+};
@@ -0,0 +1,98 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { publish } = require('../socket/eventBus');
+const { sendMail, buildAppUrl } = require('./mailer');
+
+// @mentions in task comments. Clients insert `@[Display Name](userId)`;
+// typing a plain `@person@example.com` works too. Only workspace members
+// who can see the board are mentioned (guests need the board shared).
+
+const MARKUP_MENTION = /@\[[^\]]*\]\(([0-9a-fA-F-]{36})\)/g;
+const EMAIL_MENTION = /(?:^|[^\w[])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// User ids and emails mentioned in a text
+const extractMentions = (content) => {
+  const userIds = [...content.matchAll(MARKUP_MENTION)].map(match => match[1].toLowerCase());
+  const emails = [...content.matchAll(EMAIL_MENTION)].map(match => match[1].toLowerCase());
+  return { userIds: [...new Set(userIds)], emails: [...new Set(emails)] };
+};
+
+// Profiles of the members mentioned in a text who can see the board
+const resolveMentions = async (workspaceId, boardId, content) => {
+  const { userIds, emails } = extractMentions(content);
+  if (userIds.length === 0 && emails.length === 0) {
+    return [];
+  }
+
+  const { data: members, error } = await supabaseAdmin
+    .from('workspace_members')
+    .select('role, profiles:user_id!inner (id, email, full_name, avatar_url)')
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    throw new Error(`Failed to resolve mentions: ${error.message}`);
+  }
+
+  const mentioned = members.filter(member =>
+    userIds.includes(member.profiles.id) || emails.includes(member.profiles.email.toLowerCase()));
+
+  const guestIds = mentioned.filter(member => member.role === 'guest').map(member => member.profiles.id);
+  let sharedGuestIds = [];
+  if (guestIds.length > 0) {
+    const { data: shares } = await supabaseAdmin
+      .from('task_board_guests')
+      .select('user_id')
+      .eq('board_id', boardId)
+      .in('user_id', guestIds);
+    sharedGuestIds = (shares || []).map(share => share.user_id);
+  }
+
+  return mentioned
+    .filter(member => member.role !== 'guest' || sharedGuestIds.includes(member.profiles.id))
+    .map(member => member.profiles);
+};
+
+// Tell mentioned users about a comment: a live `task_mention` event and an
+// email. Failures are logged, never thrown.
+const notifyMentions = async ({ users, author, task, boardId, workspaceId, comment }) => {
+  const taskUrl = buildAppUrl(`/workspaces/${workspaceId}/boards/${boardId}`, { task: task.id });
+  const authorName = author.full_name || author.email;
+
+  for (const user of users) {
+    if (user.id === author.id) {
+      continue;
+    }
+
+    publish(`user:${user.id}`, 'task_mention', {
+      workspaceId,
+      boardId,
+      taskId: task.id,
+      taskTitle: task.title,
+      comment,
+      mentionedBy: {
+        id: author.id,
+        email: author.email,
+        full_name: author.full_name,
+        avatar_url: author.avatar_url
+      }
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${authorName} mentioned you on "${task.title}"`,
+        text: `Hi,\n\n`
+          + `${authorName} mentioned you in a comment on the task "${task.title}":\n\n`
+          + `${comment.content}\n\n`
+          + `Open the task: ${taskUrl}`
+      });
+    } catch (error) {
+      console.error('Mention email error:', error);
+    }
+  }
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions,
+  notifyMentions
+};
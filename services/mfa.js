@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken } = require('./sessions');
+const { verifyCode } = require('./totp');
+
+const MFA_CHALLENGE_TTL = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Short-lived token proving the password step of a login succeeded.
+// It has no session id, so authenticateToken never accepts it.
+const generateMfaChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'mfa_pending' },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
+};
+
+// Returns { userId, issuedAt } of a valid challenge token, or null
+const verifyMfaChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'mfa_pending') {
+      return null;
+    }
+    return { userId: decoded.userId, issuedAt: new Date(decoded.iat * 1000) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate recovery codes; returns the plain codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+const getUserMfa = async (userId) => {
+  const { data: mfa, error } = await supabaseAdmin
+    .from('user_mfa')
+    .select('user_id, secret, enabled_at, recovery_code_hashes, last_used_step')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load MFA settings: ${error.message}`);
+  }
+
+  return mfa;
+};
+
+// Check a TOTP code (or a recovery code) for a user with MFA enabled.
+// Accepted TOTP steps and recovery codes are burned so they can't be replayed.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const mfa = await getUserMfa(userId);
+  if (!mfa || !mfa.enabled_at) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(mfa.secret, code, { afterStep: mfa.last_used_step ?? -1 });
+    if (step === null) {
+      return false;
+    }
+
+    const { data: updated } = await supabaseAdmin
+      .from('user_mfa')
+      .update({ last_used_step: step })
+      .eq('user_id', userId)
+      .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+      .select('user_id')
+      .maybeSingle();
+
+    return Boolean(updated);
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+    const remaining = mfa.recovery_code_hashes || [];
+    if (!remaining.includes(codeHash)) {
+      return false;
+    }
+
+    // Compare-and-set on the whole list: a concurrent login spending the same
+    // (or another) code changes it, and this update then matches no row
+    const { data: updated } = await supabaseAdmin
+      .from('user_mfa')
+      .update({ recovery_code_hashes: remaining.filter(hash => hash !== codeHash) })
+      .eq('user_id', userId)
+      .contains('recovery_code_hashes', remaining)
+      .containedBy('recovery_code_hashes', remaining)
+      .select('user_id')
+      .maybeSingle();
+
+    return Boolean(updated);
+  }
+
+  return false;
+};
+
+module.exports = {
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateRecoveryCodes,
+  getUserMfa,
+  verifySecondFactor
+};
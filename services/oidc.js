@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect relying party for per-workspace single sign-on
+// (authorization-code flow with a confidential client).
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const SSO_STATE_TTL = process.env.SSO_STATE_EXPIRES_IN || '10m';
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// Where the identity provider sends the browser back to
+const getCallbackUrl = () => {
+  const base = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, '')}/api/sso/callback`;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+
+  return body;
+};
+
+// Load (and cache) the provider's discovery document
+const discoverProvider = async (issuer) => {
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+  if (metadata.issuer !== issuer) {
+    throw new Error(`Issuer mismatch in discovery document: expected ${issuer}, got ${metadata.issuer}`);
+  }
+
+  metadataCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+  return metadata;
+};
+
+// Public key for a key id, refetching the JWKS once if the key is unknown
+// (the provider may have rotated keys)
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+
+  if (!jwk) {
+    ({ keys } = await fetchJson(jwksUri));
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const hashBrowserKey = (browserKey) => crypto.createHash('sha256').update(browserKey).digest('base64url');
+
+// Signed, short-lived state parameter carrying the workspace and nonce,
+// so the callback needs no server-side storage. The state is bound to the
+// browser through `browserKey`, which the caller keeps in a cookie.
+const createLoginState = (workspaceId) => {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const browserKey = crypto.randomBytes(32).toString('base64url');
+  const state = jwt.sign(
+    { workspaceId, nonce, browser: hashBrowserKey(browserKey), purpose: 'sso_state' },
+    process.env.JWT_SECRET,
+    { expiresIn: SSO_STATE_TTL }
+  );
+  return { state, nonce, browserKey };
+};
+
+// Returns { workspaceId, nonce } for a valid state presented by the
+// browser holding its key, or null
+const verifyLoginState = (state, browserKey) => {
+  if (!browserKey) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(state, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'sso_state' || typeof decoded.browser !== 'string') {
+      return null;
+    }
+
+    const expected = Buffer.from(decoded.browser);
+    const actual = Buffer.from(hashBrowserKey(browserKey));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return { workspaceId: decoded.workspaceId, nonce: decoded.nonce };
+  } catch (error) {
+    return null;
+  }
+};
+
+const buildAuthorizationUrl = async (config, { state, nonce, loginHint }) => {
+  const metadata = await discoverProvider(config.issuer);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.client_id);
+  url.searchParams.set('redirect_uri', getCallbackUrl());
+  url.searchParams.set('scope', 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+
+  return url.toString();
+};
+
+// Exchange the authorization code and return the verified ID token claims
+const completeAuthorization = async (config, { code, nonce }) => {
+  const metadata = await discoverProvider(config.issuer);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getCallbackUrl(),
+      client_id: config.client_id,
+      client_secret: config.client_secret
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an id_token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed id_token');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: SIGNING_ALGORITHMS,
+    issuer: config.issuer,
+    audience: config.client_id
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('id_token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Lowercased domain part of an email address
+const emailDomain = (email) => email.split('@').pop().toLowerCase();
+
+module.exports = {
+  getCallbackUrl,
+  discoverProvider,
+  createLoginState,
+  verifyLoginState,
+  buildAuthorizationUrl,
+  completeAuthorization,
+  emailDomain
+};
@@ -0,0 +1,153 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Workspace permission matrix. Every member has a built-in role
+// (owner/admin/member/guest); members can additionally be given a custom
+// workspace role, whose permission list then replaces the built-in one.
+
+const PERMISSIONS = {
+  'boards.create': 'Create task boards',
+  'boards.edit': 'Create, edit, archive and reorder lists, create and edit task labels',
+  'boards.manage': 'Edit, archive and delete boards, delete lists and task labels, share boards with guests',
+  'tasks.create': 'Create tasks',
+  'tasks.edit': 'Edit and move any task (own and assigned tasks are always editable)',
+  'tasks.delete': 'Delete other people\'s tasks (own tasks can always be deleted)',
+  'chat.create_rooms': 'Create chat rooms',
+  'chat.manage_members': 'Add and remove members in chat rooms you belong to',
+  'chat.manage_rooms': 'Delete other people\'s chat rooms',
+  'documents.create': 'Create documents',
+  'documents.manage': 'Act as admin on every document in the workspace',
+  'members.invite': 'Invite people and manage invitations and invite links',
+  'members.remove': 'Remove members from the workspace',
+  'teams.manage': 'Create teams and manage team membership',
+  'roles.manage': 'Create custom roles and change other members\' roles'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles, lowest first. Guests only see boards, rooms and
+// documents that were explicitly shared with them.
+const ROLE_LEVELS = { guest: 0, member: 1, admin: 2, owner: 3 };
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS,
+  member: [
+    'boards.create',
+    'boards.edit',
+    'tasks.create',
+    'tasks.edit',
+    'tasks.delete',
+    'chat.create_rooms',
+    'chat.manage_members',
+    'documents.create'
+  ],
+  guest: ['tasks.create', 'tasks.edit']
+};
+
+// Keep only known permission names
+const sanitizePermissions = (permissions) =>
+  [...new Set(permissions)].filter(permission => ALL_PERMISSIONS.includes(permission));
+
+// Load a user's role and effective permissions in a workspace, or null if
+// they are not a member
+const getWorkspaceAccess = async (workspaceId, userId) => {
+  const { data: membership, error } = await supabaseAdmin
+    .from('workspace_members')
+    .select(`
+      role,
+      role_id,
+      workspaces:workspace_id (
+        require_mfa,
+        deleted_at
+      ),
+      workspace_roles:role_id (
+        id,
+        name,
+        permissions
+      )
+    `)
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load workspace access: ${error.message}`);
+  }
+  if (!membership) {
+    return null;
+  }
+
+  // Owners and admins always keep full access
+  const customRole = ['owner', 'admin'].includes(membership.role) ? null : membership.workspace_roles;
+  const permissions = new Set(customRole ? customRole.permissions : DEFAULT_ROLE_PERMISSIONS[membership.role]);
+
+  // Custom roles saved before boards.edit was split off boards.manage
+  if (permissions.has('boards.manage')) {
+    permissions.add('boards.edit');
+  }
+
+  return {
+    role: membership.role,
+    roleId: customRole?.id || null,
+    roleName: customRole?.name || membership.role,
+    permissions,
+    requireMfa: Boolean(membership.workspaces?.require_mfa),
+    deletedAt: membership.workspaces?.deleted_at || null
+  };
+};
+
+// Resolve a user's permission on a document ('read', 'write' or 'admin'),
+// shared by the REST routes and the live (Socket.io and Yjs) connections.
+// Only workspace members have one: documents.manage acts as admin on every
+// document, anyone else (guests included) needs a collaborator row. Returns
+// null for unknown documents; callers refuse trashed workspaces (deletedAt).
+const getDocumentAccess = async (documentId, userId) => {
+  const { data: document, error } = await supabaseAdmin
+    .from('documents')
+    .select('workspace_id')
+    .eq('id', documentId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load document: ${error.message}`);
+  }
+  if (!document) {
+    return null;
+  }
+
+  const workspaceAccess = await getWorkspaceAccess(document.workspace_id, userId);
+  let permission = null;
+
+  if (workspaceAccess?.permissions.has('documents.manage')) {
+    permission = 'admin';
+  } else if (workspaceAccess) {
+    const { data: collaborator, error: collaboratorError } = await supabaseAdmin
+      .from('document_collaborators')
+      .select('permission')
+      .eq('document_id', documentId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (collaboratorError) {
+      throw new Error(`Failed to load document access: ${collaboratorError.message}`);
+    }
+    permission = collaborator?.permission || null;
+  }
+
+  return {
+    workspaceId: document.workspace_id,
+    workspaceAccess,
+    permission,
+    deletedAt: workspaceAccess?.deletedAt || null
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_LEVELS,
+  DEFAULT_ROLE_PERMISSIONS,
+  sanitizePermissions,
+  getWorkspaceAccess,
+  getDocumentAccess
+};
@@ -0,0 +1,92 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken, generateOpaqueToken } = require('./sessions');
+
+// Personal access tokens let scripts call the REST API without a login
+// session. They are opaque, prefixed so they can be told apart from JWTs,
+// stored hashed, and limited by scopes and optionally a single workspace.
+const TOKEN_PREFIX = 'odp_';
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const SCOPES = [
+  'workspaces:read',
+  'workspaces:write',
+  'users:read',
+  'tasks:read',
+  'tasks:write',
+  'chat:read',
+  'chat:write',
+  'documents:read',
+  'documents:write'
+];
+
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// A write scope also grants read access to the same resource
+const hasScope = (scopes, required) => {
+  if (scopes.includes(required)) return true;
+  const [resource, action] = required.split(':');
+  return action === 'read' && scopes.includes(`${resource}:write`);
+};
+
+const createPersonalAccessToken = async (userId, { name, scopes, workspaceId, expiresAt }) => {
+  const token = `${TOKEN_PREFIX}${generateOpaqueToken()}`;
+
+  const { data: record, error } = await supabaseAdmin
+    .from('personal_access_tokens')
+    .insert({
+      user_id: userId,
+      name,
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes,
+      workspace_id: workspaceId || null,
+      expires_at: expiresAt || null
+    })
+    .select('id, name, token_prefix, scopes, workspace_id, expires_at, last_used_at, created_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create personal access token: ${error.message}`);
+  }
+
+  return { token, record };
+};
+
+// Look up a presented token. Returns { userId, tokenId, scopes, workspaceId }
+// or null when it is unknown, revoked or expired.
+const verifyPersonalAccessToken = async (token) => {
+  const { data: record, error } = await supabaseAdmin
+    .from('personal_access_tokens')
+    .select('id, user_id, scopes, workspace_id, expires_at, revoked_at, last_used_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error || !record) return null;
+  if (record.revoked_at) return null;
+  if (record.expires_at && new Date(record.expires_at) <= new Date()) return null;
+
+  if (!record.last_used_at || Date.now() - new Date(record.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    supabaseAdmin
+      .from('personal_access_tokens')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', record.id)
+      .then(({ error: updateError }) => {
+        if (updateError) console.warn('Failed to update token last_used_at:', updateError);
+      });
+  }
+
+  return {
+    userId: record.user_id,
+    tokenId: record.id,
+    scopes: record.scopes || [],
+    workspaceId: record.workspace_id
+  };
+};
+
+module.exports = {
+  SCOPES,
+  isPersonalAccessToken,
+  hasScope,
+  createPersonalAccessToken,
+  verifyPersonalAccessToken
+};
@@ -0,0 +1,140 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Workspace quotas for plan tiers. Each workspace may override the limits
+// (max_members, max_storage_mb, max_boards columns); NULL falls back to the
+// server-wide default from the environment, and no default means unlimited.
+
+const parseLimit = (value) => (value ? parseInt(value, 10) : null);
+
+const DEFAULT_QUOTAS = {
+  members: parseLimit(process.env.WORKSPACE_MAX_MEMBERS),
+  storageMb: parseLimit(process.env.WORKSPACE_MAX_STORAGE_MB),
+  boards: parseLimit(process.env.WORKSPACE_MAX_BOARDS)
+};
+
+const QUOTA_COLUMNS = {
+  members: 'max_members',
+  storageMb: 'max_storage_mb',
+  boards: 'max_boards'
+};
+
+// Effective limits of a workspace as { members, storageMb, boards } (null = unlimited)
+const getWorkspaceQuotas = async (workspaceId) => {
+  const { data: workspace, error } = await supabaseAdmin
+    .from('workspaces')
+    .select('max_members, max_storage_mb, max_boards')
+    .eq('id', workspaceId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load workspace quotas: ${error.message}`);
+  }
+
+  const quotas = {};
+  Object.entries(QUOTA_COLUMNS).forEach(([quota, column]) => {
+    quotas[quota] = workspace[column] ?? DEFAULT_QUOTAS[quota];
+  });
+  return quotas;
+};
+
+// Bytes of document content and chat messages stored for a workspace
+const getStorageUsed = async (workspaceId) => {
+  const { data, error } = await supabaseAdmin.rpc('workspace_storage_bytes', { p_workspace_id: workspaceId });
+
+  if (error) {
+    throw new Error(`Failed to measure workspace storage: ${error.message}`);
+  }
+
+  return Number(data) || 0;
+};
+
+// Current usage counted against a quota (storage in bytes)
+const getQuotaUsage = async (workspaceId, quota) => {
+  if (quota === 'storageMb') {
+    return getStorageUsed(workspaceId);
+  }
+
+  const table = quota === 'members' ? 'workspace_members' : 'task_boards';
+  const { count, error } = await supabaseAdmin
+    .from(table)
+    .select('id', { count: 'exact', head: true })
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    throw new Error(`Failed to count ${quota}: ${error.message}`);
+  }
+
+  return count;
+};
+
+// Helper function to compare usage plus `amount` with a limit
+const compareWithLimit = (quota, limit, usage, amount) => {
+  const max = quota === 'storageMb' ? limit * 1024 * 1024 : limit;
+
+  if (usage + amount <= max) {
+    return null;
+  }
+
+  const labels = { members: 'members', storageMb: 'MB of storage', boards: 'boards' };
+  return {
+    status: 402,
+    message: `This workspace has reached its limit of ${limit} ${labels[quota]}`,
+    code: 'QUOTA_EXCEEDED',
+    quota,
+    limit,
+    usage: quota === 'storageMb' ? Math.ceil(usage / (1024 * 1024)) : usage
+  };
+};
+
+// Check whether adding `amount` (members, boards or bytes) stays within a
+// quota. Returns null when it does, otherwise { status, message, code,
+// quota, limit, usage } describing the exceeded limit.
+const checkQuota = async (workspaceId, quota, amount = 1) => {
+  const limit = (await getWorkspaceQuotas(workspaceId))[quota];
+  if (limit === null || limit === undefined) {
+    return null;
+  }
+
+  return compareWithLimit(quota, limit, await getQuotaUsage(workspaceId, quota), amount);
+};
+
+// Same as checkQuota for a workspace that is about to be created (imports,
+// templates, clones): it starts empty with the server defaults
+const checkNewWorkspaceQuota = (quota, amount) => {
+  const limit = DEFAULT_QUOTAS[quota];
+  if (limit === null || limit === undefined) {
+    return null;
+  }
+
+  return compareWithLimit(quota, limit, 0, amount);
+};
+
+// Set a workspace's own limits; null restores the server default
+const setWorkspaceQuotas = async (workspaceId, quotas) => {
+  const updateData = {};
+  Object.entries(quotas).forEach(([quota, limit]) => {
+    if (QUOTA_COLUMNS[quota]) {
+      updateData[QUOTA_COLUMNS[quota]] = limit;
+    }
+  });
+
+  const { error } = await supabaseAdmin
+    .from('workspaces')
+    .update(updateData)
+    .eq('id', workspaceId);
+
+  if (error) {
+    throw new Error(`Failed to update workspace quotas: ${error.message}`);
+  }
+
+  return getWorkspaceQuotas(workspaceId);
+};
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  getWorkspaceQuotas,
+  getStorageUsed,
+  checkQuota,
+  checkNewWorkspaceQuota,
+  setWorkspaceQuotas
+};
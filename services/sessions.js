@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+
+// Access tokens are short-lived JWTs bound to a server-side session row.
+// Refresh tokens are opaque, stored hashed, and rotated on every use.
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000; // don't write last_used_at on every request
+
+// Emits 'revoked' with [{ id, user_id }] whenever sessions are revoked, so
+// Socket.io and Yjs can drop live connections that belong to them.
+const sessionEvents = new EventEmitter();
+
+// Helper function to hash opaque tokens before they touch the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateOpaqueToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Generate a short-lived access token for a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Pull client details off a request for the session record
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ipAddress: req.ip || req.socket?.remoteAddress || null
+});
+
+// Create a new session and return its first token pair
+const createSession = async (userId, { userAgent, ipAddress } = {}) => {
+  const refreshToken = generateOpaqueToken();
+
+  const { data: session, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .insert({
+      user_id: userId,
+      refresh_token_hash: hashToken(refreshToken),
+      user_agent: userAgent,
+      ip_address: ipAddress,
+      expires_at: refreshTokenExpiry()
+    })
+    .select('id, user_id, expires_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create session: ${error.message}`);
+  }
+
+  return {
+    session,
+    token: generateAccessToken(userId, session.id),
+    refreshToken
+  };
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const { data: revoked, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null)
+    .select('id, user_id');
+
+  if (error) {
+    throw new Error(`Failed to revoke session: ${error.message}`);
+  }
+
+  if (revoked.length > 0) {
+    sessionEvents.emit('revoked', revoked);
+  }
+
+  return revoked;
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, { exceptSessionId, reason = 'logout_all' } = {}) => {
+  let query = supabaseAdmin
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data: revoked, error } = await query.select('id, user_id');
+
+  if (error) {
+    throw new Error(`Failed to revoke sessions: ${error.message}`);
+  }
+
+  if (revoked.length > 0) {
+    sessionEvents.emit('revoked', revoked);
+  }
+
+  return revoked;
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns { data, error } like supabase-js so callers can branch on error.
+const rotateRefreshToken = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: session, error: sessionError } = await supabaseAdmin
+    .from('auth_sessions')
+    .select('id, user_id, expires_at, revoked_at')
+    .eq('refresh_token_hash', tokenHash)
+    .maybeSingle();
+
+  if (sessionError) {
+    throw new Error(`Failed to look up session: ${sessionError.message}`);
+  }
+
+  if (!session) {
+    // A token that was already rotated out is being replayed: someone other
+    // than the legitimate client holds it, so kill the whole session.
+    const { data: rotated } = await supabaseAdmin
+      .from('auth_refresh_tokens')
+      .select('session_id')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (rotated) {
+      await revokeSession(rotated.session_id, 'refresh_token_reuse');
+      return { data: null, error: 'Refresh token reuse detected' };
+    }
+
+    return { data: null, error: 'Invalid refresh token' };
+  }
+
+  if (session.revoked_at) {
+    return { data: null, error: 'Session has been revoked' };
+  }
+
+  if (new Date(session.expires_at) <= new Date()) {
+    return { data: null, error: 'Refresh token expired' };
+  }
+
+  const newRefreshToken = generateOpaqueToken();
+  const now = new Date().toISOString();
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('auth_sessions')
+    .update({
+      refresh_token_hash: hashToken(newRefreshToken),
+      last_used_at: now,
+      user_agent: userAgent,
+      ip_address: ipAddress,
+      expires_at: refreshTokenExpiry()
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', tokenHash)
+    .select('id')
+    .maybeSingle();
+
+  if (updateError) {
+    throw new Error(`Failed to rotate refresh token: ${updateError.message}`);
+  }
+
+  if (!updated) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    return { data: null, error: 'Refresh token reuse detected' };
+  }
+
+  const { error: historyError } = await supabaseAdmin
+    .from('auth_refresh_tokens')
+    .insert({
+      session_id: session.id,
+      token_hash: tokenHash,
+      rotated_at: now
+    });
+
+  if (historyError) {
+    console.warn('Failed to record rotated refresh token:', historyError);
+  }
+
+  return {
+    data: {
+      session,
+      token: generateAccessToken(session.user_id, session.id),
+      refreshToken: newRefreshToken
+    },
+    error: null
+  };
+};
+
+// Get a session if it is still usable, otherwise null
+const getActiveSession = async (sessionId) => {
+  const { data: session, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .select('id, user_id, expires_at, revoked_at, last_used_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error || !session) return null;
+  if (session.revoked_at) return null;
+  if (new Date(session.expires_at) <= new Date()) return null;
+
+  return session;
+};
+
+// Verify an access token and its session.
+// Returns { userId, sessionId } or null when the token is unusable.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = decoded.sid ? await getActiveSession(decoded.sid) : null;
+  if (!session || session.user_id !== decoded.userId) {
+    return null;
+  }
+
+  if (!session.last_used_at || Date.now() - new Date(session.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    supabaseAdmin
+      .from('auth_sessions')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .then(({ error }) => {
+        if (error) console.warn('Failed to update session last_used_at:', error);
+      });
+  }
+
+  return { userId: decoded.userId, sessionId: session.id };
+};
+
+// List a user's sessions that can still be used
+const listUserSessions = async (userId) => {
+  const { data: sessions, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list sessions: ${error.message}`);
+  }
+
+  return sessions;
+};
+
+module.exports = {
+  sessionEvents,
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  generateOpaqueToken,
+  generateAccessToken,
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSession,
+  verifyAccessToken,
+  listUserSessions
+};
@@ -0,0 +1,112 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { getWorkspaceMembership } = require('./workspaceMembership');
+
+// Accounts behind SSO logins. A login is tied to an account through its
+// stored (issuer, subject) identity. An existing account with the asserted
+// email is only linked when it already belongs to the workspace, because
+// any workspace owner can configure an issuer that asserts any email. For
+// the same reason an SSO login never marks an address as verified; that
+// still takes the emailed link.
+
+// Helper function to remember which account an IdP subject signs in as
+const linkIdentity = async (userId, claims, workspaceId) => {
+  const { error } = await supabaseAdmin
+    .from('sso_identities')
+    .insert({
+      user_id: userId,
+      issuer: claims.iss,
+      subject: claims.sub,
+      workspace_id: workspaceId
+    });
+
+  if (error && error.code !== '23505') {
+    throw new Error(`Failed to link SSO identity: ${error.message}`);
+  }
+};
+
+// Helper function to create a password-less account for a first SSO login
+const createSsoAccount = async (claims, email) => {
+  const fullName = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null;
+
+  const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
+    email,
+    email_confirm: true,
+    user_metadata: { full_name: fullName, sso_issuer: claims.iss }
+  });
+
+  if (authError) {
+    throw new Error(`Failed to create SSO user: ${authError.message}`);
+  }
+
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('profiles')
+    .insert({
+      id: authData.user.id,
+      email,
+      full_name: fullName
+    })
+    .select('*')
+    .single();
+
+  if (profileError) {
+    // Clean up auth user if profile creation fails
+    await supabaseAdmin.auth.admin.deleteUser(authData.user.id);
+    throw new Error(`Failed to create SSO user profile: ${profileError.message}`);
+  }
+
+  return profile;
+};
+
+// Find or create the account for verified ID token claims from a
+// workspace's issuer. Returns { profile } or { error } when an existing
+// account with that email may not be signed in through this issuer.
+const provisionSsoUser = async (claims, workspaceId) => {
+  const email = claims.email.toLowerCase();
+
+  const { data: identity } = await supabaseAdmin
+    .from('sso_identities')
+    .select('user_id')
+    .eq('issuer', claims.iss)
+    .eq('subject', claims.sub)
+    .maybeSingle();
+
+  if (identity) {
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .select('*')
+      .eq('id', identity.user_id)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to load SSO user: ${error.message}`);
+    }
+
+    return { profile };
+  }
+
+  const { data: existing } = await supabaseAdmin
+    .from('profiles')
+    .select('*')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (!existing) {
+    const profile = await createSsoAccount(claims, email);
+    await linkIdentity(profile.id, claims, workspaceId);
+    return { profile };
+  }
+
+  // Accounts outside the workspace sign in with their password and get
+  // invited instead
+  if (!(await getWorkspaceMembership(workspaceId, existing.id))) {
+    return { error: 'account_exists' };
+  }
+
+  await linkIdentity(existing.id, claims, workspaceId);
+
+  return { profile: existing };
+};
+
+module.exports = {
+  provisionSsoUser
+};
@@ -0,0 +1,336 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Teams are groups of workspace members. A team added to a chat room or
+// granted access to a document expands to one membership/collaborator row
+// per team member; those rows remember the team (team_id) so they follow
+// later team membership changes. Rows a user got directly have no team_id
+// and are never touched by team syncing.
+
+// Team of a workspace, or null
+const getTeam = async (workspaceId, teamId) => {
+  const { data: team, error } = await supabaseAdmin
+    .from('teams')
+    .select('id, workspace_id, name')
+    .eq('id', teamId)
+    .eq('workspace_id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load team: ${error.message}`);
+  }
+
+  return team;
+};
+
+// User ids of a team's members
+const getTeamMemberIds = async (teamId) => {
+  const { data: members, error } = await supabaseAdmin
+    .from('team_members')
+    .select('user_id')
+    .eq('team_id', teamId);
+
+  if (error) {
+    throw new Error(`Failed to load team members: ${error.message}`);
+  }
+
+  return members.map(member => member.user_id);
+};
+
+// Add users to a room on behalf of a team; existing memberships are kept
+const addRoomMembersForTeam = async (roomId, teamId, userIds) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('chat_room_members')
+    .upsert(
+      userIds.map(userId => ({ room_id: roomId, user_id: userId, team_id: teamId })),
+      { onConflict: 'room_id,user_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    throw new Error(`Failed to add team to room: ${error.message}`);
+  }
+};
+
+// Add users as document collaborators on behalf of a team; existing
+// collaborators keep their permission
+const addCollaboratorsForTeam = async (documentId, teamId, permission, userIds) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('document_collaborators')
+    .upsert(
+      userIds.map(userId => ({ document_id: documentId, user_id: userId, permission, team_id: teamId })),
+      { onConflict: 'document_id,user_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    throw new Error(`Failed to grant team document access: ${error.message}`);
+  }
+};
+
+// Link a team to a chat room and add all of its members
+const addTeamToRoom = async (roomId, teamId, addedBy) => {
+  const { error } = await supabaseAdmin
+    .from('chat_room_teams')
+    .upsert({ room_id: roomId, team_id: teamId, added_by: addedBy }, { onConflict: 'room_id,team_id', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`Failed to link team to room: ${error.message}`);
+  }
+
+  const userIds = await getTeamMemberIds(teamId);
+  await addRoomMembersForTeam(roomId, teamId, userIds);
+  return userIds;
+};
+
+// Grant a team access to a document, or change the permission of an
+// existing grant (rows of the team's members are updated too)
+const grantTeamDocumentAccess = async (documentId, teamId, permission, addedBy) => {
+  const { error } = await supabaseAdmin
+    .from('document_team_grants')
+    .upsert({ document_id: documentId, team_id: teamId, permission, added_by: addedBy }, { onConflict: 'document_id,team_id' });
+
+  if (error) {
+    throw new Error(`Failed to grant team document access: ${error.message}`);
+  }
+
+  await supabaseAdmin
+    .from('document_collaborators')
+    .update({ permission })
+    .eq('document_id', documentId)
+    .eq('team_id', teamId);
+
+  const userIds = await getTeamMemberIds(teamId);
+  await addCollaboratorsForTeam(documentId, teamId, permission, userIds);
+  return userIds;
+};
+
+// Another team (linked to the room) that the user belongs to, or null
+const findOtherRoomTeam = async (roomId, userId, excludeTeamId) => {
+  const { data: links } = await supabaseAdmin
+    .from('chat_room_teams')
+    .select('team_id, teams:team_id!inner (team_members!inner (user_id))')
+    .eq('room_id', roomId)
+    .neq('team_id', excludeTeamId)
+    .eq('teams.team_members.user_id', userId)
+    .limit(1);
+
+  return links?.[0]?.team_id || null;
+};
+
+// Another grant (for a team the user belongs to) on the document, or null
+const findOtherDocumentGrant = async (documentId, userId, excludeTeamId) => {
+  const { data: grants } = await supabaseAdmin
+    .from('document_team_grants')
+    .select('team_id, permission, teams:team_id!inner (team_members!inner (user_id))')
+    .eq('document_id', documentId)
+    .neq('team_id', excludeTeamId)
+    .eq('teams.team_members.user_id', userId)
+    .limit(1);
+
+  return grants?.[0] || null;
+};
+
+// Drop room memberships a team gave; rows still covered by another linked
+// team are handed over to that team instead
+const releaseRoomRows = async (rows, teamId) => {
+  for (const row of rows) {
+    const otherTeamId = await findOtherRoomTeam(row.room_id, row.user_id, teamId);
+    if (otherTeamId) {
+      await supabaseAdmin.from('chat_room_members').update({ team_id: otherTeamId }).eq('id', row.id);
+    } else {
+      await supabaseAdmin.from('chat_room_members').delete().eq('id', row.id);
+    }
+  }
+};
+
+// Same for document collaborators (taking the other grant's permission)
+const releaseDocumentRows = async (rows, teamId) => {
+  for (const row of rows) {
+    const otherGrant = await findOtherDocumentGrant(row.document_id, row.user_id, teamId);
+    if (otherGrant) {
+      await supabaseAdmin
+        .from('document_collaborators')
+        .update({ team_id: otherGrant.team_id, permission: otherGrant.permission })
+        .eq('id', row.id);
+    } else {
+      await supabaseAdmin.from('document_collaborators').delete().eq('id', row.id);
+    }
+  }
+};
+
+// Drop the rooms and documents a team gave to some of its users
+const revokeTeamAccess = async (teamId, userIds) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  const { data: roomRows } = await supabaseAdmin
+    .from('chat_room_members')
+    .select('id, room_id, user_id')
+    .eq('team_id', teamId)
+    .in('user_id', userIds);
+
+  await releaseRoomRows(roomRows || [], teamId);
+
+  const { data: documentRows } = await supabaseAdmin
+    .from('document_collaborators')
+    .select('id, document_id, user_id')
+    .eq('team_id', teamId)
+    .in('user_id', userIds);
+
+  await releaseDocumentRows(documentRows || [], teamId);
+};
+
+// Unlink a team from a chat room and remove the members it brought in
+const removeTeamFromRoom = async (roomId, teamId) => {
+  const { data: link, error } = await supabaseAdmin
+    .from('chat_room_teams')
+    .delete()
+    .eq('room_id', roomId)
+    .eq('team_id', teamId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to unlink team from room: ${error.message}`);
+  }
+  if (!link) {
+    return false;
+  }
+
+  const { data: rows } = await supabaseAdmin
+    .from('chat_room_members')
+    .select('id, room_id, user_id')
+    .eq('room_id', roomId)
+    .eq('team_id', teamId);
+
+  await releaseRoomRows(rows || [], teamId);
+
+  return true;
+};
+
+// Revoke a team's document grant and the collaborators it brought in
+const revokeTeamDocumentAccess = async (documentId, teamId) => {
+  const { data: grant, error } = await supabaseAdmin
+    .from('document_team_grants')
+    .delete()
+    .eq('document_id', documentId)
+    .eq('team_id', teamId)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to revoke team document access: ${error.message}`);
+  }
+  if (!grant) {
+    return false;
+  }
+
+  const { data: rows } = await supabaseAdmin
+    .from('document_collaborators')
+    .select('id, document_id, user_id')
+    .eq('document_id', documentId)
+    .eq('team_id', teamId);
+
+  await releaseDocumentRows(rows || [], teamId);
+
+  return true;
+};
+
+// Add users to a team and to every room and document the team is linked to
+const addTeamMembers = async (teamId, userIds, addedBy) => {
+  const { error } = await supabaseAdmin
+    .from('team_members')
+    .upsert(
+      userIds.map(userId => ({ team_id: teamId, user_id: userId, added_by: addedBy })),
+      { onConflict: 'team_id,user_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    throw new Error(`Failed to add team members: ${error.message}`);
+  }
+
+  const { data: rooms } = await supabaseAdmin
+    .from('chat_room_teams')
+    .select('room_id')
+    .eq('team_id', teamId);
+
+  for (const room of rooms || []) {
+    await addRoomMembersForTeam(room.room_id, teamId, userIds);
+  }
+
+  const { data: grants } = await supabaseAdmin
+    .from('document_team_grants')
+    .select('document_id, permission')
+    .eq('team_id', teamId);
+
+  for (const grant of grants || []) {
+    await addCollaboratorsForTeam(grant.document_id, teamId, grant.permission, userIds);
+  }
+};
+
+// Remove users from a team, along with the access the team gave them
+const removeTeamMembers = async (teamId, userIds) => {
+  const { error } = await supabaseAdmin
+    .from('team_members')
+    .delete()
+    .eq('team_id', teamId)
+    .in('user_id', userIds);
+
+  if (error) {
+    throw new Error(`Failed to remove team members: ${error.message}`);
+  }
+
+  await revokeTeamAccess(teamId, userIds);
+};
+
+// Delete a team; members keep only the access they got some other way
+const deleteTeam = async (teamId) => {
+  const userIds = await getTeamMemberIds(teamId);
+
+  // Unlink first so the team no longer counts as another source of access
+  await supabaseAdmin.from('chat_room_teams').delete().eq('team_id', teamId);
+  await supabaseAdmin.from('document_team_grants').delete().eq('team_id', teamId);
+  await revokeTeamAccess(teamId, userIds);
+
+  const { error } = await supabaseAdmin
+    .from('teams')
+    .delete()
+    .eq('id', teamId);
+
+  if (error) {
+    throw new Error(`Failed to delete team: ${error.message}`);
+  }
+};
+
+// Take a user out of every team in a workspace (when they leave it)
+const removeUserFromWorkspaceTeams = async (workspaceId, userId) => {
+  const { data: teams } = await supabaseAdmin
+    .from('teams')
+    .select('id, team_members!inner (user_id)')
+    .eq('workspace_id', workspaceId)
+    .eq('team_members.user_id', userId);
+
+  for (const team of teams || []) {
+    await removeTeamMembers(team.id, [userId]);
+  }
+};
+
+module.exports = {
+  getTeam,
+  getTeamMemberIds,
+  addTeamToRoom,
+  removeTeamFromRoom,
+  grantTeamDocumentAccess,
+  revokeTeamDocumentAccess,
+  addTeamMembers,
+  removeTeamMembers,
+  deleteTeam,
+  removeUserFromWorkspaceTeams
+};
@@ -0,0 +1,895 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const Y = require('yjs');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../config/supabase');
+const { createInvitation } = require('./invitations');
+const { checkNewWorkspaceQuota } = require('./quotas');
+
+// Workspace export/import bundles: gzipped JSON lines, one
+// { "type": ..., "data": ... } record per line. The first record is the
+// manifest and the last one the record counts, so truncated files are
+// detected. People are referenced by their old user id and matched by
+// email (from the member records) on import; every other id is remapped.
+// Imports never add anyone but the importer: matched people are invited.
+
+const BUNDLE_FORMAT = 'onedesk-workspace';
+const BUNDLE_VERSION = 1;
+const PAGE_SIZE = 1000;
+const INSERT_CHUNK_SIZE = 500;
+
+const RECORD_TYPES = ['member', 'role', 'team', 'label', 'board', 'list', 'task', 'room', 'message', 'document'];
+
+// Helper function to render a document's Yjs state as plain text. Text
+// types are copied as is; XML fragments (rich-text editors) become one
+// line per block.
+const renderDocumentText = (state) => {
+  if (!state || state.length === 0) {
+    return '';
+  }
+
+  const ydoc = new Y.Doc();
+  Y.applyUpdate(ydoc, new Uint8Array(state));
+
+  const xmlToText = (node) => {
+    if (node instanceof Y.XmlText) {
+      return node.toDelta().map(op => (typeof op.insert === 'string' ? op.insert : '')).join('');
+    }
+    const children = node.toArray();
+    const separator = children.some(child => child instanceof Y.XmlElement) ? '\n' : '';
+    return children.map(xmlToText).join(separator);
+  };
+
+  const parts = [];
+  for (const [name, type] of ydoc.share) {
+    let item = type._start;
+    while (item && item.deleted) {
+      item = item.right;
+    }
+    if (!item) {
+      continue;
+    }
+
+    parts.push(item.content instanceof Y.ContentType
+      ? xmlToText(ydoc.getXmlFragment(name))
+      : ydoc.getText(name).toString());
+  }
+
+  return parts.filter(Boolean).join('\n\n');
+};
+
+// Helper function to run a query page by page
+const forEachPage = async (buildQuery, onPage) => {
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read workspace data: ${error.message}`);
+    }
+
+    await onPage(data);
+
+    if (data.length < PAGE_SIZE) {
+      return;
+    }
+  }
+};
+
+// Walk a workspace and hand every bundle record to onRecord(type, data).
+// Options leave out chat (rooms and messages) or documents, and with a
+// viewerId only the general room and rooms that user belongs to are read.
+// Templates also skip members, tasks, messages and document content.
+const exportWorkspace = async (workspaceId, onRecord, {
+  viewerId = null,
+  chat = true,
+  documents = true,
+  members = true,
+  tasks = true,
+  messages = true,
+  documentContent = true
+} = {}) => {
+  const counts = Object.fromEntries(RECORD_TYPES.map(type => [type, 0]));
+  const emit = async (type, data) => {
+    counts[type]++;
+    await onRecord(type, data);
+  };
+
+  const { data: workspace, error: workspaceError } = await supabaseAdmin
+    .from('workspaces')
+    .select('id, name, description, require_mfa, block_unverified_invites')
+    .eq('id', workspaceId)
+    .single();
+
+  if (workspaceError) {
+    throw new Error(`Failed to load workspace: ${workspaceError.message}`);
+  }
+
+  await onRecord('manifest', {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspace: {
+      id: workspace.id,
+      name: workspace.name,
+      description: workspace.description,
+      requireMfa: workspace.require_mfa,
+      blockUnverifiedInvites: workspace.block_unverified_invites
+    },
+    omitted: [!chat && 'chat', !documents && 'documents'].filter(Boolean)
+  });
+
+  if (members) {
+    await forEachPage(
+      () => supabaseAdmin
+        .from('workspace_members')
+        .select('role, role_id, profiles:user_id (id, email, full_name)')
+        .eq('workspace_id', workspaceId)
+        .order('joined_at', { ascending: true }),
+      async (page) => {
+        for (const member of page) {
+          await emit('member', {
+            userId: member.profiles.id,
+            email: member.profiles.email,
+            fullName: member.profiles.full_name,
+            role: member.role,
+            roleId: member.role_id
+          });
+        }
+      }
+    );
+  }
+
+  const { data: roles } = await supabaseAdmin
+    .from('workspace_roles')
+    .select('id, name, description, permissions')
+    .eq('workspace_id', workspaceId);
+
+  for (const role of roles || []) {
+    await emit('role', role);
+  }
+
+  const { data: teams } = await supabaseAdmin
+    .from('teams')
+    .select('id, name, description, team_members (user_id)')
+    .eq('workspace_id', workspaceId);
+
+  for (const team of teams || []) {
+    await emit('team', {
+      id: team.id,
+      name: team.name,
+      description: team.description,
+      memberIds: team.team_members.map(member => member.user_id)
+    });
+  }
+
+  const { data: labels } = await supabaseAdmin
+    .from('task_labels')
+    .select('id, name, color')
+    .eq('workspace_id', workspaceId);
+
+  for (const label of labels || []) {
+    await emit('label', label);
+  }
+
+  const { data: boards } = await supabaseAdmin
+    .from('task_boards')
+    .select('id, name, description, auto_complete_parents, created_by, archived_at, created_at, task_board_guests (user_id)')
+    .eq('workspace_id', workspaceId);
+
+  for (const board of boards || []) {
+    await emit('board', {
+      id: board.id,
+      name: board.name,
+      description: board.description,
+      autoCompleteParents: board.auto_complete_parents,
+      createdBy: board.created_by,
+      archivedAt: board.archived_at,
+      createdAt: board.created_at,
+      guestIds: board.task_board_guests.map(guest => guest.user_id)
+    });
+  }
+
+  await forEachPage(
+    () => supabaseAdmin
+      .from('task_lists')
+      .select('id, board_id, name, position, archived_at, task_boards:board_id!inner (workspace_id)')
+      .eq('task_boards.workspace_id', workspaceId)
+      .order('id', { ascending: true }),
+    async (lists) => {
+      for (const list of lists) {
+        await emit('list', {
+          id: list.id,
+          boardId: list.board_id,
+          name: list.name,
+          position: list.position,
+          archivedAt: list.archived_at
+        });
+      }
+    }
+  );
+
+  if (tasks) {
+    await forEachPage(
+      () => supabaseAdmin
+        .from('tasks')
+        .select(`
+          id,
+          list_id,
+          parent_task_id,
+          title,
+          description,
+          position,
+          due_date,
+          completed,
+          priority,
+          assigned_to,
+          assigned_team_id,
+          created_by,
+          created_at,
+          task_label_assignments (label_id),
+          task_checklist_items (content, done, position),
+          task_lists:list_id!inner (task_boards:board_id!inner (workspace_id))
+        `)
+        .eq('task_lists.task_boards.workspace_id', workspaceId)
+        .order('id', { ascending: true }),
+      async (page) => {
+        for (const task of page) {
+          await emit('task', {
+            id: task.id,
+            listId: task.list_id,
+            parentTaskId: task.parent_task_id,
+            title: task.title,
+            description: task.description,
+            position: task.position,
+            dueDate: task.due_date,
+            completed: task.completed,
+            priority: task.priority,
+            labelIds: task.task_label_assignments.map(assignment => assignment.label_id),
+            checklist: task.task_checklist_items.sort((a, b) => a.position - b.position),
+            assignedTo: task.assigned_to,
+            assignedTeamId: task.assigned_team_id,
+            createdBy: task.created_by,
+            createdAt: task.created_at
+          });
+        }
+      }
+    );
+  }
+
+  const { data: rooms } = chat
+    ? await supabaseAdmin
+      .from('chat_rooms')
+      .select('id, name, type, created_by, created_at, chat_room_members (user_id, team_id), chat_room_teams (team_id)')
+      .eq('workspace_id', workspaceId)
+    : { data: [] };
+
+  // Group rooms and direct messages are private to their members
+  const readableRooms = (rooms || []).filter(room => !viewerId
+    || room.type === 'general'
+    || room.chat_room_members.some(member => member.user_id === viewerId));
+
+  for (const room of readableRooms) {
+    await emit('room', {
+      id: room.id,
+      name: room.name,
+      type: room.type,
+      createdBy: room.created_by,
+      createdAt: room.created_at,
+      members: room.chat_room_members.map(member => ({ userId: member.user_id, teamId: member.team_id })),
+      teamIds: room.chat_room_teams.map(link => link.team_id)
+    });
+  }
+
+  for (let index = 0; messages && index < readableRooms.length; index += INSERT_CHUNK_SIZE) {
+    const roomIds = readableRooms.slice(index, index + INSERT_CHUNK_SIZE).map(room => room.id);
+
+    await forEachPage(
+      () => supabaseAdmin
+        .from('messages')
+        .select('id, room_id, sender_id, content, message_type, metadata, created_at')
+        .in('room_id', roomIds)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true }),
+      async (page) => {
+        for (const message of page) {
+          await emit('message', {
+            id: message.id,
+            roomId: message.room_id,
+            senderId: message.sender_id,
+            content: message.content,
+            messageType: message.message_type,
+            metadata: message.metadata,
+            createdAt: message.created_at
+          });
+        }
+      }
+    );
+  }
+
+  // Documents one at a time; their Yjs state can be large
+  const { data: documentIds } = documents
+    ? await supabaseAdmin
+      .from('documents')
+      .select('id, title')
+      .eq('workspace_id', workspaceId)
+    : { data: [] };
+
+  for (const { id, title } of documentIds || []) {
+    if (!documentContent) {
+      await emit('document', { id, title, state: null, text: '', collaborators: [], teamGrants: [] });
+      continue;
+    }
+
+    const { data: document } = await supabaseAdmin
+      .from('documents')
+      .select(`
+        id,
+        title,
+        content,
+        created_by,
+        created_at,
+        updated_at,
+        document_collaborators (user_id, permission, team_id),
+        document_team_grants (team_id, permission)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (!document) {
+      continue;
+    }
+
+    const state = Array.isArray(document.content) ? document.content : null;
+
+    await emit('document', {
+      id: document.id,
+      title: document.title,
+      createdBy: document.created_by,
+      createdAt: document.created_at,
+      updatedAt: document.updated_at,
+      state: state ? Buffer.from(state).toString('base64') : null,
+      text: renderDocumentText(state),
+      collaborators: document.document_collaborators.map(collaborator => ({
+        userId: collaborator.user_id,
+        permission: collaborator.permission,
+        teamId: collaborator.team_id
+      })),
+      teamGrants: document.document_team_grants.map(grant => ({
+        teamId: grant.team_id,
+        permission: grant.permission
+      }))
+    });
+  }
+
+  await onRecord('end', { counts });
+  return counts;
+};
+
+// Helper function to start an empty bundle
+const createBundle = () => ({
+  manifest: null,
+  counts: null,
+  ...Object.fromEntries(RECORD_TYPES.map(type => [`${type}s`, []]))
+});
+
+// Helper function to file one record into a bundle
+const addRecord = (bundle, type, data) => {
+  if (type === 'manifest') {
+    bundle.manifest = data;
+  } else if (type === 'end') {
+    bundle.counts = data.counts;
+  } else if (RECORD_TYPES.includes(type)) {
+    bundle[`${type}s`].push(data);
+  }
+};
+
+// Write a workspace bundle to a stream (e.g. the HTTP response), gzipped
+const streamWorkspaceBundle = async (workspaceId, output, options) => {
+  const gzip = zlib.createGzip();
+  gzip.pipe(output);
+
+  await exportWorkspace(workspaceId, async (type, data) => {
+    if (!gzip.write(`${JSON.stringify({ type, data })}\n`)) {
+      await new Promise(resolve => gzip.once('drain', resolve));
+    }
+  }, options);
+
+  gzip.end();
+};
+
+// Read a workspace straight into a bundle
+const collectWorkspaceBundle = async (workspaceId, options) => {
+  const bundle = createBundle();
+  await exportWorkspace(workspaceId, async (type, data) => addRecord(bundle, type, data), options);
+  return bundle;
+};
+
+// Strip a bundle down to a reusable structure: no people, direct
+// messages, chat history or other history. Tasks and document content are only kept as sample content
+// when includeContent is set.
+const toTemplateBundle = (bundle, { includeContent = false } = {}) => ({
+  manifest: {
+    ...bundle.manifest,
+    workspace: { ...bundle.manifest.workspace, id: null }
+  },
+  counts: null,
+  members: [],
+  roles: bundle.roles,
+  teams: bundle.teams.map(team => ({ ...team, memberIds: [] })),
+  labels: bundle.labels,
+  boards: bundle.boards.map(board => ({ ...board, createdBy: null, createdAt: undefined, guestIds: [] })),
+  lists: bundle.lists,
+  tasks: includeContent
+    ? bundle.tasks.map(task => ({
+      ...task,
+      assignedTo: null,
+      assignedTeamId: null,
+      completed: false,
+      checklist: (task.checklist || []).map(item => ({ ...item, done: false })),
+      createdBy: null,
+      createdAt: undefined
+    }))
+    : [],
+  rooms: bundle.rooms
+    .filter(room => room.type !== 'direct')
+    .map(room => ({ ...room, createdBy: null, createdAt: undefined, members: [], teamIds: [] })),
+  messages: [],
+  documents: bundle.documents.map(document => ({
+    ...document,
+    createdBy: null,
+    createdAt: undefined,
+    updatedAt: undefined,
+    state: includeContent ? document.state : null,
+    text: includeContent ? document.text : '',
+    collaborators: [],
+    teamGrants: []
+  }))
+});
+
+// Read only what a template keeps (used for templates and cloning): no
+// members or messages, and tasks and document content only with
+// includeContent
+const collectWorkspaceStructure = async (workspaceId, { includeContent = false } = {}) => {
+  const bundle = await collectWorkspaceBundle(workspaceId, {
+    members: false,
+    messages: false,
+    tasks: includeContent,
+    documentContent: includeContent
+  });
+  return toTemplateBundle(bundle, { includeContent });
+};
+
+// Parse an uploaded bundle (gzipped or plain JSON lines) line by line,
+// giving up once more than maxBytes have been decompressed.
+// Returns { data: bundle, error } like the Supabase client.
+const parseBundle = async (buffer, { maxBytes }) => {
+  const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  const source = isGzip ? zlib.createGunzip() : new PassThrough();
+  const decoder = new StringDecoder('utf8');
+  const bundle = createBundle();
+  let bytes = 0;
+  let lineNumber = 0;
+  let pending = '';
+
+  // Helper function to add one line; returns an error message or null
+  const addLine = (line) => {
+    lineNumber++;
+    if (!line.trim()) {
+      return null;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      return `Invalid record on line ${lineNumber}`;
+    }
+    if (!record || typeof record.type !== 'string' || typeof record.data !== 'object' || record.data === null) {
+      return `Invalid record on line ${lineNumber}`;
+    }
+    addRecord(bundle, record.type, record.data);
+    return null;
+  };
+
+  source.end(buffer);
+
+  try {
+    for await (const chunk of source) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        source.destroy();
+        return { data: null, error: { message: 'Archive is too large' } };
+      }
+
+      const lines = (pending + decoder.write(chunk)).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        const problem = addLine(line);
+        if (problem) {
+          source.destroy();
+          return { data: null, error: { message: problem } };
+        }
+      }
+    }
+  } catch (error) {
+    return { data: null, error: { message: 'Archive could not be decompressed' } };
+  }
+
+  const problem = addLine(pending + decoder.end());
+  if (problem) {
+    return { data: null, error: { message: problem } };
+  }
+
+  if (bundle.manifest?.format !== BUNDLE_FORMAT) {
+    return { data: null, error: { message: 'Not a workspace export' } };
+  }
+  if (bundle.manifest.version > BUNDLE_VERSION) {
+    return { data: null, error: { message: `Unsupported export version ${bundle.manifest.version}` } };
+  }
+  if (!bundle.counts || RECORD_TYPES.some(type => (bundle.counts[type] || 0) !== bundle[`${type}s`].length)) {
+    return { data: null, error: { message: 'Archive is incomplete' } };
+  }
+
+  return { data: bundle, error: null };
+};
+
+// Check a bundle against the default quotas of the workspace it would
+// create. Returns null or the exceeded quota like checkQuota.
+const checkBundleQuotas = (bundle, { invitations = 0 } = {}) => {
+  const storageBytes = bundle.messages.reduce((total, message) => total + Buffer.byteLength(message.content || ''), 0)
+    + bundle.documents.reduce((total, document) => total + (document.state ? Buffer.byteLength(document.state, 'base64') : 0), 0);
+
+  return checkNewWorkspaceQuota('boards', bundle.boards.length)
+    || checkNewWorkspaceQuota('members', 1 + invitations)
+    || checkNewWorkspaceQuota('storageMb', storageBytes);
+};
+
+// Work out how a bundle maps onto this server for the importing user:
+// which members exist (matched by email) and get invited, and what can't
+// be carried over.
+const planImport = async (bundle, user, { name } = {}) => {
+  const emails = [...new Set(bundle.members.map(member => member.email?.toLowerCase()).filter(Boolean))];
+  const profilesByEmail = new Map();
+
+  for (let index = 0; index < emails.length; index += INSERT_CHUNK_SIZE) {
+    const { data: profiles, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id, email, email_verified_at')
+      .in('email', emails.slice(index, index + INSERT_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to match members: ${error.message}`);
+    }
+    profiles.forEach(profile => profilesByEmail.set(profile.email.toLowerCase(), profile));
+  }
+
+  const userMap = new Map();
+  const invitees = new Map();
+  const conflicts = [];
+  const blockUnverified = Boolean(bundle.manifest.workspace?.blockUnverifiedInvites);
+
+  for (const member of bundle.members) {
+    const profile = profilesByEmail.get(member.email?.toLowerCase());
+    if (!profile) {
+      conflicts.push({ type: 'unknown_member', email: member.email, role: member.role });
+      continue;
+    }
+
+    userMap.set(member.userId, profile.id);
+    const email = profile.email.toLowerCase();
+    if (profile.id === user.id || invitees.has(email)) {
+      continue;
+    }
+
+    // Same rule as inviting by hand into a workspace that blocks them
+    if (blockUnverified && !profile.email_verified_at) {
+      conflicts.push({ type: 'unverified_member', email: member.email });
+      continue;
+    }
+    if (member.role === 'owner') {
+      conflicts.push({ type: 'owner_becomes_admin', email: member.email });
+    }
+    if (member.roleId) {
+      conflicts.push({ type: 'custom_role_not_assigned', email: member.email });
+    }
+    invitees.set(email, { email, role: member.role === 'owner' ? 'admin' : member.role });
+  }
+
+  const workspaceName = name || bundle.manifest.workspace?.name || 'Imported workspace';
+
+  const { data: sameName } = await supabaseAdmin
+    .from('workspace_members')
+    .select('workspaces:workspace_id!inner (id)')
+    .eq('user_id', user.id)
+    .eq('workspaces.name', workspaceName)
+    .is('workspaces.deleted_at', null)
+    .limit(1);
+
+  if (sameName && sameName.length > 0) {
+    conflicts.push({ type: 'workspace_name_exists', name: workspaceName });
+  }
+
+  const listIds = new Set(bundle.lists.map(list => list.id));
+  const boardIds = new Set(bundle.boards.map(board => board.id));
+  const roomIds = new Set(bundle.rooms.map(room => room.id));
+
+  const orphans = {
+    list: bundle.lists.filter(list => !boardIds.has(list.boardId)).length,
+    task: bundle.tasks.filter(task => !listIds.has(task.listId)).length,
+    message: bundle.messages.filter(message => !roomIds.has(message.roomId)).length
+  };
+
+  Object.entries(orphans).forEach(([type, count]) => {
+    if (count > 0) {
+      conflicts.push({ type: 'missing_parent', recordType: type, count });
+    }
+  });
+
+  const quotaExceeded = checkBundleQuotas(bundle, { invitations: invitees.size });
+  if (quotaExceeded) {
+    conflicts.push({ type: 'quota_exceeded', quota: quotaExceeded.quota, limit: quotaExceeded.limit });
+  }
+
+  return {
+    userMap,
+    invitees: [...invitees.values()],
+    quotaExceeded,
+    report: {
+      workspace: {
+        name: workspaceName,
+        exportedAt: bundle.manifest.exportedAt
+      },
+      counts: {
+        members: bundle.members.length,
+        matchedMembers: userMap.size,
+        invitations: invitees.size,
+        roles: bundle.roles.length,
+        teams: bundle.teams.length,
+        labels: bundle.labels.length,
+        boards: bundle.boards.length,
+        lists: bundle.lists.length - orphans.list,
+        tasks: bundle.tasks.length - orphans.task,
+        rooms: bundle.rooms.length,
+        messages: bundle.messages.length - orphans.message,
+        documents: bundle.documents.length
+      },
+      conflicts
+    }
+  };
+};
+
+// Helper function to insert many rows in chunks
+const insertRows = async (table, rows) => {
+  for (let index = 0; index < rows.length; index += INSERT_CHUNK_SIZE) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .insert(rows.slice(index, index + INSERT_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to import ${table}: ${error.message}`);
+    }
+  }
+};
+
+// Recreate a bundle as a new workspace owned by user, then invite the
+// people from planImport. Content is credited to the importer (or left
+// without an author); original authors are only kept as metadata. Returns
+// the new workspace row; the half-built workspace is removed if anything
+// fails before the invitations go out.
+const importWorkspaceBundle = async (bundle, user, { name, description, userMap = new Map(), invitees = [] } = {}) => {
+  const { manifest } = bundle;
+
+  const { data: workspace, error: workspaceError } = await supabaseAdmin
+    .from('workspaces')
+    .insert({
+      name: name || manifest.workspace?.name || 'Imported workspace',
+      description: description !== undefined ? description : manifest.workspace?.description || null,
+      require_mfa: Boolean(manifest.workspace?.requireMfa),
+      block_unverified_invites: Boolean(manifest.workspace?.blockUnverifiedInvites),
+      owner_id: user.id
+    })
+    .select('id, name, description, owner_id, created_at')
+    .single();
+
+  if (workspaceError) {
+    throw new Error(`Failed to create workspace: ${workspaceError.message}`);
+  }
+
+  try {
+    // Only the importer's own records keep a person attached to them
+    const isImporter = (userId) => Boolean(userId) && userMap.get(userId) === user.id;
+    const authorNames = new Map(bundle.members.map(member => [member.userId, member.fullName || null]));
+    const idMaps = {};
+    const remap = (type, oldId) => (oldId && idMaps[type]?.get(oldId)) || null;
+    const assignIds = (type, records) => {
+      idMaps[type] = new Map(records.map(record => [record.id, uuidv4()]));
+    };
+
+    // Templates saved before a record type existed simply lack it
+    RECORD_TYPES.forEach(type => assignIds(type, bundle[`${type}s`] || []));
+
+    await insertRows('workspace_roles', bundle.roles.map(role => ({
+      id: remap('role', role.id),
+      workspace_id: workspace.id,
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions || [],
+      created_by: user.id
+    })));
+
+    await insertRows('workspace_members', [{ workspace_id: workspace.id, user_id: user.id, role: 'owner' }]);
+
+    await insertRows('teams', bundle.teams.map(team => ({
+      id: remap('team', team.id),
+      workspace_id: workspace.id,
+      name: team.name,
+      description: team.description,
+      created_by: user.id
+    })));
+
+    await insertRows('team_members', bundle.teams
+      .filter(team => team.memberIds.some(isImporter))
+      .map(team => ({ team_id: remap('team', team.id), user_id: user.id })));
+
+    await insertRows('task_labels', (bundle.labels || []).map(label => ({
+      id: remap('label', label.id),
+      workspace_id: workspace.id,
+      name: label.name,
+      color: label.color,
+      created_by: user.id
+    })));
+
+    await insertRows('task_boards', bundle.boards.map(board => ({
+      id: remap('board', board.id),
+      workspace_id: workspace.id,
+      name: board.name,
+      description: board.description,
+      created_by: user.id,
+      auto_complete_parents: Boolean(board.autoCompleteParents),
+      archived_at: board.archivedAt || null,
+      created_at: board.createdAt
+    })));
+
+    await insertRows('task_lists', bundle.lists
+      .filter(list => remap('board', list.boardId))
+      .map(list => ({
+        id: remap('list', list.id),
+        board_id: remap('board', list.boardId),
+        name: list.name,
+        position: list.position,
+        archived_at: list.archivedAt || null
+      })));
+
+    // Parent tasks go in before their subtasks
+    const importedTasks = bundle.tasks
+      .filter(task => remap('list', task.listId))
+      .sort((a, b) => Number(Boolean(a.parentTaskId)) - Number(Boolean(b.parentTaskId)));
+    const importedTaskIds = new Set(importedTasks.map(task => task.id));
+
+    await insertRows('tasks', importedTasks
+      .map(task => ({
+        id: remap('task', task.id),
+        list_id: remap('list', task.listId),
+        parent_task_id: importedTaskIds.has(task.parentTaskId) ? remap('task', task.parentTaskId) : null,
+        title: task.title,
+        description: task.description,
+        position: task.position,
+        due_date: task.dueDate,
+        completed: Boolean(task.completed),
+        priority: task.priority || 'none',
+        assigned_to: isImporter(task.assignedTo) ? user.id : null,
+        assigned_team_id: remap('team', task.assignedTeamId),
+        created_by: user.id,
+        created_at: task.createdAt
+      })));
+
+    await insertRows('task_label_assignments', bundle.tasks
+      .filter(task => remap('task', task.id) && remap('list', task.listId))
+      .flatMap(task => [...new Set(task.labelIds || [])]
+        .filter(labelId => remap('label', labelId))
+        .map(labelId => ({ task_id: remap('task', task.id), label_id: remap('label', labelId) }))));
+
+    await insertRows('task_checklist_items', importedTasks.flatMap(task => (task.checklist || []).map(item => ({
+      task_id: remap('task', task.id),
+      content: item.content,
+      done: Boolean(item.done),
+      position: item.position
+    }))));
+
+    // Every workspace needs a General room for new members
+    const rooms = bundle.rooms.some(room => room.type === 'general')
+      ? bundle.rooms
+      : [...bundle.rooms, { id: 'general', name: 'General', type: 'general', members: [], teamIds: [] }];
+    if (rooms !== bundle.rooms) {
+      idMaps.room.set('general', uuidv4());
+    }
+
+    await insertRows('chat_rooms', rooms.map(room => ({
+      id: remap('room', room.id),
+      workspace_id: workspace.id,
+      name: room.name,
+      type: room.type,
+      created_by: user.id,
+      created_at: room.createdAt
+    })));
+
+    await insertRows('chat_room_teams', rooms.flatMap(room => (room.teamIds || [])
+      .filter(teamId => remap('team', teamId))
+      .map(teamId => ({ room_id: remap('room', room.id), team_id: remap('team', teamId), added_by: user.id }))));
+
+    await insertRows('chat_room_members', rooms.flatMap(room => {
+      const membership = (room.members || []).find(member => isImporter(member.userId));
+      if (!membership && room.type !== 'general') {
+        return [];
+      }
+      return [{ room_id: remap('room', room.id), user_id: user.id, team_id: remap('team', membership?.teamId) }];
+    }));
+
+    await insertRows('messages', bundle.messages
+      .filter(message => remap('room', message.roomId))
+      .map(message => ({
+        id: remap('message', message.id),
+        room_id: remap('room', message.roomId),
+        sender_id: isImporter(message.senderId) ? user.id : null,
+        content: message.content,
+        message_type: message.messageType || 'text',
+        metadata: isImporter(message.senderId) || !message.senderId
+          ? message.metadata
+          : { ...message.metadata, importedAuthor: { name: authorNames.get(message.senderId) || null } },
+        created_at: message.createdAt
+      })));
+
+    for (const document of bundle.documents) {
+      const documentId = remap('document', document.id);
+
+      await insertRows('documents', [{
+        id: documentId,
+        workspace_id: workspace.id,
+        title: document.title,
+        content: document.state ? Array.from(Buffer.from(document.state, 'base64')) : null,
+        created_by: user.id,
+        last_modified_by: user.id,
+        created_at: document.createdAt
+      }]);
+
+      await insertRows('document_team_grants', (document.teamGrants || [])
+        .filter(grant => remap('team', grant.teamId))
+        .map(grant => ({ document_id: documentId, team_id: remap('team', grant.teamId), permission: grant.permission, added_by: user.id })));
+
+      // The importing owner always keeps admin access to every document
+      await insertRows('document_collaborators', [{
+        document_id: documentId,
+        user_id: user.id,
+        permission: 'admin',
+        team_id: null
+      }]);
+    }
+  } catch (error) {
+    await supabaseAdmin.from('workspaces').delete().eq('id', workspace.id);
+    throw error;
+  }
+
+  // A failed invitation doesn't undo the import; it can be sent again
+  for (const invitee of invitees) {
+    try {
+      await createInvitation({ workspace, email: invitee.email, role: invitee.role, invitedBy: user });
+    } catch (error) {
+      console.error('Import invitation error:', error);
+    }
+  }
+
+  return workspace;
+};
+
+module.exports = {
+  renderDocumentText,
+  streamWorkspaceBundle,
+  collectWorkspaceBundle,
+  collectWorkspaceStructure,
+  toTemplateBundle,
+  parseBundle,
+  checkBundleQuotas,
+  planImport,
+  importWorkspaceBundle
+};
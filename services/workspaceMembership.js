@@ -0,0 +1,88 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { publish } = require('../socket/eventBus');
+const { recordActivity } = require('./activity');
+
+// Add a user to a workspace with everything that implies: the membership
+// row, the General chat room (not for guests, who only see what is shared
+// with them), a `user_online` notice and an activity entry. `via` says how
+// they joined (invite, invitation, invite_link, sso); `addedBy` defaults to
+// the user themselves.
+// Returns { data: member, error } like the Supabase client.
+const addWorkspaceMember = async (workspaceId, userId, role = 'member', { via = null, addedBy = userId } = {}) => {
+  const { data: member, error } = await supabaseAdmin
+    .from('workspace_members')
+    .insert({
+      workspace_id: workspaceId,
+      user_id: userId,
+      role
+    })
+    .select(`
+      id,
+      role,
+      profiles:user_id (
+        id,
+        email,
+        full_name,
+        avatar_url
+      )
+    `)
+    .single();
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  // Add user to general chat room
+  if (role !== 'guest') {
+    const { data: generalRoom, error: roomError } = await supabaseAdmin
+      .from('chat_rooms')
+      .select('id')
+      .eq('workspace_id', workspaceId)
+      .eq('type', 'general')
+      .single();
+
+    if (!roomError && generalRoom) {
+      await supabaseAdmin
+        .from('chat_room_members')
+        .insert({
+          room_id: generalRoom.id,
+          user_id: userId
+        });
+    }
+  }
+
+  publish(`workspace:${workspaceId}`, 'user_online', {
+    userId,
+    user: member.profiles,
+    workspaceId
+  });
+
+  await recordActivity({
+    workspaceId,
+    actorId: addedBy,
+    action: addedBy === userId ? 'member_joined' : 'member_added',
+    targetType: 'member',
+    targetId: userId,
+    targetName: member.profiles.full_name || member.profiles.email,
+    diff: { role, via }
+  });
+
+  return { data: member, error: null };
+};
+
+// Membership row of a user in a workspace, or null
+const getWorkspaceMembership = async (workspaceId, userId) => {
+  const { data: membership } = await supabaseAdmin
+    .from('workspace_members')
+    .select('id, role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return membership;
+};
+
+module.exports = {
+  addWorkspaceMember,
+  getWorkspaceMembership
+};
@@ -0,0 +1,95 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Deleted workspaces go to the trash first: hidden and inaccessible, but
+// restorable by the owner until the retention period ends and the purge
+// job deletes them for good (cascading to boards, chat, documents...).
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.WORKSPACE_TRASH_RETENTION_DAYS || '30', 10);
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60', 10);
+
+// When a workspace trashed at deletedAt will be purged
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Move a workspace to the trash; returns the updated row or null if it
+// was already trashed
+const trashWorkspace = async (workspaceId, userId) => {
+  const { data: workspace, error } = await supabaseAdmin
+    .from('workspaces')
+    .update({ deleted_at: new Date().toISOString(), deleted_by: userId })
+    .eq('id', workspaceId)
+    .is('deleted_at', null)
+    .select('id, name, deleted_at')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to trash workspace: ${error.message}`);
+  }
+
+  return workspace;
+};
+
+// Bring a workspace back from the trash; returns the row or null if it
+// was not in the trash
+const restoreWorkspace = async (workspaceId) => {
+  const { data: workspace, error } = await supabaseAdmin
+    .from('workspaces')
+    .update({ deleted_at: null, deleted_by: null })
+    .eq('id', workspaceId)
+    .not('deleted_at', 'is', null)
+    .select('id, name, description, owner_id, updated_at')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to restore workspace: ${error.message}`);
+  }
+
+  return workspace;
+};
+
+// Permanently delete every workspace whose retention period has ended.
+// Returns the ids that were purged.
+const purgeExpiredWorkspaces = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data: purged, error } = await supabaseAdmin
+    .from('workspaces')
+    .delete()
+    .not('deleted_at', 'is', null)
+    .lte('deleted_at', cutoff.toISOString())
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to purge trashed workspaces: ${error.message}`);
+  }
+
+  return purged.map(workspace => workspace.id);
+};
+
+// Run the purge periodically inside a long-running server
+const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredWorkspaces();
+      if (purged.length > 0) {
+        console.log(`Purged ${purged.length} trashed workspace(s)`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  trashWorkspace,
+  restoreWorkspace,
+  purgeExpiredWorkspaces,
+  startTrashPurgeJob
+};
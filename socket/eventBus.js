@@ -0,0 +1,23 @@
+const { EventEmitter } = require('events');
+
+// Lets REST routes push realtime events without holding a reference to the
+// Socket.io server. setupSocketHandlers subscribes and emits into rooms.
+const eventBus = new EventEmitter();
+
+// Publish an event to a Socket.io room (e.g. `room:<id>`, `workspace:<id>`,
+// or `workspace:<id>:members` for everyone but guests)
+const publish = (room, event, payload) => {
+  eventBus.emit('publish', { room, event, payload });
+};
+
+// Take every socket in one room out of another, e.g. a user's sockets
+// (`user:<id>`) out of a workspace they no longer belong to
+const leaveRoom = (room, leave) => {
+  eventBus.emit('leave', { room, leave });
+};
+
+module.exports = {
+  eventBus,
+  publish,
+  leaveRoom
+};
@@ -1,9 +1,12 @@
-const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { sessionEvents, verifyAccessToken } = require('../services/sessions');
+const { getDocumentAccess } = require('../services/permissions');
+const { eventBus } = require('./eventBus');
 const { setupWebRTCHandlers } = require('./webrtcHandlers');
 
 // Store active connections
 const activeConnections = new Map(); // userId -> Set of socketIds
+const socketSessions = new Map(); // socketId -> sessionId
 const workspaceRooms = new Map(); // workspaceId -> Set of userIds
 const userPresence = new Map(); // userId -> { status, workspaceId, lastSeen }
 
@@ -20,13 +23,17 @@ const setupSocketHandlers = (io) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+      const auth = await verifyAccessToken(token);
+
+      if (!auth) {
+        return next(new Error('Authentication error: Session expired or revoked'));
+      }
+
       // Get user from database
       const { data: user, error } = await supabaseAdmin
         .from('profiles')
         .select('id, email, full_name, avatar_url')
-        .eq('id', decoded.userId)
+        .eq('id', auth.userId)
         .single();
 
       if (error || !user) {
@@ -34,6 +41,7 @@ const setupSocketHandlers = (io) => {
       }
 
       socket.userId = user.id;
+      socket.sessionId = auth.sessionId;
       socket.user = user;
       next();
     } catch (error) {
@@ -41,6 +49,23 @@ const setupSocketHandlers = (io) => {
     }
   });
 
+  // Drop live sockets as soon as their session is revoked (logout, sign out everywhere)
+  sessionEvents.on('revoked', (sessions) => {
+    sessions.forEach(session => {
+      io.to(`session:${session.id}`).emit('session_revoked', { sessionId: session.id });
+      io.in(`session:${session.id}`).disconnectSockets(true);
+    });
+  });
+
+  // Relay events published by REST routes
+  eventBus.on('publish', ({ room, event, payload }) => {
+    io.to(room).emit(event, payload);
+  });
+
+  eventBus.on('leave', ({ room, leave }) => {
+    io.in(room).socketsLeave(leave);
+  });
+
   io.on('connection', (socket) => {
     console.log(`User ${socket.user.email} connected with socket ${socket.id}`);
 
@@ -49,19 +74,24 @@ const setupSocketHandlers = (io) => {
       activeConnections.set(socket.userId, new Set());
     }
     activeConnections.get(socket.userId).add(socket.id);
+    socketSessions.set(socket.id, socket.sessionId);
 
     // Join user to their personal room for direct signaling
     socket.join(`user:${socket.userId}`);
 
+    // Join the session room so revocation can reach this socket
+    socket.join(`session:${socket.sessionId}`);
+
     // Join user to their workspaces
     socket.on('join_workspaces', async (workspaceIds) => {
       try {
         // Verify user is member of these workspaces
         const { data: memberships, error } = await supabaseAdmin
           .from('workspace_members')
-          .select('workspace_id')
+          .select('workspace_id, role, workspaces:workspace_id!inner (deleted_at)')
           .eq('user_id', socket.userId)
-          .in('workspace_id', workspaceIds);
+          .in('workspace_id', workspaceIds)
+          .is('workspaces.deleted_at', null);
 
         if (error) {
           socket.emit('error', { message: 'Failed to verify workspace memberships' });
@@ -70,9 +100,13 @@ const setupSocketHandlers = (io) => {
 
         const validWorkspaceIds = memberships.map(m => m.workspace_id);
 
-        // Join socket to workspace rooms
-        validWorkspaceIds.forEach(workspaceId => {
+        // Join socket to workspace rooms; workspace-wide board and activity
+        // events only go to the members room, since guests see shared boards only
+        memberships.forEach(({ workspace_id: workspaceId, role }) => {
           socket.join(`workspace:${workspaceId}`);
+          if (role !== 'guest') {
+            socket.join(`workspace:${workspaceId}:members`);
+          }
           
           // Add to workspace rooms tracking
           if (!workspaceRooms.has(workspaceId)) {
@@ -204,7 +238,7 @@ const setupSocketHandlers = (io) => {
           .from('task_boards')
           .select(`
             workspace_id,
-            workspace_members:workspace_id!inner(user_id)
+            workspace_members:workspace_id!inner(user_id, role)
           `)
           .eq('id', boardId)
           .eq('workspace_members.user_id', socket.userId)
@@ -215,6 +249,21 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
+        // Guests only join boards that were shared with them
+        if (board.workspace_members[0]?.role === 'guest') {
+          const { data: share } = await supabaseAdmin
+            .from('task_board_guests')
+            .select('id')
+            .eq('board_id', boardId)
+            .eq('user_id', socket.userId)
+            .maybeSingle();
+
+          if (!share) {
+            socket.emit('error', { message: 'Access denied to task board' });
+            return;
+          }
+        }
+
         socket.join(`board:${boardId}`);
         socket.emit('task_board_joined', { boardId });
 
@@ -229,198 +278,19 @@ const setupSocketHandlers = (io) => {
       socket.emit('task_board_left', { boardId });
     });
 
-    // Real-time task operations
-    socket.on('task_created', async (data) => {
-      try {
-        const { boardId, listId, task } = data;
-
-        // Verify access
-        const { data: board, error } = await supabaseAdmin
-          .from('task_boards')
-          .select('workspace_id')
-          .eq('id', boardId)
-          .single();
-
-        if (error || !board) return;
-
-        const { data: membership } = await supabaseAdmin
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', board.workspace_id)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (!membership) return;
-
-        // Broadcast to board members
-        socket.to(`board:${boardId}`).emit('task_created', {
-          boardId,
-          listId,
-          task,
-          createdBy: socket.user
-        });
-
-      } catch (error) {
-        console.error('Task created broadcast error:', error);
-      }
-    });
-
-    socket.on('task_updated', async (data) => {
-      try {
-        const { boardId, taskId, updates } = data;
-
-        // Verify access
-        const { data: board, error } = await supabaseAdmin
-          .from('task_boards')
-          .select('workspace_id')
-          .eq('id', boardId)
-          .single();
-
-        if (error || !board) return;
-
-        const { data: membership } = await supabaseAdmin
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', board.workspace_id)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (!membership) return;
-
-        // Broadcast to board members
-        socket.to(`board:${boardId}`).emit('task_updated', {
-          boardId,
-          taskId,
-          updates,
-          updatedBy: socket.user
-        });
-
-      } catch (error) {
-        console.error('Task updated broadcast error:', error);
-      }
-    });
-
-    socket.on('task_moved', async (data) => {
-      try {
-        const { boardId, taskId, sourceListId, destinationListId, sourceIndex, destinationIndex } = data;
-
-        // Verify access
-        const { data: board, error } = await supabaseAdmin
-          .from('task_boards')
-          .select('workspace_id')
-          .eq('id', boardId)
-          .single();
-
-        if (error || !board) return;
-
-        const { data: membership } = await supabaseAdmin
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', board.workspace_id)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (!membership) return;
-
-        // Broadcast to board members
-        socket.to(`board:${boardId}`).emit('task_moved', {
-          boardId,
-          taskId,
-          sourceListId,
-          destinationListId,
-          sourceIndex,
-          destinationIndex,
-          movedBy: socket.user
-        });
-
-      } catch (error) {
-        console.error('Task moved broadcast error:', error);
-      }
-    });
-
-    socket.on('task_deleted', async (data) => {
-      try {
-        const { boardId, taskId, listId } = data;
-
-        // Verify access
-        const { data: board, error } = await supabaseAdmin
-          .from('task_boards')
-          .select('workspace_id')
-          .eq('id', boardId)
-          .single();
-
-        if (error || !board) return;
-
-        const { data: membership } = await supabaseAdmin
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', board.workspace_id)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (!membership) return;
-
-        // Broadcast to board members
-        socket.to(`board:${boardId}`).emit('task_deleted', {
-          boardId,
-          taskId,
-          listId,
-          deletedBy: socket.user
-        });
-
-      } catch (error) {
-        console.error('Task deleted broadcast error:', error);
-      }
-    });
-
-    socket.on('list_created', async (data) => {
-      try {
-        const { boardId, list } = data;
-
-        // Verify access
-        const { data: board, error } = await supabaseAdmin
-          .from('task_boards')
-          .select('workspace_id')
-          .eq('id', boardId)
-          .single();
-
-        if (error || !board) return;
-
-        const { data: membership } = await supabaseAdmin
-          .from('workspace_members')
-          .select('id')
-          .eq('workspace_id', board.workspace_id)
-          .eq('user_id', socket.userId)
-          .single();
-
-        if (!membership) return;
-
-        // Broadcast to board members
-        socket.to(`board:${boardId}`).emit('list_created', {
-          boardId,
-          list,
-          createdBy: socket.user
-        });
-
-      } catch (error) {
-        console.error('List created broadcast error:', error);
-      }
-    });
+    // Task board events (task_created, task_updated, task_moved,
+    // task_deleted, list_created, ...) are published by the REST routes from
+    // the rows they write; clients no longer broadcast them.
 
     // Handle document collaboration
     socket.on('document_join', async (data) => {
       try {
         const { documentId, workspaceId } = data;
 
-        // Verify user has access to the document
-        const { data: access, error } = await supabaseAdmin
-          .from('document_collaborators')
-          .select('permission')
-          .eq('document_id', documentId)
-          .eq('user_id', socket.userId)
-          .single();
+        // Verify user has access to the document (same check as the REST routes)
+        const access = await getDocumentAccess(documentId, socket.userId);
 
-        if (error || !access) {
+        if (!access?.permission || access.deletedAt) {
           socket.emit('error', { message: 'No access to this document' });
           return;
         }
@@ -526,6 +396,7 @@ const setupSocketHandlers = (io) => {
       console.log(`User ${socket.user.email} disconnected`);
 
       // Remove from active connections
+      socketSessions.delete(socket.id);
       const userConnections = activeConnections.get(socket.userId);
       if (userConnections) {
         userConnections.delete(socket.id);
@@ -594,9 +465,23 @@ const getOnlineUsers = (workspaceId) => {
   });
 };
 
+// Helper function to count a user's live sockets per session
+const getConnectedSessions = (userId) => {
+  const counts = new Map(); // sessionId -> number of sockets
+  const socketIds = activeConnections.get(userId) || new Set();
+  socketIds.forEach(socketId => {
+    const sessionId = socketSessions.get(socketId);
+    if (sessionId) {
+      counts.set(sessionId, (counts.get(sessionId) || 0) + 1);
+    }
+  });
+  return counts;
+};
+
 module.exports = {
   setupSocketHandlers,
   getOnlineUsers,
+  getConnectedSessions,
   activeConnections,
   userPresence
 };
@@ -0,0 +1,118 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/audit', () => ({ recordAudit: jest.fn(async () => {}) }));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const { recordAudit } = require('../services/audit');
+const { buildUserExport } = require('../services/accountData');
+
+const app = createTestApp('/api/auth', require('../routes/auth'));
+
+const profile = { id: 'user-1', email: 'ada@example.com', full_name: 'Ada', mfa_enabled: null, created_at: '2026-01-01T00:00:00.000Z' };
+
+const queriesOf = (table, action) => supabase.queries.filter(query => query.table === table && query.action === action);
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('buildUserExport', () => {
+  it('collects the profile, memberships, messages, tasks and documents', async () => {
+    supabase.respondWith((query) => ({
+      profiles: { data: profile },
+      workspace_members: { data: [{ role: 'owner', joined_at: '2026-01-02T00:00:00.000Z', workspaces: { id: 'workspace-1', name: 'Acme', owner_id: 'user-1' } }] },
+      messages: { data: [{ id: 'message-1', content: 'Hi', chat_rooms: { id: 'room-1', name: 'General' } }] },
+      tasks: { data: [{ id: 'task-1', title: 'Ship', created_by: 'user-2', assigned_to: 'user-1' }] },
+      documents: { data: [{ id: 'document-1', title: 'Notes', content: [1, 2, 3] }] }
+    })[query.table]);
+
+    const bundle = await buildUserExport('user-1');
+
+    expect(bundle.profile).toMatchObject({ id: 'user-1', email: 'ada@example.com', fullName: 'Ada', mfaEnabled: false });
+    expect(bundle.workspaceMemberships).toEqual([expect.objectContaining({ workspaceId: 'workspace-1', role: 'owner', isOwner: true })]);
+    expect(bundle.messages).toEqual([expect.objectContaining({ id: 'message-1', content: 'Hi', room: { id: 'room-1', name: 'General' } })]);
+    expect(bundle.tasks).toEqual([expect.objectContaining({ id: 'task-1', createdByMe: false, assignedToMe: true })]);
+    expect(bundle.documents).toEqual([expect.objectContaining({ id: 'document-1', content: Buffer.from([1, 2, 3]).toString('base64') })]);
+
+    expect(filterValue(queriesOf('messages', 'select')[0], 'eq', 'sender_id')).toBe('user-1');
+    expect(queriesOf('tasks', 'select')[0].filters)
+      .toContainEqual(expect.objectContaining({ operator: 'or', column: 'created_by.eq.user-1,assigned_to.eq.user-1' }));
+  });
+
+  it('reads every page of large tables', async () => {
+    let messagePages = 0;
+    supabase.respondWith((query) => {
+      if (query.table === 'profiles') return { data: profile };
+      if (query.table === 'messages') {
+        messagePages += 1;
+        return { data: Array.from({ length: messagePages === 1 ? 1000 : 3 }, (value, index) => ({ id: `message-${index}` })) };
+      }
+      return { data: [] };
+    });
+
+    const bundle = await buildUserExport('user-1');
+
+    expect(messagePages).toBe(2);
+    expect(bundle.messages).toHaveLength(1003);
+  });
+});
+
+describe('GET /api/auth/me/export', () => {
+  it('downloads the bundle as an attachment', async () => {
+    supabase.respondWith((query) => (query.table === 'profiles' ? { data: profile } : { data: [] }));
+
+    const res = await request(app).get('/api/auth/me/export');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="onedesk-export-user-1.json"');
+    expect(res.body.profile.email).toBe('ada@example.com');
+  });
+});
+
+describe('DELETE /api/auth/me', () => {
+  const respondOwned = (workspaces) => {
+    supabase.respondWith((query) => {
+      if (query.table === 'workspaces' && query.action === 'select') return { data: workspaces };
+      if (query.table === 'auth_sessions') return { data: [] };
+      return {};
+    });
+  };
+
+  it('needs the account email as confirmation', async () => {
+    const res = await request(app).delete('/api/auth/me').send({ confirmEmail: 'grace@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(supabase.supabase.auth.admin.deleteUser).not.toHaveBeenCalled();
+  });
+
+  it('refuses while the user owns workspaces', async () => {
+    respondOwned([{ id: 'workspace-1', name: 'Acme' }]);
+
+    const res = await request(app).delete('/api/auth/me').send({ confirmEmail: 'ada@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.ownedWorkspaces).toEqual([{ id: 'workspace-1', name: 'Acme' }]);
+    expect(queriesOf('auth_sessions', 'update')).toHaveLength(0);
+    expect(supabase.supabase.auth.admin.deleteUser).not.toHaveBeenCalled();
+  });
+
+  it('signs out, deletes owned workspaces on request, keeps messages anonymously and deletes the user', async () => {
+    respondOwned([{ id: 'workspace-1', name: 'Acme' }]);
+
+    const res = await request(app).delete('/api/auth/me').send({ confirmEmail: 'ada@example.com', deleteOwnedWorkspaces: true });
+
+    expect(res.status).toBe(200);
+    expect(queriesOf('auth_sessions', 'update')[0].values.revoked_reason).toBe('account_deleted');
+    expect(filterValue(queriesOf('workspaces', 'delete')[0], 'eq', 'id')).toBe('workspace-1');
+    expect(queriesOf('messages', 'update')[0].values).toEqual({ sender_id: null });
+    expect(supabase.supabase.auth.admin.deleteUser).toHaveBeenCalledWith('user-1');
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'account_deleted',
+      metadata: { userId: 'user-1', deletedWorkspaces: ['workspace-1'] }
+    }));
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const { eventBus } = require('../socket/eventBus');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+const { diffFields, recordActivity } = require('../services/activity');
+
+const app = createTestApp('/api/workspaces', require('../routes/workspaces'));
+
+const ACTOR_ID = '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11';
+
+const entry = {
+  id: 'activity-1',
+  workspace_id: 'workspace-1',
+  action: 'task_updated',
+  target_type: 'task',
+  target_id: 'task-1',
+  target_name: 'Ship',
+  diff: { status: { from: 'todo', to: 'done' } },
+  created_at: '2026-01-01T00:00:00.000Z',
+  profiles: { id: 'user-1', full_name: 'Ada' }
+};
+
+const signInAs = (role) => {
+  getWorkspaceAccess.mockResolvedValue({ role, permissions: new Set(DEFAULT_ROLE_PERMISSIONS[role]), requireMfa: false, deletedAt: null });
+};
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('diffFields', () => {
+  it('lists only the fields that changed', () => {
+    const before = { title: 'Ship', status: 'todo', priority: null };
+    const after = { title: 'Ship', status: 'done', priority: 'high' };
+
+    expect(diffFields(before, after, ['title', 'status', 'priority', 'due_date'])).toEqual({
+      status: { from: 'todo', to: 'done' },
+      priority: { from: null, to: 'high' }
+    });
+    expect(diffFields(before, { title: 'Ship' }, ['title', 'status'])).toBeNull();
+  });
+});
+
+describe('recordActivity', () => {
+  it('stores the entry and pushes it to the members room', async () => {
+    supabase.respondWith(() => ({ data: entry }));
+    const published = jest.fn();
+    eventBus.on('publish', published);
+
+    const activity = await recordActivity({ workspaceId: 'workspace-1', actorId: 'user-1', action: 'task_updated', targetType: 'task', targetId: 'task-1' });
+
+    eventBus.off('publish', published);
+    expect(supabase.queries[0].values).toMatchObject({ workspace_id: 'workspace-1', actor_id: 'user-1', action: 'task_updated', target_type: 'task' });
+    expect(activity).toMatchObject({ id: 'activity-1', actor: { id: 'user-1' }, target: { type: 'task', id: 'task-1', name: 'Ship' } });
+    expect(published).toHaveBeenCalledWith({ room: 'workspace:workspace-1:members', event: 'workspace_activity', payload: activity });
+  });
+
+  it('logs failures instead of throwing', async () => {
+    supabase.respondWith(() => ({ data: null, error: { message: 'insert failed' } }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await recordActivity({ workspaceId: 'workspace-1', action: 'task_updated', targetType: 'task' })).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+
+    console.error.mockRestore();
+  });
+});
+
+describe('GET /api/workspaces/:workspaceId/activity', () => {
+  it('returns the filtered feed, newest first', async () => {
+    signInAs('member');
+    supabase.respondWith(() => ({ data: [entry] }));
+
+    const res = await request(app)
+      .get('/api/workspaces/workspace-1/activity')
+      .query({ action: 'task_updated, task_created', actorId: ACTOR_ID, since: '2026-01-01T00:00:00Z', limit: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.activity).toEqual([expect.objectContaining({ id: 'activity-1', diff: entry.diff })]);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 1, hasMore: true });
+
+    const [feed] = supabase.queries;
+    expect(filterValue(feed, 'eq', 'workspace_id')).toBe('workspace-1');
+    expect(filterValue(feed, 'in', 'action')).toEqual(['task_updated', 'task_created']);
+    expect(filterValue(feed, 'eq', 'actor_id')).toBe(ACTOR_ID);
+    expect(filterValue(feed, 'gte', 'created_at')).toBe('2026-01-01T00:00:00Z');
+  });
+
+  it('rejects invalid filters', async () => {
+    signInAs('member');
+
+    expect((await request(app).get('/api/workspaces/workspace-1/activity').query({ actorId: 'nobody' })).status).toBe(400);
+    expect(supabase.queries).toHaveLength(0);
+  });
+
+  it('is not shown to guests', async () => {
+    signInAs('guest');
+
+    expect((await request(app).get('/api/workspaces/workspace-1/activity')).status).toBe(403);
+    expect(supabase.queries).toHaveLength(0);
+  });
+});
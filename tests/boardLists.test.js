@@ -0,0 +1,161 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+jest.mock('../services/activity', () => ({
+  ...jest.requireActual('../services/activity'),
+  recordActivity: jest.fn(async () => {})
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const { eventBus } = require('../socket/eventBus');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+const { recordActivity } = require('../services/activity');
+
+const app = createTestApp('/api/tasks', require('../routes/tasks'));
+
+const TARGET_LIST_ID = '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11';
+
+const board = { id: 'board-1', name: 'Roadmap', description: null, auto_complete_parents: false, archived_at: null, workspace_id: 'workspace-1' };
+const list = { id: 'list-1', board_id: 'board-1', name: 'Todo', position: 0, archived_at: null, task_boards: { workspace_id: 'workspace-1' } };
+
+const queriesOf = (table, action) => supabase.queries.filter(query => query.table === table && query.action === action);
+
+const signInAs = (role) => {
+  getWorkspaceAccess.mockResolvedValue({ role, permissions: new Set(DEFAULT_ROLE_PERMISSIONS[role]), requireMfa: false, deletedAt: null });
+};
+
+// Respond with the board and lists above; `tasks` are the tasks of list-1
+// and `targetOnBoard` whether moveTasksTo names a list of the same board
+const respondWithBoard = ({ tasks = [], targetOnBoard = true } = {}) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'task_boards') return { data: { ...board, ...query.values } };
+    if (query.table === 'tasks') return { data: tasks };
+    if (query.table === 'task_lists' && filterValue(query, 'eq', 'id') === TARGET_LIST_ID) {
+      return { data: targetOnBoard ? { id: TARGET_LIST_ID } : null };
+    }
+    if (query.table === 'task_lists') return { data: { ...list, ...query.values } };
+    return {};
+  });
+};
+
+let published;
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+  signInAs('admin');
+  respondWithBoard();
+  published = jest.fn();
+  eventBus.on('publish', published);
+});
+
+afterEach(() => {
+  eventBus.off('publish', published);
+});
+
+const publishedEvents = () => published.mock.calls.map(([message]) => `${message.room} ${message.event}`);
+
+describe('PUT /api/tasks/boards/:boardId', () => {
+  it('archives the board and tells board and workspace members', async () => {
+    const res = await request(app).put('/api/tasks/boards/board-1').send({ archived: true });
+
+    expect(res.status).toBe(200);
+    expect(queriesOf('task_boards', 'update')[0].values.archived_at).toEqual(expect.any(String));
+    expect(publishedEvents()).toEqual(['board:board-1 board_updated', 'workspace:workspace-1:members board_updated']);
+    expect(recordActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'board_archived', targetId: 'board-1' }));
+  });
+
+  it('needs boards.manage', async () => {
+    signInAs('member');
+
+    expect((await request(app).put('/api/tasks/boards/board-1').send({ name: 'Plan' })).status).toBe(403);
+    expect(queriesOf('task_boards', 'update')).toHaveLength(0);
+  });
+});
+
+describe('PUT /api/tasks/boards/:boardId/lists/reorder', () => {
+  it('stores the new positions within the board', async () => {
+    signInAs('member');
+
+    const res = await request(app).put('/api/tasks/boards/board-1/lists/reorder').send({ listIds: ['list-2', 'list-1'] });
+
+    expect(res.status).toBe(200);
+    expect(queriesOf('task_lists', 'update').map(query => [filterValue(query, 'eq', 'id'), query.values.position, filterValue(query, 'eq', 'board_id')]))
+      .toEqual([['list-2', 0, 'board-1'], ['list-1', 1, 'board-1']]);
+    expect(publishedEvents()).toEqual(['board:board-1 lists_reordered']);
+  });
+});
+
+describe('PUT /api/tasks/lists/:listId', () => {
+  it('renames the list and records the change', async () => {
+    signInAs('member');
+
+    const res = await request(app).put('/api/tasks/lists/list-1').send({ name: 'Backlog' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.list).toMatchObject({ id: 'list-1', boardId: 'board-1', name: 'Backlog' });
+    expect(publishedEvents()).toEqual(['board:board-1 list_updated']);
+    expect(recordActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'list_updated', diff: { name: { from: 'Todo', to: 'Backlog' } } }));
+  });
+});
+
+describe('DELETE /api/tasks/lists/:listId', () => {
+  it('deletes an empty list', async () => {
+    const res = await request(app).delete('/api/tasks/lists/list-1');
+
+    expect(res.status).toBe(200);
+    expect(filterValue(queriesOf('task_lists', 'delete')[0], 'eq', 'id')).toBe('list-1');
+    expect(published).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'list_deleted',
+      payload: expect.objectContaining({ listId: 'list-1', movedTasksTo: null, movedTaskIds: [] })
+    }));
+  });
+
+  it('refuses to drop tasks', async () => {
+    respondWithBoard({ tasks: [{ id: 'task-1' }] });
+
+    const res = await request(app).delete('/api/tasks/lists/list-1');
+
+    expect(res.status).toBe(409);
+    expect(res.body.taskCount).toBe(1);
+    expect(queriesOf('task_lists', 'delete')).toHaveLength(0);
+  });
+
+  it('moves the tasks to another list of the board first', async () => {
+    respondWithBoard({ tasks: [{ id: 'task-1' }, { id: 'task-2' }] });
+    supabase.supabase.rpc.mockResolvedValueOnce({ data: [{ task_id: 'task-1' }, { task_id: 'task-2' }], error: null });
+
+    const res = await request(app).delete('/api/tasks/lists/list-1').send({ moveTasksTo: TARGET_LIST_ID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.movedTasks).toBe(2);
+    expect(supabase.supabase.rpc).toHaveBeenCalledWith('move_list_tasks', { p_from_list_id: 'list-1', p_to_list_id: TARGET_LIST_ID });
+    expect(published).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'list_deleted',
+      payload: expect.objectContaining({ movedTasksTo: TARGET_LIST_ID, movedTaskIds: ['task-1', 'task-2'] })
+    }));
+  });
+
+  it('only moves tasks within the board', async () => {
+    respondWithBoard({ tasks: [{ id: 'task-1' }], targetOnBoard: false });
+
+    const res = await request(app).delete('/api/tasks/lists/list-1').send({ moveTasksTo: TARGET_LIST_ID });
+
+    expect(res.status).toBe(400);
+    expect(supabase.supabase.rpc).not.toHaveBeenCalled();
+    expect(queriesOf('task_lists', 'delete')).toHaveLength(0);
+  });
+
+  it('needs boards.manage', async () => {
+    signInAs('member');
+
+    expect((await request(app).delete('/api/tasks/lists/list-1')).status).toBe(403);
+    expect(queriesOf('task_lists', 'delete')).toHaveLength(0);
+  });
+});
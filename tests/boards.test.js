@@ -0,0 +1,82 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+
+const app = createTestApp('/api/tasks', require('../routes/tasks'));
+
+const BOARD_URL = '/api/tasks/boards/board-1';
+const URGENT_LABEL = '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11';
+const BUG_LABEL = '0d4b8f6a-3c2e-4f1a-9b7d-6e5c4a3b2f10';
+
+const board = { id: 'board-1', name: 'Roadmap', workspace_id: 'workspace-1' };
+
+const listsQuery = () => supabase.queries.find(query => query.table === 'task_lists');
+const labelQuery = () => supabase.queries.find(query => query.table === 'task_label_assignments');
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+  getWorkspaceAccess.mockResolvedValue({
+    role: 'member',
+    permissions: new Set(DEFAULT_ROLE_PERMISSIONS.member),
+    requireMfa: false,
+    deletedAt: null
+  });
+  supabase.respondWith((query) => {
+    if (query.table === 'task_boards') return { data: board };
+    if (query.table === 'task_label_assignments') return { data: [{ task_id: 'task-1' }, { task_id: 'task-1' }, { task_id: 'task-2' }] };
+    return { data: [] };
+  });
+});
+
+describe('GET /api/tasks/boards/:boardId filters', () => {
+  it('filters priorities in the lists query', async () => {
+    const res = await request(app).get(BOARD_URL).query({ priority: 'high,urgent' });
+
+    expect(res.status).toBe(200);
+    expect(filterValue(listsQuery(), 'in', 'tasks.priority')).toEqual(['high', 'urgent']);
+    expect(labelQuery()).toBeUndefined();
+  });
+
+  it('accepts repeated parameters as well as comma-separated ones', async () => {
+    const res = await request(app).get(`${BOARD_URL}?priority=low&priority=high,none&labels=${URGENT_LABEL}&labels=${BUG_LABEL}`);
+
+    expect(res.status).toBe(200);
+    expect(filterValue(listsQuery(), 'in', 'tasks.priority')).toEqual(['low', 'high', 'none']);
+    expect(filterValue(labelQuery(), 'in', 'label_id')).toEqual([URGENT_LABEL, BUG_LABEL]);
+  });
+
+  it('limits tasks to those carrying one of the labels on this board', async () => {
+    const res = await request(app).get(BOARD_URL).query({ labels: URGENT_LABEL });
+
+    expect(res.status).toBe(200);
+    expect(filterValue(labelQuery(), 'eq', 'tasks.task_lists.board_id')).toBe('board-1');
+    expect(filterValue(listsQuery(), 'in', 'tasks.id')).toEqual(['task-1', 'task-2']);
+  });
+
+  it('rejects unknown priorities and malformed label ids', async () => {
+    for (const params of [{ priority: 'high,critical' }, { labels: 'not-a-label' }]) {
+      const res = await request(app).get(BOARD_URL).query(params);
+
+      expect(res.status).toBe(400);
+      expect(listsQuery()).toBeUndefined();
+    }
+  });
+
+  it('ignores empty filters', async () => {
+    const res = await request(app).get(BOARD_URL).query({ priority: '', labels: ',' });
+
+    expect(res.status).toBe(200);
+    expect(filterValue(listsQuery(), 'in', 'tasks.priority')).toBeUndefined();
+    expect(labelQuery()).toBeUndefined();
+  });
+});
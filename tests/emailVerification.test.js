@@ -0,0 +1,141 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/mailer', () => ({
+  sendMail: jest.fn(async () => {}),
+  buildAppUrl: (path, params) => `https://app.test${path}?${new URLSearchParams(params)}`
+}));
+jest.mock('../services/invitations', () => ({ claimPendingInvitations: jest.fn(async () => []) }));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { auth, resetAuth, createTestApp } = require('./helpers/testApp');
+const { sendMail } = require('../services/mailer');
+const { hashToken } = require('../services/sessions');
+const { claimPendingInvitations } = require('../services/invitations');
+const { checkResendAllowed, sendVerificationEmail, verifyEmailToken } = require('../services/emailVerification');
+
+const app = createTestApp('/api/auth', require('../routes/auth'));
+
+const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000).toISOString();
+const verifiedProfile = { id: 'user-1', email: 'ada@example.com', email_verified_at: '2026-01-01T00:00:00.000Z' };
+
+const tokenQueries = (action) => supabase.queries.filter(query => query.table === 'auth_action_tokens' && query.action === action);
+
+beforeEach(() => {
+  supabase.reset();
+  resetAuth();
+  jest.clearAllMocks();
+});
+
+describe('checkResendAllowed', () => {
+  const respondSent = (...ages) => {
+    supabase.respondWith(() => ({ data: ages.map(age => ({ created_at: secondsAgo(age) })) }));
+  };
+
+  it('allows the first email and later ones after the cooldown', async () => {
+    respondSent();
+    expect(await checkResendAllowed('user-1')).toEqual({ allowed: true });
+
+    respondSent(120, 600);
+    expect(await checkResendAllowed('user-1')).toEqual({ allowed: true });
+  });
+
+  it('asks to wait out the cooldown after a send', async () => {
+    respondSent(20);
+
+    const attempt = await checkResendAllowed('user-1');
+
+    expect(attempt.allowed).toBe(false);
+    expect(attempt.retryAfter).toBeGreaterThan(35);
+    expect(attempt.retryAfter).toBeLessThanOrEqual(40);
+  });
+
+  it('caps sends per hour until the oldest one is an hour old', async () => {
+    respondSent(300, 600, 900, 1200, 3000);
+
+    const attempt = await checkResendAllowed('user-1');
+
+    expect(attempt.allowed).toBe(false);
+    expect(attempt.retryAfter).toBeGreaterThan(595);
+    expect(attempt.retryAfter).toBeLessThanOrEqual(600);
+  });
+});
+
+describe('sendVerificationEmail', () => {
+  it('retires earlier links and mails a new one', async () => {
+    await sendVerificationEmail({ id: 'user-1', email: 'ada@example.com', full_name: 'Ada' });
+
+    const [retire] = tokenQueries('update');
+    expect(filterValue(retire, 'eq', 'purpose')).toBe('email_verification');
+    expect(filterValue(retire, 'is', 'used_at')).toBeNull();
+
+    const token = new URL(sendMail.mock.calls[0][0].text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+    expect(tokenQueries('insert')[0].values).toMatchObject({ user_id: 'user-1', purpose: 'email_verification', token_hash: hashToken(token) });
+    expect(sendMail.mock.calls[0][0].to).toBe('ada@example.com');
+  });
+});
+
+describe('verifyEmailToken', () => {
+  it('marks the address verified for an unused, unexpired token', async () => {
+    supabase.respondWith((query) => (query.table === 'auth_action_tokens' ? { data: { user_id: 'user-1' } } : { data: verifiedProfile }));
+
+    expect(await verifyEmailToken('token-1')).toEqual(verifiedProfile);
+
+    const [consume] = tokenQueries('update');
+    expect(filterValue(consume, 'eq', 'token_hash')).toBe(hashToken('token-1'));
+    expect(filterValue(consume, 'gt', 'expires_at')).toEqual(expect.any(String));
+    expect(supabase.queries.find(query => query.table === 'profiles').values.email_verified_at).toEqual(expect.any(String));
+  });
+
+  it('returns null for invalid tokens without touching the profile', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect(await verifyEmailToken('token-1')).toBeNull();
+    expect(supabase.queries.some(query => query.table === 'profiles')).toBe(false);
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  it('verifies the address and accepts invitations sent to it', async () => {
+    supabase.respondWith((query) => (query.table === 'auth_action_tokens' ? { data: { user_id: 'user-1' } } : { data: verifiedProfile }));
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token: 'token-1' });
+
+    expect(res.status).toBe(200);
+    expect(claimPendingInvitations).toHaveBeenCalledWith(verifiedProfile);
+  });
+
+  it('answers 400 for invalid tokens', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect((await request(app).post('/api/auth/verify-email').send({ token: 'token-1' })).status).toBe(400);
+    expect(claimPendingInvitations).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/verify-email/resend', () => {
+  it('answers 429 with Retry-After during the cooldown', async () => {
+    supabase.respondWith(() => ({ data: [{ created_at: secondsAgo(10) }] }));
+
+    const res = await request(app).post('/api/auth/verify-email/resend');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBe(res.body.retryAfter);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('refuses verified addresses', async () => {
+    auth.user = { ...auth.user, email_verified_at: '2026-01-01T00:00:00.000Z' };
+
+    expect((await request(app).post('/api/auth/verify-email/resend')).status).toBe(400);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('sends a new email otherwise', async () => {
+    supabase.respondWith(() => ({ data: [] }));
+
+    expect((await request(app).post('/api/auth/verify-email/resend')).status).toBe(200);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+  });
+});
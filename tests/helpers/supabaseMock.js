@@ -0,0 +1,86 @@
+// Stand-in for config/supabase in unit tests:
+//
+//   jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+//
+// Every query is recorded in `queries` and answered by the handler given to
+// respondWith(), which receives the query ({ table, action, values, columns,
+// filters, single }) and returns { data, error, count }.
+const createSupabaseMock = () => {
+  const queries = [];
+  let respond = () => ({});
+
+  const from = (table) => {
+    const query = { table, action: 'select', values: null, columns: null, filters: [], single: false };
+    queries.push(query);
+
+    const builder = {};
+    const addFilter = (operator) => (column, value) => {
+      query.filters.push({ operator, column, value });
+      return builder;
+    };
+
+    ['eq', 'neq', 'is', 'in', 'gt', 'gte', 'lt', 'lte', 'or', 'contains', 'containedBy', 'ilike']
+      .forEach(operator => { builder[operator] = addFilter(operator); });
+    // not('deleted_at', 'is', null) is recorded with the value 'is.null'
+    builder.not = (column, operator, value) => addFilter('not')(column, `${operator}.${value}`);
+    ['order', 'limit', 'range'].forEach(method => { builder[method] = () => builder; });
+
+    builder.select = (columns) => {
+      query.columns = columns;
+      return builder;
+    };
+    ['insert', 'update', 'upsert'].forEach(action => {
+      builder[action] = (values) => {
+        query.action = action;
+        query.values = values;
+        return builder;
+      };
+    });
+    builder.delete = () => {
+      query.action = 'delete';
+      return builder;
+    };
+    builder.single = () => {
+      query.single = true;
+      return builder;
+    };
+    builder.maybeSingle = builder.single;
+
+    builder.then = (resolve, reject) => Promise.resolve()
+      .then(() => ({ data: null, error: null, ...respond(query) }))
+      .then(resolve, reject);
+
+    return builder;
+  };
+
+  const client = {
+    from,
+    rpc: jest.fn(async () => ({ data: null, error: null })),
+    auth: {
+      admin: {
+        createUser: jest.fn(),
+        deleteUser: jest.fn(async () => ({ error: null }))
+      }
+    }
+  };
+
+  return {
+    supabase: client,
+    supabaseAdmin: client,
+    queries,
+    respondWith: (handler) => { respond = handler; },
+    reset: () => {
+      queries.length = 0;
+      respond = () => ({});
+    }
+  };
+};
+
+// Value of a recorded filter, e.g. filterValue(query, 'eq', 'id')
+const filterValue = (query, operator, column) =>
+  query.filters.find(filter => filter.operator === operator && filter.column === column)?.value;
+
+module.exports = {
+  createSupabaseMock,
+  filterValue
+};
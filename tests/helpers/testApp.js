@@ -0,0 +1,47 @@
+// Mount one router the way server.js does, for supertest:
+//
+//   jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+//   const app = createTestApp('/api/users', require('../routes/users'));
+//
+// With the mocked middleware every request is signed in as `auth.user`
+// (with a session unless a test sets `auth.tokenScopes`); workspace access
+// still comes from services/permissions' getWorkspaceAccess, so mock that.
+const express = require('express');
+
+const defaultUser = { id: 'user-1', email: 'ada@example.com', full_name: 'Ada', mfa_enabled: false };
+const auth = { user: { ...defaultUser }, tokenScopes: null };
+
+const resetAuth = () => {
+  auth.user = { ...defaultUser };
+  auth.tokenScopes = null;
+};
+
+const mockAuthMiddleware = () => ({
+  ...jest.requireActual('../../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { ...auth.user };
+    if (auth.tokenScopes) {
+      req.authType = 'token';
+      req.tokenId = 'token-1';
+      req.tokenScopes = auth.tokenScopes;
+    } else {
+      req.authType = 'session';
+      req.sessionId = 'session-1';
+    }
+    next();
+  }
+});
+
+const createTestApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+module.exports = {
+  auth,
+  resetAuth,
+  mockAuthMiddleware,
+  createTestApp
+};
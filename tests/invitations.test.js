@@ -0,0 +1,193 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../services/mailer', () => ({
+  sendMail: jest.fn(async () => {}),
+  buildAppUrl: (path, params) => `https://app.test${path}?${new URLSearchParams(params)}`
+}));
+jest.mock('../services/workspaceMembership', () => ({
+  addWorkspaceMember: jest.fn(async (workspaceId, userId, role) => ({ data: { id: 'member-1', role }, error: null })),
+  getWorkspaceMembership: jest.fn(async () => null)
+}));
+jest.mock('../services/quotas', () => ({
+  ...jest.requireActual('../services/quotas'),
+  checkQuota: jest.fn(async () => null)
+}));
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { createTestApp } = require('./helpers/testApp');
+const { filterValue } = require('./helpers/supabaseMock');
+const { sendMail } = require('../services/mailer');
+const { hashToken } = require('../services/sessions');
+const { addWorkspaceMember, getWorkspaceMembership } = require('../services/workspaceMembership');
+const { checkQuota } = require('../services/quotas');
+const {
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation,
+  claimPendingInvitations
+} = require('../services/invitations');
+
+const app = createTestApp('/api/workspaces', require('../routes/workspaces'));
+
+const workspace = { id: 'workspace-1', name: 'Acme' };
+const invitation = { id: 'invitation-1', workspace_id: 'workspace-1', role: 'guest' };
+
+const invitationQueries = (action) =>
+  supabase.queries.filter(query => query.table === 'workspace_invitations' && query.action === action);
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('createInvitation', () => {
+  it('replaces pending invitations, stores only the token hash and mails the link', async () => {
+    supabase.respondWith((query) => (query.action === 'insert' ? { data: { id: 'invitation-1', ...query.values } } : {}));
+
+    await createInvitation({
+      workspace,
+      email: 'grace@example.com',
+      role: 'member',
+      invitedBy: { id: 'user-1', email: 'ada@example.com', full_name: 'Ada' }
+    });
+
+    const [revoke] = invitationQueries('update');
+    expect(revoke.values.revoked_at).toEqual(expect.any(String));
+    expect(filterValue(revoke, 'eq', 'email')).toBe('grace@example.com');
+    expect(filterValue(revoke, 'is', 'accepted_at')).toBeNull();
+
+    const [insert] = invitationQueries('insert');
+    const token = new URL(sendMail.mock.calls[0][0].text.match(/https:\/\/\S+/)[0]).searchParams.get('token');
+    expect(insert.values).toMatchObject({ workspace_id: 'workspace-1', email: 'grace@example.com', role: 'member', invited_by: 'user-1' });
+    expect(insert.values.token_hash).toBe(hashToken(token));
+    expect(JSON.stringify(insert.values)).not.toContain(token);
+    expect(sendMail.mock.calls[0][0]).toMatchObject({ to: 'grace@example.com', subject: 'Ada invited you to Acme on OneDesk' });
+  });
+
+  it('throws without mailing when the insert fails', async () => {
+    supabase.respondWith((query) => (query.action === 'insert' ? { error: { message: 'boom' } } : {}));
+
+    await expect(createInvitation({ workspace, email: 'grace@example.com', role: 'member', invitedBy: { id: 'user-1' } }))
+      .rejects.toThrow('Failed to create invitation: boom');
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe('findPendingInvitation', () => {
+  it('looks up unused, unexpired invitations by token hash', async () => {
+    supabase.respondWith(() => ({ data: { ...invitation, workspaces: { id: 'workspace-1', deleted_at: null } } }));
+
+    expect(await findPendingInvitation('token-1')).toMatchObject({ id: 'invitation-1' });
+
+    const [lookup] = supabase.queries;
+    expect(filterValue(lookup, 'eq', 'token_hash')).toBe(hashToken('token-1'));
+    ['accepted_at', 'declined_at', 'revoked_at'].forEach(column => expect(filterValue(lookup, 'is', column)).toBeNull());
+    expect(filterValue(lookup, 'gt', 'expires_at')).toEqual(expect.any(String));
+  });
+
+  it('ignores invitations to a workspace in the trash', async () => {
+    supabase.respondWith(() => ({ data: { ...invitation, workspaces: { deleted_at: '2026-01-01T00:00:00.000Z' } } }));
+
+    expect(await findPendingInvitation('token-1')).toBeNull();
+  });
+});
+
+describe('acceptInvitation', () => {
+  it('claims the invitation and adds the user with its role', async () => {
+    supabase.respondWith(() => ({ data: { id: 'invitation-1' } }));
+
+    expect(await acceptInvitation(invitation, 'user-2')).toEqual({ id: 'member-1', role: 'guest' });
+    expect(invitationQueries('update')[0].values).toMatchObject({ accepted_by: 'user-2' });
+    expect(addWorkspaceMember).toHaveBeenCalledWith('workspace-1', 'user-2', 'guest', { via: 'invitation' });
+  });
+
+  it('returns null when the invitation was used in the meantime', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect(await acceptInvitation(invitation, 'user-2')).toBeNull();
+    expect(addWorkspaceMember).not.toHaveBeenCalled();
+  });
+
+  it('keeps an existing membership as it is', async () => {
+    supabase.respondWith(() => ({ data: { id: 'invitation-1' } }));
+    getWorkspaceMembership.mockResolvedValueOnce({ id: 'member-9', role: 'admin' });
+
+    expect(await acceptInvitation(invitation, 'user-2')).toEqual({ id: 'member-9', role: 'admin' });
+    expect(addWorkspaceMember).not.toHaveBeenCalled();
+  });
+});
+
+describe('claimPendingInvitations', () => {
+  const profile = { id: 'user-2', email: 'Grace@Example.com', email_verified_at: '2026-01-01T00:00:00.000Z' };
+
+  it('trusts only verified addresses', async () => {
+    expect(await claimPendingInvitations({ ...profile, email_verified_at: null })).toEqual([]);
+    expect(supabase.queries).toHaveLength(0);
+  });
+
+  it('joins every pending invitation but keeps those for full workspaces pending', async () => {
+    supabase.respondWith((query) => (query.action === 'select'
+      ? { data: [invitation, { ...invitation, id: 'invitation-2', workspace_id: 'workspace-2' }] }
+      : { data: { id: query.filters[0].value } }));
+    checkQuota.mockResolvedValueOnce(null).mockResolvedValueOnce({ code: 'QUOTA_EXCEEDED' });
+
+    expect(await claimPendingInvitations(profile)).toEqual(['workspace-1']);
+    expect(filterValue(supabase.queries[0], 'eq', 'email')).toBe('grace@example.com');
+    expect(filterValue(supabase.queries[0], 'is', 'workspaces.deleted_at')).toBeNull();
+    expect(addWorkspaceMember).toHaveBeenCalledTimes(1);
+  });
+
+  it('never throws', async () => {
+    supabase.respondWith(() => ({ error: { message: 'boom' } }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await claimPendingInvitations(profile)).toEqual([]);
+
+    console.error.mockRestore();
+  });
+});
+
+describe('POST /api/workspaces/invitations/:token/accept', () => {
+  const respondInvitation = (email) => {
+    supabase.respondWith((query) => (query.action === 'select'
+      ? { data: { ...invitation, email, workspaces: { id: 'workspace-1', name: 'Acme', deleted_at: null } } }
+      : { data: { id: 'invitation-1' } }));
+  };
+
+  it('accepts invitations sent to the signed-in user', async () => {
+    respondInvitation('ada@example.com');
+
+    const res = await request(app).post('/api/workspaces/invitations/token-1/accept');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ role: 'guest', workspace: { id: 'workspace-1' } });
+    expect(addWorkspaceMember).toHaveBeenCalledWith('workspace-1', 'user-1', 'guest', { via: 'invitation' });
+  });
+
+  it('refuses invitations sent to another address', async () => {
+    respondInvitation('grace@example.com');
+
+    const res = await request(app).post('/api/workspaces/invitations/token-1/accept');
+
+    expect(res.status).toBe(403);
+    expect(invitationQueries('update')).toHaveLength(0);
+  });
+
+  it('refuses to join a full workspace', async () => {
+    respondInvitation('ada@example.com');
+    checkQuota.mockResolvedValueOnce({ status: 402, code: 'QUOTA_EXCEEDED', message: 'Member limit reached' });
+
+    const res = await request(app).post('/api/workspaces/invitations/token-1/accept');
+
+    expect(res.status).toBe(402);
+    expect(res.body.code).toBe('QUOTA_EXCEEDED');
+    expect(addWorkspaceMember).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for unknown or used tokens', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect((await request(app).post('/api/workspaces/invitations/token-1/accept')).status).toBe(404);
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../services/workspaceMembership', () => ({
+  addWorkspaceMember: jest.fn(async (workspaceId, userId, role) => ({ data: { id: 'member-1', role }, error: null })),
+  getWorkspaceMembership: jest.fn(async () => null)
+}));
+jest.mock('../services/quotas', () => ({ checkQuota: jest.fn(async () => null) }));
+
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { hashToken } = require('../services/sessions');
+const { addWorkspaceMember, getWorkspaceMembership } = require('../services/workspaceMembership');
+const { checkQuota } = require('../services/quotas');
+const { createInviteLink, getInviteLinkProblem, redeemInviteLink } = require('../services/inviteLinks');
+
+const link = {
+  id: 'link-1',
+  workspace_id: 'workspace-1',
+  role: 'member',
+  max_uses: 2,
+  use_count: 0,
+  expires_at: null,
+  revoked_at: null,
+  allowed_domains: [],
+  workspaces: { id: 'workspace-1', name: 'Acme', block_unverified_invites: false, deleted_at: null }
+};
+const user = { id: 'user-2', email: 'grace@example.com', email_verified_at: '2026-01-01T00:00:00.000Z' };
+
+const linkUpdates = () => supabase.queries.filter(query => query.table === 'workspace_invite_links' && query.action === 'update');
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('createInviteLink', () => {
+  it('stores the token hash and returns the raw token once', async () => {
+    supabase.respondWith((query) => ({ data: { id: 'link-1', ...query.values } }));
+
+    const { token, url, link: created } = await createInviteLink({ workspaceId: 'workspace-1', role: 'guest', createdBy: 'user-1' });
+
+    expect(created.token_hash).toBe(hashToken(token));
+    expect(created).toMatchObject({ role: 'guest', max_uses: null, expires_at: null, allowed_domains: [] });
+    expect(url).toContain(`/join?token=${token}`);
+  });
+});
+
+describe('getInviteLinkProblem', () => {
+  it('explains why a link is unusable', () => {
+    expect(getInviteLinkProblem(link)).toBeNull();
+    expect(getInviteLinkProblem({ ...link, revoked_at: '2026-01-01T00:00:00.000Z' })).toBe('revoked');
+    expect(getInviteLinkProblem({ ...link, workspaces: { deleted_at: '2026-01-01T00:00:00.000Z' } })).toBe('unavailable');
+    expect(getInviteLinkProblem({ ...link, expires_at: '2000-01-01T00:00:00.000Z' })).toBe('expired');
+    expect(getInviteLinkProblem({ ...link, use_count: 2 })).toBe('exhausted');
+    expect(getInviteLinkProblem({ ...link, max_uses: null, use_count: 1000 })).toBeNull();
+  });
+});
+
+describe('redeemInviteLink', () => {
+  it('counts the use and adds the user with the link role', async () => {
+    supabase.respondWith(() => ({ data: { ...link, use_count: 1 } }));
+
+    expect(await redeemInviteLink(link, user)).toEqual({ data: { id: 'member-1', role: 'member' } });
+
+    const [claim] = linkUpdates();
+    expect(claim.values).toEqual({ use_count: 1 });
+    expect(filterValue(claim, 'eq', 'use_count')).toBe(0);
+    expect(addWorkspaceMember).toHaveBeenCalledWith('workspace-1', 'user-2', 'member', { via: 'invite_link' });
+  });
+
+  it('refuses unusable links before anything else', async () => {
+    const { error } = await redeemInviteLink({ ...link, use_count: 2 }, user);
+
+    expect(error).toMatchObject({ status: 410, code: 'LINK_EXHAUSTED' });
+    expect(supabase.queries).toHaveLength(0);
+  });
+
+  it('needs a verified address from an allowed domain for restricted links', async () => {
+    const restricted = { ...link, allowed_domains: ['acme.com'] };
+
+    expect((await redeemInviteLink(restricted, { ...user, email: 'grace@acme.com', email_verified_at: null })).error)
+      .toMatchObject({ status: 403, code: 'EMAIL_NOT_VERIFIED' });
+    expect((await redeemInviteLink(restricted, user)).error)
+      .toMatchObject({ status: 403, code: 'DOMAIN_NOT_ALLOWED' });
+    expect((await redeemInviteLink({ ...link, workspaces: { ...link.workspaces, block_unverified_invites: true } }, { ...user, email_verified_at: null })).error)
+      .toMatchObject({ code: 'EMAIL_NOT_VERIFIED' });
+    expect(addWorkspaceMember).not.toHaveBeenCalled();
+  });
+
+  it('refuses existing members and full workspaces without using the link', async () => {
+    getWorkspaceMembership.mockResolvedValueOnce({ id: 'member-9' });
+    expect((await redeemInviteLink(link, user)).error).toMatchObject({ status: 400 });
+
+    checkQuota.mockResolvedValueOnce({ status: 402, code: 'QUOTA_EXCEEDED', message: 'Member limit reached' });
+    expect((await redeemInviteLink(link, user)).error).toMatchObject({ status: 402, code: 'QUOTA_EXCEEDED' });
+
+    expect(linkUpdates()).toHaveLength(0);
+  });
+
+  it('retries a lost race and stops once the last use is taken', async () => {
+    supabase.respondWith((query) => (query.action === 'update' ? { data: null } : { data: { ...link, use_count: 2 } }));
+
+    const { error } = await redeemInviteLink({ ...link, use_count: 1 }, user);
+
+    expect(error).toMatchObject({ status: 410, code: 'LINK_EXHAUSTED' });
+    expect(linkUpdates()).toHaveLength(1);
+    expect(addWorkspaceMember).not.toHaveBeenCalled();
+  });
+
+  it('gives the use back when the join fails', async () => {
+    supabase.respondWith(() => ({ data: { ...link, use_count: 1 } }));
+    addWorkspaceMember.mockResolvedValueOnce({ data: null, error: { message: 'boom' } });
+
+    await expect(redeemInviteLink(link, user)).rejects.toThrow('Failed to join workspace: boom');
+
+    const [, release] = linkUpdates();
+    expect(release.values).toEqual({ use_count: 0 });
+    expect(filterValue(release, 'eq', 'use_count')).toBe(1);
+  });
+});
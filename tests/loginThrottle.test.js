@@ -0,0 +1,175 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../services/actionTokens', () => ({ issueActionToken: jest.fn(async () => 'unlock-token') }));
+jest.mock('../services/mailer', () => ({
+  sendMail: jest.fn(async () => {}),
+  buildAppUrl: (path, params) => `https://app.test${path}?${new URLSearchParams(params)}`
+}));
+jest.mock('../services/audit', () => ({ recordAudit: jest.fn(async () => {}) }));
+
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { issueActionToken } = require('../services/actionTokens');
+const { sendMail } = require('../services/mailer');
+const { recordAudit } = require('../services/audit');
+const { checkLoginAttempt, recordLoginFailure, isMfaChallengeExhausted } = require('../services/loginThrottle');
+
+// Answer failure counts per column and the profile lookup
+const respond = ({ ipFailures = 0, accountFailures = 0, profile = null, lock = { id: 'user-1' } }) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'failed_logins' && query.action === 'select') {
+      return { count: filterValue(query, 'eq', 'ip_address') ? ipFailures : accountFailures };
+    }
+    if (query.table === 'profiles' && query.action === 'select') return { data: profile };
+    if (query.table === 'profiles' && query.action === 'update') return { data: lock };
+    return {};
+  });
+};
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('checkLoginAttempt', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lets a clean attempt through and counts failures over the last 15 minutes', async () => {
+    respond({});
+    const before = Date.now();
+
+    expect(await checkLoginAttempt({ email: 'ada@example.com', ipAddress: '10.0.0.1' })).toEqual({ allowed: true });
+
+    const counts = supabase.queries.filter(query => query.table === 'failed_logins');
+    expect(counts).toHaveLength(2);
+    counts.forEach(query => {
+      const since = new Date(filterValue(query, 'gte', 'created_at')).getTime();
+      expect(Math.abs(before - since - 15 * 60 * 1000)).toBeLessThan(1000);
+    });
+  });
+
+  it('blocks an IP with too many failures for the whole window', async () => {
+    respond({ ipFailures: 20 });
+
+    expect(await checkLoginAttempt({ email: 'ada@example.com', ipAddress: '10.0.0.1' }))
+      .toEqual({ allowed: false, reason: 'ip', retryAfter: 15 * 60 });
+    expect(supabase.queries.some(query => query.table === 'profiles')).toBe(false);
+  });
+
+  it('blocks a locked account until the lock runs out', async () => {
+    respond({ profile: { id: 'user-1', locked_until: new Date(Date.now() + 120 * 1000).toISOString() } });
+
+    const result = await checkLoginAttempt({ email: 'ada@example.com', ipAddress: '10.0.0.1' });
+
+    expect(result).toMatchObject({ allowed: false, reason: 'account' });
+    expect(result.retryAfter).toBeGreaterThan(115);
+    expect(result.retryAfter).toBeLessThanOrEqual(120);
+  });
+
+  it('ignores a lock that has run out', async () => {
+    respond({ profile: { id: 'user-1', locked_until: new Date(Date.now() - 1000).toISOString() } });
+
+    expect(await checkLoginAttempt({ email: 'ada@example.com', ipAddress: '10.0.0.1' })).toEqual({ allowed: true });
+  });
+
+  it('delays attempts progressively with the failure count', async () => {
+    jest.useFakeTimers();
+    respond({ ipFailures: 1, accountFailures: 3 });
+
+    let settled = false;
+    const attempt = checkLoginAttempt({ email: 'ada@example.com', ipAddress: '10.0.0.1' })
+      .then(result => { settled = true; return result; });
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(settled).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(await attempt).toEqual({ allowed: true });
+  });
+
+  it('caps the delay at five seconds', async () => {
+    jest.useFakeTimers();
+    respond({ ipFailures: 19 });
+
+    let settled = false;
+    const attempt = checkLoginAttempt({ ipAddress: '10.0.0.1' })
+      .then(result => { settled = true; return result; });
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(settled).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(await attempt).toEqual({ allowed: true });
+  });
+});
+
+describe('recordLoginFailure', () => {
+  const profile = { id: 'user-1', email: 'ada@example.com' };
+
+  it('records the failure without locking below the limit', async () => {
+    respond({ accountFailures: 4, profile });
+
+    await recordLoginFailure({ email: 'ada@example.com', ipAddress: '10.0.0.1' });
+
+    const insert = supabase.queries.find(query => query.table === 'failed_logins' && query.action === 'insert');
+    expect(insert.values).toEqual({ email: 'ada@example.com', ip_address: '10.0.0.1' });
+    expect(supabase.queries.some(query => query.action === 'update')).toBe(false);
+  });
+
+  it('locks the account for 15 minutes and mails an unlock link at the limit', async () => {
+    respond({ accountFailures: 5, profile });
+    const before = Date.now();
+
+    await recordLoginFailure({ email: 'ada@example.com', ipAddress: '10.0.0.1' });
+
+    const lock = supabase.queries.find(query => query.table === 'profiles' && query.action === 'update');
+    const lockedFor = new Date(lock.values.locked_until).getTime() - before;
+    expect(lockedFor).toBeGreaterThanOrEqual(15 * 60 * 1000);
+    expect(lockedFor).toBeLessThan(15 * 60 * 1000 + 1000);
+
+    expect(issueActionToken).toHaveBeenCalledWith('user-1', 'account_unlock', 24 * 60);
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', action: 'account_locked' }));
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@example.com' }));
+    expect(sendMail.mock.calls[0][0].text).toContain('https://app.test/unlock-account?token=unlock-token');
+  });
+
+  it('mails only once when the account is already locked', async () => {
+    respond({ accountFailures: 6, profile, lock: null });
+
+    await recordLoginFailure({ email: 'ada@example.com', ipAddress: '10.0.0.1' });
+
+    expect(issueActionToken).not.toHaveBeenCalled();
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('only counts the IP for attempts without an email', async () => {
+    respond({ accountFailures: 50, profile });
+
+    await recordLoginFailure({ ipAddress: '10.0.0.1' });
+
+    const insert = supabase.queries.find(query => query.table === 'failed_logins' && query.action === 'insert');
+    expect(insert.values).toEqual({ email: null, ip_address: '10.0.0.1' });
+    expect(supabase.queries.some(query => query.table === 'profiles')).toBe(false);
+  });
+});
+
+describe('isMfaChallengeExhausted', () => {
+  const issuedAt = new Date('2026-01-01T10:00:00.000Z');
+
+  it('counts the account\'s failures since the challenge was issued', async () => {
+    respond({ accountFailures: 2 });
+
+    expect(await isMfaChallengeExhausted('ada@example.com', issuedAt)).toBe(false);
+
+    const count = supabase.queries.find(query => query.table === 'failed_logins');
+    expect(filterValue(count, 'eq', 'email')).toBe('ada@example.com');
+    expect(filterValue(count, 'gte', 'created_at')).toBe('2026-01-01T10:00:00.000Z');
+  });
+
+  it('gives up after three failures', async () => {
+    respond({ accountFailures: 3 });
+
+    expect(await isMfaChallengeExhausted('ada@example.com', issuedAt)).toBe(true);
+  });
+});
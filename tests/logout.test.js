@@ -0,0 +1,130 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const {
+  generateAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  sessionEvents
+} = require('../services/sessions');
+
+const app = createTestApp('/api/auth', require('../routes/auth'));
+
+const activeSession = {
+  id: 'session-1',
+  user_id: 'user-1',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  revoked_at: null,
+  last_used_at: new Date().toISOString()
+};
+
+// Answer session lookups with `session`, revocations with `revoked` and the profile
+const respond = ({ session = activeSession, revoked = [{ id: 'session-1', user_id: 'user-1' }] } = {}) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'auth_sessions' && query.action === 'select') return { data: session };
+    if (query.table === 'auth_sessions' && query.action === 'update') return { data: revoked };
+    if (query.table === 'profiles') return { data: { id: 'user-1', email: 'ada@example.com' } };
+    return {};
+  });
+};
+
+const revocation = () => supabase.queries.find(query => query.table === 'auth_sessions' && query.action === 'update');
+
+let revokedEvents;
+const onRevoked = (sessions) => revokedEvents.push(sessions);
+
+beforeEach(() => {
+  supabase.reset();
+  revokedEvents = [];
+  sessionEvents.on('revoked', onRevoked);
+});
+
+afterEach(() => {
+  sessionEvents.off('revoked', onRevoked);
+});
+
+describe('revokeSession', () => {
+  it('revokes an active session and announces it', async () => {
+    respond();
+
+    await revokeSession('session-1');
+
+    expect(revocation().values).toMatchObject({ revoked_at: expect.any(String), revoked_reason: 'logout' });
+    expect(filterValue(revocation(), 'is', 'revoked_at')).toBeNull();
+    expect(revokedEvents).toEqual([[{ id: 'session-1', user_id: 'user-1' }]]);
+  });
+
+  it('stays quiet for sessions that were already revoked', async () => {
+    respond({ revoked: [] });
+
+    expect(await revokeSession('session-1')).toEqual([]);
+    expect(revokedEvents).toEqual([]);
+  });
+});
+
+describe('revokeUserSessions', () => {
+  it('revokes every session of the user, optionally keeping one', async () => {
+    respond({ revoked: [{ id: 'session-2', user_id: 'user-1' }] });
+
+    await revokeUserSessions('user-1', { exceptSessionId: 'session-1', reason: 'password_changed' });
+
+    expect(revocation().values.revoked_reason).toBe('password_changed');
+    expect(filterValue(revocation(), 'eq', 'user_id')).toBe('user-1');
+    expect(filterValue(revocation(), 'neq', 'id')).toBe('session-1');
+    expect(revokedEvents).toHaveLength(1);
+  });
+});
+
+describe('verifyAccessToken', () => {
+  it('accepts tokens of active sessions only', async () => {
+    const token = generateAccessToken('user-1', 'session-1');
+
+    respond();
+    expect(await verifyAccessToken(token)).toEqual({ userId: 'user-1', sessionId: 'session-1' });
+
+    respond({ session: { ...activeSession, revoked_at: new Date().toISOString() } });
+    expect(await verifyAccessToken(token)).toBeNull();
+
+    respond({ session: { ...activeSession, user_id: 'user-2' } });
+    expect(await verifyAccessToken(token)).toBeNull();
+  });
+});
+
+describe('logout routes', () => {
+  const signedIn = (req) => req.set('Authorization', `Bearer ${generateAccessToken('user-1', 'session-1')}`);
+
+  it('POST /logout revokes the current session', async () => {
+    respond();
+
+    const res = await signedIn(request(app).post('/api/auth/logout'));
+
+    expect(res.status).toBe(200);
+    expect(filterValue(revocation(), 'eq', 'id')).toBe('session-1');
+    expect(revocation().values.revoked_reason).toBe('logout');
+  });
+
+  it('POST /logout-all revokes every session', async () => {
+    respond({ revoked: [{ id: 'session-1', user_id: 'user-1' }, { id: 'session-2', user_id: 'user-1' }] });
+
+    const res = await signedIn(request(app).post('/api/auth/logout-all'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.revokedSessions).toBe(2);
+    expect(filterValue(revocation(), 'neq', 'id')).toBeUndefined();
+  });
+
+  it('refuses the access token once its session is revoked', async () => {
+    respond({ session: { ...activeSession, revoked_at: new Date().toISOString() } });
+
+    const res = await signedIn(request(app).get('/api/auth/me'));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Session expired or revoked');
+  });
+});
@@ -0,0 +1,72 @@
+const { sendMail, registerTransport, assertMailConfigured, buildAppUrl } = require('../services/mailer');
+
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+  jest.restoreAllMocks();
+});
+
+describe('sendMail', () => {
+  it('prints to the console outside production by default', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'test';
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await sendMail({ to: 'ada@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(log.mock.calls[0][0]).toContain('Mail to ada@example.com: Hi');
+  });
+
+  it('uses a registered transport', async () => {
+    const send = jest.fn(async () => {});
+    registerTransport('memory', send);
+    process.env.MAIL_TRANSPORT = 'memory';
+
+    await sendMail({ to: 'ada@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@example.com', subject: 'Hi', text: 'Hello', from: expect.any(String) }));
+  });
+
+  it('refuses to fall back to the console in production', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+
+    await expect(sendMail({ to: 'ada@example.com', subject: 'Hi', text: 'Hello' })).rejects.toThrow('MAIL_TRANSPORT is not set');
+  });
+});
+
+describe('assertMailConfigured', () => {
+  it('requires an explicit transport in production', () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+    expect(() => assertMailConfigured()).toThrow('MAIL_TRANSPORT must be set in production');
+
+    process.env.MAIL_TRANSPORT = 'file';
+    expect(() => assertMailConfigured()).not.toThrow();
+  });
+
+  it('rejects unknown transports and webhooks without a URL', () => {
+    process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+    expect(() => assertMailConfigured()).toThrow('Unknown mail transport: carrier-pigeon');
+
+    process.env.MAIL_TRANSPORT = 'webhook';
+    delete process.env.MAIL_WEBHOOK_URL;
+    expect(() => assertMailConfigured()).toThrow('MAIL_WEBHOOK_URL is required');
+  });
+
+  it('accepts the console default in development', () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+
+    expect(() => assertMailConfigured()).not.toThrow();
+  });
+});
+
+describe('buildAppUrl', () => {
+  it('uses APP_URL and encodes parameters', () => {
+    process.env.APP_URL = 'https://app.example.com';
+
+    expect(buildAppUrl('/reset-password', { token: 'a b' })).toBe('https://app.example.com/reset-password?token=a+b');
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+jest.mock('../services/activity', () => ({ diffFields: jest.fn(() => ({})), recordActivity: jest.fn(async () => {}) }));
+jest.mock('../services/teams', () => ({ removeUserFromWorkspaceTeams: jest.fn(async () => {}) }));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { createTestApp } = require('./helpers/testApp');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+
+const app = createTestApp('/api/users', require('../routes/users'));
+
+const WORKSPACE_ID = 'workspace-1';
+const ROLE_URL = `/api/users/workspace/${WORKSPACE_ID}/members/member-2/role`;
+
+// Signed-in user's access: a built-in role or a custom role's permissions
+const signInAs = (role, permissions = DEFAULT_ROLE_PERMISSIONS[role]) => {
+  getWorkspaceAccess.mockResolvedValue({ role, permissions: new Set(permissions), requireMfa: false, deletedAt: null });
+};
+
+// Answer the custom role and target member lookups and the update
+const respond = ({ target, customRole = null }) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'workspace_roles') return { data: customRole };
+    if (query.table === 'workspace_members' && query.action === 'select') return { data: target };
+    if (query.table === 'workspace_members' && query.action === 'update') {
+      return { data: { id: 'member-2', role: query.values.role || target.role, profiles: { id: target.user_id, email: 'grace@example.com' } } };
+    }
+    return { data: null };
+  });
+};
+
+const updated = () => supabase.queries.find(query => query.table === 'workspace_members' && query.action === 'update');
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('PUT /api/users/workspace/:workspaceId/members/:memberId/role', () => {
+  const planner = ['roles.manage', 'tasks.create', 'tasks.edit'];
+
+  it('lets admins change a member\'s built-in role', async () => {
+    signInAs('admin');
+    respond({ target: { role: 'member', role_id: null, user_id: 'user-2' } });
+
+    const res = await request(app).put(ROLE_URL).send({ role: 'guest' });
+
+    expect(res.status).toBe(200);
+    expect(updated().values).toEqual({ role: 'guest' });
+  });
+
+  it('refuses changes to your own role', async () => {
+    signInAs('admin');
+    respond({ target: { role: 'admin', role_id: null, user_id: 'user-1' } });
+
+    const res = await request(app).put(ROLE_URL).send({ role: 'member' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('You can\'t change your own role');
+    expect(updated()).toBeUndefined();
+  });
+
+  it('refuses built-in roles with permissions the caller lacks', async () => {
+    signInAs('member', planner);
+    respond({ target: { role: 'guest', role_id: null, user_id: 'user-2' } });
+
+    const res = await request(app).put(ROLE_URL).send({ role: 'member' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PERMISSION_DENIED');
+    expect(updated()).toBeUndefined();
+  });
+
+  it('allows built-in roles within the caller\'s permissions', async () => {
+    signInAs('member', planner);
+    respond({ target: { role: 'member', role_id: null, user_id: 'user-2' } });
+
+    expect((await request(app).put(ROLE_URL).send({ role: 'guest' })).status).toBe(200);
+  });
+
+  it('refuses custom roles with permissions the caller lacks', async () => {
+    signInAs('member', planner);
+    respond({
+      target: { role: 'member', role_id: null, user_id: 'user-2' },
+      customRole: { id: '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11', permissions: ['members.remove'] }
+    });
+
+    const res = await request(app).put(ROLE_URL).send({ roleId: '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PERMISSION_DENIED');
+  });
+
+  it('needs roles.manage', async () => {
+    signInAs('member');
+
+    expect((await request(app).put(ROLE_URL).send({ role: 'guest' })).status).toBe(403);
+    expect(supabase.queries).toHaveLength(0);
+  });
+});
+
+describe('DELETE /api/users/workspace/:workspaceId/members/:memberId', () => {
+  const url = `/api/users/workspace/${WORKSPACE_ID}/members/member-2`;
+
+  it('needs members.remove rather than roles.manage', async () => {
+    signInAs('member', ['roles.manage']);
+
+    const res = await request(app).delete(url);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied: Requires the members.remove permission');
+  });
+
+  it('removes the member with members.remove', async () => {
+    signInAs('member', ['members.remove']);
+    supabase.respondWith((query) => (query.action === 'select'
+      ? { data: { role: 'member', profiles: { id: 'user-2', email: 'grace@example.com' } } }
+      : {}));
+
+    const res = await request(app).delete(url);
+
+    expect(res.status).toBe(200);
+    expect(supabase.queries.some(query => query.table === 'workspace_members' && query.action === 'delete')).toBe(true);
+  });
+});
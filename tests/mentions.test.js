@@ -0,0 +1,127 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../services/mailer', () => ({
+  sendMail: jest.fn(async () => {}),
+  buildAppUrl: (path, params) => `https://app.test${path}?${new URLSearchParams(params)}`
+}));
+
+const supabase = require('../config/supabase');
+const { eventBus } = require('../socket/eventBus');
+const { sendMail } = require('../services/mailer');
+const { extractMentions, resolveMentions, notifyMentions } = require('../services/mentions');
+
+const ADA_ID = '11111111-1111-4111-8111-111111111111';
+const GRACE_ID = '22222222-2222-4222-8222-222222222222';
+const GUEST_ID = '33333333-3333-4333-8333-333333333333';
+
+const member = (id, email, role = 'member') => ({ role, profiles: { id, email, full_name: null, avatar_url: null } });
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('extractMentions', () => {
+  it('finds markup mentions by user id', () => {
+    expect(extractMentions(`Thanks @[Ada](${ADA_ID}) and @[Grace Hopper](${GRACE_ID.toUpperCase()})`))
+      .toEqual({ userIds: [ADA_ID, GRACE_ID], emails: [] });
+  });
+
+  it('finds plain email mentions', () => {
+    expect(extractMentions('@ada@example.com, ping @Grace.Hopper+work@navy.mil.'))
+      .toEqual({ userIds: [], emails: ['ada@example.com', 'grace.hopper+work@navy.mil'] });
+  });
+
+  it('ignores email addresses without an @ in front', () => {
+    expect(extractMentions('mail ada@example.com or foo@@bar.com').emails).toEqual([]);
+  });
+
+  it('does not read the markup label as an email mention', () => {
+    expect(extractMentions(`@[@ada@example.com](${ADA_ID})`)).toEqual({ userIds: [ADA_ID], emails: [] });
+  });
+
+  it('deduplicates repeated mentions', () => {
+    expect(extractMentions(`@[Ada](${ADA_ID}) @[A.](${ADA_ID}) @ada@example.com @ADA@example.com`))
+      .toEqual({ userIds: [ADA_ID], emails: ['ada@example.com'] });
+  });
+
+  it('returns nothing for text without mentions', () => {
+    expect(extractMentions('no mentions here, just an @ sign')).toEqual({ userIds: [], emails: [] });
+  });
+});
+
+describe('resolveMentions', () => {
+  it('keeps members and guests the board is shared with', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'workspace_members') {
+        return {
+          data: [
+            member(ADA_ID, 'ada@example.com'),
+            member(GRACE_ID, 'Grace@Example.com'),
+            member(GUEST_ID, 'guest@example.com', 'guest')
+          ]
+        };
+      }
+      return { data: [] };
+    });
+
+    const mentioned = await resolveMentions('workspace-1', 'board-1', `@[Ada](${ADA_ID}) @grace@example.com @guest@example.com`);
+
+    expect(mentioned.map(profile => profile.id)).toEqual([ADA_ID, GRACE_ID]);
+
+    supabase.respondWith((query) => {
+      if (query.table === 'workspace_members') return { data: [member(GUEST_ID, 'guest@example.com', 'guest')] };
+      return { data: [{ user_id: GUEST_ID }] };
+    });
+
+    expect((await resolveMentions('workspace-1', 'board-1', '@guest@example.com')).map(profile => profile.id))
+      .toEqual([GUEST_ID]);
+  });
+
+  it('skips the lookup for text without mentions', async () => {
+    expect(await resolveMentions('workspace-1', 'board-1', 'nothing to see')).toEqual([]);
+    expect(supabase.queries).toHaveLength(0);
+  });
+});
+
+describe('notifyMentions', () => {
+  const author = { id: ADA_ID, email: 'ada@example.com', full_name: 'Ada' };
+  const task = { id: 'task-1', title: 'Ship it' };
+  const comment = { id: 'comment-1', content: 'Look at this' };
+
+  it('publishes and mails every mentioned user but the author', async () => {
+    const published = [];
+    const onPublish = (event) => published.push(event);
+    eventBus.on('publish', onPublish);
+
+    await notifyMentions({
+      users: [author, { id: GRACE_ID, email: 'grace@example.com' }],
+      author,
+      task,
+      boardId: 'board-1',
+      workspaceId: 'workspace-1',
+      comment
+    });
+    eventBus.off('publish', onPublish);
+
+    expect(published.map(event => [event.room, event.event])).toEqual([[`user:${GRACE_ID}`, 'task_mention']]);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0]).toMatchObject({ to: 'grace@example.com', subject: 'Ada mentioned you on "Ship it"' });
+    expect(sendMail.mock.calls[0][0].text).toContain('https://app.test/workspaces/workspace-1/boards/board-1?task=task-1');
+  });
+
+  it('never throws when an email fails', async () => {
+    sendMail.mockRejectedValueOnce(new Error('smtp down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(notifyMentions({
+      users: [{ id: GRACE_ID, email: 'grace@example.com' }],
+      author,
+      task,
+      boardId: 'board-1',
+      workspaceId: 'workspace-1',
+      comment
+    })).resolves.toBeUndefined();
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,118 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { hashToken } = require('../services/sessions');
+const { generateCode, generateSecret } = require('../services/totp');
+const {
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/mfa');
+
+const secret = generateSecret();
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+const mfaRow = (overrides = {}) => ({
+  user_id: 'user-1',
+  secret,
+  enabled_at: new Date().toISOString(),
+  recovery_code_hashes: [hashToken('aaaaa-11111'), hashToken('bbbbb-22222')],
+  last_used_step: null,
+  ...overrides
+});
+
+const updates = () => supabase.queries.filter(query => query.table === 'user_mfa' && query.action === 'update');
+
+beforeEach(() => {
+  supabase.reset();
+});
+
+describe('MFA challenge tokens', () => {
+  it('round-trip the user id', () => {
+    const before = Math.floor(Date.now() / 1000) * 1000;
+
+    const challenge = verifyMfaChallengeToken(generateMfaChallengeToken('user-1'));
+
+    expect(challenge.userId).toBe('user-1');
+    expect(challenge.issuedAt.getTime()).toBeGreaterThanOrEqual(before);
+  });
+
+  it('reject other tokens', () => {
+    expect(verifyMfaChallengeToken('not-a-token')).toBeNull();
+  });
+});
+
+describe('generateRecoveryCodes', () => {
+  it('returns distinct codes with their hashes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(hashes).toEqual(codes.map(code => hashToken(code)));
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('accepts a current TOTP code once', async () => {
+    const row = mfaRow();
+    supabase.respondWith((query) => {
+      if (query.action === 'select') return { data: row };
+      return { data: { user_id: 'user-1' } };
+    });
+
+    const step = currentStep();
+    expect(await verifySecondFactor('user-1', { code: generateCode(secret, step) })).toBe(true);
+    expect(updates()[0].values).toEqual({ last_used_step: step });
+
+    row.last_used_step = step;
+    supabase.reset();
+    supabase.respondWith((query) => (query.action === 'select' ? { data: row } : { data: { user_id: 'user-1' } }));
+
+    expect(await verifySecondFactor('user-1', { code: generateCode(secret, step) })).toBe(false);
+    expect(updates()).toHaveLength(0);
+  });
+
+  it('refuses a TOTP code another request burned first', async () => {
+    supabase.respondWith((query) => (query.action === 'select' ? { data: mfaRow() } : { data: null }));
+
+    expect(await verifySecondFactor('user-1', { code: generateCode(secret, currentStep()) })).toBe(false);
+  });
+
+  it('spends a recovery code with a compare-and-set on the stored list', async () => {
+    const row = mfaRow();
+    supabase.respondWith((query) => (query.action === 'select' ? { data: row } : { data: { user_id: 'user-1' } }));
+
+    expect(await verifySecondFactor('user-1', { recoveryCode: ' AAAAA-11111 ' })).toBe(true);
+
+    const [update] = updates();
+    expect(update.values).toEqual({ recovery_code_hashes: [hashToken('bbbbb-22222')] });
+    expect(filterValue(update, 'contains', 'recovery_code_hashes')).toEqual(row.recovery_code_hashes);
+    expect(filterValue(update, 'containedBy', 'recovery_code_hashes')).toEqual(row.recovery_code_hashes);
+  });
+
+  it('refuses a recovery code when the stored list changed meanwhile', async () => {
+    supabase.respondWith((query) => (query.action === 'select' ? { data: mfaRow() } : { data: null }));
+
+    expect(await verifySecondFactor('user-1', { recoveryCode: 'aaaaa-11111' })).toBe(false);
+  });
+
+  it('refuses unknown recovery codes without writing', async () => {
+    supabase.respondWith(() => ({ data: mfaRow() }));
+
+    expect(await verifySecondFactor('user-1', { recoveryCode: 'ccccc-33333' })).toBe(false);
+    expect(updates()).toHaveLength(0);
+  });
+
+  it('refuses users without MFA enabled', async () => {
+    supabase.respondWith(() => ({ data: mfaRow({ enabled_at: null }) }));
+    expect(await verifySecondFactor('user-1', { code: generateCode(secret, currentStep()) })).toBe(false);
+
+    supabase.respondWith(() => ({ data: null }));
+    expect(await verifySecondFactor('user-1', { code: generateCode(secret, currentStep()) })).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../services/loginThrottle', () => ({
+  checkLoginAttempt: jest.fn(async () => ({ allowed: true })),
+  recordLoginFailure: jest.fn(async () => {}),
+  isMfaChallengeExhausted: jest.fn(async () => false),
+  clearLoginFailures: jest.fn(async () => {})
+}));
+jest.mock('../services/mfa', () => ({
+  ...jest.requireActual('../services/mfa'),
+  verifySecondFactor: jest.fn()
+}));
+jest.mock('../services/invitations', () => ({ claimPendingInvitations: jest.fn(async () => []) }));
+jest.mock('../services/sessions', () => ({
+  ...jest.requireActual('../services/sessions'),
+  createSession: jest.fn(async () => ({ token: 'access-token', refreshToken: 'refresh-token' }))
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { createTestApp } = require('./helpers/testApp');
+const {
+  checkLoginAttempt,
+  recordLoginFailure,
+  isMfaChallengeExhausted,
+  clearLoginFailures
+} = require('../services/loginThrottle');
+const { generateMfaChallengeToken, verifySecondFactor } = require('../services/mfa');
+
+const app = createTestApp('/api/auth', require('../routes/auth'));
+
+const profile = { id: 'user-1', email: 'ada@example.com', full_name: 'Ada', mfa_enabled: true };
+
+const submitCode = () => request(app)
+  .post('/api/auth/login/mfa')
+  .send({ mfaToken: generateMfaChallengeToken('user-1'), code: '123456' });
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+  supabase.respondWith((query) => (query.table === 'profiles' ? { data: profile } : {}));
+});
+
+describe('POST /api/auth/login/mfa', () => {
+  it('signs in with a valid code and forgets earlier failures', async () => {
+    verifySecondFactor.mockResolvedValue(true);
+
+    const res = await submitCode();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBe('access-token');
+    expect(checkLoginAttempt).toHaveBeenCalledWith({ email: 'ada@example.com', ipAddress: expect.anything() });
+    expect(clearLoginFailures).toHaveBeenCalledWith('ada@example.com');
+  });
+
+  it('records a wrong code as a failed login for the account', async () => {
+    verifySecondFactor.mockResolvedValue(false);
+
+    const res = await submitCode();
+
+    expect(res.status).toBe(401);
+    expect(recordLoginFailure).toHaveBeenCalledWith({ email: 'ada@example.com', ipAddress: expect.anything() });
+    expect(clearLoginFailures).not.toHaveBeenCalled();
+  });
+
+  it('refuses locked accounts before checking the code', async () => {
+    checkLoginAttempt.mockResolvedValueOnce({ allowed: false, reason: 'account', retryAfter: 60 });
+
+    const res = await submitCode();
+
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    expect(verifySecondFactor).not.toHaveBeenCalled();
+  });
+
+  it('refuses a challenge after too many wrong codes', async () => {
+    isMfaChallengeExhausted.mockResolvedValueOnce(true);
+
+    const res = await submitCode();
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('MFA_CHALLENGE_EXHAUSTED');
+    expect(isMfaChallengeExhausted).toHaveBeenCalledWith('ada@example.com', expect.any(Date));
+    expect(verifySecondFactor).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('keeps failures until the second factor is through', async () => {
+    supabase.supabase.auth.signInWithPassword = jest.fn(async () => ({ data: { user: { id: 'user-1' } }, error: null }));
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'ada@example.com', password: 'secret' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.mfaRequired).toBe(true);
+    expect(clearLoginFailures).not.toHaveBeenCalled();
+  });
+});
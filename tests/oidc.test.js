@@ -0,0 +1,115 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  createLoginState,
+  verifyLoginState,
+  completeAuthorization,
+  emailDomain
+} = require('../services/oidc');
+
+describe('SSO login state', () => {
+  it('verifies for the browser holding its key', () => {
+    const { state, nonce, browserKey } = createLoginState('workspace-1');
+
+    expect(verifyLoginState(state, browserKey)).toEqual({ workspaceId: 'workspace-1', nonce });
+  });
+
+  it('rejects a state presented by another browser', () => {
+    const { state } = createLoginState('workspace-1');
+    const other = createLoginState('workspace-1');
+
+    expect(verifyLoginState(state, other.browserKey)).toBeNull();
+    expect(verifyLoginState(state, undefined)).toBeNull();
+  });
+
+  it('rejects tampered, foreign and expired states', () => {
+    const { state, browserKey } = createLoginState('workspace-1');
+    const [header, , signature] = state.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...jwt.decode(state), workspaceId: 'workspace-2' })).toString('base64url');
+    expect(verifyLoginState(`${header}.${forged}.${signature}`, browserKey)).toBeNull();
+
+    const mfaToken = jwt.sign({ userId: 'user-1', purpose: 'mfa_pending' }, process.env.JWT_SECRET);
+    expect(verifyLoginState(mfaToken, browserKey)).toBeNull();
+
+    const expired = jwt.sign(
+      { ...jwt.decode(state), exp: Math.floor(Date.now() / 1000) - 10 },
+      process.env.JWT_SECRET
+    );
+    expect(verifyLoginState(expired, browserKey)).toBeNull();
+  });
+});
+
+describe('completeAuthorization', () => {
+  const issuer = 'https://idp.test';
+  const config = { issuer, client_id: 'client-1', client_secret: 'secret' };
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' };
+
+  let idToken;
+  const signIdToken = (claims, options = {}) => jwt.sign(
+    { sub: 'subject-1', email: 'ada@example.com', nonce: 'nonce-1', ...claims },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'key-1', issuer, audience: 'client-1', expiresIn: '5m', ...options }
+  );
+
+  beforeEach(() => {
+    global.fetch = jest.fn(async (url) => {
+      const bodies = {
+        [`${issuer}/.well-known/openid-configuration`]: {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`
+        },
+        [`${issuer}/token`]: { id_token: idToken },
+        [`${issuer}/jwks`]: { keys: [jwk] }
+      };
+      return { ok: true, status: 200, json: async () => bodies[url] };
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('returns the claims of a valid ID token', async () => {
+    idToken = signIdToken({});
+
+    const claims = await completeAuthorization(config, { code: 'code-1', nonce: 'nonce-1' });
+
+    expect(claims).toMatchObject({ iss: issuer, sub: 'subject-1', email: 'ada@example.com' });
+    const tokenRequest = global.fetch.mock.calls.find(([url]) => url === `${issuer}/token`);
+    expect(Object.fromEntries(tokenRequest[1].body)).toMatchObject({ grant_type: 'authorization_code', code: 'code-1' });
+  });
+
+  it('rejects a nonce from another login', async () => {
+    idToken = signIdToken({ nonce: 'nonce-2' });
+
+    await expect(completeAuthorization(config, { code: 'code-1', nonce: 'nonce-1' })).rejects.toThrow('nonce mismatch');
+  });
+
+  it('rejects tokens for another client or issuer', async () => {
+    idToken = signIdToken({}, { audience: 'client-2' });
+    await expect(completeAuthorization(config, { code: 'code-1', nonce: 'nonce-1' })).rejects.toThrow('audience');
+
+    idToken = signIdToken({}, { issuer: 'https://evil.test' });
+    await expect(completeAuthorization(config, { code: 'code-1', nonce: 'nonce-1' })).rejects.toThrow('issuer');
+  });
+
+  it('rejects tokens signed with another key', async () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    idToken = jwt.sign({ sub: 'subject-1', nonce: 'nonce-1' }, other.privateKey, {
+      algorithm: 'RS256', keyid: 'key-1', issuer, audience: 'client-1'
+    });
+
+    await expect(completeAuthorization(config, { code: 'code-1', nonce: 'nonce-1' })).rejects.toThrow('invalid signature');
+  });
+});
+
+describe('emailDomain', () => {
+  it('returns the lowercased domain', () => {
+    expect(emailDomain('Ada@Example.COM')).toBe('example.com');
+  });
+});
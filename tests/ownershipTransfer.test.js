@@ -0,0 +1,106 @@
+process.env.OWNERSHIP_TRANSFER_REQUIRE_PASSWORD = 'true';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+jest.mock('../services/workspaceMembership', () => ({
+  ...jest.requireActual('../services/workspaceMembership'),
+  getWorkspaceMembership: jest.fn()
+}));
+jest.mock('../services/audit', () => ({ recordAudit: jest.fn(async () => {}) }));
+jest.mock('../services/activity', () => ({
+  ...jest.requireActual('../services/activity'),
+  recordActivity: jest.fn(async () => {})
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { auth, resetAuth, createTestApp } = require('./helpers/testApp');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+const { getWorkspaceMembership } = require('../services/workspaceMembership');
+const { recordAudit } = require('../services/audit');
+
+const app = createTestApp('/api/workspaces', require('../routes/workspaces'));
+
+const TRANSFER_URL = '/api/workspaces/workspace-1/transfer-ownership';
+const NEW_OWNER_ID = '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11';
+
+const signInAs = (role) => {
+  getWorkspaceAccess.mockResolvedValue({ role, permissions: new Set(DEFAULT_ROLE_PERMISSIONS[role]), requireMfa: false, deletedAt: null });
+};
+
+beforeEach(() => {
+  supabase.reset();
+  resetAuth();
+  jest.clearAllMocks();
+  signInAs('owner');
+  getWorkspaceMembership.mockResolvedValue({ id: 'member-2', role: 'member' });
+  supabase.supabase.auth.signInWithPassword = jest.fn(async () => ({ data: {}, error: null }));
+  supabase.supabase.rpc.mockResolvedValue({ data: null, error: null });
+});
+
+describe('POST /api/workspaces/:workspaceId/transfer-ownership', () => {
+  it('hands the workspace over in one transaction after checking the password', async () => {
+    const res = await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID, password: 'secret' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ workspace: { ownerId: NEW_OWNER_ID }, previousOwner: { id: 'user-1', role: 'admin' } });
+    expect(supabase.supabase.auth.signInWithPassword).toHaveBeenCalledWith({ email: 'ada@example.com', password: 'secret' });
+    expect(supabase.supabase.rpc).toHaveBeenCalledWith('transfer_workspace_ownership', {
+      p_workspace_id: 'workspace-1',
+      p_current_owner_id: 'user-1',
+      p_new_owner_id: NEW_OWNER_ID
+    });
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({ action: 'workspace_ownership_transferred' }));
+  });
+
+  it('needs the password when the server requires it', async () => {
+    const res = await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PASSWORD_REQUIRED');
+    expect(supabase.supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('refuses a wrong password', async () => {
+    supabase.supabase.auth.signInWithPassword.mockResolvedValueOnce({ data: null, error: { message: 'Invalid login credentials' } });
+
+    expect((await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID, password: 'wrong' })).status).toBe(401);
+    expect(supabase.supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('only hands over to another member', async () => {
+    getWorkspaceMembership.mockResolvedValueOnce(null);
+    expect((await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID, password: 'secret' })).status).toBe(400);
+
+    auth.user = { ...auth.user, id: NEW_OWNER_ID };
+    const res = await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID, password: 'secret' });
+    expect(res.body.error).toBe('You already own this workspace');
+
+    expect(supabase.supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when the transaction fails', async () => {
+    supabase.supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'owner changed' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID, password: 'secret' })).status).toBe(409);
+    expect(recordAudit).not.toHaveBeenCalled();
+
+    console.error.mockRestore();
+  });
+
+  it('is for the owner, signed in with a session', async () => {
+    signInAs('admin');
+    expect((await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID, password: 'secret' })).status).toBe(403);
+
+    signInAs('owner');
+    auth.tokenScopes = ['workspaces:write'];
+    expect((await request(app).post(TRANSFER_URL).send({ newOwnerId: NEW_OWNER_ID, password: 'secret' })).status).toBe(403);
+
+    expect(supabase.supabase.rpc).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/mailer', () => ({
+  sendMail: jest.fn(async () => {}),
+  buildAppUrl: (path, params) => `https://app.test${path}?${new URLSearchParams(params)}`
+}));
+jest.mock('../services/loginThrottle', () => ({
+  checkLoginAttempt: jest.fn(async () => ({ allowed: true })),
+  recordLoginFailure: jest.fn(async () => {}),
+  isMfaChallengeExhausted: jest.fn(async () => false),
+  clearLoginFailures: jest.fn(async () => {})
+}));
+jest.mock('../services/sessions', () => ({
+  ...jest.requireActual('../services/sessions'),
+  revokeUserSessions: jest.fn(async () => [{ id: 'session-2' }])
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp, resetAuth } = require('./helpers/testApp');
+const { sendMail } = require('../services/mailer');
+const { checkLoginAttempt, recordLoginFailure, clearLoginFailures } = require('../services/loginThrottle');
+const { hashToken, revokeUserSessions } = require('../services/sessions');
+
+const app = createTestApp('/api/auth', require('../routes/auth'));
+const { auth } = supabase.supabaseAdmin;
+
+beforeEach(() => {
+  supabase.reset();
+  resetAuth();
+  jest.clearAllMocks();
+  auth.admin.updateUserById = jest.fn(async () => ({ error: null }));
+});
+
+describe('POST /api/auth/password/forgot', () => {
+  it('mails a reset link and stores only the token hash', async () => {
+    supabase.respondWith((query) => (query.table === 'profiles'
+      ? { data: { id: 'user-1', email: 'ada@example.com', full_name: 'Ada' } }
+      : {}));
+
+    const res = await request(app).post('/api/auth/password/forgot').send({ email: 'ada@example.com' });
+
+    expect(res.status).toBe(200);
+    const token = new URL(sendMail.mock.calls[0][0].text.match(/https:\S+/)[0]).searchParams.get('token');
+    const insert = supabase.queries.find(query => query.table === 'auth_action_tokens' && query.action === 'insert');
+    expect(insert.values).toMatchObject({ user_id: 'user-1', purpose: 'password_reset', token_hash: hashToken(token) });
+  });
+
+  it('answers the same for unknown emails without mailing', async () => {
+    const res = await request(app).post('/api/auth/password/forgot').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('If an account exists for this email, a reset link has been sent');
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/password/reset', () => {
+  it('sets the password and signs out every session', async () => {
+    supabase.respondWith((query) => (query.table === 'auth_action_tokens' ? { data: { user_id: 'user-1' } } : {}));
+
+    const res = await request(app).post('/api/auth/password/reset').send({ token: 'reset-token', password: 'new-secret' });
+
+    expect(res.status).toBe(200);
+    const consume = supabase.queries.find(query => query.table === 'auth_action_tokens');
+    expect(filterValue(consume, 'eq', 'token_hash')).toBe(hashToken('reset-token'));
+    expect(auth.admin.updateUserById).toHaveBeenCalledWith('user-1', { password: 'new-secret' });
+    expect(revokeUserSessions).toHaveBeenCalledWith('user-1', { reason: 'password_reset' });
+  });
+
+  it('rejects unknown, used or expired tokens', async () => {
+    const res = await request(app).post('/api/auth/password/reset').send({ token: 'reset-token', password: 'new-secret' });
+
+    expect(res.status).toBe(400);
+    expect(auth.admin.updateUserById).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/auth/password', () => {
+  const change = () => request(app).put('/api/auth/password').send({ currentPassword: 'old-secret', newPassword: 'new-secret' });
+
+  it('changes the password and keeps only the current session', async () => {
+    supabase.supabase.auth.signInWithPassword = jest.fn(async () => ({ error: null }));
+
+    const res = await change();
+
+    expect(res.status).toBe(200);
+    expect(res.body.revokedSessions).toBe(1);
+    expect(revokeUserSessions).toHaveBeenCalledWith('user-1', { exceptSessionId: 'session-1', reason: 'password_changed' });
+    expect(clearLoginFailures).toHaveBeenCalledWith('ada@example.com');
+  });
+
+  it('counts a wrong current password as a failed login', async () => {
+    supabase.supabase.auth.signInWithPassword = jest.fn(async () => ({ error: { message: 'Invalid login credentials' } }));
+
+    const res = await change();
+
+    expect(res.status).toBe(401);
+    expect(recordLoginFailure).toHaveBeenCalledWith({ email: 'ada@example.com', ipAddress: expect.anything() });
+    expect(auth.admin.updateUserById).not.toHaveBeenCalled();
+  });
+
+  it('refuses while the account is locked', async () => {
+    checkLoginAttempt.mockResolvedValueOnce({ allowed: false, reason: 'account', retryAfter: 120 });
+    supabase.supabase.auth.signInWithPassword = jest.fn();
+
+    const res = await change();
+
+    expect(res.status).toBe(423);
+    expect(res.headers['retry-after']).toBe('120');
+    expect(supabase.supabase.auth.signInWithPassword).not.toHaveBeenCalled();
+  });
+});
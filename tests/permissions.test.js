@@ -0,0 +1,218 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../config/supabase');
+const {
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  sanitizePermissions,
+  getWorkspaceAccess,
+  getDocumentAccess
+} = require('../services/permissions');
+const { requirePermission, requireDocumentAccess } = require('../middleware/auth');
+
+const customRole = { id: 'role-1', name: 'Reviewer', permissions: ['tasks.edit', 'documents.create'] };
+
+const respondMembership = (membership) => {
+  supabase.respondWith(() => ({ data: membership }));
+};
+
+beforeEach(() => {
+  supabase.reset();
+});
+
+describe('getWorkspaceAccess', () => {
+  it('gives members the default member permissions', async () => {
+    respondMembership({ role: 'member', role_id: null, workspaces: { require_mfa: false, deleted_at: null } });
+
+    const access = await getWorkspaceAccess('workspace-1', 'user-1');
+
+    expect(access).toMatchObject({ role: 'member', roleId: null, roleName: 'member', requireMfa: false, deletedAt: null });
+    expect([...access.permissions]).toEqual(DEFAULT_ROLE_PERMISSIONS.member);
+    expect(access.permissions.has('boards.create')).toBe(true);
+    expect(access.permissions.has('boards.edit')).toBe(true);
+    expect(access.permissions.has('boards.manage')).toBe(false);
+    expect(access.permissions.has('roles.manage')).toBe(false);
+  });
+
+  it('gives guests only task creation and editing', async () => {
+    respondMembership({ role: 'guest', role_id: null, workspaces: {} });
+
+    const access = await getWorkspaceAccess('workspace-1', 'user-1');
+
+    expect([...access.permissions].sort()).toEqual(['tasks.create', 'tasks.edit']);
+  });
+
+  it('replaces the built-in permissions with a custom role', async () => {
+    respondMembership({ role: 'member', role_id: 'role-1', workspace_roles: customRole, workspaces: { require_mfa: true } });
+
+    const access = await getWorkspaceAccess('workspace-1', 'user-1');
+
+    expect(access).toMatchObject({ roleId: 'role-1', roleName: 'Reviewer', requireMfa: true });
+    expect([...access.permissions]).toEqual(['tasks.edit', 'documents.create']);
+    expect(access.permissions.has('boards.create')).toBe(false);
+  });
+
+  it('lets custom roles with boards.manage keep editing lists and labels', async () => {
+    respondMembership({ role: 'member', role_id: 'role-2', workspace_roles: { id: 'role-2', name: 'Planner', permissions: ['boards.manage'] } });
+
+    const access = await getWorkspaceAccess('workspace-1', 'user-1');
+
+    expect([...access.permissions]).toEqual(['boards.manage', 'boards.edit']);
+  });
+
+  it('keeps every permission for owners and admins with a custom role', async () => {
+    for (const role of ['owner', 'admin']) {
+      respondMembership({ role, role_id: 'role-1', workspace_roles: customRole, workspaces: {} });
+
+      const access = await getWorkspaceAccess('workspace-1', 'user-1');
+
+      expect(access.roleName).toBe(role);
+      expect([...access.permissions]).toEqual(ALL_PERMISSIONS);
+    }
+  });
+
+  it('reports trashed workspaces', async () => {
+    respondMembership({ role: 'owner', workspaces: { deleted_at: '2026-01-01T00:00:00.000Z' } });
+
+    expect((await getWorkspaceAccess('workspace-1', 'user-1')).deletedAt).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  it('returns null for non-members', async () => {
+    respondMembership(null);
+
+    expect(await getWorkspaceAccess('workspace-1', 'user-1')).toBeNull();
+  });
+
+  it('throws when the lookup fails', async () => {
+    supabase.respondWith(() => ({ error: { message: 'boom' } }));
+
+    await expect(getWorkspaceAccess('workspace-1', 'user-1')).rejects.toThrow('Failed to load workspace access: boom');
+  });
+});
+
+// Answer the document, membership and collaborator lookups
+const respondDocument = ({ membership, collaborator = null }) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'documents') return { data: { workspace_id: 'workspace-1' } };
+    if (query.table === 'workspace_members') return { data: membership };
+    if (query.table === 'document_collaborators') return { data: collaborator };
+    return {};
+  });
+};
+
+describe('getDocumentAccess', () => {
+  it('uses the collaborator permission of members and guests', async () => {
+    for (const role of ['member', 'guest']) {
+      respondDocument({ membership: { role, workspaces: {} }, collaborator: { permission: 'write' } });
+
+      expect(await getDocumentAccess('document-1', 'user-1'))
+        .toMatchObject({ workspaceId: 'workspace-1', permission: 'write', deletedAt: null });
+    }
+  });
+
+  it('gives documents.manage admin on every document', async () => {
+    respondDocument({ membership: { role: 'admin', workspaces: {} } });
+
+    expect((await getDocumentAccess('document-1', 'user-1')).permission).toBe('admin');
+    expect(supabase.queries.some(query => query.table === 'document_collaborators')).toBe(false);
+  });
+
+  it('gives removed members no permission, even with a collaborator row left', async () => {
+    respondDocument({ membership: null, collaborator: { permission: 'admin' } });
+
+    expect(await getDocumentAccess('document-1', 'user-1'))
+      .toMatchObject({ workspaceAccess: null, permission: null });
+  });
+
+  it('reports trashed workspaces', async () => {
+    respondDocument({ membership: { role: 'owner', workspaces: { deleted_at: '2026-01-01T00:00:00.000Z' } } });
+
+    expect((await getDocumentAccess('document-1', 'user-1')).deletedAt).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  it('returns null for unknown documents', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect(await getDocumentAccess('document-1', 'user-1')).toBeNull();
+  });
+});
+
+describe('requireDocumentAccess', () => {
+  const run = async (permission = 'read') => {
+    const req = { params: { documentId: 'document-1' }, user: { id: 'user-1' } };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    await requireDocumentAccess(permission)(req, res, next);
+    return { req, res, next };
+  };
+
+  it('passes collaborators with enough permission', async () => {
+    respondDocument({ membership: { role: 'guest', workspaces: {} }, collaborator: { permission: 'write' } });
+
+    const { req, next } = await run('write');
+
+    expect(next).toHaveBeenCalled();
+    expect(req).toMatchObject({ documentPermission: 'write', documentWorkspaceId: 'workspace-1', workspaceRole: 'guest' });
+  });
+
+  it('refuses collaborators who left the workspace', async () => {
+    respondDocument({ membership: null, collaborator: { permission: 'write' } });
+
+    const { res, next } = await run();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('answers 410 for trashed workspaces', async () => {
+    respondDocument({ membership: { role: 'member', workspaces: { deleted_at: '2026-01-01T00:00:00.000Z' } }, collaborator: { permission: 'admin' } });
+
+    const { res, next } = await run();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(410);
+  });
+
+  it('refuses lower permissions', async () => {
+    respondDocument({ membership: { role: 'member', workspaces: {} }, collaborator: { permission: 'read' } });
+
+    const { res, next } = await run('write');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('sanitizePermissions', () => {
+  it('drops unknown names and duplicates', () => {
+    expect(sanitizePermissions(['tasks.edit', 'tasks.edit', 'root', 'boards.manage']))
+      .toEqual(['tasks.edit', 'boards.manage']);
+  });
+});
+
+describe('requirePermission', () => {
+  const run = (permissions) => {
+    const req = { workspacePermissions: permissions && new Set(permissions) };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    requirePermission('boards.manage')(req, res, next);
+    return { res, next };
+  };
+
+  it('passes requests holding the permission', () => {
+    const { res, next } = run(['boards.manage']);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('answers 403 with PERMISSION_DENIED otherwise', () => {
+    for (const permissions of [['boards.create'], undefined]) {
+      const { res, next } = run(permissions);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PERMISSION_DENIED' }));
+    }
+  });
+});
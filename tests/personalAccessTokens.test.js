@@ -0,0 +1,126 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const express = require('express');
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const { hashToken } = require('../services/sessions');
+const {
+  isPersonalAccessToken,
+  hasScope,
+  createPersonalAccessToken,
+  verifyPersonalAccessToken
+} = require('../services/personalAccessTokens');
+const { authenticateToken, requireScope, requireWorkspaceAccess } = require('../middleware/auth');
+
+const TOKEN = 'odp_0123456789abcdef';
+const record = {
+  id: 'token-1',
+  user_id: 'user-1',
+  scopes: ['tasks:write'],
+  workspace_id: null,
+  expires_at: null,
+  revoked_at: null,
+  last_used_at: new Date().toISOString()
+};
+
+// Answer the token lookup, the profile and the workspace membership
+const respond = (token = record) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'personal_access_tokens') return { data: token };
+    if (query.table === 'profiles') return { data: { id: 'user-1', email: 'ada@example.com' } };
+    if (query.table === 'workspace_members') return { data: { role: 'member', workspaces: {} } };
+    return {};
+  });
+};
+
+beforeEach(() => {
+  supabase.reset();
+});
+
+describe('hasScope', () => {
+  it('lets write scopes read the same resource', () => {
+    expect(hasScope(['tasks:write'], 'tasks:read')).toBe(true);
+    expect(hasScope(['tasks:read'], 'tasks:write')).toBe(false);
+    expect(hasScope(['tasks:write'], 'chat:read')).toBe(false);
+  });
+});
+
+describe('createPersonalAccessToken', () => {
+  it('returns the prefixed token once and stores its hash', async () => {
+    supabase.respondWith((query) => ({ data: { id: 'token-1', ...query.values } }));
+
+    const { token, record: created } = await createPersonalAccessToken('user-1', { name: 'CI', scopes: ['tasks:read'] });
+
+    expect(isPersonalAccessToken(token)).toBe(true);
+    expect(created).toMatchObject({ token_hash: hashToken(token), token_prefix: token.slice(0, 10), workspace_id: null });
+    expect(JSON.stringify(supabase.queries[0].values)).not.toContain(token);
+  });
+});
+
+describe('verifyPersonalAccessToken', () => {
+  it('resolves a valid token to its user, scopes and workspace', async () => {
+    respond({ ...record, workspace_id: 'workspace-1' });
+
+    expect(await verifyPersonalAccessToken(TOKEN))
+      .toEqual({ userId: 'user-1', tokenId: 'token-1', scopes: ['tasks:write'], workspaceId: 'workspace-1' });
+    expect(filterValue(supabase.queries[0], 'eq', 'token_hash')).toBe(hashToken(TOKEN));
+  });
+
+  it('rejects revoked, expired and unknown tokens', async () => {
+    for (const token of [
+      { ...record, revoked_at: '2026-01-01T00:00:00.000Z' },
+      { ...record, expires_at: '2000-01-01T00:00:00.000Z' },
+      null
+    ]) {
+      respond(token);
+      expect(await verifyPersonalAccessToken(TOKEN)).toBeNull();
+    }
+  });
+});
+
+describe('token requests', () => {
+  const app = express();
+  app.get('/tasks', authenticateToken, requireScope('tasks:read'), (req, res) => res.json({ authType: req.authType }));
+  app.get('/chat', authenticateToken, requireScope('chat:read'), (req, res) => res.json({}));
+  app.get('/workspaces/:workspaceId', authenticateToken, requireWorkspaceAccess('member'), (req, res) => res.json({}));
+  const authApp = createTestApp('/api/auth', require('../routes/auth'));
+
+  const withToken = (req) => req.set('Authorization', `Bearer ${TOKEN}`);
+
+  it('reach routes whose scope they carry', async () => {
+    respond();
+
+    const res = await withToken(request(app).get('/tasks'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.authType).toBe('token');
+    expect((await withToken(request(app).get('/chat'))).status).toBe(403);
+  });
+
+  it('stay within their workspace', async () => {
+    respond({ ...record, workspace_id: 'workspace-1' });
+
+    expect((await withToken(request(app).get('/workspaces/workspace-1'))).status).toBe(200);
+
+    const res = await withToken(request(app).get('/workspaces/workspace-2'));
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied: Token is restricted to another workspace');
+  });
+
+  it('answer 401 once revoked', async () => {
+    respond({ ...record, revoked_at: '2026-01-01T00:00:00.000Z' });
+
+    expect((await withToken(request(app).get('/tasks'))).status).toBe(401);
+  });
+
+  it('can\'t manage tokens themselves', async () => {
+    respond();
+
+    const res = await withToken(request(authApp).post('/api/auth/tokens')).send({ name: 'Escalated', scopes: ['chat:write'] });
+
+    expect(res.status).toBe(403);
+    expect(supabase.queries.some(query => query.action === 'insert')).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+process.env.WORKSPACE_MAX_MEMBERS = '5';
+process.env.WORKSPACE_MAX_STORAGE_MB = '1';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const {
+  DEFAULT_QUOTAS,
+  getWorkspaceQuotas,
+  checkQuota,
+  checkNewWorkspaceQuota,
+  setWorkspaceQuotas
+} = require('../services/quotas');
+const { requireQuota } = require('../middleware/auth');
+
+const MB = 1024 * 1024;
+
+// Answer the workspace's own limits, the member/board counts and the storage size
+const respond = ({ workspace = {}, count = 0, storageBytes = 0 }) => {
+  supabase.respondWith((query) => (query.table === 'workspaces'
+    ? { data: { max_members: null, max_storage_mb: null, max_boards: null, ...workspace } }
+    : { count }));
+  supabase.supabase.rpc.mockResolvedValue({ data: storageBytes, error: null });
+};
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('getWorkspaceQuotas', () => {
+  it('falls back to the server defaults, where none means unlimited', async () => {
+    respond({ workspace: { max_boards: 3 } });
+
+    expect(DEFAULT_QUOTAS).toEqual({ members: 5, storageMb: 1, boards: null });
+    expect(await getWorkspaceQuotas('workspace-1')).toEqual({ members: 5, storageMb: 1, boards: 3 });
+  });
+
+  it('keeps a workspace limit of 0', async () => {
+    respond({ workspace: { max_members: 0 } });
+
+    expect((await getWorkspaceQuotas('workspace-1')).members).toBe(0);
+  });
+});
+
+describe('checkQuota', () => {
+  it('allows additions up to the limit', async () => {
+    respond({ count: 4 });
+
+    expect(await checkQuota('workspace-1', 'members')).toBeNull();
+    const counted = supabase.queries.find(query => query.table === 'workspace_members');
+    expect(filterValue(counted, 'eq', 'workspace_id')).toBe('workspace-1');
+  });
+
+  it('describes the exceeded limit', async () => {
+    respond({ count: 4 });
+
+    expect(await checkQuota('workspace-1', 'members', 2)).toEqual({
+      status: 402,
+      message: 'This workspace has reached its limit of 5 members',
+      code: 'QUOTA_EXCEEDED',
+      quota: 'members',
+      limit: 5,
+      usage: 4
+    });
+  });
+
+  it('measures storage in bytes against a limit in MB', async () => {
+    respond({ storageBytes: MB - 10 });
+
+    expect(await checkQuota('workspace-1', 'storageMb', 10)).toBeNull();
+    expect(await checkQuota('workspace-1', 'storageMb', 11)).toMatchObject({ quota: 'storageMb', limit: 1, usage: 1 });
+    expect(supabase.supabase.rpc).toHaveBeenCalledWith('workspace_storage_bytes', { p_workspace_id: 'workspace-1' });
+  });
+
+  it('skips counting for unlimited quotas', async () => {
+    respond({});
+
+    expect(await checkQuota('workspace-1', 'boards', 1000)).toBeNull();
+    expect(supabase.queries.map(query => query.table)).toEqual(['workspaces']);
+  });
+
+  it('throws when the limits can\'t be loaded', async () => {
+    supabase.respondWith(() => ({ error: { message: 'boom' } }));
+
+    await expect(checkQuota('workspace-1', 'members')).rejects.toThrow('Failed to load workspace quotas: boom');
+  });
+});
+
+describe('checkNewWorkspaceQuota', () => {
+  it('checks an empty workspace against the server defaults', () => {
+    expect(checkNewWorkspaceQuota('members', 5)).toBeNull();
+    expect(checkNewWorkspaceQuota('members', 6)).toMatchObject({ code: 'QUOTA_EXCEEDED', usage: 0 });
+    expect(checkNewWorkspaceQuota('boards', 1000)).toBeNull();
+  });
+});
+
+describe('setWorkspaceQuotas', () => {
+  it('writes known quotas and returns the effective limits', async () => {
+    respond({ workspace: { max_members: 10 } });
+
+    expect(await setWorkspaceQuotas('workspace-1', { members: 10, boards: null, seats: 3 }))
+      .toEqual({ members: 10, storageMb: 1, boards: null });
+    expect(supabase.queries[0].values).toEqual({ max_members: 10, max_boards: null });
+  });
+});
+
+describe('requireQuota', () => {
+  const run = async (req) => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    await requireQuota('members', () => 2)(req, res, next);
+    return { res, next };
+  };
+
+  it('answers 402 with the exceeded limit', async () => {
+    respond({ count: 4 });
+
+    const { res, next } = await run({ workspaceId: 'workspace-1' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'QUOTA_EXCEEDED', quota: 'members', limit: 5, usage: 4 }));
+  });
+
+  it('passes requests within the limit or without a workspace', async () => {
+    respond({ count: 3 });
+
+    expect((await run({ workspaceId: 'workspace-1' })).next).toHaveBeenCalled();
+    expect((await run({})).next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { hashToken, rotateRefreshToken, sessionEvents } = require('../services/sessions');
+
+const activeSession = {
+  id: 'session-1',
+  user_id: 'user-1',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  revoked_at: null
+};
+
+const revocations = () => supabase.queries.filter(query =>
+  query.table === 'auth_sessions' && query.action === 'update' && query.values.revoked_reason);
+
+describe('rotateRefreshToken', () => {
+  let revokedEvents;
+  const onRevoked = (sessions) => revokedEvents.push(sessions);
+
+  beforeEach(() => {
+    supabase.reset();
+    revokedEvents = [];
+    sessionEvents.on('revoked', onRevoked);
+  });
+
+  afterEach(() => {
+    sessionEvents.off('revoked', onRevoked);
+  });
+
+  it('rotates a current token and remembers the old one', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'auth_sessions' && query.action === 'select') return { data: activeSession };
+      if (query.table === 'auth_sessions' && query.action === 'update') return { data: { id: activeSession.id } };
+      return {};
+    });
+
+    const { data, error } = await rotateRefreshToken('old-token');
+
+    expect(error).toBeNull();
+    expect(data.refreshToken).not.toBe('old-token');
+    expect(jwt.verify(data.token, process.env.JWT_SECRET)).toMatchObject({ userId: 'user-1', sid: 'session-1' });
+
+    const rotation = supabase.queries.find(query => query.table === 'auth_sessions' && query.action === 'update');
+    expect(rotation.values.refresh_token_hash).toBe(hashToken(data.refreshToken));
+    expect(filterValue(rotation, 'eq', 'refresh_token_hash')).toBe(hashToken('old-token'));
+
+    const history = supabase.queries.find(query => query.table === 'auth_refresh_tokens' && query.action === 'insert');
+    expect(history.values).toMatchObject({ session_id: 'session-1', token_hash: hashToken('old-token') });
+    expect(revokedEvents).toEqual([]);
+  });
+
+  it('revokes the session when a rotated-out token is replayed', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'auth_sessions' && query.action === 'select') return { data: null };
+      if (query.table === 'auth_refresh_tokens') return { data: { session_id: 'session-1' } };
+      if (query.table === 'auth_sessions' && query.action === 'update') {
+        return { data: [{ id: 'session-1', user_id: 'user-1' }] };
+      }
+      return {};
+    });
+
+    const { data, error } = await rotateRefreshToken('stolen-token');
+
+    expect(data).toBeNull();
+    expect(error).toBe('Refresh token reuse detected');
+    expect(revocations()).toHaveLength(1);
+    expect(revocations()[0].values.revoked_reason).toBe('refresh_token_reuse');
+    expect(filterValue(revocations()[0], 'eq', 'id')).toBe('session-1');
+    expect(revokedEvents).toEqual([[{ id: 'session-1', user_id: 'user-1' }]]);
+  });
+
+  it('revokes the session when another request rotated the token first', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'auth_sessions' && query.action === 'select') return { data: activeSession };
+      if (query.table === 'auth_sessions' && query.action === 'update' && query.values.refresh_token_hash) {
+        return { data: null };
+      }
+      if (query.table === 'auth_sessions' && query.action === 'update') {
+        return { data: [{ id: 'session-1', user_id: 'user-1' }] };
+      }
+      return {};
+    });
+
+    const { error } = await rotateRefreshToken('raced-token');
+
+    expect(error).toBe('Refresh token reuse detected');
+    expect(revocations()[0].values.revoked_reason).toBe('refresh_token_reuse');
+  });
+
+  it('rejects unknown tokens without revoking anything', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    const { error } = await rotateRefreshToken('unknown-token');
+
+    expect(error).toBe('Invalid refresh token');
+    expect(revocations()).toHaveLength(0);
+  });
+
+  it('rejects tokens of revoked and expired sessions', async () => {
+    supabase.respondWith(() => ({ data: { ...activeSession, revoked_at: new Date().toISOString() } }));
+    expect((await rotateRefreshToken('token')).error).toBe('Session has been revoked');
+
+    supabase.respondWith(() => ({ data: { ...activeSession, expires_at: new Date(Date.now() - 1000).toISOString() } }));
+    expect((await rotateRefreshToken('token')).error).toBe('Refresh token expired');
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../socket/socketHandlers', () => ({ getConnectedSessions: jest.fn(() => new Map()) }));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { auth, resetAuth, createTestApp } = require('./helpers/testApp');
+const { getConnectedSessions } = require('../socket/socketHandlers');
+
+const app = createTestApp('/api/auth', require('../routes/auth'));
+
+const session = (id, lastUsedAt) => ({
+  id,
+  user_agent: 'Firefox',
+  ip_address: '203.0.113.7',
+  created_at: '2026-01-01T00:00:00.000Z',
+  last_used_at: lastUsedAt,
+  expires_at: '2026-12-01T00:00:00.000Z'
+});
+
+const revocation = () => supabase.queries.find(query => query.table === 'auth_sessions' && query.action === 'update');
+
+beforeEach(() => {
+  supabase.reset();
+  resetAuth();
+  jest.clearAllMocks();
+});
+
+describe('GET /api/auth/sessions', () => {
+  it('lists active sessions with the current one and live connections marked', async () => {
+    supabase.respondWith(() => ({ data: [session('session-1', '2026-02-02T00:00:00.000Z'), session('session-2', '2026-02-01T00:00:00.000Z')] }));
+    getConnectedSessions.mockReturnValueOnce(new Map([['session-2', 2]]));
+
+    const res = await request(app).get('/api/auth/sessions');
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toEqual([
+      expect.objectContaining({ id: 'session-1', current: true, connected: false, connectedSockets: 0, userAgent: 'Firefox' }),
+      expect.objectContaining({ id: 'session-2', current: false, connected: true, connectedSockets: 2 })
+    ]);
+
+    const [listed] = supabase.queries;
+    expect(filterValue(listed, 'eq', 'user_id')).toBe('user-1');
+    expect(filterValue(listed, 'is', 'revoked_at')).toBeNull();
+    expect(filterValue(listed, 'gt', 'expires_at')).toEqual(expect.any(String));
+    expect(getConnectedSessions).toHaveBeenCalledWith('user-1');
+  });
+
+  it('needs a login session', async () => {
+    auth.tokenScopes = ['users:read'];
+
+    expect((await request(app).get('/api/auth/sessions')).status).toBe(403);
+    expect(supabase.queries).toHaveLength(0);
+  });
+});
+
+describe('DELETE /api/auth/sessions/:sessionId', () => {
+  it('revokes one of the user\'s sessions', async () => {
+    supabase.respondWith((query) => (query.action === 'select'
+      ? { data: { id: 'session-2' } }
+      : { data: [{ id: 'session-2', user_id: 'user-1' }] }));
+
+    const res = await request(app).delete('/api/auth/sessions/session-2');
+
+    expect(res.status).toBe(200);
+    expect(filterValue(supabase.queries[0], 'eq', 'user_id')).toBe('user-1');
+    expect(filterValue(revocation(), 'eq', 'id')).toBe('session-2');
+    expect(revocation().values.revoked_reason).toBe('revoked_by_user');
+  });
+
+  it('answers 404 for other users\' and revoked sessions', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect((await request(app).delete('/api/auth/sessions/session-9')).status).toBe(404);
+    expect(revocation()).toBeUndefined();
+  });
+});
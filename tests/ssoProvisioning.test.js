@@ -0,0 +1,94 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../services/workspaceMembership', () => ({ getWorkspaceMembership: jest.fn() }));
+
+const supabase = require('../config/supabase');
+const { getWorkspaceMembership } = require('../services/workspaceMembership');
+const { provisionSsoUser } = require('../services/ssoProvisioning');
+
+const claims = { iss: 'https://idp.test', sub: 'subject-1', email: 'Ada@Example.com', name: 'Ada Lovelace' };
+const existing = { id: 'user-1', email: 'ada@example.com', email_verified_at: null };
+
+const inserted = (table) => supabase.queries.filter(query => query.table === table && query.action === 'insert');
+
+// Answer the identity lookup, the profile lookups and profile writes
+const respond = ({ identity = null, profile = null }) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'sso_identities' && query.action === 'select') return { data: identity };
+    if (query.table === 'profiles' && query.action === 'select') return { data: profile };
+    if (query.table === 'profiles') return { data: { ...profile, ...query.values } };
+    return {};
+  });
+};
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('provisionSsoUser', () => {
+  it('signs a linked subject in as its account', async () => {
+    respond({ identity: { user_id: 'user-1' }, profile: existing });
+
+    expect(await provisionSsoUser(claims, 'workspace-1')).toEqual({ profile: existing });
+    expect(getWorkspaceMembership).not.toHaveBeenCalled();
+    expect(inserted('sso_identities')).toHaveLength(0);
+  });
+
+  it('refuses to link an account outside the workspace by email', async () => {
+    respond({ profile: existing });
+    getWorkspaceMembership.mockResolvedValue(null);
+
+    expect(await provisionSsoUser(claims, 'workspace-1')).toEqual({ error: 'account_exists' });
+    expect(getWorkspaceMembership).toHaveBeenCalledWith('workspace-1', 'user-1');
+    expect(inserted('sso_identities')).toHaveLength(0);
+    expect(supabase.queries.some(query => query.table === 'profiles' && query.action === 'update')).toBe(false);
+  });
+
+  it('links a workspace member by email without marking the address verified', async () => {
+    respond({ profile: existing });
+    getWorkspaceMembership.mockResolvedValue({ role: 'member' });
+
+    const { profile } = await provisionSsoUser(claims, 'workspace-1');
+
+    expect(profile).toEqual(existing);
+    expect(supabase.queries.some(query => query.table === 'profiles' && query.action === 'update')).toBe(false);
+    expect(inserted('sso_identities')[0].values).toEqual({
+      user_id: 'user-1',
+      issuer: 'https://idp.test',
+      subject: 'subject-1',
+      workspace_id: 'workspace-1'
+    });
+  });
+
+  it('creates and links a new account for an unknown email', async () => {
+    respond({});
+    supabase.supabaseAdmin.auth.admin.createUser.mockResolvedValue({ data: { user: { id: 'user-2' } }, error: null });
+
+    const { profile } = await provisionSsoUser(claims, 'workspace-1');
+
+    expect(supabase.supabaseAdmin.auth.admin.createUser).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'ada@example.com',
+      email_confirm: true
+    }));
+    expect(inserted('profiles')[0].values).toMatchObject({
+      id: 'user-2',
+      email: 'ada@example.com',
+      full_name: 'Ada Lovelace'
+    });
+    expect(inserted('profiles')[0].values.email_verified_at).toBeUndefined();
+    expect(profile.id).toBe('user-2');
+    expect(inserted('sso_identities')[0].values).toMatchObject({ user_id: 'user-2', subject: 'subject-1' });
+  });
+
+  it('removes the auth user when the profile cannot be created', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'profiles' && query.action === 'insert') return { error: { message: 'boom' } };
+      return { data: null };
+    });
+    supabase.supabaseAdmin.auth.admin.createUser.mockResolvedValue({ data: { user: { id: 'user-2' } }, error: null });
+
+    await expect(provisionSsoUser(claims, 'workspace-1')).rejects.toThrow('Failed to create SSO user profile');
+    expect(supabase.supabaseAdmin.auth.admin.deleteUser).toHaveBeenCalledWith('user-2');
+    expect(inserted('sso_identities')).toHaveLength(0);
+  });
+});
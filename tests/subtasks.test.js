@@ -0,0 +1,161 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+jest.mock('../services/activity', () => ({
+  ...jest.requireActual('../services/activity'),
+  recordActivity: jest.fn(async () => {})
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const { eventBus } = require('../socket/eventBus');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+const { recordActivity } = require('../services/activity');
+
+const app = createTestApp('/api/tasks', require('../routes/tasks'));
+
+const TASK_ID = '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11';
+const SUBTASK_ID = '0d4b8f6a-3c2e-4f1a-9b7d-6e5c4a3b2f10';
+const ITEM_URL = '/api/tasks/tasks/task-1/checklist/item-1';
+
+const taskRow = (autoCompleteParents) => ({
+  id: 'task-1',
+  title: 'Ship',
+  parent_task_id: null,
+  completed: false,
+  created_by: 'user-1',
+  task_lists: { board_id: 'board-1', task_boards: { workspace_id: 'workspace-1', auto_complete_parents: autoCompleteParents } }
+});
+
+// Answer for task-1 with the given checklist (rows of { task_id, done })
+const respondWithChecklist = ({ autoCompleteParents = false, checklist = [] } = {}) => {
+  supabase.respondWith((query) => {
+    if (query.table === 'tasks' && query.action === 'update') return { data: { ...taskRow(autoCompleteParents), ...query.values } };
+    if (query.table === 'tasks') return query.single ? { data: taskRow(autoCompleteParents) } : { data: [] };
+    if (query.table === 'task_checklist_items' && query.single) return { data: { id: 'item-1', task_id: 'task-1', done: false, ...query.values } };
+    if (query.table === 'task_checklist_items') return { data: checklist };
+    return {};
+  });
+};
+
+const tasksUpdates = () => supabase.queries.filter(query => query.table === 'tasks' && query.action === 'update');
+
+let published;
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+  getWorkspaceAccess.mockResolvedValue({ role: 'member', permissions: new Set(DEFAULT_ROLE_PERMISSIONS.member), requireMfa: false, deletedAt: null });
+  published = jest.fn();
+  eventBus.on('publish', published);
+});
+
+afterEach(() => {
+  eventBus.off('publish', published);
+});
+
+const publishedEvents = () => published.mock.calls.map(([message]) => message.event);
+
+describe('GET /api/tasks/boards/:boardId progress', () => {
+  it('returns checklist and subtask progress with each task', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'task_boards') return { data: { id: 'board-1', workspace_id: 'workspace-1' } };
+      if (query.table === 'task_lists') return { data: [{ id: 'list-1', tasks: [{ id: 'task-1' }, { id: 'task-2' }] }] };
+      if (query.table === 'task_checklist_items') return { data: [{ task_id: 'task-1', done: true }, { task_id: 'task-1', done: false }] };
+      if (query.table === 'tasks') return { data: [{ parent_task_id: 'task-1', completed: true }] };
+      return { data: [] };
+    });
+
+    const res = await request(app).get('/api/tasks/boards/board-1');
+
+    expect(res.status).toBe(200);
+    const [first, second] = res.body.board.lists[0].tasks;
+    expect(first.progress).toEqual({ checklist: { done: 1, total: 2 }, subtasks: { done: 1, total: 1 }, done: 2, total: 3 });
+    expect(second.progress).toEqual({ checklist: { done: 0, total: 0 }, subtasks: { done: 0, total: 0 }, done: 0, total: 0 });
+  });
+});
+
+describe('PUT /api/tasks/tasks/:taskId/checklist/:itemId', () => {
+  it('ticks the item off and pushes the new progress', async () => {
+    respondWithChecklist({ checklist: [{ task_id: 'task-1', done: true }] });
+
+    const res = await request(app).put(ITEM_URL).send({ done: true });
+
+    expect(res.status).toBe(200);
+    const itemUpdate = supabase.queries.find(query => query.table === 'task_checklist_items' && query.action === 'update');
+    expect(itemUpdate.values).toMatchObject({ done: true, completed_by: 'user-1' });
+    expect(publishedEvents()).toEqual(['checklist_item_updated', 'task_progress']);
+    expect(tasksUpdates()).toHaveLength(0);
+  });
+
+  it('completes the task with its last item on auto-complete boards', async () => {
+    respondWithChecklist({ autoCompleteParents: true, checklist: [{ task_id: 'task-1', done: true }, { task_id: 'task-1', done: true }] });
+
+    expect((await request(app).put(ITEM_URL).send({ done: true })).status).toBe(200);
+
+    expect(tasksUpdates()[0].values).toEqual({ completed: true });
+    expect(publishedEvents()).toEqual(['checklist_item_updated', 'task_updated']);
+    expect(recordActivity).toHaveBeenCalledWith(expect.objectContaining({ action: 'task_completed', diff: { completed: { from: false, to: true } } }));
+  });
+
+  it('leaves the task open while items are left', async () => {
+    respondWithChecklist({ autoCompleteParents: true, checklist: [{ task_id: 'task-1', done: true }, { task_id: 'task-1', done: false }] });
+
+    expect((await request(app).put(ITEM_URL).send({ done: true })).status).toBe(200);
+
+    expect(tasksUpdates()).toHaveLength(0);
+    expect(publishedEvents()).toEqual(['checklist_item_updated', 'task_progress']);
+  });
+
+  it('skips the rollup when only the text changes', async () => {
+    respondWithChecklist();
+
+    expect((await request(app).put(ITEM_URL).send({ content: 'Write release notes' })).status).toBe(200);
+
+    expect(publishedEvents()).toEqual(['checklist_item_updated']);
+  });
+});
+
+describe('subtask rules', () => {
+  const respondWithParent = (parent) => {
+    supabase.respondWith((query) => {
+      if (query.table === 'task_lists') return { data: { id: 'list-1', board_id: 'board-1', task_boards: { workspace_id: 'workspace-1' } } };
+      if (query.table === 'tasks' && filterValue(query, 'eq', 'id') === SUBTASK_ID) return { data: parent };
+      if (query.table === 'tasks' && query.single) return { data: { ...taskRow(false), id: TASK_ID, task_label_assignments: [] } };
+      return { data: [], count: 0 };
+    });
+  };
+
+  it('keeps subtasks one level deep', async () => {
+    respondWithParent({ id: SUBTASK_ID, parent_task_id: TASK_ID, task_lists: { board_id: 'board-1' } });
+
+    const res = await request(app).post('/api/tasks/lists/list-1/tasks').send({ title: 'Step', parentTaskId: SUBTASK_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Subtasks cannot have subtasks of their own');
+  });
+
+  it('keeps subtasks on their parent\'s board', async () => {
+    respondWithParent({ id: SUBTASK_ID, parent_task_id: null, task_lists: { board_id: 'board-2' } });
+
+    const res = await request(app).post('/api/tasks/lists/list-1/tasks').send({ title: 'Step', parentTaskId: SUBTASK_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Parent task not found on this board');
+  });
+
+  it('does not let a task become its own subtask', async () => {
+    respondWithParent(null);
+
+    const res = await request(app).put(`/api/tasks/tasks/${TASK_ID}`).send({ parentTaskId: TASK_ID });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('A task cannot be its own subtask');
+    expect(tasksUpdates()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,169 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+jest.mock('../services/activity', () => ({
+  ...jest.requireActual('../services/activity'),
+  recordActivity: jest.fn(async () => {})
+}));
+jest.mock('../socket/webrtcHandlers', () => ({ setupWebRTCHandlers: jest.fn() }));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { createTestApp } = require('./helpers/testApp');
+const { eventBus, publish, leaveRoom } = require('../socket/eventBus');
+const { setupSocketHandlers } = require('../socket/socketHandlers');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+
+const app = createTestApp('/api/tasks', require('../routes/tasks'));
+
+const OTHER_LIST_ID = '5f0c3d8e-8b0a-4c55-9e39-2a5a9b7f1c11';
+
+const list = { id: 'list-1', board_id: 'board-1', archived_at: null, task_boards: { workspace_id: 'workspace-1', archived_at: null } };
+const otherList = { id: OTHER_LIST_ID, board_id: 'board-2', archived_at: null, task_boards: { workspace_id: 'workspace-1', archived_at: null } };
+
+const storedTask = {
+  id: 'task-1',
+  list_id: 'list-1',
+  parent_task_id: null,
+  title: 'Ship it',
+  position: 0,
+  completed: false,
+  created_by: 'user-1',
+  assigned_to: null,
+  assigned_team_id: null,
+  task_label_assignments: [],
+  task_lists: { board_id: 'board-1', task_boards: { workspace_id: 'workspace-1' } }
+};
+
+// Answer reads with the stored task and lists; writes echo the row the
+// database would return, with a server-side updated_at
+const respondWithTask = () => {
+  supabase.respondWith((query) => {
+    if (query.table === 'task_lists') {
+      const listId = query.filters.find(filter => filter.column === 'id')?.value;
+      return { data: listId === OTHER_LIST_ID ? otherList : list };
+    }
+    if (query.table === 'tasks' && (query.action === 'insert' || query.action === 'update')) {
+      return { data: { ...storedTask, ...query.values, updated_at: '2026-01-02T00:00:00.000Z' } };
+    }
+    if (query.table === 'tasks' && query.single) return { data: storedTask };
+    return { data: [], count: 0 };
+  });
+};
+
+let published;
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+  getWorkspaceAccess.mockResolvedValue({ role: 'member', permissions: new Set(DEFAULT_ROLE_PERMISSIONS.member), requireMfa: false, deletedAt: null });
+  respondWithTask();
+  published = jest.fn();
+  eventBus.on('publish', published);
+});
+
+afterEach(() => {
+  eventBus.off('publish', published);
+});
+
+const publishedTo = (event) => published.mock.calls.map(([message]) => message).filter(message => message.event === event);
+
+describe('event bus', () => {
+  it('carries publishes and room leaves to the socket server', () => {
+    const left = jest.fn();
+    eventBus.on('leave', left);
+
+    publish('board:board-1', 'task_deleted', { taskId: 'task-1' });
+    leaveRoom('user:user-2', 'workspace:workspace-1');
+
+    eventBus.off('leave', left);
+    expect(published).toHaveBeenCalledWith({ room: 'board:board-1', event: 'task_deleted', payload: { taskId: 'task-1' } });
+    expect(left).toHaveBeenCalledWith({ room: 'user:user-2', leave: 'workspace:workspace-1' });
+  });
+});
+
+describe('task events from the REST routes', () => {
+  it('publishes the created row to the board', async () => {
+    const res = await request(app).post('/api/tasks/lists/list-1/tasks').send({ title: 'Ship it' });
+
+    expect(res.status).toBe(201);
+    const [event] = publishedTo('task_created');
+    expect(event.room).toBe('board:board-1');
+    expect(event.payload).toMatchObject({ boardId: 'board-1', listId: 'list-1', createdBy: { id: 'user-1' } });
+    expect(event.payload.task).toMatchObject({ id: 'task-1', title: 'Ship it', position: 1 });
+    expect(res.body.task).toMatchObject({ id: 'task-1', position: 1 });
+  });
+
+  it('publishes updates as written to the database', async () => {
+    const res = await request(app).put('/api/tasks/tasks/task-1').send({ title: 'Ship it today' });
+
+    expect(res.status).toBe(200);
+    const [event] = publishedTo('task_updated');
+    expect(event.room).toBe('board:board-1');
+    expect(event.payload.task).toMatchObject({ id: 'task-1', title: 'Ship it today', updatedAt: '2026-01-02T00:00:00.000Z' });
+    expect(publishedTo('task_moved')).toHaveLength(0);
+  });
+
+  it('tells both boards when a task moves between them', async () => {
+    const res = await request(app).put('/api/tasks/tasks/task-1').send({ listId: OTHER_LIST_ID });
+
+    expect(res.status).toBe(200);
+    const moves = publishedTo('task_moved');
+    expect(moves.map(event => [event.room, event.payload.boardId])).toEqual([['board:board-1', 'board-1'], ['board:board-2', 'board-2']]);
+    expect(moves[0].payload).toMatchObject({ sourceListId: 'list-1', destinationListId: OTHER_LIST_ID, sourceBoardId: 'board-1', destinationBoardId: 'board-2' });
+    expect(publishedTo('task_updated')).toHaveLength(0);
+  });
+
+  it('publishes deletions', async () => {
+    expect((await request(app).delete('/api/tasks/tasks/task-1')).status).toBe(200);
+
+    const [event] = publishedTo('task_deleted');
+    expect(event).toMatchObject({ room: 'board:board-1', payload: { taskId: 'task-1', listId: 'list-1', subtaskIds: [] } });
+  });
+
+  it('publishes nothing for rejected writes', async () => {
+    getWorkspaceAccess.mockResolvedValue({ role: 'guest', permissions: new Set(), requireMfa: false, deletedAt: null });
+
+    expect((await request(app).post('/api/tasks/lists/list-1/tasks').send({ title: 'Fake' })).status).toBe(403);
+    expect(published).not.toHaveBeenCalled();
+  });
+});
+
+describe('socket server', () => {
+  const emit = jest.fn();
+  const io = {
+    use: jest.fn(),
+    on: jest.fn(),
+    to: jest.fn(() => ({ emit })),
+    in: jest.fn(() => ({ socketsLeave: jest.fn(), disconnectSockets: jest.fn() }))
+  };
+
+  let onConnection;
+
+  beforeAll(() => {
+    setupSocketHandlers(io);
+    [, onConnection] = io.on.mock.calls.find(([event]) => event === 'connection');
+  });
+
+  it('relays published events into the room', () => {
+    publish('board:board-1', 'task_deleted', { taskId: 'task-1' });
+
+    expect(io.to).toHaveBeenCalledWith('board:board-1');
+    expect(emit).toHaveBeenCalledWith('task_deleted', { taskId: 'task-1' });
+  });
+
+  it('no longer accepts task events from clients', () => {
+    const socket = { id: 'socket-1', userId: 'user-1', sessionId: 'session-1', user: { email: 'ada@example.com' }, join: jest.fn(), on: jest.fn(), emit: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    onConnection(socket);
+
+    console.log.mockRestore();
+    const handled = socket.on.mock.calls.map(([event]) => event);
+    expect(handled).toContain('join_task_board');
+    ['task_created', 'task_updated', 'task_moved', 'task_deleted'].forEach(event => expect(handled).not.toContain(event));
+  });
+});
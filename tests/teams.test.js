@@ -0,0 +1,143 @@
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const {
+  addTeamToRoom,
+  grantTeamDocumentAccess,
+  removeTeamFromRoom,
+  addTeamMembers,
+  removeTeamMembers,
+  deleteTeam,
+  removeUserFromWorkspaceTeams
+} = require('../services/teams');
+
+const queriesOf = (table, action) => supabase.queries.filter(query => query.table === table && query.action === action);
+
+beforeEach(() => {
+  supabase.reset();
+});
+
+describe('addTeamToRoom', () => {
+  it('links the team and adds every member as a team row', async () => {
+    supabase.respondWith((query) => (query.table === 'team_members' ? { data: [{ user_id: 'user-1' }, { user_id: 'user-2' }] } : {}));
+
+    expect(await addTeamToRoom('room-1', 'team-1', 'user-1')).toEqual(['user-1', 'user-2']);
+
+    expect(queriesOf('chat_room_teams', 'upsert')[0].values).toEqual({ room_id: 'room-1', team_id: 'team-1', added_by: 'user-1' });
+    expect(queriesOf('chat_room_members', 'upsert')[0].values).toEqual([
+      { room_id: 'room-1', user_id: 'user-1', team_id: 'team-1' },
+      { room_id: 'room-1', user_id: 'user-2', team_id: 'team-1' }
+    ]);
+  });
+
+  it('adds no rows for an empty team', async () => {
+    supabase.respondWith((query) => (query.table === 'team_members' ? { data: [] } : {}));
+
+    await addTeamToRoom('room-1', 'team-1', 'user-1');
+
+    expect(queriesOf('chat_room_members', 'upsert')).toHaveLength(0);
+  });
+});
+
+describe('grantTeamDocumentAccess', () => {
+  it('updates the team\'s existing rows and adds the missing members', async () => {
+    supabase.respondWith((query) => (query.table === 'team_members' ? { data: [{ user_id: 'user-2' }] } : {}));
+
+    await grantTeamDocumentAccess('document-1', 'team-1', 'write', 'user-1');
+
+    const [update] = queriesOf('document_collaborators', 'update');
+    expect(update.values).toEqual({ permission: 'write' });
+    expect(filterValue(update, 'eq', 'team_id')).toBe('team-1');
+    expect(queriesOf('document_collaborators', 'upsert')[0].values)
+      .toEqual([{ document_id: 'document-1', user_id: 'user-2', permission: 'write', team_id: 'team-1' }]);
+  });
+});
+
+describe('removeTeamFromRoom', () => {
+  it('returns false when the team was not linked', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect(await removeTeamFromRoom('room-1', 'team-1')).toBe(false);
+    expect(queriesOf('chat_room_members', 'select')).toHaveLength(0);
+  });
+
+  it('hands rows covered by another linked team over and removes the rest', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'chat_room_teams' && query.action === 'delete') return { data: { id: 'link-1' } };
+      if (query.table === 'chat_room_members' && query.action === 'select') {
+        return { data: [{ id: 'row-1', room_id: 'room-1', user_id: 'user-1' }, { id: 'row-2', room_id: 'room-1', user_id: 'user-2' }] };
+      }
+      if (query.table === 'chat_room_teams' && query.action === 'select') {
+        return { data: filterValue(query, 'eq', 'teams.team_members.user_id') === 'user-1' ? [{ team_id: 'team-2' }] : [] };
+      }
+      return {};
+    });
+
+    expect(await removeTeamFromRoom('room-1', 'team-1')).toBe(true);
+
+    const [handOver] = queriesOf('chat_room_members', 'update');
+    expect(handOver.values).toEqual({ team_id: 'team-2' });
+    expect(filterValue(handOver, 'eq', 'id')).toBe('row-1');
+    expect(queriesOf('chat_room_members', 'delete').map(query => filterValue(query, 'eq', 'id'))).toEqual(['row-2']);
+  });
+});
+
+describe('addTeamMembers', () => {
+  it('adds the users to the team\'s rooms and documents', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'chat_room_teams') return { data: [{ room_id: 'room-1' }] };
+      if (query.table === 'document_team_grants') return { data: [{ document_id: 'document-1', permission: 'read' }] };
+      return {};
+    });
+
+    await addTeamMembers('team-1', ['user-3'], 'user-1');
+
+    expect(queriesOf('team_members', 'upsert')[0].values).toEqual([{ team_id: 'team-1', user_id: 'user-3', added_by: 'user-1' }]);
+    expect(queriesOf('chat_room_members', 'upsert')[0].values).toEqual([{ room_id: 'room-1', user_id: 'user-3', team_id: 'team-1' }]);
+    expect(queriesOf('document_collaborators', 'upsert')[0].values)
+      .toEqual([{ document_id: 'document-1', user_id: 'user-3', permission: 'read', team_id: 'team-1' }]);
+  });
+});
+
+describe('removeTeamMembers', () => {
+  it('keeps document access another team grants, with that grant\'s permission', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'document_collaborators' && query.action === 'select') {
+        return { data: [{ id: 'row-1', document_id: 'document-1', user_id: 'user-3' }] };
+      }
+      if (query.table === 'document_team_grants') return { data: [{ team_id: 'team-2', permission: 'read' }] };
+      return { data: [] };
+    });
+
+    await removeTeamMembers('team-1', ['user-3']);
+
+    expect(filterValue(queriesOf('team_members', 'delete')[0], 'in', 'user_id')).toEqual(['user-3']);
+    expect(filterValue(queriesOf('chat_room_members', 'select')[0], 'eq', 'team_id')).toBe('team-1');
+    expect(queriesOf('document_collaborators', 'update')[0].values).toEqual({ team_id: 'team-2', permission: 'read' });
+    expect(queriesOf('document_collaborators', 'delete')).toHaveLength(0);
+  });
+});
+
+describe('deleteTeam', () => {
+  it('unlinks the team before releasing its rows, then deletes it', async () => {
+    supabase.respondWith((query) => (query.table === 'team_members' ? { data: [{ user_id: 'user-1' }] } : { data: [] }));
+
+    await deleteTeam('team-1');
+
+    const order = supabase.queries.map(query => `${query.action} ${query.table}`);
+    expect(order.indexOf('delete chat_room_teams')).toBeLessThan(order.indexOf('select chat_room_members'));
+    expect(order.indexOf('delete document_team_grants')).toBeLessThan(order.indexOf('select document_collaborators'));
+    expect(order[order.length - 1]).toBe('delete teams');
+  });
+});
+
+describe('removeUserFromWorkspaceTeams', () => {
+  it('takes the user out of each of their teams in the workspace', async () => {
+    supabase.respondWith((query) => (query.table === 'teams' ? { data: [{ id: 'team-1' }, { id: 'team-2' }] } : { data: [] }));
+
+    await removeUserFromWorkspaceTeams('workspace-1', 'user-3');
+
+    expect(queriesOf('team_members', 'delete').map(query => filterValue(query, 'eq', 'team_id'))).toEqual(['team-1', 'team-2']);
+  });
+});
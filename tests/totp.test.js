@@ -0,0 +1,100 @@
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri,
+  base32Encode,
+  base32Decode
+} = require('../services/totp');
+
+// RFC 6238 appendix B, SHA-1 seed; the 6-digit codes are the last six
+// digits of the published 8-digit ones
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037']
+];
+
+describe('base32', () => {
+  it('encodes the RFC 4648 examples', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes padded, spaced and lowercase input', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('round-trips generated secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / 1000 / 30);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the step of a current code', () => {
+    expect(verifyCode(RFC_SECRET, '005924')).toBe(step);
+    expect(verifyCode(RFC_SECRET, '005 924')).toBe(step);
+  });
+
+  it('accepts neighbouring steps within the window only', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { window: 2 })).toBe(step - 2);
+  });
+
+  it('refuses steps at or before afterStep', () => {
+    expect(verifyCode(RFC_SECRET, '005924', { afterStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '005924', { afterStep: step - 1 })).toBe(step);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+    expect(verifyCode(RFC_SECRET, '05924')).toBeNull();
+    expect(verifyCode(RFC_SECRET, '00592a')).toBeNull();
+  });
+});
+
+describe('buildOtpAuthUri', () => {
+  it('builds a URI authenticator apps understand', () => {
+    const uri = new URL(buildOtpAuthUri('JBSWY3DPEHPK3PXP', 'ada@example.com', 'OneDesk'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/OneDesk:ada@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: 'JBSWY3DPEHPK3PXP',
+      issuer: 'OneDesk',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
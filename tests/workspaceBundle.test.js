@@ -0,0 +1,275 @@
+process.env.WORKSPACE_MAX_BOARDS = '2';
+process.env.WORKSPACE_MAX_MEMBERS = '3';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../services/invitations', () => ({ createInvitation: jest.fn(async () => ({})) }));
+
+const zlib = require('zlib');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createInvitation } = require('../services/invitations');
+const {
+  collectWorkspaceBundle,
+  collectWorkspaceStructure,
+  parseBundle,
+  planImport,
+  importWorkspaceBundle,
+  checkBundleQuotas
+} = require('../services/workspaceBundle');
+
+const importer = { id: 'user-1', email: 'ada@example.com', full_name: 'Ada' };
+
+// Bundle exported by Grace (old-grace) with Ada (old-ada) as a member
+const makeBundle = (overrides = {}) => ({
+  manifest: { format: 'onedesk-workspace', version: 1, workspace: { name: 'Acme' } },
+  counts: null,
+  members: [
+    { userId: 'old-grace', email: 'grace@example.com', fullName: 'Grace Hopper', role: 'owner', roleId: null },
+    { userId: 'old-ada', email: 'ada@example.com', fullName: 'Ada', role: 'member', roleId: null }
+  ],
+  roles: [],
+  teams: [{ id: 'team-1', name: 'Core', memberIds: ['old-grace', 'old-ada'] }],
+  labels: [],
+  boards: [{ id: 'board-1', name: 'Roadmap', createdBy: 'old-grace', guestIds: [] }],
+  lists: [{ id: 'list-1', boardId: 'board-1', name: 'To do', position: 0 }],
+  tasks: [
+    { id: 'task-1', listId: 'list-1', title: 'Grace task', position: 0, assignedTo: 'old-grace', createdBy: 'old-grace' },
+    { id: 'task-2', listId: 'list-1', title: 'Ada task', position: 1, assignedTo: 'old-ada', createdBy: 'old-grace' }
+  ],
+  rooms: [
+    { id: 'room-1', name: 'General', type: 'general', members: [{ userId: 'old-grace' }, { userId: 'old-ada' }], teamIds: [] },
+    { id: 'room-2', name: 'grace-only', type: 'group', members: [{ userId: 'old-grace' }], teamIds: [] }
+  ],
+  messages: [
+    { id: 'message-1', roomId: 'room-1', senderId: 'old-grace', content: 'Hi', metadata: {} },
+    { id: 'message-2', roomId: 'room-1', senderId: 'old-ada', content: 'Hello', metadata: {} }
+  ],
+  documents: [{ id: 'document-1', title: 'Notes', state: null, createdBy: 'old-grace', collaborators: [{ userId: 'old-grace', permission: 'admin' }] }],
+  ...overrides
+});
+
+const inserted = (table) => supabase.queries
+  .filter(query => query.table === table && query.action === 'insert')
+  .flatMap(query => [].concat(query.values));
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('collectWorkspaceBundle', () => {
+  const rooms = [
+    { id: 'room-1', name: 'General', type: 'general', chat_room_members: [], chat_room_teams: [] },
+    { id: 'room-2', name: 'Team', type: 'group', chat_room_members: [{ user_id: 'user-1' }], chat_room_teams: [] },
+    { id: 'room-3', name: 'Secret', type: 'group', chat_room_members: [{ user_id: 'user-2' }], chat_room_teams: [] },
+    { id: 'room-4', name: 'DM', type: 'direct', chat_room_members: [{ user_id: 'user-2' }, { user_id: 'user-3' }], chat_room_teams: [] }
+  ];
+
+  beforeEach(() => {
+    supabase.respondWith((query) => {
+      if (query.table === 'workspaces') return { data: { id: 'workspace-1', name: 'Acme' } };
+      if (query.table === 'chat_rooms') return { data: rooms };
+      if (query.table === 'messages') {
+        return { data: filterValue(query, 'in', 'room_id').map(roomId => ({ id: `message-${roomId}`, room_id: roomId })) };
+      }
+      if (query.table === 'documents' && !query.single) return { data: [{ id: 'document-1' }] };
+      if (query.table === 'documents') {
+        return { data: { id: 'document-1', title: 'Notes', content: null, document_collaborators: [], document_team_grants: [] } };
+      }
+      return { data: [] };
+    });
+  });
+
+  it('leaves out private rooms and direct messages the viewer is not in', async () => {
+    const bundle = await collectWorkspaceBundle('workspace-1', { viewerId: 'user-1' });
+
+    expect(bundle.rooms.map(room => room.id)).toEqual(['room-1', 'room-2']);
+    expect(bundle.messages.map(message => message.roomId)).toEqual(['room-1', 'room-2']);
+    expect(bundle.manifest.omitted).toEqual([]);
+  });
+
+  it('skips chat and documents when asked to', async () => {
+    const bundle = await collectWorkspaceBundle('workspace-1', { chat: false, documents: false });
+
+    expect(bundle.rooms).toEqual([]);
+    expect(bundle.documents).toEqual([]);
+    expect(bundle.manifest.omitted).toEqual(['chat', 'documents']);
+    expect(supabase.queries.some(query => ['chat_rooms', 'messages', 'documents'].includes(query.table))).toBe(false);
+  });
+
+  it('reads only the structure for templates', async () => {
+    const bundle = await collectWorkspaceStructure('workspace-1');
+
+    const tables = supabase.queries.map(query => query.table);
+    ['workspace_members', 'tasks', 'messages'].forEach(table => expect(tables).not.toContain(table));
+    expect(supabase.queries.filter(query => query.table === 'documents')).toHaveLength(1);
+    expect(bundle.rooms.map(room => room.id)).toEqual(['room-1', 'room-2', 'room-3']);
+    expect(bundle.documents).toEqual([expect.objectContaining({ id: 'document-1', state: null, text: '' })]);
+  });
+
+  it('reads tasks and document content for templates with content', async () => {
+    const bundle = await collectWorkspaceStructure('workspace-1', { includeContent: true });
+
+    const tables = supabase.queries.map(query => query.table);
+    expect(tables).toContain('tasks');
+    expect(tables).not.toContain('messages');
+    expect(bundle.documents.map(document => document.title)).toEqual(['Notes']);
+  });
+});
+
+describe('parseBundle', () => {
+  const counts = { member: 1, role: 0, team: 0, label: 0, board: 0, list: 0, task: 0, room: 0, message: 0, document: 0 };
+  const lines = (records) => records.map(record => JSON.stringify(record)).join('\n');
+  const archive = [
+    { type: 'manifest', data: { format: 'onedesk-workspace', version: 1, workspace: { name: 'Acme' } } },
+    { type: 'member', data: { userId: 'old-ada', email: 'ada@example.com', role: 'owner' } },
+    { type: 'end', data: { counts } }
+  ];
+
+  it('reads gzipped and plain archives', async () => {
+    for (const buffer of [zlib.gzipSync(lines(archive)), Buffer.from(lines(archive))]) {
+      const { data, error } = await parseBundle(buffer, { maxBytes: 1024 * 1024 });
+
+      expect(error).toBeNull();
+      expect(data.manifest.workspace.name).toBe('Acme');
+      expect(data.members).toHaveLength(1);
+    }
+  });
+
+  it('stops decompressing past the limit', async () => {
+    const padding = { type: 'member', data: { note: 'x'.repeat(1024 * 1024) } };
+    const buffer = zlib.gzipSync(lines([archive[0], padding, padding, archive[2]]));
+
+    expect(buffer.length).toBeLessThan(64 * 1024);
+    expect(await parseBundle(buffer, { maxBytes: 1024 * 1024 }))
+      .toEqual({ data: null, error: { message: 'Archive is too large' } });
+  });
+
+  it('rejects invalid lines, foreign files and truncated archives', async () => {
+    const parse = async (text) => (await parseBundle(Buffer.from(text), { maxBytes: 1024 * 1024 })).error?.message;
+
+    expect(await parse(`${lines(archive.slice(0, 1))}\n{oops`)).toBe('Invalid record on line 2');
+    expect(await parse(lines([{ type: 'manifest', data: { format: 'other' } }]))).toBe('Not a workspace export');
+    expect(await parse(lines(archive.slice(0, 2)))).toBe('Archive is incomplete');
+    expect((await parseBundle(Buffer.from([0x1f, 0x8b, 1, 2, 3]), { maxBytes: 1024 })).error.message)
+      .toBe('Archive could not be decompressed');
+  });
+});
+
+describe('planImport', () => {
+  const respondProfiles = (profiles) => {
+    supabase.respondWith((query) => (query.table === 'profiles' ? { data: profiles } : { data: [] }));
+  };
+
+  it('plans invitations for matched people instead of memberships', async () => {
+    respondProfiles([
+      { id: 'user-1', email: 'ada@example.com', email_verified_at: null },
+      { id: 'user-2', email: 'Grace@Example.com', email_verified_at: null }
+    ]);
+
+    const plan = await planImport(makeBundle(), importer);
+
+    expect(plan.invitees).toEqual([{ email: 'grace@example.com', role: 'admin' }]);
+    expect(plan.userMap.get('old-ada')).toBe('user-1');
+    expect(plan.quotaExceeded).toBeNull();
+    expect(plan.report.counts).toMatchObject({ matchedMembers: 2, invitations: 1 });
+    expect(plan.report.conflicts).toEqual([{ type: 'owner_becomes_admin', email: 'grace@example.com' }]);
+  });
+
+  it('skips unverified people when the workspace blocks them', async () => {
+    respondProfiles([{ id: 'user-2', email: 'grace@example.com', email_verified_at: null }]);
+    const bundle = makeBundle();
+    bundle.manifest.workspace.blockUnverifiedInvites = true;
+
+    const plan = await planImport(bundle, importer);
+
+    expect(plan.invitees).toEqual([]);
+    expect(plan.report.conflicts).toContainEqual({ type: 'unverified_member', email: 'grace@example.com' });
+  });
+
+  it('reports bundles over the default quotas', async () => {
+    respondProfiles([]);
+    const bundle = makeBundle({ boards: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] });
+
+    const plan = await planImport(bundle, importer);
+
+    expect(plan.quotaExceeded).toMatchObject({ status: 402, code: 'QUOTA_EXCEEDED', quota: 'boards', limit: 2 });
+    expect(plan.report.conflicts).toContainEqual({ type: 'quota_exceeded', quota: 'boards', limit: 2 });
+  });
+});
+
+describe('checkBundleQuotas', () => {
+  it('counts the importer and every invitation against the member quota', () => {
+    expect(checkBundleQuotas(makeBundle(), { invitations: 2 })).toBeNull();
+    expect(checkBundleQuotas(makeBundle(), { invitations: 3 })).toMatchObject({ quota: 'members', limit: 3 });
+  });
+});
+
+describe('importWorkspaceBundle', () => {
+  const runImport = async (bundle = makeBundle()) => {
+    supabase.respondWith((query) => (query.table === 'workspaces' && query.action === 'insert'
+      ? { data: { id: 'workspace-2', name: 'Acme' } }
+      : {}));
+
+    return importWorkspaceBundle(bundle, importer, {
+      userMap: new Map([['old-ada', 'user-1'], ['old-grace', 'user-2']]),
+      invitees: [{ email: 'grace@example.com', role: 'admin' }]
+    });
+  };
+
+  it('adds only the importer and invites everyone else', async () => {
+    const workspace = await runImport();
+
+    expect(workspace.id).toBe('workspace-2');
+    expect(inserted('workspace_members')).toEqual([{ workspace_id: 'workspace-2', user_id: 'user-1', role: 'owner' }]);
+    expect(inserted('team_members').map(row => row.user_id)).toEqual(['user-1']);
+    expect(inserted('chat_room_members').map(row => row.user_id)).toEqual(['user-1']);
+    expect(inserted('document_collaborators').map(row => row.user_id)).toEqual(['user-1']);
+    expect(inserted('task_board_guests')).toEqual([]);
+    expect(createInvitation).toHaveBeenCalledWith({
+      workspace: { id: 'workspace-2', name: 'Acme' },
+      email: 'grace@example.com',
+      role: 'admin',
+      invitedBy: importer
+    });
+  });
+
+  it('credits content to the importer and keeps other authors as metadata', async () => {
+    await runImport();
+
+    expect(inserted('task_boards')[0].created_by).toBe('user-1');
+    expect(inserted('tasks').map(task => [task.title, task.assigned_to, task.created_by])).toEqual([
+      ['Grace task', null, 'user-1'],
+      ['Ada task', 'user-1', 'user-1']
+    ]);
+    expect(inserted('messages').map(message => [message.sender_id, message.metadata])).toEqual([
+      [null, { importedAuthor: { name: 'Grace Hopper' } }],
+      ['user-1', {}]
+    ]);
+    expect(inserted('documents')[0]).toMatchObject({ created_by: 'user-1', last_modified_by: 'user-1' });
+  });
+
+  it('removes the workspace and sends no invitations when an insert fails', async () => {
+    supabase.respondWith((query) => {
+      if (query.table === 'workspaces' && query.action === 'insert') return { data: { id: 'workspace-2', name: 'Acme' } };
+      if (query.table === 'tasks') return { error: { message: 'boom' } };
+      return {};
+    });
+
+    await expect(importWorkspaceBundle(makeBundle(), importer, {
+      invitees: [{ email: 'grace@example.com', role: 'admin' }]
+    })).rejects.toThrow('Failed to import tasks: boom');
+
+    expect(supabase.queries.some(query => query.table === 'workspaces' && query.action === 'delete')).toBe(true);
+    expect(createInvitation).not.toHaveBeenCalled();
+  });
+
+  it('keeps the import when an invitation fails', async () => {
+    createInvitation.mockRejectedValueOnce(new Error('smtp down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(runImport()).resolves.toMatchObject({ id: 'workspace-2' });
+
+    console.error.mockRestore();
+  });
+});
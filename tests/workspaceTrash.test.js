@@ -0,0 +1,158 @@
+process.env.WORKSPACE_TRASH_RETENTION_DAYS = '30';
+
+jest.mock('../config/supabase', () => require('./helpers/supabaseMock').createSupabaseMock());
+jest.mock('../middleware/auth', () => require('./helpers/testApp').mockAuthMiddleware());
+jest.mock('../services/permissions', () => ({
+  ...jest.requireActual('../services/permissions'),
+  getWorkspaceAccess: jest.fn()
+}));
+
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const { filterValue } = require('./helpers/supabaseMock');
+const { createTestApp } = require('./helpers/testApp');
+const { eventBus } = require('../socket/eventBus');
+const { DEFAULT_ROLE_PERMISSIONS, getWorkspaceAccess } = require('../services/permissions');
+const {
+  getPurgeDate,
+  trashWorkspace,
+  restoreWorkspace,
+  purgeExpiredWorkspaces
+} = require('../services/workspaceTrash');
+
+const app = createTestApp('/api/workspaces', require('../routes/workspaces'));
+
+const DELETED_AT = '2026-01-01T00:00:00.000Z';
+const DAY = 24 * 60 * 60 * 1000;
+
+const signInAs = (role, deletedAt = null) => {
+  getWorkspaceAccess.mockResolvedValue({
+    role,
+    permissions: new Set(DEFAULT_ROLE_PERMISSIONS[role]),
+    requireMfa: false,
+    deletedAt
+  });
+};
+
+const workspaceQueries = (action) =>
+  supabase.queries.filter(query => query.table === 'workspaces' && query.action === action);
+
+beforeEach(() => {
+  supabase.reset();
+  jest.clearAllMocks();
+});
+
+describe('workspace trash service', () => {
+  it('purges 30 days after deletion', () => {
+    expect(getPurgeDate(DELETED_AT).toISOString()).toBe('2026-01-31T00:00:00.000Z');
+  });
+
+  it('trashes only workspaces that are not in the trash yet', async () => {
+    supabase.respondWith(() => ({ data: null }));
+
+    expect(await trashWorkspace('workspace-1', 'user-1')).toBeNull();
+
+    const [trash] = workspaceQueries('update');
+    expect(trash.values).toMatchObject({ deleted_at: expect.any(String), deleted_by: 'user-1' });
+    expect(filterValue(trash, 'is', 'deleted_at')).toBeNull();
+  });
+
+  it('restores only trashed workspaces', async () => {
+    supabase.respondWith(() => ({ data: { id: 'workspace-1' } }));
+
+    expect(await restoreWorkspace('workspace-1')).toEqual({ id: 'workspace-1' });
+
+    const [restore] = workspaceQueries('update');
+    expect(restore.values).toEqual({ deleted_at: null, deleted_by: null });
+    expect(filterValue(restore, 'not', 'deleted_at')).toBe('is.null');
+  });
+
+  it('purges workspaces trashed before the retention period', async () => {
+    supabase.respondWith(() => ({ data: [{ id: 'workspace-1' }, { id: 'workspace-2' }] }));
+
+    expect(await purgeExpiredWorkspaces()).toEqual(['workspace-1', 'workspace-2']);
+
+    const [purge] = workspaceQueries('delete');
+    const cutoff = new Date(filterValue(purge, 'lte', 'deleted_at')).getTime();
+    expect(Math.abs(Date.now() - 30 * DAY - cutoff)).toBeLessThan(60 * 1000);
+  });
+});
+
+describe('DELETE /api/workspaces/:workspaceId', () => {
+  it('moves the workspace to the trash and tells connected members', async () => {
+    signInAs('owner');
+    supabase.respondWith(() => ({ data: { id: 'workspace-1', name: 'Acme', deleted_at: DELETED_AT } }));
+    const published = [];
+    const onPublish = (event) => published.push(event);
+    eventBus.on('publish', onPublish);
+
+    const res = await request(app).delete('/api/workspaces/workspace-1');
+    eventBus.off('publish', onPublish);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ deletedAt: DELETED_AT, purgeAt: '2026-01-31T00:00:00.000Z' });
+    expect(workspaceQueries('delete')).toHaveLength(0);
+    expect(published.map(event => [event.room, event.event])).toEqual([['workspace:workspace-1', 'workspace_deleted']]);
+  });
+
+  it('deletes a trashed workspace for good only with permanent=true', async () => {
+    signInAs('owner', DELETED_AT);
+    supabase.respondWith(() => ({ data: null }));
+
+    expect((await request(app).delete('/api/workspaces/workspace-1')).status).toBe(400);
+    expect(workspaceQueries('delete')).toHaveLength(0);
+
+    const res = await request(app).delete('/api/workspaces/workspace-1?permanent=true');
+
+    expect(res.status).toBe(200);
+    expect(filterValue(workspaceQueries('delete')[0], 'eq', 'id')).toBe('workspace-1');
+  });
+
+  it('is for owners only', async () => {
+    signInAs('admin');
+
+    expect((await request(app).delete('/api/workspaces/workspace-1')).status).toBe(403);
+    expect(supabase.queries).toHaveLength(0);
+  });
+});
+
+describe('POST /api/workspaces/:workspaceId/restore', () => {
+  it('brings the workspace back', async () => {
+    signInAs('owner', DELETED_AT);
+    supabase.respondWith(() => ({ data: { id: 'workspace-1', name: 'Acme', owner_id: 'user-1' } }));
+
+    const res = await request(app).post('/api/workspaces/workspace-1/restore');
+
+    expect(res.status).toBe(200);
+    expect(res.body.workspace).toMatchObject({ id: 'workspace-1', ownerId: 'user-1' });
+  });
+
+  it('answers 400 for workspaces that are not in the trash', async () => {
+    signInAs('owner');
+    supabase.respondWith(() => ({ data: null }));
+
+    expect((await request(app).post('/api/workspaces/workspace-1/restore')).status).toBe(400);
+  });
+});
+
+describe('trashed workspaces', () => {
+  it('answer 410 everywhere else', async () => {
+    signInAs('owner', DELETED_AT);
+
+    const res = await request(app).get('/api/workspaces/workspace-1');
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('WORKSPACE_DELETED');
+    expect(supabase.queries).toHaveLength(0);
+  });
+
+  it('are listed in the owner\'s trash with their purge date', async () => {
+    supabase.respondWith(() => ({ data: [{ id: 'workspace-1', name: 'Acme', deleted_at: DELETED_AT }] }));
+
+    const res = await request(app).get('/api/workspaces/trash');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ retentionDays: 30, workspaces: [{ id: 'workspace-1', purgeAt: '2026-01-31T00:00:00.000Z' }] });
+    expect(filterValue(supabase.queries[0], 'eq', 'owner_id')).toBe('user-1');
+  });
+});
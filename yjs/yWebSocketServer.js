@@ -1,10 +1,14 @@
 const { WebSocketServer } = require('ws');
 const { setupWSConnection } = require('y-websocket/bin/utils');
-const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { sessionEvents, verifyAccessToken } = require('../services/sessions');
+const { getDocumentAccess } = require('../services/permissions');
+const { eventBus } = require('../socket/eventBus');
 
 // Store document access permissions
 const documentPermissions = new Map(); // documentId -> Set of userIds with access
+const sessionSockets = new Map(); // sessionId -> Set of WebSockets
+const workspaceSockets = new Map(); // workspaceId -> Set of WebSockets
 
 const setupYWebSocket = (server) => {
   const wss = new WebSocketServer({ 
@@ -14,6 +18,43 @@ const setupYWebSocket = (server) => {
 
   console.log('📝 Y-WebSocket server running on port 1234');
 
+  // Close document connections whose session was revoked
+  sessionEvents.on('revoked', (sessions) => {
+    sessions.forEach(session => {
+      const sockets = sessionSockets.get(session.id);
+      if (sockets) {
+        sockets.forEach(socket => socket.close(1008, 'Session revoked'));
+      }
+    });
+  });
+
+  // Close every connection to a workspace moved to the trash
+  eventBus.on('publish', ({ room, event }) => {
+    const [, workspaceId] = room.split(':');
+    if (event === 'workspace_deleted') {
+      (workspaceSockets.get(workspaceId) || new Set()).forEach(socket => socket.close(1008, 'Workspace deleted'));
+    }
+  });
+
+  // A user removed from a workspace (or made a guest) keeps only the
+  // documents they still have access to
+  eventBus.on('leave', async ({ room, leave }) => {
+    const [, userId] = room.split(':');
+    const [, workspaceId] = leave.split(':');
+    const sockets = [...(workspaceSockets.get(workspaceId) || [])].filter(socket => socket.userId === userId);
+
+    for (const socket of sockets) {
+      try {
+        const access = await getDocumentAccess(socket.documentId, userId);
+        if (!access?.permission || access.deletedAt) {
+          socket.close(1008, 'No access to this document');
+        }
+      } catch (error) {
+        console.error('Error re-checking document access:', error);
+      }
+    }
+  });
+
   wss.on('connection', async (ws, req) => {
     try {
       // Extract token from query parameters or headers
@@ -24,14 +65,19 @@ const setupYWebSocket = (server) => {
         return;
       }
 
-      // Verify JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+      // Verify JWT token and its session
+      const auth = await verifyAccessToken(token);
+
+      if (!auth) {
+        ws.close(1008, 'Session expired or revoked');
+        return;
+      }
+
       // Get user from database
       const { data: user, error } = await supabaseAdmin
         .from('profiles')
         .select('id, email, full_name')
-        .eq('id', decoded.userId)
+        .eq('id', auth.userId)
         .single();
 
       if (error || !user) {
@@ -48,15 +94,10 @@ const setupYWebSocket = (server) => {
         return;
       }
 
-      // Verify user has access to the document
-      const { data: access, error: accessError } = await supabaseAdmin
-        .from('document_collaborators')
-        .select('permission')
-        .eq('document_id', documentId)
-        .eq('user_id', user.id)
-        .single();
+      // Verify user has access to the document (same check as the REST routes)
+      const access = await getDocumentAccess(documentId, user.id);
 
-      if (accessError || !access) {
+      if (!access?.permission || access.deletedAt) {
         ws.close(1008, 'No access to this document');
         return;
       }
@@ -67,10 +108,23 @@ const setupYWebSocket = (server) => {
       }
       documentPermissions.get(documentId).add(user.id);
 
+      // Track the socket under its session for revocation
+      if (!sessionSockets.has(auth.sessionId)) {
+        sessionSockets.set(auth.sessionId, new Set());
+      }
+      sessionSockets.get(auth.sessionId).add(ws);
+
+      if (!workspaceSockets.has(access.workspaceId)) {
+        workspaceSockets.set(access.workspaceId, new Set());
+      }
+      workspaceSockets.get(access.workspaceId).add(ws);
+
       // Add user info to the WebSocket
       ws.userId = user.id;
+      ws.sessionId = auth.sessionId;
       ws.user = user;
       ws.documentId = documentId;
+      ws.workspaceId = access.workspaceId;
       ws.permission = access.permission;
 
       console.log(`User ${user.email} connected to document ${documentId} with ${access.permission} permission`);
@@ -109,6 +163,22 @@ const setupYWebSocket = (server) => {
             documentPermissions.delete(documentId);
           }
         }
+
+        const sockets = sessionSockets.get(auth.sessionId);
+        if (sockets) {
+          sockets.delete(ws);
+          if (sockets.size === 0) {
+            sessionSockets.delete(auth.sessionId);
+          }
+        }
+
+        const documentSockets = workspaceSockets.get(access.workspaceId);
+        if (documentSockets) {
+          documentSockets.delete(ws);
+          if (documentSockets.size === 0) {
+            workspaceSockets.delete(access.workspaceId);
+          }
+        }
       });
 
       // Set up Yjs connection